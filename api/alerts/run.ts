@@ -2,15 +2,47 @@
 // Routes:
 //   GET  /api/alerts/run?tenantId=X&bizId=Y          → get active alerts
 //   GET  /api/alerts/run?tenantId=X&bizId=Y&config=1  → get current thresholds
+//        (&date=YYYY-MM-DD adds `resolved`: the values in force that day after profiles)
 //   POST /api/alerts/run { action: "run", tenantId, bizId }     → manual trigger
 //   POST /api/alerts/run { action: "config", tenantId, bizId, thresholds: {...} }  → update config
-//   POST /api/alerts/run { action: "dismiss", tenantId, bizId, alertId }  → dismiss alert
-//   GET  /api/alerts/run  (Vercel cron / no params)  → run all businesses
+//        (thresholds.profiles, when sent, is validated and replaces the weekday / season profiles)
+//   POST /api/alerts/run { action: "backtest", tenantId, bizId, thresholds: {...}, days? }
+//        → dry run: alerts the checkers would have fired over the last `days` (default 14,
+//          max 30) with these thresholds vs. the current ones. Nothing saved or sent.
+//          (Firebase ID token, manager or above)
+//   POST /api/alerts/run { action: "dismiss", tenantId, bizId, alertId }  → dismiss alert (= resolve)
+//   POST /api/alerts/run { action: "acknowledge" | "snooze" | "assign" | "resolve" | "reopen",
+//        tenantId, bizId, alertId, note?, snoozeMinutes? | snoozedUntil?, assignedTo? }
+//        → alert lifecycle change, recorded in the alert's history (src/alerts/lifecycle.ts)
+//        under the verified user (dismiss + lifecycle: Firebase ID token, shift_manager or above)
+//   GET  /api/alerts/run?tenantId=X&bizId=Y&alertId=Z → one alert, with its history
+//        (Firebase ID token, any tenant role)
+//   GET  /api/alerts/run?tenantId=X&bizId=Y&rules=1  → user-defined alert rules
+//   POST /api/alerts/run { action: "validate_rule", rule }  → check a rule, no save
+//   POST /api/alerts/run { action: "save_rule", tenantId, bizId, rule }  → create / replace
+//   POST /api/alerts/run { action: "delete_rule", tenantId, bizId, ruleId }
+//        (save_rule / delete_rule: Firebase ID token, manager or above)
+//   GET  /api/alerts/run?tenantId=X&bizId=Y&sirens=1 → recent live-siren events
+//        (how many were notified, not who)
+//   GET  /api/alerts/run  (Vercel cron / no params)  → run all businesses, then escalate
+//   GET  /api/alerts/run?escalate=1  (cron secret; external scheduler, every
+//        minute) → WhatsApp owners about criticals left unacknowledged
+//   GET  /api/alerts/run?sirens=1&seconds=N  (cron secret; external scheduler,
+//        every ~6 seconds) → poll Oref's live feed for N seconds (0–3) and notify
+//        on-shift managers of sirens / all-clears (src/alerts/sirens.ts)
 
 import type { VercelRequest, VercelResponse } from "@vercel/node";
 import { runAlertsForBiz, runAlertsForAll } from "../../src/alerts/runner.js";
-import { getActiveAlerts, dismissAlert } from "../../src/alerts/alertsRepo.js";
-import { getThresholds, saveThresholds } from "../../src/alerts/configRepo.js";
+import { getActiveAlerts, dismissAlert, getAlert, transitionAlert } from "../../src/alerts/alertsRepo.js";
+import { getThresholds, saveThresholds, resolveThresholdsForDate } from "../../src/alerts/configRepo.js";
+import { getRecentSirenEvents } from "../../src/alerts/sirenRepo.js";
+import { getAlertRules, saveAlertRule, deleteAlertRule } from "../../src/alerts/rulesRepo.js";
+import { validateAlertRule, MAX_RULES_PER_BIZ } from "../../src/alerts/rules.js";
+import { pollSirens } from "../../src/alerts/sirens.js";
+import { escalateOverdueAlerts } from "../../src/alerts/escalation.js";
+import { backtestThresholds, MAX_BACKTEST_DAYS } from "../../src/alerts/backtest.js";
+import { requireAuth, type VerifiedClaims } from "../../lib/verifyToken.js";
+import { requireTenantAccess, type TenantRole } from "../../lib/helpers.js";
 
 const CRON_SECRET = process.env.CRON_SECRET;
 const ALLOWED_ORIGINS = ["https://kissgn.vercel.app", "http://localhost:3000"];
@@ -33,6 +65,32 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   return res.status(405).json({ error: "Method not allowed" });
 }
 
+/**
+ * Firebase user with at least `minRole` on the tenant. Writes the error
+ * response and returns null on failure.
+ */
+async function verifyTenantUser(
+  req: VercelRequest,
+  res: VercelResponse,
+  tenantId: string,
+  minRole: TenantRole
+): Promise<VerifiedClaims | null> {
+  let claims: VerifiedClaims;
+  try {
+    claims = await requireAuth(req);
+  } catch {
+    res.status(401).json({ error: "Authentication required" });
+    return null;
+  }
+  try {
+    await requireTenantAccess(claims.uid, tenantId, minRole);
+  } catch (e: any) {
+    res.status(e?.status || 403).json({ error: e?.msg || "Access denied" });
+    return null;
+  }
+  return claims;
+}
+
 // ── GET ───────────────────────────────────────────────────────────────────────────
 
 async function handleGet(req: VercelRequest, res: VercelResponse) {
@@ -41,6 +99,8 @@ async function handleGet(req: VercelRequest, res: VercelResponse) {
 
   // No params = cron trigger for all businesses
   if (!tenantId && !bizId) {
+    if (req.query.sirens === "1") return handleSirenPoll(req, res);
+    if (req.query.escalate === "1") return handleEscalation(req, res);
     return handleCron(req, res);
   }
 
@@ -48,10 +108,41 @@ async function handleGet(req: VercelRequest, res: VercelResponse) {
     return res.status(400).json({ error: "Missing tenantId or bizId" });
   }
 
+  // Return the live-siren log — the notified phone numbers stay server-side
+  if (req.query.sirens === "1") {
+    const events = (await getRecentSirenEvents(tenantId, bizId)).map(({ notifiedPhones, ...event }) => ({
+      ...event,
+      notifiedCount: notifiedPhones.length,
+    }));
+    return res.status(200).json({ ok: true, events });
+  }
+
+  // Return one alert with its lifecycle history
+  if (req.query.alertId) {
+    if (!(await verifyTenantUser(req, res, tenantId, "viewer"))) return;
+    const alert = await getAlert(tenantId, bizId, req.query.alertId as string);
+    if (!alert) return res.status(404).json({ ok: false, error: "alert not found" });
+    return res.status(200).json({ ok: true, alert });
+  }
+
+  // Return user-defined rules
+  if (req.query.rules === "1") {
+    const rules = await getAlertRules(tenantId, bizId);
+    return res.status(200).json({ ok: true, rules });
+  }
+
   // Return config
   if (req.query.config === "1") {
     const thresholds = await getThresholds(tenantId, bizId);
-    return res.status(200).json({ ok: true, thresholds });
+    const date = req.query.date as string | undefined;
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    }
+    return res.status(200).json({
+      ok: true,
+      thresholds,
+      ...(date ? { resolved: resolveThresholdsForDate(thresholds, date) } : {}),
+    });
   }
 
   // Return active alerts
@@ -74,7 +165,10 @@ async function handleGet(req: VercelRequest, res: VercelResponse) {
 // ── POST ──────────────────────────────────────────────────────────────────────────
 
 async function handlePost(req: VercelRequest, res: VercelResponse) {
-  const { action, tenantId, bizId, alertId, thresholds } = req.body || {};
+  const {
+    action, tenantId, bizId, alertId, thresholds, rule, ruleId,
+    note, snoozeMinutes, snoozedUntil, assignedTo, days,
+  } = req.body || {};
 
   if (!action) {
     return res.status(400).json({ error: "Missing action" });
@@ -102,7 +196,23 @@ async function handlePost(req: VercelRequest, res: VercelResponse) {
         const updated = await getThresholds(tenantId, bizId);
         return res.status(200).json({ ok: true, thresholds: updated });
       } catch (err: any) {
-        return res.status(500).json({ ok: false, error: err.message });
+        return res.status(err?.status || 500).json({ ok: false, error: err?.msg || err?.message });
+      }
+    }
+
+    case "backtest": {
+      if (!tenantId || !bizId || !thresholds) {
+        return res.status(400).json({ error: "Missing tenantId, bizId, or thresholds" });
+      }
+      if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_BACKTEST_DAYS)) {
+        return res.status(400).json({ error: `days must be an integer from 1 to ${MAX_BACKTEST_DAYS}` });
+      }
+      if (!(await verifyTenantUser(req, res, tenantId, "manager"))) return;
+      try {
+        const backtest = await backtestThresholds(tenantId, bizId, thresholds, days);
+        return res.status(200).json({ ok: true, backtest });
+      } catch (err: any) {
+        return res.status(err?.status || 500).json({ ok: false, error: err?.msg || err?.message });
       }
     }
 
@@ -110,8 +220,73 @@ async function handlePost(req: VercelRequest, res: VercelResponse) {
       if (!tenantId || !bizId || !alertId) {
         return res.status(400).json({ error: "Missing tenantId, bizId, or alertId" });
       }
+      const claims = await verifyTenantUser(req, res, tenantId, "shift_manager");
+      if (!claims) return;
+      try {
+        await dismissAlert(tenantId, bizId, alertId, claims.email || claims.uid);
+        return res.status(200).json({ ok: true });
+      } catch (err: any) {
+        return res.status(500).json({ ok: false, error: err.message });
+      }
+    }
+
+    case "acknowledge":
+    case "snooze":
+    case "assign":
+    case "resolve":
+    case "reopen": {
+      if (!tenantId || !bizId || !alertId) {
+        return res.status(400).json({ error: "Missing tenantId, bizId, or alertId" });
+      }
+      // The history records who did it from the token, never from the body.
+      const claims = await verifyTenantUser(req, res, tenantId, "shift_manager");
+      if (!claims) return;
+      try {
+        const alert = await transitionAlert(tenantId, bizId, alertId, {
+          action, note, by: claims.email || claims.uid, snoozeMinutes, snoozedUntil, assignedTo,
+        });
+        return res.status(200).json({ ok: true, alert });
+      } catch (err: any) {
+        return res.status(err?.status || 500).json({ ok: false, error: err?.msg || err?.message });
+      }
+    }
+
+    case "validate_rule": {
+      try {
+        return res.status(200).json({ ok: true, rule: validateAlertRule(rule) });
+      } catch (err: any) {
+        return res.status(err?.status || 500).json({ ok: false, error: err?.msg || err?.message });
+      }
+    }
+
+    case "save_rule": {
+      if (!tenantId || !bizId || !rule) {
+        return res.status(400).json({ error: "Missing tenantId, bizId, or rule" });
+      }
+      if (!(await verifyTenantUser(req, res, tenantId, "manager"))) return;
       try {
-        await dismissAlert(tenantId, bizId, alertId);
+        const validated = validateAlertRule(rule);
+        const existing = await getAlertRules(tenantId, bizId);
+        const prev = existing.find((r) => r.id === validated.id);
+        if (!prev && existing.length >= MAX_RULES_PER_BIZ) {
+          return res.status(400).json({ ok: false, error: `Up to ${MAX_RULES_PER_BIZ} rules per business` });
+        }
+        // An edit keeps the original createdAt, whatever the client sent.
+        const saved = prev ? { ...validated, createdAt: prev.createdAt } : validated;
+        await saveAlertRule(tenantId, bizId, saved);
+        return res.status(200).json({ ok: true, rule: saved });
+      } catch (err: any) {
+        return res.status(err?.status || 500).json({ ok: false, error: err?.msg || err?.message });
+      }
+    }
+
+    case "delete_rule": {
+      if (!tenantId || !bizId || !ruleId) {
+        return res.status(400).json({ error: "Missing tenantId, bizId, or ruleId" });
+      }
+      if (!(await verifyTenantUser(req, res, tenantId, "manager"))) return;
+      try {
+        await deleteAlertRule(tenantId, bizId, ruleId);
         return res.status(200).json({ ok: true });
       } catch (err: any) {
         return res.status(500).json({ ok: false, error: err.message });
@@ -137,14 +312,57 @@ async function handleCron(req: VercelRequest, res: VercelResponse) {
     const results = await runAlertsForAll();
     const totalFired = results.reduce((s, r) => s + r.alertsFired, 0);
     const totalEmails = results.filter(r => r.emailSent).length;
+    const escalation = await escalateOverdueAlerts();
     return res.status(200).json({
       ok: true,
       businessesChecked: results.length,
       totalAlertsFired: totalFired,
       totalEmailsSent: totalEmails,
       results,
+      escalation,
     });
   } catch (err: any) {
     return res.status(500).json({ ok: false, error: err.message });
   }
 }
+
+// ── Live Siren Poll ───────────────────────────────────────────────────────────────
+
+async function handleSirenPoll(req: VercelRequest, res: VercelResponse) {
+  const vercelCron = req.headers["x-vercel-cron"];
+  const authHeader = req.headers.authorization;
+
+  if (!vercelCron && (!CRON_SECRET || authHeader !== `Bearer ${CRON_SECRET}`)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const seconds = Number(req.query.seconds ?? 0);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return res.status(400).json({ error: "seconds must be a non-negative number" });
+  }
+
+  try {
+    const result = await pollSirens(seconds);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err: any) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ── Critical Alert Escalation ─────────────────────────────────────────────────────
+
+async function handleEscalation(req: VercelRequest, res: VercelResponse) {
+  const vercelCron = req.headers["x-vercel-cron"];
+  const authHeader = req.headers.authorization;
+
+  if (!vercelCron && (!CRON_SECRET || authHeader !== `Bearer ${CRON_SECRET}`)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const result = await escalateOverdueAlerts();
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err: any) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
@@ -7,29 +7,98 @@
  * and persists to:
  *   tenants/{tenantId}/biz:{bizId}:analytics:daily:{YYYY-MM-DD}
  *
- * GET  → cron trigger (all active businesses, yesterday's date).
+ * GET  → cron trigger (all active businesses, yesterday's date). Runs the
+ *        POS import (src/pos/ingest.ts) first for businesses with an enabled
+ *        PosConfig; a POS failure never blocks the analytics build.
+ * GET ?health=1 → cron trigger, "15 23 * * *": rebuilds the data-health
+ *        report (feeds the missing-entry alert and the agent's freshness
+ *        score) of every biz whose stored one ends before yesterday, as many
+ *        as fit the time budget; `remaining` are left for the next call.
+ * GET ?research=1 → cron trigger, "30 23 * * *": refits the correlation
+ *        research (src/analytics/research.ts) over the trailing year for the
+ *        businesses last fitted a week or more ago, stalest first, as many
+ *        as fit the time budget; `remaining` are left for the next run.
  * POST → manual trigger { tenantId, bizId, date? } for backfills / testing.
+ * POST → { action: "pos_import", tenantId, bizId, date? } re-runs the POS
+ *        import for one biz/day and returns its PosImportLogs.
+ * POST → { action: "backfill_start", tenantId, bizId, startDate, endDate,
+ *        steps?: { pos?, analytics? }, overwrite? } creates a resumable
+ *        backfill job (src/analytics/backfill.ts) and runs its first chunk.
+ * POST → { action: "backfill_resume", tenantId, bizId, jobId, maxDays? } runs
+ *        the next chunk from the job's checkpoint; call until status is
+ *        "completed". { action: "backfill_status", … } only reads it.
+ * POST → { action: "research", tenantId, bizId, date?, windowDays? } refits
+ *        the biz's correlation research over windowDays (default 365) days
+ *        ending at date (default yesterday) and returns the stored fit.
+ * POST → { action: "region_coverage", content } or { ..., areas: [...] } checks
+ *        the region taxonomy against an Oref area list (JSON, CSV or one name
+ *        per line): uncovered areas with a suggested sub-region, substrings
+ *        that match nothing, and substrings matching several places
+ *        (src/analytics/regionCoverage.ts).
  *
  * Auth identical to /api/daily-snapshot/run: Vercel cron header OR
  * `Authorization: Bearer ${CRON_SECRET}`.
  *
- * NOTE: this endpoint also hosts an ISOLATED, read-only POS diagnostic branch
- * (POST { action: "beecomm_diagnose", date }) — folded here only to avoid
- * adding a new Vercel Serverless Function (Hobby plan 12-function cap). The
- * branch has its own strict Bearer-CRON_SECRET check, does NOT honor
- * x-vercel-cron, early-returns before any cron/build/save/RTDB logic, and
- * never persists anything. It does not touch the analytics builder logic.
+ * File uploads (POS without API access) and the branch registry use Firebase
+ * user auth instead — manager role or above on the tenant:
+ * POST → { action: "pos_file_profile", tenantId, bizId, profile } saves the
+ *        biz's column-mapping profile (src/pos/fileProfile.ts).
+ * POST → { action: "pos_file_import", tenantId, bizId, date, format: "csv",
+ *        content } or { ..., format: "rows", rows } imports one business day
+ *        from an uploaded Z-report and returns its PosImportLog.
+ * POST → { action: "pos_branches", tenantId, bizId, branches: [{ branchId,
+ *        name, externalBranchId, active? }] } replaces the biz's branch
+ *        registry (src/pos/branches.ts); [] returns it to single-branch.
+ *
+ * Dataset export and data health — the cron secret, or a Firebase user with
+ * manager+ on every tenant involved:
+ * POST → { action: "analytics_export", businesses: [{ tenantId, bizId }],
+ *        startDate, endDate, format: "csv" | "jsonl", anonymize? } returns
+ *        the flattened analytics:daily rows as a file (schema header first;
+ *        src/analytics/export.ts).
+ * POST → { action: "data_health", tenantId, bizId, date?, days? } rebuilds,
+ *        stores and returns the biz's completeness / gap report over the
+ *        days (default 30) ending at date (src/analytics/dataHealth.ts).
+ *
+ * Location suggest for the setup wizard's map picker — any signed-in user
+ * (the business may not exist yet):
+ * POST → { action: "region_suggest", lat, lon, radiusKm? } returns the
+ *        sub-region the point falls in (polygon match) and the Oref areas
+ *        within radiusKm (default 10, max 30) — src/analytics/regionResolver.ts.
+ *
+ * Vendor pushes (src/pos/webhook.ts) are routed by query string, since the
+ * vendor owns the body, and authenticated by an HMAC of the raw body
+ * (X-Pos-Signature) instead of a bearer token:
+ * POST ?pos_webhook=1&tenantId=…&bizId=… → { type: "daily_summary",
+ *        businessDate, summary } or { type: "tickets", tickets: [...] }.
+ *        Redeliveries are answered 200 with "deduped" import logs.
+ *
+ * Only routing lives here: each action's handler is its own module under
+ * src/handlers/dailyBuilder/ and does its own auth. The dispatch tables at
+ * the bottom map a GET query flag / POST body.action to it.
+ *
+ * NOTE: this endpoint also hosts an ISOLATED, read-only POS diagnostic
+ * (POST { action: "beecomm_diagnose", date, businessHours? }) — folded here only to avoid
+ * adding a new Vercel Serverless Function (Hobby plan 12-function cap). Its
+ * handler has its own strict Bearer-CRON_SECRET check, does NOT honor
+ * x-vercel-cron, and never persists anything. It does not touch the
+ * analytics builder logic.
  */
 
-import { VercelRequest, VercelResponse } from "@vercel/node";
-import {
-  buildAnalyticsForBiz,
-  buildAnalyticsForAll,
-  saveAnalyticsDoc,
-  buildAndSaveInsights,
-  yesterdayInIsrael,
-} from "../../src/analytics/dailyBuilder.js";
-import { fetchBeecommDaily } from "../../lib/analytics/sources.js";
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import type { BuilderHandler } from "../../src/handlers/dailyBuilder/shared.js";
+import { handleManualBuild, handleNightlyBuild } from "../../src/handlers/dailyBuilder/build.js";
+import { handlePosWebhook } from "../../src/handlers/dailyBuilder/posWebhook.js";
+import { handlePosImport } from "../../src/handlers/dailyBuilder/posImport.js";
+import { handleBeecommDiagnose } from "../../src/handlers/dailyBuilder/beecommDiagnose.js";
+import { handlePosFile } from "../../src/handlers/dailyBuilder/posFile.js";
+import { handlePosBranches } from "../../src/handlers/dailyBuilder/posBranches.js";
+import { handleExport } from "../../src/handlers/dailyBuilder/export.js";
+import { handleDataHealth, handleHealthCron } from "../../src/handlers/dailyBuilder/dataHealth.js";
+import { handleRegionSuggest } from "../../src/handlers/dailyBuilder/regionSuggest.js";
+import { handleRegionCoverage } from "../../src/handlers/dailyBuilder/regionCoverage.js";
+import { handleResearch, handleResearchCron } from "../../src/handlers/dailyBuilder/research.js";
+import { handleBackfill } from "../../src/handlers/dailyBuilder/backfill.js";
 
 function setCorsHeaders(req: VercelRequest, res: VercelResponse): void {
   const origin = (req.headers.origin as string) || "";
@@ -41,18 +110,42 @@ function setCorsHeaders(req: VercelRequest, res: VercelResponse): void {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
 }
 
-function verifyAuth(req: VercelRequest): boolean {
-  if (req.headers["x-vercel-cron"]) return true;
-
-  const cronSecret = process.env.CRON_SECRET;
-  if (!cronSecret) {
-    console.warn("[analytics/daily-builder] CRON_SECRET not configured");
-    return false;
+// ── Dispatch ──────────────────────────────────────────────────────────────────
+
+/** GET crons by query flag (`?health=1`); no flag is the nightly build. */
+const GET_CRONS: Record<string, BuilderHandler> = {
+  health: handleHealthCron,
+  research: handleResearchCron,
+};
+
+/** POST by body.action; no action is a manual build of one biz/day. */
+const POST_ACTIONS: Record<string, BuilderHandler> = {
+  beecomm_diagnose: handleBeecommDiagnose,
+  pos_import: handlePosImport,
+  pos_file_profile: handlePosFile,
+  pos_file_import: handlePosFile,
+  pos_branches: handlePosBranches,
+  analytics_export: handleExport,
+  data_health: handleDataHealth,
+  region_suggest: handleRegionSuggest,
+  research: handleResearch,
+  region_coverage: handleRegionCoverage,
+  backfill_start: handleBackfill,
+  backfill_resume: handleBackfill,
+  backfill_status: handleBackfill,
+};
+
+function routeFor(req: VercelRequest): BuilderHandler | null {
+  if (req.method === "GET") {
+    const flag = Object.keys(GET_CRONS).find((f) => req.query[f] === "1");
+    return flag ? GET_CRONS[flag] : handleNightlyBuild;
   }
-
-  const authHeader = (req.headers.authorization as string) || "";
-  const [scheme, token] = authHeader.split(" ");
-  return scheme === "Bearer" && token === cronSecret;
+  if (req.method !== "POST") return null;
+  // Before anything reads req.body — the webhook signature needs the raw bytes.
+  if (req.query.pos_webhook) return handlePosWebhook;
+  const action = (req.body as { action?: unknown } | undefined)?.action;
+  if (action === undefined) return handleManualBuild;
+  return typeof action === "string" && Object.hasOwn(POST_ACTIONS, action) ? POST_ACTIONS[action] : null;
 }
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
@@ -60,189 +153,19 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
 
   if (req.method === "OPTIONS") return res.status(200).end();
 
-  // ── POS Ingestion — Beecomm READ-ONLY diagnostic branch (Phase 1B) ─────────
-  // Isolated and early-returning. Enters ONLY on POST + explicit action.
-  // Uses its OWN strict Bearer-CRON_SECRET check (does NOT honor x-vercel-cron,
-  // no bypass). Read-only: calls fetchBeecommDaily only; no buildDailyDoc, no
-  // buildAnalyticsForAll/Biz, no saveAnalyticsDoc, no weather/oref/calendar, no
-  // RTDB write, no raw/normalized/import-log persistence. Returns before all
-  // normal cron/backfill logic below.
-  if (req.method === "POST" && (req.body as { action?: string } | undefined)?.action === "beecomm_diagnose") {
-    const cronSecret = process.env.CRON_SECRET;
-    if (!cronSecret) {
-      return res.status(401).json({ error: "unauthorized_cron_secret_not_configured" });
-    }
-    const authHeader = (req.headers.authorization as string) || "";
-    if (authHeader !== `Bearer ${cronSecret}`) {
-      return res.status(401).json({ error: "unauthorized" });
-    }
-
-    // Config presence only — never expose the value.
-    if (!process.env.BEECOMM_API_KEY) {
-      return res.status(412).json({ success: false, error: "missing_beecomm_config" });
-    }
-
-    const date = ((req.body as { date?: string } | undefined)?.date as string) || "";
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ success: false, error: "invalid_date_format" });
-    }
-
-    // Generic event log only — no payload, no headers, no secret.
-    console.log("[analytics/daily-builder] beecomm_diagnose request", { businessDate: date });
-
-    const started = Date.now();
-    let report: {
-      revenue_total: number | null;
-      tickets: number | null;
-      revenue_dine_in: number | null;
-      revenue_delivery: number | null;
-      revenue_takeaway: number | null;
-      hourly: Record<string, number> | null;
-    };
-
-    try {
-      report = await fetchBeecommDaily(date);
-    } catch (e: any) {
-      // fetchBeecommDaily throws { source, reason } — already sanitized (no payload).
-      const reason = typeof e?.reason === "string" ? e.reason : "unknown";
-      return res.status(200).json({
-        success: false,
-        durationMs: Date.now() - started,
-        businessDate: date,
-        sourceSystem: "beecomm",
-        error: reason, // "timeout" | "network" | "http_401" | "http_404" | ...
-      });
-    }
-
-    const durationMs = Date.now() - started;
-    const has = (v: unknown) => v !== null && v !== undefined;
-    const hourlyKeys = report.hourly ? Object.keys(report.hourly) : [];
-    const hourlyNonZero = report.hourly
-      ? Object.values(report.hourly).filter((v) => Number(v) > 0).length
-      : 0;
-
-    const fieldPresence = {
-      revenueTotal: has(report.revenue_total),
-      tickets: has(report.tickets),
-      channels: {
-        dineIn: has(report.revenue_dine_in),
-        delivery: has(report.revenue_delivery),
-        takeaway: has(report.revenue_takeaway),
-      },
-      hourly: hourlyKeys.length > 0,
-      items: false, // daily-summary does not provide item-level
-    };
-
-    const missingFields: string[] = [];
-    if (!fieldPresence.revenueTotal) missingFields.push("revenueTotal");
-    if (!fieldPresence.tickets) missingFields.push("tickets");
-    if (!fieldPresence.channels.dineIn) missingFields.push("channels.dineIn");
-    if (!fieldPresence.channels.delivery) missingFields.push("channels.delivery");
-    if (!fieldPresence.channels.takeaway) missingFields.push("channels.takeaway");
-    if (!fieldPresence.hourly) missingFields.push("hourly");
-    missingFields.push("items"); // expected missing in daily-summary
-
-    const revenueTotal = report.revenue_total;
-    const tickets = report.tickets;
-    const avgCheck =
-      has(revenueTotal) && has(tickets) && (tickets as number) > 0
-        ? Math.round(((revenueTotal as number) / (tickets as number)) * 100) / 100
-        : null;
-
-    const normalizedPreview = {
-      sourceSystem: "beecomm",
-      businessDate: date,
-      revenueTotal,
-      tickets,
-      avgCheck, // computed, not from POS
-      channels: {
-        dineIn: report.revenue_dine_in,
-        delivery: report.revenue_delivery,
-        takeaway: report.revenue_takeaway,
-      },
-      hourlyBucketsPresent: hourlyKeys.length,
-      hourlyBucketsNonZero: hourlyNonZero,
-      items: null, // future-ready; not provided by daily-summary
-      schemaVersion: "1.0.0",
-    };
-
-    return res.status(200).json({
-      success: true,
-      durationMs,
-      businessDate: date,
-      sourceSystem: "beecomm",
-      fieldPresence,
-      normalizedPreview,
-      missingFields,
-      error: null,
-    });
+  const route = routeFor(req);
+  if (!route) {
+    return req.method === "POST"
+      ? res.status(400).json({ error: "Unknown action" })
+      : res.status(405).json({ error: "Method not allowed" });
   }
 
-  if (!verifyAuth(req)) return res.status(401).json({ error: "Unauthorized" });
-
   try {
-    // GET = cron trigger: yesterday's data for every active biz.
-    if (req.method === "GET") {
-      const date = yesterdayInIsrael();
-      const { docs, failures } = await buildAnalyticsForAll(date);
-
-      return res.status(200).json({
-        status: "completed",
-        date,
-        totalBusinesses: docs.length + failures.length,
-        successCount: docs.length,
-        failureCount: failures.length,
-        failures: failures.length > 0 ? failures : undefined,
-        // Light summary so the cron run is auditable from logs without
-        // dumping the full feature doc.
-        summary: docs.map((d) => ({
-          tenantId: d.tenantId,
-          bizId: d.bizId,
-          bizName: d.bizName,
-          revenue_total: d.revenue.total,
-          had_entry: d.revenue.had_entry,
-          rain_mm: d.weather?.rain_mm ?? null,
-          alert_count: d.alerts?.alert_count ?? null,
-          war_day: d.operational.war_day,
-        })),
-      });
-    }
-
-    // POST = manual: backfill a specific (tenant, biz, date).
-    if (req.method === "POST") {
-      const { tenantId, bizId, date } = (req.body || {}) as {
-        tenantId?: string;
-        bizId?: string;
-        date?: string;
-      };
-
-      if (!tenantId || !bizId) {
-        return res.status(400).json({ error: "Missing tenantId or bizId" });
-      }
-      const targetDate = date || yesterdayInIsrael();
-      // Sanity-check the format so we don't write garbage paths.
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
-        return res.status(400).json({ error: "date must be YYYY-MM-DD" });
-      }
-
-      const doc = await buildAnalyticsForBiz(tenantId, bizId, targetDate);
-      await saveAnalyticsDoc(doc);
-      // Insight Engine v1 — rebuild insights for this date too (isolated; never throws).
-      await buildAndSaveInsights(tenantId, bizId, targetDate, doc);
-
-      return res.status(200).json({
-        status: "success",
-        path: `tenants/${tenantId}/biz:${bizId}:analytics:daily:${targetDate}`,
-        doc,
-      });
-    }
-
-    return res.status(405).json({ error: "Method not allowed" });
-  } catch (error) {
-    console.error("[analytics/daily-builder] error:", error);
-    return res.status(500).json({
-      error: "Internal server error",
-      message: String((error as Error)?.message ?? error),
-    });
+    return await route(req, res);
+  } catch (e: any) {
+    // HttpError ({ status, msg }) from the handler's own validation.
+    if (typeof e?.status === "number") return res.status(e.status).json({ error: e.msg });
+    console.error("[analytics/daily-builder] error:", e?.message ?? e);
+    return res.status(500).json({ error: "Internal server error" });
   }
 }
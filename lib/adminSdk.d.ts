@@ -0,0 +1,6 @@
+// Type declarations for adminSdk.js (consumed by the TypeScript modules via src/firebase/admin.ts).
+
+import type { database, auth } from "firebase-admin";
+
+export function getAdminDb(): database.Database;
+export function getAdminAuth(): auth.Auth;
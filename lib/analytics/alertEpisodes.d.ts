@@ -0,0 +1,54 @@
+// Type declarations for alertEpisodes.js (shared with src/analytics/alertEpisodes.ts).
+
+export const DEFAULT_SHELTER_MINUTES: number;
+
+/** Operating window as minutes from the business date's local midnight. */
+export interface AlertWindow {
+  open: number;
+  close: number;
+}
+
+export const DEFAULT_ALERT_WINDOW: AlertWindow;
+
+export interface AlertEpisode {
+  /** "HH:MM" local. */
+  start: string;
+  /** "HH:MM" local; may be past midnight. */
+  end: string;
+  minutes: number;
+  alert_count: number;
+  /** Configured area substrings the episode's alerts matched. */
+  areas: string[];
+}
+
+export interface TimedAlert {
+  /** Minutes from the business date's local midnight (may exceed 1440). */
+  at: number;
+  area: string;
+  shelterMinutes: number;
+}
+
+export interface MatchedAlertDay {
+  count: number;
+  matchedAreas: string[];
+  /** `hour` is the alert's local "HH". */
+  timed: Array<TimedAlert & { hour: string }>;
+  untimedMinutes: number;
+}
+
+export function matchAlertDay(
+  alerts: unknown[],
+  date: string,
+  areas: string[],
+  opts?: { window?: AlertWindow; shelterMinutesFor?: (alertData: string) => number }
+): MatchedAlertDay;
+
+export interface AlertEpisodeSummary {
+  episodes: AlertEpisode[];
+  /** Total merged shelter time, unrounded. */
+  minutes: number;
+  /** The part of it inside the operating window, unrounded. */
+  open_minutes: number;
+}
+
+export function mergeAlertEpisodes(alerts: TimedAlert[], window?: AlertWindow): AlertEpisodeSummary;
@@ -0,0 +1,132 @@
+/**
+ * Oref alert episodes — the part both daily builders share
+ * (src/analytics/dailyBuilder.ts and the legacy sources.js).
+ *
+ * Every matched alert opens a shelter window [alert, alert + shelter minutes].
+ * Overlapping or touching windows merge into one episode, so a burst of six
+ * alerts over three minutes is one ~13-minute disruption, not 60 minutes.
+ *
+ * Times are minutes from the business date's local midnight. The operating
+ * window comes in the same frame — { open, close }, as windowMinutes() in
+ * src/analytics/businessHours.ts returns it, close past 1440 for a window
+ * that crosses midnight — so a bar's 01:30 alert is 1530 and overlap is plain
+ * arithmetic. Shelter minutes per alert come from the caller: the region
+ * overrides live in src/analytics/alertEpisodes.ts (resolveShelterMinutes).
+ *
+ * Pure functions, no imports — lib/ runs as plain JS and can't reach src/.
+ */
+
+export const DEFAULT_SHELTER_MINUTES = 10;
+
+/** 08:00–22:00 — windowMinutes(DEFAULT_BUSINESS_HOURS). */
+export const DEFAULT_ALERT_WINDOW = { open: 480, close: 1320 };
+
+const STAMP_TIME = /[ T](\d{2}):(\d{2})(?::(\d{2}))?/;
+
+function nextDay(date) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * One business day's alerts for the given area substrings, out of the Oref
+ * history feed. For a window crossing midnight, an alert before `close` on
+ * the next calendar day belongs to the night that opened on `date`.
+ *
+ * @param {any[]} alerts  raw AlertsHistory.json rows
+ * @param {string} date   business date, YYYY-MM-DD
+ * @param {string[]} areas
+ * @param {{ window?: { open: number, close: number },
+ *           shelterMinutesFor?: (alertData: string) => number }} [opts]
+ * @returns {{ count: number, matchedAreas: string[],
+ *             timed: Array<{ at: number, hour: string, area: string, shelterMinutes: number }>,
+ *             untimedMinutes: number }}
+ */
+export function matchAlertDay(
+  alerts,
+  date,
+  areas,
+  { window = DEFAULT_ALERT_WINDOW, shelterMinutesFor = () => DEFAULT_SHELTER_MINUTES } = {}
+) {
+  const carry = Math.max(0, window.close - 1440); // next-day minutes still open
+  const next = nextDay(date);
+  const matched = new Set();
+  const timed = [];
+  let count = 0;
+  // An alert without a time can't be placed or merged — full shelter each,
+  // assumed to be in operating hours.
+  let untimedMinutes = 0;
+
+  for (const a of alerts) {
+    const stamp = String(a?.alertDate ?? a?.date ?? "");
+    const area = String(a?.data ?? a?.area ?? "");
+    const hit = areas.find((h) => area.includes(h));
+    if (!hit) continue;
+    const calendarDate = stamp.slice(0, 10);
+    const t = STAMP_TIME.exec(stamp);
+    let at = null;
+    if (t) {
+      const minute = Number(t[1]) * 60 + Number(t[2]);
+      if (calendarDate === date && minute >= carry) at = minute;
+      else if (calendarDate === next && minute < carry) at = 1440 + minute;
+      if (at === null) continue;
+      at += Number(t[3] ?? 0) / 60;
+    } else if (calendarDate !== date) {
+      continue;
+    }
+
+    count++;
+    matched.add(hit);
+    const shelterMinutes = shelterMinutesFor(area);
+    if (at === null) untimedMinutes += shelterMinutes;
+    else timed.push({ at, hour: t[1], area: hit, shelterMinutes });
+  }
+  return { count, matchedAreas: [...matched], timed, untimedMinutes };
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function clock(min) {
+  const m = Math.floor(min) % 1440;
+  return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+}
+
+/**
+ * Merge one business day's timed alerts into episodes. `minutes` and
+ * `open_minutes` (the part inside the window) are unrounded — round when
+ * writing a doc, classify on the raw value.
+ *
+ * @param {Array<{ at: number, area: string, shelterMinutes: number }>} alerts
+ * @param {{ open: number, close: number }} [window]
+ */
+export function mergeAlertEpisodes(alerts, window = DEFAULT_ALERT_WINDOW) {
+  const sorted = [...alerts].sort((a, b) => a.at - b.at);
+  const spans = [];
+  for (const a of sorted) {
+    const end = a.at + a.shelterMinutes;
+    const cur = spans[spans.length - 1];
+    if (cur && a.at <= cur.end) {
+      cur.end = Math.max(cur.end, end);
+      cur.count++;
+      cur.areas.add(a.area);
+    } else {
+      spans.push({ start: a.at, end, count: 1, areas: new Set([a.area]) });
+    }
+  }
+
+  let minutes = 0;
+  let open = 0;
+  const episodes = spans.map((s) => {
+    minutes += s.end - s.start;
+    open += Math.max(0, Math.min(s.end, window.close) - Math.max(s.start, window.open));
+    return {
+      start: clock(s.start),
+      end: clock(s.end),
+      minutes: Math.round(s.end - s.start),
+      alert_count: s.count,
+      areas: [...s.areas].sort(),
+    };
+  });
+  return { episodes, minutes, open_minutes: open };
+}
@@ -12,27 +12,52 @@ import {
   buildCalendar,
 } from "./sources.js";
 
-const BRANCH_ID = "main"; // pilot: fixed. Future: param passed in.
+// Single-branch businesses keep the pilot path (…/daily/main/…). Multi-branch
+// ones pass the branch's registry id + its Beecomm id (src/pos/branches.ts).
+const DEFAULT_BRANCH_ID = "main";
 
 // ── Schema changelog — update when making breaking changes ───────────────────
 // v1.0.0  initial schema: revenue, hourly, weather, oref, calendar, staffing, meta
-// v1.1.0+ document here: what changed, whether backfill needed, model compatibility
+// v1.1.0  alerts.alert_minutes = merged shelter windows (was count × 10), plus
+//         alerts.episodes. Backfill to make older minutes comparable.
+// v1.2.0  calendar computed for any year (was a 2024–2026 list) + chol_hamoed,
+//         holiday_name, school_vacation, ramadan, eid; Yom HaShoah / Yom
+//         HaZikaron follow their Shabbat shifts, eves included. Backfill fixes
+//         old flags.
+// v1.3.0  alerts attributed by business day (opts.alertWindow), shelter minutes
+//         per the business's overrides (opts.shelterMinutesFor), plus
+//         alerts.open_minutes. Backfill to refresh older alert minutes.
+// v1.4.0+ document here: what changed, whether backfill needed, model compatibility
 
 /**
  * @param {string} tenantId
  * @param {string} date  YYYY-MM-DD
+ * @param {{ branchId?: string, externalBranchId?: string,
+ *           location?: { lat: number, lon: number, orefAreas: string[], areasSource?: string },
+ *           alertWindow?: { open: number, close: number },
+ *           shelterMinutesFor?: (alertData: string) => number }} [opts]
+ *   location → weather + Oref areas for that business. lib/ can't import src/,
+ *   so the TypeScript caller resolves it (getBizLocation in
+ *   src/analytics/dailyBuilder.ts). Absent → the Hadera pilot defaults.
+ *   alertWindow / shelterMinutesFor → see fetchOrefAlerts in sources.js.
  * @returns {Promise<{ path: string, doc: object }>}
  * @throws {{ source: string, reason: string }} if required source fails
  */
-export async function buildDailyDoc(tenantId, date) {
+export async function buildDailyDoc(
+  tenantId,
+  date,
+  { branchId = DEFAULT_BRANCH_ID, externalBranchId, location, alertWindow, shelterMinutesFor } = {}
+) {
+  const loc = location ?? null;
+
   // ── Required: Beecomm (throws on failure → caller skips this date) ─────────
-  const beecomm = await fetchBeecommDaily(date);
+  const beecomm = await fetchBeecommDaily(date, undefined, externalBranchId);
 
   // ── Optional: soft-fail, use null ─────────────────────────────────────────
   const [tabit, weather, oref] = await Promise.allSettled([
     fetchTabitHours(date),
-    fetchWeather(date),
-    fetchOrefAlerts(date),
+    loc ? fetchWeather(date, loc.lat, loc.lon) : fetchWeather(date),
+    fetchOrefAlerts(date, loc ? loc.orefAreas : undefined, { window: alertWindow, shelterMinutesFor }),
   ]);
 
   const staffing = tabit.status === "fulfilled"
@@ -67,7 +92,8 @@ export async function buildDailyDoc(tenantId, date) {
     // ── Context ───────────────────────────────────────────────────────────────
     weather:  weatherDoc,
     alerts:   alertsDoc,
-    // calendar includes: dow, weekend, month, holiday, holiday_eve, new_year_eve
+    // calendar includes: dow, weekend, month, holiday, holiday_eve, new_year_eve,
+    // chol_hamoed, holiday_name, school_vacation, ramadan, eid
     calendar,
     staffing,
 
@@ -75,9 +101,13 @@ export async function buildDailyDoc(tenantId, date) {
     meta: {
       createdAt:    Date.now(),
       builtAt:      new Date().toISOString(),  // human-readable timestamp
-      version:      "1.0.0",                   // bump when schema changes — see changelog above
+      version:      "1.3.0",                   // bump when schema changes — see changelog above
       tenantId,                                // portable: survives export to BigQuery/CSV/S3
-      branchId:     BRANCH_ID,                 // portable: no need to parse path
+      branchId,                                // portable: no need to parse path
+      // Where weather/alerts were read for; null = Hadera pilot defaults
+      location: loc
+        ? { lat: loc.lat, lon: loc.lon, oref_areas: loc.orefAreas, areas_source: loc.areasSource ?? null }
+        : null,
       // "ok" = data present, "missing" = upstream failed (null fields above)
       // Never mix missing data with "zero" — consumers must check status first
       sources: {
@@ -95,7 +125,7 @@ export async function buildDailyDoc(tenantId, date) {
   };
 
   return {
-    path: `tenants/${tenantId}/analytics/daily/${BRANCH_ID}/${date}`,
+    path: `tenants/${tenantId}/analytics/daily/${branchId}/${date}`,
     doc,
   };
 }
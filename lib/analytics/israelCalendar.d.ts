@@ -0,0 +1,16 @@
+// Type declarations for israelCalendar.js (consumed by src/analytics/dailyBuilder.ts).
+
+export interface IsraelCalendarDay {
+  holiday: boolean;
+  holiday_eve: boolean;
+  chol_hamoed: boolean;
+  /** Slug of the holiday (or the one whose eve it is); null on a regular day. */
+  holiday_name: string | null;
+  school_vacation: boolean;
+  ramadan: boolean;
+  /** Eid al-Fitr (1–3 Shawwal) or Eid al-Adha (10–13 Dhu al-Hijja). */
+  eid: boolean;
+}
+
+/** Holidays, eves, vacations and Ramadan/Eid for one "YYYY-MM-DD" date. */
+export function israelCalendarDay(date: string): IsraelCalendarDay;
@@ -0,0 +1,286 @@
+/**
+ * Israeli calendar — Jewish holidays, school vacations, Ramadan/Eid, computed.
+ *
+ * Replaces the hand-maintained 2024–2026 date lists: every Gregorian date,
+ * any year, maps to its Hebrew date (arithmetic Hebrew calendar, Dershowitz &
+ * Reingold, "Calendrical Calculations") and Islamic date (tabular calendar).
+ *
+ * Semantics (Israel, one-day Yom Tov):
+ *   holiday      the holiday's daytime — Yom Tov, Chol HaMoed, Rosh Hashana,
+ *                Yom Kippur, Chanukah, Purim + Shushan Purim, Yom HaShoah,
+ *                Yom HaZikaron, Yom HaAtzmaut, Lag BaOmer, Tisha B'Av
+ *   holiday_eve  the day whose evening starts a Yom Tov / Yom Kippur /
+ *                Yom HaShoah / Yom HaZikaron / Yom HaAtzmaut / Purim /
+ *                Tisha B'Av (businesses close early; by law, places of
+ *                entertainment close on the eves of the two memorial days)
+ *   chol_hamoed  intermediate days of Sukkot / Pesach (also holiday)
+ *   school_vacation  the Ministry of Education's usual pattern; the exact
+ *                dates are published yearly and can differ by a day or two
+ *   ramadan / eid  tabular Islamic calendar — observed dates follow the moon
+ *                sighting and may differ by a day
+ *
+ * Pure functions; per-year tables are memoized. Plain JS in lib/ so the legacy
+ * builder (sources.js) and src/analytics/dailyBuilder.ts share it; types in
+ * israelCalendar.d.ts.
+ */
+
+// ── Fixed day numbers (R.D.: 0001-01-01 Gregorian = 1) ───────────────────────
+
+const RD_UNIX_EPOCH = 719163; // 1970-01-01
+const HEBREW_EPOCH = -1373427; // 1 Tishrei AM 1
+const ISLAMIC_EPOCH = 227015; // 1 Muharram AH 1
+
+function fixedFromIso(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / 86_400_000) + RD_UNIX_EPOCH;
+}
+
+/** 0 = Sunday … 6 = Saturday (R.D. 1 was a Monday). */
+function dayOfWeek(rd) {
+  return ((rd % 7) + 7) % 7;
+}
+
+// ── Hebrew calendar ──────────────────────────────────────────────────────────
+// Months are numbered from Nisan = 1; Tishrei = 7 starts the year. In a leap
+// year Adar I = 12 and Adar II = 13.
+
+const NISAN = 1;
+const IYAR = 2;
+const SIVAN = 3;
+const AV = 5;
+const TISHREI = 7;
+const KISLEV = 9;
+
+function isHebrewLeapYear(year) {
+  return (7 * year + 1) % 19 < 7;
+}
+
+function lastMonthOfHebrewYear(year) {
+  return isHebrewLeapYear(year) ? 13 : 12;
+}
+
+function hebrewCalendarElapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const day = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+}
+
+function hebrewYearLengthCorrection(year) {
+  const ny0 = hebrewCalendarElapsedDays(year - 1);
+  const ny1 = hebrewCalendarElapsedDays(year);
+  const ny2 = hebrewCalendarElapsedDays(year + 1);
+  if (ny2 - ny1 === 356) return 2;
+  if (ny1 - ny0 === 382) return 1;
+  return 0;
+}
+
+function hebrewNewYear(year) {
+  return HEBREW_EPOCH + hebrewCalendarElapsedDays(year) + hebrewYearLengthCorrection(year);
+}
+
+function daysInHebrewYear(year) {
+  return hebrewNewYear(year + 1) - hebrewNewYear(year);
+}
+
+function lastDayOfHebrewMonth(year, month) {
+  if ([2, 4, 6, 10, 13].includes(month)) return 29;
+  if (month === 12 && !isHebrewLeapYear(year)) return 29;
+  const length = daysInHebrewYear(year) % 10;
+  if (month === 8 && length !== 5) return 29; // Marheshvan is long only in a "complete" year
+  if (month === KISLEV && length === 3) return 29; // short Kislev in a "deficient" year
+  return 30;
+}
+
+function fixedFromHebrew(year, month, day) {
+  let rd = hebrewNewYear(year) + day - 1;
+  if (month < TISHREI) {
+    for (let m = TISHREI; m <= lastMonthOfHebrewYear(year); m++) rd += lastDayOfHebrewMonth(year, m);
+    for (let m = NISAN; m < month; m++) rd += lastDayOfHebrewMonth(year, m);
+  } else {
+    for (let m = TISHREI; m < month; m++) rd += lastDayOfHebrewMonth(year, m);
+  }
+  return rd;
+}
+
+/** Adar in a regular year, Adar II in a leap year (Purim's month). */
+function purimMonth(year) {
+  return isHebrewLeapYear(year) ? 13 : 12;
+}
+
+// ── Islamic calendar (tabular) ───────────────────────────────────────────────
+
+function fixedFromIslamic(year, month, day) {
+  return (
+    ISLAMIC_EPOCH - 1 + day + 29 * (month - 1) + Math.floor((6 * month - 1) / 11) +
+    (year - 1) * 354 + Math.floor((3 + 11 * year) / 30)
+  );
+}
+
+function islamicFromFixed(rd) {
+  const year = Math.floor((30 * (rd - ISLAMIC_EPOCH) + 10646) / 10631);
+  const priorDays = rd - fixedFromIslamic(year, 1, 1);
+  const month = Math.floor((11 * priorDays + 330) / 325);
+  return { year, month, day: rd - fixedFromIslamic(year, month, 1) + 1 };
+}
+
+// ── Per-year table ───────────────────────────────────────────────────────────
+
+function emptyMark() {
+  return { holiday: false, holiday_eve: false, chol_hamoed: false, holiday_name: null, school_vacation: false };
+}
+
+/**
+ * Yom HaAtzmaut (5 Iyar) moves so neither it nor Yom HaZikaron touches
+ * Shabbat: Friday/Saturday → the preceding Thursday, Monday → Tuesday.
+ */
+function yomHaAtzmaut(year) {
+  const rd = fixedFromHebrew(year, IYAR, 5);
+  switch (dayOfWeek(rd)) {
+    case 5: return rd - 1;
+    case 6: return rd - 2;
+    case 1: return rd + 1;
+    default: return rd;
+  }
+}
+
+/**
+ * Yom HaShoah (27 Nisan) moves off the Shabbat's edges: Friday → Thursday,
+ * Sunday → Monday.
+ */
+function yomHaShoah(year) {
+  const rd = fixedFromHebrew(year, NISAN, 27);
+  switch (dayOfWeek(rd)) {
+    case 5: return rd - 1;
+    case 0: return rd + 1;
+    default: return rd;
+  }
+}
+
+/** Tisha B'Av falling on Shabbat is observed on Sunday. */
+function tishaBav(year) {
+  const rd = fixedFromHebrew(year, AV, 9);
+  return dayOfWeek(rd) === 6 ? rd + 1 : rd;
+}
+
+/** Marks for one Hebrew year (Tishrei … Elul), keyed by R.D. */
+function hebrewYearMarks(year) {
+  const marks = new Map();
+  const at = (rd) => {
+    let m = marks.get(rd);
+    if (!m) marks.set(rd, (m = emptyMark()));
+    return m;
+  };
+  const holiday = (rd, name, cholHamoed = false) => {
+    const m = at(rd);
+    m.holiday = true;
+    m.chol_hamoed ||= cholHamoed;
+    m.holiday_name = name;
+  };
+  const eve = (rd, name) => {
+    const m = at(rd);
+    m.holiday_eve = true;
+    m.holiday_name ??= name;
+  };
+  const vacation = (from, to) => {
+    for (let rd = from; rd <= to; rd++) at(rd).school_vacation = true;
+  };
+  const h = (month, day) => fixedFromHebrew(year, month, day);
+
+  // Tishrei
+  eve(h(TISHREI, 1) - 1, "rosh_hashana"); // 29 Elul of the previous year
+  holiday(h(TISHREI, 1), "rosh_hashana");
+  holiday(h(TISHREI, 2), "rosh_hashana");
+  eve(h(TISHREI, 9), "yom_kippur");
+  holiday(h(TISHREI, 10), "yom_kippur");
+  eve(h(TISHREI, 14), "sukkot");
+  holiday(h(TISHREI, 15), "sukkot");
+  for (let d = 16; d <= 21; d++) holiday(h(TISHREI, d), "sukkot", true);
+  eve(h(TISHREI, 21), "simchat_torah");
+  holiday(h(TISHREI, 22), "simchat_torah");
+  vacation(h(TISHREI, 1) - 1, h(TISHREI, 2));
+  vacation(h(TISHREI, 9), h(TISHREI, 22));
+
+  // Chanukah: 8 days from 25 Kislev; schools are out from the 2nd day.
+  const chanukah = h(KISLEV, 25);
+  for (let i = 0; i < 8; i++) holiday(chanukah + i, "chanukah");
+  vacation(chanukah + 1, chanukah + 7);
+
+  // Purim (14 Adar / Adar II) + Shushan Purim.
+  const purim = h(purimMonth(year), 14);
+  eve(purim - 1, "purim");
+  holiday(purim, "purim");
+  holiday(purim + 1, "purim");
+  vacation(purim, purim + 1);
+
+  // Pesach; schools are out from the week before through Isru Chag.
+  eve(h(NISAN, 14), "pesach");
+  holiday(h(NISAN, 15), "pesach");
+  for (let d = 16; d <= 20; d++) holiday(h(NISAN, d), "pesach", true);
+  eve(h(NISAN, 20), "pesach");
+  holiday(h(NISAN, 21), "pesach");
+  vacation(h(NISAN, 8), h(NISAN, 22));
+
+  const shoah = yomHaShoah(year);
+  eve(shoah - 1, "yom_hashoah");
+  holiday(shoah, "yom_hashoah");
+
+  // Yom HaZikaron → Yom HaAtzmaut: the memorial day is also the eve.
+  const atzmaut = yomHaAtzmaut(year);
+  eve(atzmaut - 2, "yom_hazikaron");
+  holiday(atzmaut - 1, "yom_hazikaron");
+  eve(atzmaut - 1, "yom_haatzmaut");
+  holiday(atzmaut, "yom_haatzmaut");
+  vacation(atzmaut, atzmaut);
+
+  holiday(h(IYAR, 18), "lag_baomer");
+  vacation(h(IYAR, 18), h(IYAR, 18));
+
+  eve(h(SIVAN, 5), "shavuot");
+  holiday(h(SIVAN, 6), "shavuot");
+  vacation(h(SIVAN, 5), h(SIVAN, 7));
+
+  const av9 = tishaBav(year);
+  eve(av9 - 1, "tisha_bav");
+  holiday(av9, "tisha_bav");
+  return marks;
+}
+
+const yearCache = new Map();
+
+/** Marks for every date of a Gregorian year (its two Hebrew years merged). */
+function gregorianYearMarks(gregYear) {
+  const cached = yearCache.get(gregYear);
+  if (cached) return cached;
+  const marks = new Map();
+  // Jan–Sep sits in AM gregYear+3760; Sep–Dec in gregYear+3761.
+  for (const hy of [gregYear + 3760, gregYear + 3761]) {
+    for (const [rd, m] of hebrewYearMarks(hy)) marks.set(rd, m);
+  }
+  yearCache.set(gregYear, marks);
+  return marks;
+}
+
+/** Summer vacation: July–August (elementary schools; high schools end ~June 20). */
+function isSummerVacation(date) {
+  const month = Number(date.slice(5, 7));
+  return month === 7 || month === 8;
+}
+
+/** Holidays, eves, vacations and Ramadan/Eid for one "YYYY-MM-DD" date. */
+export function israelCalendarDay(date) {
+  const rd = fixedFromIso(date);
+  const mark = gregorianYearMarks(Number(date.slice(0, 4))).get(rd) ?? emptyMark();
+  const islamic = islamicFromFixed(rd);
+  return {
+    holiday: mark.holiday,
+    holiday_eve: mark.holiday_eve,
+    chol_hamoed: mark.chol_hamoed,
+    holiday_name: mark.holiday_name,
+    school_vacation: mark.school_vacation || isSummerVacation(date),
+    ramadan: islamic.month === 9,
+    eid:
+      (islamic.month === 10 && islamic.day <= 3) ||
+      (islamic.month === 12 && islamic.day >= 10 && islamic.day <= 13),
+  };
+}
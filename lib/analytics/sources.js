@@ -4,6 +4,9 @@
  * Never log raw payloads. Never store raw data.
  */
 
+import { matchAlertDay, mergeAlertEpisodes } from "./alertEpisodes.js";
+import { israelCalendarDay } from "./israelCalendar.js";
+
 const BEECOMM_BASE = "https://api.beecomm.co.il";
 const TABIT_BASE   = "https://api.tabit.cloud";
 const WEATHER_BASE = "https://api.open-meteo.com";
@@ -24,12 +27,20 @@ async function fetchWithTimeout(url, options, ms) {
 
 const numOrNull = v => (v != null && !isNaN(Number(v))) ? Number(v) : null;
 
+// Default hour buckets (08:00–22:00). Callers with a per-business operating
+// window pass their own keys — hourSlots() in src/analytics/businessHours.ts,
+// e.g. ["18",…,"23","00","01","02"] for a bar open until 03:00.
+const DEFAULT_HOUR_KEYS = ["08","09","10","11","12","13","14","15","16","17","18","19","20","21"];
+
 // ── Beecomm daily-summary ─────────────────────────────────────────────────────
-export async function fetchBeecommDaily(date) {
+// externalBranchId: the Beecomm branch to report on (multi-branch businesses,
+// see src/pos/branches.ts). Omitted → the account's default branch.
+export async function fetchBeecommDaily(date, hourKeys = DEFAULT_HOUR_KEYS, externalBranchId) {
+  const branchParam = externalBranchId ? `&branch_id=${encodeURIComponent(externalBranchId)}` : "";
   let res;
   try {
     res = await fetchWithTimeout(
-      `${BEECOMM_BASE}/v1/reports/daily-summary?date=${encodeURIComponent(date)}`,
+      `${BEECOMM_BASE}/v1/reports/daily-summary?date=${encodeURIComponent(date)}${branchParam}`,
       {
         headers: {
           Authorization: `Bearer ${process.env.BEECOMM_API_KEY}`,
@@ -50,14 +61,13 @@ export async function fetchBeecommDaily(date) {
     revenue_dine_in:  numOrNull(raw.dine_in_sales    ?? raw.dineInSales    ?? null),
     revenue_delivery: numOrNull(raw.delivery_sales   ?? raw.deliverySales  ?? null),
     revenue_takeaway: numOrNull(raw.takeaway_sales   ?? raw.takeawaySales  ?? null),
-    hourly:           extractHourly(raw.hourly ?? raw.hourlyBreakdown ?? null),
+    hourly:           extractHourly(raw.hourly ?? raw.hourlyBreakdown ?? null, hourKeys),
   };
 }
 
-function extractHourly(hourlyRaw) {
-  const HOURS = ["08","09","10","11","12","13","14","15","16","17","18","19","20","21"];
+function extractHourly(hourlyRaw, hourKeys = DEFAULT_HOUR_KEYS) {
   const out = {};
-  for (const h of HOURS) {
+  for (const h of hourKeys) {
     const val = hourlyRaw?.[h] ?? hourlyRaw?.[`${h}:00`] ?? hourlyRaw?.[parseInt(h,10)];
     out[h] = numOrNull(val) ?? 0;
   }
@@ -89,12 +99,14 @@ export async function fetchTabitHours(date) {
 }
 
 // ── Open-Meteo weather ────────────────────────────────────────────────────────
-const LAT = 32.434; // Hadera — pilot single-branch coords
-const LON = 34.919;
+// Hadera — the pilot's coords. Only a fallback now: callers pass the business's
+// own lat/lon (getBizLocation in src/analytics/dailyBuilder.ts).
+const DEFAULT_LAT = 32.434;
+const DEFAULT_LON = 34.919;
 
-export async function fetchWeather(date) {
+export async function fetchWeather(date, lat = DEFAULT_LAT, lon = DEFAULT_LON) {
   const url = `${WEATHER_BASE}/v1/archive?` + new URLSearchParams({
-    latitude: LAT, longitude: LON,
+    latitude: lat, longitude: lon,
     start_date: date, end_date: date,
     daily: "precipitation_sum,temperature_2m_mean,windspeed_10m_max",
     timezone: "Asia/Jerusalem",
@@ -117,11 +129,19 @@ export async function fetchWeather(date) {
 }
 
 // ── Oref alert history ────────────────────────────────────────────────────────
+// Fallback area substrings (pilot). Callers pass the business's resolved areas
+// (resolveOrefAreas via getBizLocation).
 const HADERA_AREAS = [
   "חדרה","קרית ים","קרית ביאליק","בנימינה","זכרון יעקב","עמיקם","עין עירון","קציר",
 ];
 
-export async function fetchOrefAlerts(date) {
+// opts.window: the business's operating window in minutes from local midnight
+// (windowMinutes() in src/analytics/businessHours.ts) — alerts are attributed
+// by business day and open_minutes counts the part inside it. Absent → 08–22.
+// opts.shelterMinutesFor: shelter minutes for an alert's area text, with the
+// business's region overrides (resolveShelterMinutes in
+// src/analytics/alertEpisodes.ts). Absent → 10 minutes each.
+export async function fetchOrefAlerts(date, areas = HADERA_AREAS, { window, shelterMinutesFor } = {}) {
   let res;
   try {
     res = await fetchWithTimeout(OREF_URL, {
@@ -131,151 +151,44 @@ export async function fetchOrefAlerts(date) {
     throw { source: "oref", reason: e?.name === "AbortError" ? "timeout" : "network" };
   }
   if (!res.ok) throw { source: "oref", reason: `http_${res.status}` };
-  const alerts = Array.isArray(await res.json()) ? await res.json() : [];
-  // count only, never store raw
-  const day = alerts.filter(a => {
-    const d = (a.alertDate ?? a.date ?? "").slice(0,10);
-    const area = a.data ?? a.area ?? "";
-    return d === date && HADERA_AREAS.some(h => area.includes(h));
-  });
+  const raw    = await res.json();
+  const alerts = Array.isArray(raw) ? raw : [];
+  // count + merged shelter windows only, never store raw
+  const day = matchAlertDay(alerts, date, areas, { window, shelterMinutesFor });
+  const { episodes, minutes, open_minutes } = mergeAlertEpisodes(day.timed, window);
   return {
-    alert_count:   day.length,
-    alert_minutes: day.length * 10,
-    is_alert_day:  day.length > 0,
+    alert_count:   day.count,
+    alert_minutes: Math.round(minutes + day.untimedMinutes),
+    open_minutes:  Math.round(open_minutes + day.untimedMinutes),
+    is_alert_day:  day.count > 0,
+    episodes,
   };
 }
 
 // ── Calendar (pure, no upstream) ──────────────────────────────────────────────
 //
-// IL_HOLIDAYS  = יום חג עצמו (יו"ט / חול המועד / יום עצמאות / שבועות וכו')
-// IL_HOLIDAY_EVES = ערב חג (בדרך כלל מוקדם — עסקים סוגרים מוקדם)
-// NEW_YEAR_EVE = 31/12 — כניסה לשנה הלועזית, ערב חג חברתי
+// holiday     = יום חג עצמו (יו"ט / חול המועד / יום עצמאות / שבועות וכו')
+// holiday_eve = ערב חג (בדרך כלל מוקדם — עסקים סוגרים מוקדם)
+// new_year_eve = 31/12 — כניסה לשנה הלועזית, ערב חג חברתי
 //
-// מכסה: 2024 · 2025 · 2026
-
-// ── ימי חג ────────────────────────────────────────────────────────────────────
-const IL_HOLIDAYS = new Set([
-  // ── 2024 ──────────────────────────────────────────────────────────────────
-  // ראש השנה תשפ"ה
-  "2024-10-02", "2024-10-03",
-  // יום כיפור
-  "2024-10-11",
-  // סוכות (א' + ב')
-  "2024-10-16", "2024-10-17",
-  // שמיני עצרת + שמחת תורה
-  "2024-10-23", "2024-10-24",
-  // חנוכה (לא יו"ט, אך כלול כהשפעת מכירות)
-  "2024-12-25","2024-12-26","2024-12-27","2024-12-28",
-  "2024-12-29","2024-12-30","2024-12-31","2025-01-01",
-
-  // ── 2025 ──────────────────────────────────────────────────────────────────
-  // פורים (תענית אסתר: 13/3, פורים: 13/3 ירושלים / 14/3 שאר הארץ)
-  "2025-03-13", "2025-03-14",
-  // פסח (א' + ב' + חול המועד + ז' + ח')
-  "2025-04-12", "2025-04-13",
-  "2025-04-14", "2025-04-15", "2025-04-16", "2025-04-17",
-  "2025-04-18", "2025-04-19",
-  // יום השואה
-  "2025-05-05",
-  // יום הזיכרון
-  "2025-05-12",
-  // יום העצמאות
-  "2025-05-13",
-  // ל"ג בעומר
-  "2025-05-16",
-  // שבועות
-  "2025-06-01", "2025-06-02",
-  // ט' באב
-  "2025-08-03",
-  // ראש השנה תשפ"ו
-  "2025-09-22", "2025-09-23",
-  // יום כיפור
-  "2025-10-01",
-  // סוכות (א' + ב')
-  "2025-10-06", "2025-10-07",
-  // חול המועד סוכות
-  "2025-10-08","2025-10-09","2025-10-10","2025-10-11","2025-10-12",
-  // שמיני עצרת + שמחת תורה
-  "2025-10-13", "2025-10-14",
-  // חנוכה תשפ"ו
-  "2025-12-14","2025-12-15","2025-12-16","2025-12-17",
-  "2025-12-18","2025-12-19","2025-12-20","2025-12-21",
-
-  // ── 2026 ──────────────────────────────────────────────────────────────────
-  // פורים
-  "2026-03-02", "2026-03-03",
-  // פסח
-  "2026-03-31", "2026-04-01",
-  "2026-04-02","2026-04-03","2026-04-04","2026-04-05",
-  "2026-04-06", "2026-04-07",
-  // יום השואה
-  "2026-04-20",
-  // יום הזיכרון + יום העצמאות
-  "2026-04-28", "2026-04-29",
-  // שבועות
-  "2026-05-19", "2026-05-20",
-  // ט' באב
-  "2026-07-23",
-  // ראש השנה תשפ"ז
-  "2026-09-10", "2026-09-11",
-  // יום כיפור
-  "2026-09-19",
-  // סוכות
-  "2026-09-24", "2026-09-25",
-  "2026-09-26","2026-09-27","2026-09-28","2026-09-29","2026-09-30",
-  // שמיני עצרת + שמחת תורה
-  "2026-10-01", "2026-10-02",
-]);
-
-// ── ערבי חג (יום לפני — עסקים סוגרים מוקדם, תנועה שונה) ────────────────────
-const IL_HOLIDAY_EVES = new Set([
-  // ── 2024 ──────────────────────────────────────────────────────────────────
-  "2024-10-01",  // ערב ראש השנה
-  "2024-10-10",  // ערב יום כיפור
-  "2024-10-15",  // ערב סוכות
-  "2024-10-22",  // ערב שמיני עצרת
-
-  // ── 2025 ──────────────────────────────────────────────────────────────────
-  "2025-03-12",  // ערב פורים (תענית אסתר)
-  "2025-04-11",  // ערב פסח
-  "2025-04-17",  // ערב שביעי של פסח
-  "2025-05-11",  // ערב יום הזיכרון
-  "2025-05-31",  // ערב שבועות
-  "2025-08-02",  // ערב ט' באב
-  "2025-09-21",  // ערב ראש השנה
-  "2025-09-30",  // ערב יום כיפור
-  "2025-10-05",  // ערב סוכות
-  "2025-10-12",  // ערב שמיני עצרת
-
-  // ── 2026 ──────────────────────────────────────────────────────────────────
-  "2026-03-01",  // ערב פורים
-  "2026-03-30",  // ערב פסח
-  "2026-04-05",  // ערב שביעי של פסח
-  "2026-04-27",  // ערב יום הזיכרון
-  "2026-05-18",  // ערב שבועות
-  "2026-07-22",  // ערב ט' באב
-  "2026-09-09",  // ערב ראש השנה
-  "2026-09-18",  // ערב יום כיפור
-  "2026-09-23",  // ערב סוכות
-  "2026-09-30",  // ערב שמיני עצרת
-]);
-
-// ── ערב שנה חדשה לועזית ───────────────────────────────────────────────────────
-const NEW_YEAR_EVES = new Set([
-  "2024-12-31",
-  "2025-12-31",
-  "2026-12-31",
-]);
+// מחושב לכל שנה — israelCalendar.js (משותף עם src/analytics/dailyBuilder.ts)
 
 export function buildCalendar(date) {
   const d = new Date(date + "T12:00:00Z");
   const dow = d.getUTCDay();
+  const il = israelCalendarDay(date);
+  const newYearEve = date.slice(5) === "12-31";
   return {
     dow,
-    weekend:      dow === 5 || dow === 6,
-    month:        d.getUTCMonth() + 1,
-    holiday:      IL_HOLIDAYS.has(date),
-    holiday_eve:  IL_HOLIDAY_EVES.has(date) || NEW_YEAR_EVES.has(date),
-    new_year_eve: NEW_YEAR_EVES.has(date),
+    weekend:         dow === 5 || dow === 6,
+    month:           d.getUTCMonth() + 1,
+    holiday:         il.holiday,
+    holiday_eve:     il.holiday_eve || newYearEve,
+    new_year_eve:    newYearEve,
+    chol_hamoed:     il.chol_hamoed,
+    holiday_name:    il.holiday_name,
+    school_vacation: il.school_vacation,
+    ramadan:         il.ramadan,
+    eid:             il.eid,
   };
 }
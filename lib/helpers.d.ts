@@ -0,0 +1,12 @@
+// Type declarations for helpers.js (consumed by the TypeScript api/ handlers).
+
+export type TenantRole = "owner" | "manager" | "shift_manager" | "viewer";
+
+export const VALID_ROLES: Set<TenantRole>;
+export function hasRole(role: string, minRole: string): boolean;
+/** @throws {{ status: number, msg: string }} */
+export function requireTenantAccess(uid: string, tenantId: string, minRole: TenantRole): Promise<string>;
+export function isRateLimited(key: string, limit?: number, windowMs?: number): Promise<boolean>;
+export function errResponse(status: number, message: string, req?: unknown): Response;
+export function secHeaders(req: unknown, extra?: Record<string, string>): Record<string, string>;
+export function getIP(req: unknown): string;
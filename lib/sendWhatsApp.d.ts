@@ -0,0 +1,3 @@
+// Type declarations for sendWhatsApp.js (consumed by the TypeScript src/ modules).
+
+export function sendWhatsApp(phone: string, message: string): Promise<unknown>;
@@ -0,0 +1,10 @@
+// Type declarations for verifyToken.js (consumed by the TypeScript api/ handlers).
+
+export interface VerifiedClaims {
+  uid: string;
+  email: string | null;
+  tenantId: string | null;
+}
+
+export function verifyFirebaseToken(token: string, _projectId?: string): Promise<VerifiedClaims>;
+export function requireAuth(req: unknown): Promise<VerifiedClaims>;
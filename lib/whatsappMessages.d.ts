@@ -0,0 +1,25 @@
+// Type declarations for the whatsappMessages.js formatters the TypeScript src/ modules use.
+
+export function sirenAlertMessage(args: {
+  bizName: string;
+  title: string;
+  areas?: string[];
+  time: string;
+  shelterMinutes?: number;
+}): string;
+
+export function sirenAllClearMessage(args: {
+  bizName: string;
+  startTime: string;
+  endTime: string;
+  durationMinutes: number;
+  clearedBy?: "oref" | "timeout";
+}): string;
+
+export function alertEscalationMessage(args: {
+  bizName: string;
+  title: string;
+  message: string;
+  firedTime: string;
+  minutesOpen: number;
+}): string;
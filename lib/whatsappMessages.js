@@ -166,3 +166,42 @@ export function weeklySummaryMessage({ bizName, weekStr, totalSales, avgFoodPct,
 ━━━━━━━━━━━━━━━━
 _נוצר אוטומטית ע"י Marjin_`.trim();
 }
+
+// ── Live Siren (real-time, to the shift on duty) ─────────────────────────────
+export function sirenAlertMessage({ bizName, title, areas = [], time, shelterMinutes = 10 }) {
+  const shown = areas.slice(0, 5).join(", ") + (areas.length > 5 ? ` ועוד ${areas.length - 5}` : "");
+  return `
+🚨 *אזעקה באזור — ${bizName}*
+🕐 ${time} | ${title || "התרעת פיקוד העורף"}
+📍 ${shown}
+━━━━━━━━━━━━━━━━
+הכניסו את האורחים והצוות למרחב המוגן.
+שהייה מומלצת: ${shelterMinutes} דקות — נשלח הודעה כשאפשר לצאת.
+━━━━━━━━━━━━━━━━
+_נוצר אוטומטית ע"י Marjin_`.trim();
+}
+
+export function sirenAllClearMessage({ bizName, startTime, endTime, durationMinutes, clearedBy }) {
+  const how = clearedBy === "oref" ? "פיקוד העורף הודיע שהאירוע הסתיים" : "לא התקבלו התרעות נוספות באזור";
+  return `
+✅ *אפשר לצאת מהמרחב המוגן — ${bizName}*
+🕐 ${startTime}–${endTime} (${durationMinutes} דק׳)
+${how}.
+━━━━━━━━━━━━━━━━
+האירוע נשמר ביומן ההתרעות של העסק.
+━━━━━━━━━━━━━━━━
+_נוצר אוטומטית ע"י Marjin_`.trim();
+}
+
+// ── Alert Escalation (critical alert left unacknowledged) ────────────────────
+export function alertEscalationMessage({ bizName, title, message, firedTime, minutesOpen }) {
+  return `
+⏰ *התראה קריטית ללא מענה — ${bizName}*
+🔴 ${title}
+${message}
+━━━━━━━━━━━━━━━━
+נשלחה ב-${firedTime} ואף אחד עוד לא אישר אותה (${minutesOpen} דק׳).
+אשרו, העבירו לטיפול או סגרו אותה במסך ההתראות.
+━━━━━━━━━━━━━━━━
+_נוצר אוטומטית ע"י Marjin_`.trim();
+}
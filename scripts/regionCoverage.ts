@@ -0,0 +1,67 @@
+/**
+ * Region taxonomy coverage — command-line entry point.
+ *
+ *   npm run region-coverage -- <area-list-file> [--json]
+ *
+ * Reads an Oref area-list file (JSON, CSV or one name per line — see
+ * parseOrefAreaList), checks REGIONS against it and prints the uncovered
+ * areas, unmatched substrings and ambiguous substrings. --json prints the
+ * full RegionCoverageReport instead. Exits 1 when the taxonomy has drifted
+ * (anything uncovered, unmatched or ambiguous), 2 on a bad invocation or an
+ * unreadable list, so it can gate a regions.ts change.
+ *
+ * Same check as POST /api/analytics/daily-builder { action: "region_coverage" },
+ * without a deployment or the cron secret.
+ */
+
+import { readFile } from "node:fs/promises";
+import { checkRegionCoverage, parseOrefAreaList } from "../src/analytics/regionCoverage.js";
+import type { RegionCoverageReport } from "../src/analytics/regionCoverage.js";
+
+function printReport(report: RegionCoverageReport): void {
+  console.log(`${report.covered} / ${report.areas} areas covered`);
+
+  if (report.uncovered.length > 0) {
+    console.log(`\nUncovered (${report.uncovered.length}):`);
+    for (const a of report.uncovered) {
+      const suggestion = a.suggestedSubregionId
+        ? `→ ${a.suggestedSubregionId} (${a.suggestedVia}${a.similarTo ? `: ${a.similarTo}` : ""})`
+        : "→ no suggestion";
+      console.log(`  ${a.name}  ${suggestion}`);
+    }
+  }
+  if (report.unmatched.length > 0) {
+    console.log(`\nUnmatched substrings (${report.unmatched.length}):`);
+    for (const u of report.unmatched) console.log(`  ${u.substring}  [${u.subregionIds.join(", ")}]`);
+  }
+  if (report.ambiguous.length > 0) {
+    console.log(`\nAmbiguous substrings (${report.ambiguous.length}):`);
+    for (const a of report.ambiguous) {
+      console.log(`  ${a.substring}  [${a.subregionIds.join(", ")}] matches ${a.places.join(" | ")}`);
+    }
+  }
+}
+
+async function main(argv: string[]): Promise<number> {
+  const json = argv.includes("--json");
+  const files = argv.filter((a) => a !== "--json");
+  if (files.length !== 1) {
+    console.error("usage: npm run region-coverage -- <area-list-file> [--json]");
+    return 2;
+  }
+
+  let report: RegionCoverageReport;
+  try {
+    report = checkRegionCoverage(parseOrefAreaList(await readFile(files[0], "utf8")));
+  } catch (e: any) {
+    console.error(`region-coverage: ${e?.msg ?? e?.message ?? e}`);
+    return 2;
+  }
+
+  if (json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+  const drifted = report.uncovered.length + report.unmatched.length + report.ambiguous.length > 0;
+  return drifted ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
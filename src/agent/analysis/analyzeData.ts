@@ -3,6 +3,7 @@
 import type { AgentIntent, MetricsPlan, FetchedData, AnalysisResult, BaselineResult } from "../types/agent.js";
 import type { AgentContext } from "../types/agent.js";
 import type { MemoryInsight } from "../types/agent.js";
+import { describeEffect, type ResearchEffect } from "../../analytics/research.js";
 import { analyzeDirectMetric } from "./analyzeDirectMetric.js";
 import { analyzeComparison } from "./analyzeComparison.js";
 import { analyzeTrend } from "./analyzeTrend.js";
@@ -15,11 +16,12 @@ interface AnalyzeInput {
   fetched: FetchedData;
   baseline: BaselineResult;
   memory: MemoryInsight[];
+  research?: ResearchEffect[];
   context: AgentContext;
 }
 
 export async function analyzeData(input: AnalyzeInput): Promise<AnalysisResult> {
-  const { intent, plan, fetched, baseline, memory, context } = input;
+  const { intent, plan, fetched, baseline, memory, research = [], context } = input;
 
   let result: AnalysisResult;
 
@@ -60,6 +62,11 @@ export async function analyzeData(input: AnalyzeInput): Promise<AnalysisResult>
     result = enrichWithMemory(result, memory);
   }
 
+  // Cite the business's own regression results for the factors asked about
+  if (research.length > 0) {
+    result = enrichWithResearch(result, research);
+  }
+
   return result;
 }
 
@@ -102,3 +109,10 @@ function enrichWithMemory(result: AnalysisResult, memory: MemoryInsight[]): Anal
     supportingFacts: [...result.supportingFacts, ...memoryFacts],
   };
 }
+
+function enrichWithResearch(result: AnalysisResult, research: ResearchEffect[]): AnalysisResult {
+  return {
+    ...result,
+    supportingFacts: [...result.supportingFacts, ...research.map(describeEffect)],
+  };
+}
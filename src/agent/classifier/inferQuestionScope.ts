@@ -32,7 +32,7 @@ const METRIC_PATTERNS: [RegExp, string][] = [
   [/הכנסות|פדיון|מחזור|revenue/i, "daily_revenue"],
   [/כוח אדם|עובדים|labor/i, "labor_cost"],
   [/עלות מזון|food cost/i, "food_cost"],
-  [/מוצר|מוצרים|product/i, "product_quantity"],
+  [/מוצר|מוצרים|נמכר|product/i, "product_quantity"],
   [/ספק|ספקים|רכישות|purchase/i, "supplier_purchases"],
 ];
 
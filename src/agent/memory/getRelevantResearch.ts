@@ -0,0 +1,64 @@
+import type { AgentContext } from "../types/agent.js";
+import type { ResearchEffect, ResearchFactor } from "../../analytics/research.js";
+import { getSignificantEffects } from "../../repositories/analytics/researchRepo.js";
+
+/**
+ * Whole words only, each optionally behind up to two one-letter prefixes
+ * (ו/ה/ב/ל/מ/ש/כ — "בגשם", "והחג"). `bare` words take no prefix: a prefixed
+ * קר or קור is another word (בקר, מקור). קרה ("happened") is left out.
+ */
+function wordPattern(words: string[], bare: string[] = []): RegExp {
+  const alternatives = [`[ובהלמשכ]{0,2}(?:${words.join("|")})`];
+  if (bare.length > 0) alternatives.push(`(?:${bare.join("|")})`);
+  return new RegExp(`(?<!\\p{L})(?:${alternatives.join("|")})(?!\\p{L})`, "iu");
+}
+
+// Question keywords → the research factors they ask about.
+const FACTOR_KEYWORDS: Array<{ pattern: RegExp; factors: ResearchFactor[] }> = [
+  {
+    pattern: wordPattern(
+      ["גשם", "גשמים", "גשום", "גשומה", "גשומים", "מזג", "טמפרטורה", "טמפרטורות", "חום", "שרב",
+        "rain", "rainy", "weather", "temperature"],
+      ["חם", "חמה", "קר", "קור"]
+    ),
+    factors: ["rain", "temp_c"],
+  },
+  {
+    pattern: wordPattern(["אזעקה", "אזעקות", "מלחמה", "מלחמת", "ביטחון", "ביטחוני", "ביטחונית",
+      "alert", "alerts", "siren", "sirens", "war"]),
+    factors: ["alert_hours", "war_day_partial"],
+  },
+  { pattern: wordPattern(["חג", "חגים", "holiday", "holidays"]), factors: ["holiday", "holiday_eve"] },
+  { pattern: wordPattern(["חופש", "חופשה", "חופשת", "חופשות", "vacation"]), factors: ["school_vacation"] },
+  { pattern: wordPattern(["רמדאן", "ramadan"]), factors: ["ramadan"] },
+  {
+    pattern: wordPattern(["יום (?:ראשון|שני|שלישי|רביעי|חמישי|שישי|שבת)", "ימי השבוע", "weekday", "weekdays"]),
+    factors: ["dow_1", "dow_2", "dow_3", "dow_4", "dow_5", "dow_6"],
+  },
+];
+
+/**
+ * Significant regression effects (analytics/research.ts) for the factors the
+ * question mentions, strongest first. No DB read when it mentions none.
+ */
+export async function getRelevantResearch(
+  question: string,
+  context: AgentContext
+): Promise<ResearchEffect[]> {
+  const factors = new Set(
+    FACTOR_KEYWORDS.filter((k) => k.pattern.test(question)).flatMap((k) => k.factors)
+  );
+  if (factors.size === 0) return [];
+
+  try {
+    const effects = await getSignificantEffects(context.tenantId, context.bizId);
+    return effects
+      .filter((e) => factors.has(e.factor))
+      .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+      .slice(0, 3);
+  } catch (err) {
+    // Research is optional — never block the pipeline
+    console.error("[Marjin AI] Research retrieval failed:", err);
+    return [];
+  }
+}
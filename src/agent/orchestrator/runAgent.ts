@@ -9,6 +9,7 @@ import { scoreConfidence } from "../confidence/scoreConfidence.js";
 import { composeResponse } from "../response/composeResponse.js";
 import { failSafeResponse } from "../response/failSafeResponse.js";
 import { getRelevantBusinessMemory } from "../memory/getRelevantBusinessMemory.js";
+import { getRelevantResearch } from "../memory/getRelevantResearch.js";
 import { saveBusinessInsight } from "../memory/saveBusinessInsight.js";
 import { logger } from "../../utils/logging.js";
 
@@ -34,10 +35,11 @@ export async function runAgent(context: AgentContext): Promise<AgentResponse> {
     // 2. Build metrics plan
     const plan = buildMetricsPlan(intent, context.userQuestion, context);
 
-    // 3. Fetch memory (non-blocking, optional)
-    const memory = plan.requiresMemory
-      ? await getRelevantBusinessMemory(context.userQuestion, context)
-      : [];
+    // 3. Fetch memory + research effects (non-blocking, optional)
+    const [memory, research] = await Promise.all([
+      plan.requiresMemory ? getRelevantBusinessMemory(context.userQuestion, context) : [],
+      getRelevantResearch(context.userQuestion, context),
+    ]);
 
     // 4. Fetch data
     const fetched = await fetchPlannedData(plan, context);
@@ -67,6 +69,7 @@ export async function runAgent(context: AgentContext): Promise<AgentResponse> {
       fetched,
       baseline,
       memory,
+      research,
       context,
     });
 
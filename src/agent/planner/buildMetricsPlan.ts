@@ -50,7 +50,7 @@ function planDirectMetric(base: MetricsPlan, q: string, tz: string): MetricsPlan
   const metrics: MetricKey[] = [];
   const dimensions: DimensionKey[] = ["date"];
 
-  if (/מוצר|הכי נמכר|product/i.test(q)) {
+  if (/מוצר|נמכר|product|best.?sell/i.test(q)) {
     metrics.push("product_quantity", "product_revenue");
     dimensions.push("product_name");
   } else if (/כוח אדם|עובדים|labor/i.test(q)) {
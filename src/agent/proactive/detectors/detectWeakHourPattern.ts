@@ -5,6 +5,12 @@
 import type { FetchedData, BaselineResult } from "../../types/agent.js";
 import type { DetectorResult } from "../types.js";
 import { avg, round2 } from "../../../utils/math.js";
+import {
+  DEFAULT_BUSINESS_HOURS,
+  hourOrder,
+  isOpenHour,
+  type BusinessHours,
+} from "../../../analytics/businessHours.js";
 
 // --- Thresholds ---
 const MIN_WEEKS = 4;                  // need ≥4 weeks of hourly data
@@ -34,7 +40,8 @@ interface HourStats {
  * 2. Group by hour (0-23), compute avg revenue per hour
  * 3. Each hour needs ≥ 4 samples to be considered
  * 4. Find hours where avg < 70% of overall hourly avg
- * 5. Only flag hours within business operating range (have data)
+ * 5. Only flag hours within the business's operating window (which may cross
+ *    midnight, e.g. 18:00–03:00) that also have data
  * 6. Ignore hours below ₪50 noise floor (very early/late hours)
  * 7. Severity: weakest hour < 50% = high. 50-70% = medium.
  *
@@ -45,7 +52,8 @@ interface HourStats {
  */
 export function detectWeakHourPattern(
   fetched: FetchedData,
-  _baseline: BaselineResult
+  _baseline: BaselineResult,
+  businessHours: BusinessHours = DEFAULT_BUSINESS_HOURS
 ): DetectorResult | null {
   // Hourly data can come from fetched.metrics["hourly"] or we derive from daily+hour
   const hourly = (fetched.metrics["hourly"] as HourlyRecord[] | undefined) ?? [];
@@ -56,8 +64,8 @@ export function detectWeakHourPattern(
   const uniqueDates = new Set(hourly.map((h) => h.date));
   if (uniqueDates.size < MIN_WEEKS * 7) return null;
 
-  // Filter out zero-revenue hours (closed hours)
-  const activeHours = hourly.filter((h) => h.revenue > 0);
+  // Filter out zero-revenue hours and hours outside the operating window
+  const activeHours = hourly.filter((h) => h.revenue > 0 && isOpenHour(h.hour, businessHours));
   if (activeHours.length < MIN_WEEKS * 5) return null;
 
   // Group by hour
@@ -97,6 +105,10 @@ export function detectWeakHourPattern(
     .filter((h) => h.ratio < WEAK_HOUR_RATIO)
     .sort((a, b) => a.ratio - b.ratio)
     .slice(0, MAX_WEAK_HOURS);
+  // Facts list the weak hours in operating order (22:00 before 01:00 for a bar)
+  const weakInOrder = [...weakHours].sort(
+    (a, b) => hourOrder(a.hour, businessHours) - hourOrder(b.hour, businessHours)
+  );
 
   if (weakHours.length === 0) return null;
 
@@ -110,7 +122,7 @@ export function detectWeakHourPattern(
   // Build supporting facts (Hebrew)
   const facts: string[] = [];
 
-  for (const wh of weakHours) {
+  for (const wh of weakInOrder) {
     const hourStr = `${String(wh.hour).padStart(2, "0")}:00`;
     const whDeviation = round2(((wh.avg - overallAvg) / overallAvg) * 100);
     facts.push(`שעה ${hourStr}: ממוצע ₪${round2(wh.avg)} (${whDeviation}% מהממוצע)`);
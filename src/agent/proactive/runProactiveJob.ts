@@ -32,6 +32,8 @@ import { buildDailyDigest } from "./digestBuilder.js";
 import { daysAgoIso, todayIso } from "../../utils/dates.js";
 import { logger } from "../../utils/logging.js";
 import { proactiveBizIndexRef } from "../../firebase/refs.js";
+import { getBusinessHours } from "../../analytics/dailyBuilder.js";
+import { DEFAULT_BUSINESS_HOURS } from "../../analytics/businessHours.js";
 
 /**
  * Run the full proactive insights job for all active tenants.
@@ -114,6 +116,9 @@ export async function runForBiz(
   // Step 5: Load recent insights for dedup + suppression
   const recentInsights = await getRecentInsights(tenantId, bizId, 7);
 
+  // Operating window for the hour-level detector (best-effort — default 08–22)
+  const businessHours = await getBusinessHours(tenantId, bizId).catch(() => DEFAULT_BUSINESS_HOURS);
+
   // Step 6: Run all detectors (Phase 1 + Phase 2)
   const detectorResults: DetectorResult[] = [];
   const detectors = [
@@ -122,7 +127,7 @@ export async function runForBiz(
     { name: "labor_inefficiency", fn: () => detectLaborInefficiency(fetched, baseline) },
     { name: "weak_day_pattern", fn: () => detectWeakDayPattern(fetched, baseline) },
     // Phase 2 detectors
-    { name: "weak_hour_pattern", fn: () => detectWeakHourPattern(fetched, baseline) },
+    { name: "weak_hour_pattern", fn: () => detectWeakHourPattern(fetched, baseline, businessHours) },
     { name: "purchases_without_revenue", fn: () => detectPurchasesWithoutRevenueSupport(fetched, baseline) },
     { name: "forecast_risk", fn: () => detectForecastRisk(fetched, baseline) },
   ];
@@ -186,4 +186,11 @@ export interface FetchedData {
   evidenceRefs: string[];
   rawRecordCount: number;
   fetchStatus: Record<string, "ok" | "failed" | "skipped">;
+  /** From the stored data-health report (analytics/dataHealth.ts), when there is one. */
+  dataHealth?: {
+    score: number;
+    freshness: number;
+    missingEntryDates: string[];
+    posStale: boolean;
+  };
 }
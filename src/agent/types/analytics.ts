@@ -3,10 +3,11 @@
 export interface DailyMetric {
   date: string;           // YYYY-MM-DD
   revenue: number;
-  laborCost: number;
-  laborPct: number;       // labor / revenue * 100
-  foodCost: number;
-  foodCostPct: number;
+  /** Costs are null when unknown — a branch day built from its POS reports alone. */
+  laborCost: number | null;
+  laborPct: number | null;       // labor / revenue * 100
+  foodCost: number | null;
+  foodCostPct: number | null;
   transactionCount: number;
   avgTicket: number;
   branchId?: string;
@@ -40,6 +40,21 @@ export function validateData({ fetched, plan, context }: ValidateInput): Validat
     });
   }
 
+  // Data-health gaps inside the asked period — say which, never block on them
+  const health = fetched.dataHealth;
+  if (health && (health.missingEntryDates.length > 0 || health.posStale)) {
+    const gaps: string[] = [];
+    if (health.missingEntryDates.length > 0) {
+      gaps.push(`חסר רישום יומי ל-${health.missingEntryDates.length} ימים (אחרון: ${health.missingEntryDates[health.missingEntryDates.length - 1]})`);
+    }
+    if (health.posStale) gaps.push(`נתוני הקופה לא התעדכנו`);
+    issues.push({
+      code: "stale_data",
+      severity: health.missingEntryDates.length >= 3 ? "medium" : "low",
+      message: gaps.join(" · "),
+    });
+  }
+
   // Consistency check
   if (consistency < CONSISTENCY_THRESHOLD) {
     issues.push({
@@ -3,16 +3,71 @@
 
 import type { FiredAlert } from "./types.js";
 import { getDb } from "../firebase/admin.js";
+import { applyAlertAction, awaitsAcknowledgement, isAlertActive, type AlertActionInput } from "./lifecycle.js";
+import { fail } from "../utils/httpError.js";
 
 function alertsRef(tenantId: string, bizId: string) {
   return getDb().ref(`tenants/${tenantId}/alerts/${bizId}`);
 }
 
+function pendingAckRef() {
+  return getDb().ref("alert_pending_ack");
+}
+
 /**
- * Save a fired alert.
+ * Save a fired alert, and keep the escalation index in step with it.
  */
 export async function saveAlert(alert: FiredAlert): Promise<void> {
   await alertsRef(alert.tenantId, alert.bizId).child(alert.id).set(alert);
+  const indexRef = pendingAckRef().child(alert.tenantId).child(alert.bizId).child(alert.id);
+  if (awaitsAcknowledgement(alert)) {
+    await indexRef.set({ tenantId: alert.tenantId, bizId: alert.bizId, alertId: alert.id, firedAt: alert.firedAt });
+  } else {
+    await indexRef.remove();
+  }
+}
+
+/**
+ * Get one alert, or null.
+ */
+export async function getAlert(
+  tenantId: string,
+  bizId: string,
+  alertId: string
+): Promise<FiredAlert | null> {
+  const snap = await alertsRef(tenantId, bizId).child(alertId).once("value");
+  return snap.exists() ? (snap.val() as FiredAlert) : null;
+}
+
+/**
+ * Every critical alert awaiting acknowledgement, across all tenants.
+ */
+export async function getPendingAcknowledgements(): Promise<Array<{ tenantId: string; bizId: string; alertId: string }>> {
+  const snap = await pendingAckRef().once("value");
+  const index = snap.val();
+  if (!index) return [];
+  const out: Array<{ tenantId: string; bizId: string; alertId: string }> = [];
+  for (const byTenant of Object.values(index) as any[]) {
+    for (const byBiz of Object.values(byTenant ?? {}) as any[]) {
+      for (const entry of Object.values(byBiz ?? {}) as any[]) {
+        if (entry?.tenantId && entry?.bizId && entry?.alertId) {
+          out.push({ tenantId: entry.tenantId, bizId: entry.bizId, alertId: entry.alertId });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Drop an index entry whose alert is gone or no longer awaits acknowledgement.
+ */
+export async function removePendingAcknowledgement(
+  tenantId: string,
+  bizId: string,
+  alertId: string
+): Promise<void> {
+  await pendingAckRef().child(tenantId).child(bizId).child(alertId).remove();
 }
 
 /**
@@ -42,25 +97,45 @@ export async function getRecentAlerts(
 }
 
 /**
- * Get active (non-dismissed) alerts.
+ * Get active alerts — not resolved, not snoozed.
  */
 export async function getActiveAlerts(
   tenantId: string,
   bizId: string
 ): Promise<FiredAlert[]> {
   const recent = await getRecentAlerts(tenantId, bizId, 14);
-  return recent.filter((a) => !a.dismissed);
+  const now = Date.now();
+  return recent.filter((a) => isAlertActive(a, now));
 }
 
 /**
- * Dismiss an alert.
+ * Apply a lifecycle action (acknowledge, snooze, assign, resolve, reopen)
+ * and save it with its history entry. Throws { status: 404 } for an unknown
+ * alert; see applyAlertAction for the rest.
+ */
+export async function transitionAlert(
+  tenantId: string,
+  bizId: string,
+  alertId: string,
+  input: AlertActionInput
+): Promise<FiredAlert> {
+  const alert = await getAlert(tenantId, bizId, alertId);
+  if (!alert) fail(404, "alert not found");
+  const next = applyAlertAction(alert, input);
+  await saveAlert(next);
+  return next;
+}
+
+/**
+ * Dismiss an alert — resolve it, without a note.
  */
 export async function dismissAlert(
   tenantId: string,
   bizId: string,
-  alertId: string
+  alertId: string,
+  by?: string
 ): Promise<void> {
-  await alertsRef(tenantId, bizId).child(alertId).child("dismissed").set(true);
+  await transitionAlert(tenantId, bizId, alertId, { action: "resolve", by });
 }
 
 /**
@@ -0,0 +1,293 @@
+// Marjin — Threshold Backtest (dry run)
+// Replays the 9 threshold checkers over the last N days — as the daily cron
+// would have run on each — with the current thresholds and with a proposed
+// change, and counts what each would have fired. Nothing is saved or sent.
+//
+// The window's history is read once up front (preloadHistory) and both sides
+// replay from memory, so a 30-day run costs a fixed set of parallel reads
+// rather than a round trip per checker per day.
+//
+// Alerts are deduplicated by id across the replayed days, as runAlertsForBiz
+// does across cron runs (alertExistsToday). User-defined rules
+// (checkCustomRules) don't depend on thresholds and are left out.
+
+import type { AlertSeverity, AlertThresholds, AlertType, FiredAlert } from "./types.js";
+import { getThresholds, validateThresholds } from "./configRepo.js";
+import {
+  checkLaborPct,
+  checkFoodCostPct,
+  checkSupplierAnomaly,
+  checkMinRevenue,
+  checkExpensiveEmployee,
+  checkWeakDay,
+  checkPurchaseTrend,
+  checkPosRevenueMismatch,
+  checkMissingEntries,
+  type CheckerHistory,
+  type CheckOptions,
+} from "./checkers.js";
+import { getDb } from "../firebase/admin.js";
+import { loadAnalyticsHistory } from "../analytics/dailyBuilder.js";
+import { DATA_HEALTH_WINDOW_DAYS, summarizeDataHealth, type DataHealthReport } from "../analytics/dataHealth.js";
+import { getPosConfig, getRecentImportLogs, getStoredReports } from "../pos/posRepo.js";
+import type { PosImportLog } from "../pos/types.js";
+import { manualRevenueFrom, reconcileRevenue } from "../pos/reconcile.js";
+import { addDaysIso, dateRange, todayIso } from "../utils/dates.js";
+import { fail } from "../utils/httpError.js";
+
+export const DEFAULT_BACKTEST_DAYS = 14;
+export const MAX_BACKTEST_DAYS = 30;
+
+/** Listed alerts that only one config fires, per side. */
+const MAX_LISTED_DIFFERENCES = 50;
+
+/** The furthest back any checker looks from its run date (supplier, employee, weak-day). */
+const CHECKER_LOOKBACK_DAYS = 28;
+
+/** POS import logs read per replayed day: one per report type, more with branches. */
+const IMPORT_LOGS_PER_DAY = 6;
+
+type Checker = (
+  tenantId: string,
+  bizId: string,
+  thresholds: AlertThresholds,
+  options: CheckOptions
+) => Promise<FiredAlert | FiredAlert[] | null>;
+
+const CHECKERS: Array<[string, Checker]> = [
+  ["labor", checkLaborPct],
+  ["food", checkFoodCostPct],
+  ["supplier", checkSupplierAnomaly],
+  ["revenue", checkMinRevenue],
+  ["employee", checkExpensiveEmployee],
+  ["weakday", checkWeakDay],
+  ["purchases", checkPurchaseTrend],
+  ["pos_reconcile", checkPosRevenueMismatch],
+  ["missing_entries", checkMissingEntries],
+];
+
+export interface BacktestCounts {
+  total: number;
+  byType: Partial<Record<AlertType, number>>;
+  bySeverity: Record<AlertSeverity, number>;
+  byDate: Record<string, number>;  // alert date → count
+}
+
+export interface BacktestAlert {
+  id: string;
+  type: AlertType;
+  severity: AlertSeverity;
+  date: string;
+  title: string;
+}
+
+export interface ThresholdBacktest {
+  tenantId: string;
+  bizId: string;
+  from: string;                    // first replayed run date
+  to: string;                      // last (today)
+  days: number;
+  current: BacktestCounts;
+  proposed: BacktestCounts;
+  /** proposed − current. */
+  delta: {
+    total: number;
+    byType: Partial<Record<AlertType, number>>;
+    bySeverity: Record<AlertSeverity, number>;
+  };
+  onlyProposed: BacktestAlert[];
+  onlyCurrent: BacktestAlert[];
+  errors: string[];
+}
+
+function emptyCounts(): BacktestCounts {
+  return { total: 0, byType: {}, bySeverity: { critical: 0, warning: 0, info: 0 }, byDate: {} };
+}
+
+function countAlerts(alerts: FiredAlert[]): BacktestCounts {
+  const counts = emptyCounts();
+  for (const a of alerts) {
+    counts.total++;
+    counts.byType[a.type] = (counts.byType[a.type] ?? 0) + 1;
+    counts.bySeverity[a.severity]++;
+    counts.byDate[a.date] = (counts.byDate[a.date] ?? 0) + 1;
+  }
+  return counts;
+}
+
+function summarize(a: FiredAlert): BacktestAlert {
+  return { id: a.id, type: a.type, severity: a.severity, date: a.date, title: a.title };
+}
+
+/** The date-keyed children within [from, to], as orderByKey().startAt().endAt() returns them. */
+function keyRange(node: Record<string, any> | null, from: string, to: string): Record<string, any> | null {
+  if (!node || typeof node !== "object") return null;
+  const inRange = Object.entries(node).filter(([key]) => key >= from && key <= to);
+  return inRange.length > 0 ? Object.fromEntries(inRange) : null;
+}
+
+/**
+ * The newest import of a business day up to `to` (logs newest first) — what
+ * the report ending `to` saw, not whatever has been imported since.
+ */
+export function importAsOf(logs: PosImportLog[], to: string): PosImportLog | null {
+  return logs.find((log) => log.businessDate <= to) ?? null;
+}
+
+/**
+ * Everything the checkers read for `runDates`, loaded once: analytics/daily
+ * and the entries from CHECKER_LOOKBACK_DAYS before the first run, and the
+ * analytics docs, POS reports and import logs the health reports cover.
+ * Reconciliation runs on the loaded data and isn't stored; each health report
+ * is built once (it doesn't depend on thresholds) and shared by both sides.
+ */
+async function preloadHistory(tenantId: string, bizId: string, runDates: string[]): Promise<CheckerHistory> {
+  const db = getDb();
+  const first = runDates[0];
+  const last = runDates[runDates.length - 1];
+  // Health reports end the day before each run and span DATA_HEALTH_WINDOW_DAYS.
+  const healthDates = dateRange(addDaysIso(first, -DATA_HEALTH_WINDOW_DAYS), addDaysIso(last, -1));
+
+  const [dailySnap, entriesSnap, suppliersSnap, docs, reports, posConfig, logs] = await Promise.all([
+    db.ref(`tenants/${tenantId}/analytics/daily`)
+      .orderByKey().startAt(addDaysIso(first, -CHECKER_LOOKBACK_DAYS)).endAt(last).once("value"),
+    db.ref(`tenants/${tenantId}/biz:${bizId}:entries`).once("value"),
+    db.ref(`tenants/${tenantId}/biz:${bizId}:suppliers`).once("value"),
+    loadAnalyticsHistory(tenantId, bizId, last, healthDates.length),
+    getStoredReports(tenantId, bizId, "daily_summary", healthDates),
+    getPosConfig(tenantId, bizId).catch(() => null),
+    getRecentImportLogs(tenantId, bizId, (runDates.length + 1) * IMPORT_LOGS_PER_DAY),
+  ]);
+  const daily = dailySnap.val();
+  const entries = entriesSnap.val();
+  const suppliers = suppliersSnap.val() || {};
+  const reportByDate = new Map(reports.map((r) => [r.businessDate, r]));
+  const healthByDate = new Map<string, DataHealthReport>();
+
+  return {
+    daily: async (from, to) => keyRange(daily, from, to),
+    entries: async (from, to) => keyRange(entries, from, to),
+    suppliers: async () => suppliers,
+    reconcile: async (date, tolerancePct) => {
+      const report = reportByDate.get(date);
+      if (!report) return null;
+      return {
+        tenantId,
+        bizId,
+        date,
+        ...reconcileRevenue(manualRevenueFrom(entries, date), report, tolerancePct),
+        createdAt: Date.now(),
+      };
+    },
+    health: async (to) => {
+      if (!healthByDate.has(to)) {
+        const dates = dateRange(addDaysIso(to, -(DATA_HEALTH_WINDOW_DAYS - 1)), to);
+        healthByDate.set(to, summarizeDataHealth({
+          tenantId,
+          bizId,
+          dates,
+          docs,
+          pos: {
+            configured: posConfig?.enabled === true,
+            reportDates: dates.filter((d) => reportByDate.has(d)),
+            lastImport: importAsOf(logs, to),
+          },
+        }));
+      }
+      return healthByDate.get(to)!;
+    },
+  };
+}
+
+/** Every alert the checkers would have fired over `runDates`, deduplicated by id. */
+async function replay(
+  tenantId: string,
+  bizId: string,
+  thresholds: AlertThresholds,
+  runDates: string[],
+  history: CheckerHistory,
+  errors: string[]
+): Promise<FiredAlert[]> {
+  const fired = new Map<string, FiredAlert>();
+  for (const asOf of runDates) {
+    for (const [name, check] of CHECKERS) {
+      try {
+        const out = await check(tenantId, bizId, thresholds, { asOf, history });
+        for (const alert of Array.isArray(out) ? out : out ? [out] : []) {
+          if (!fired.has(alert.id)) fired.set(alert.id, alert);
+        }
+      } catch (e: any) {
+        errors.push(`${asOf} ${name}: ${e.message}`);
+      }
+    }
+  }
+  return [...fired.values()];
+}
+
+/**
+ * Dry-run a proposed threshold change (a partial AlertThresholds, as the
+ * `config` action takes) over the last `days` days. Throws { status: 400 }
+ * on a bad `days` or thresholds the `config` action would reject.
+ */
+export async function backtestThresholds(
+  tenantId: string,
+  bizId: string,
+  proposed: Partial<AlertThresholds>,
+  days: number = DEFAULT_BACKTEST_DAYS
+): Promise<ThresholdBacktest> {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_BACKTEST_DAYS) {
+    fail(400, `days must be an integer from 1 to ${MAX_BACKTEST_DAYS}`);
+  }
+  const update = validateThresholds(proposed);
+
+  const current = await getThresholds(tenantId, bizId);
+  const candidate: AlertThresholds = { ...current, ...update };
+
+  const to = todayIso();
+  const runDates = Array.from({ length: days }, (_, i) => addDaysIso(to, i - days + 1));
+  const errors: string[] = [];
+
+  const history = await preloadHistory(tenantId, bizId, runDates);
+  const currentAlerts = await replay(tenantId, bizId, current, runDates, history, errors);
+  const proposedAlerts = await replay(tenantId, bizId, candidate, runDates, history, errors);
+
+  const currentCounts = countAlerts(currentAlerts);
+  const proposedCounts = countAlerts(proposedAlerts);
+  const types = new Set([...Object.keys(currentCounts.byType), ...Object.keys(proposedCounts.byType)]) as Set<AlertType>;
+  const byType: Partial<Record<AlertType, number>> = {};
+  for (const t of types) byType[t] = (proposedCounts.byType[t] ?? 0) - (currentCounts.byType[t] ?? 0);
+
+  const currentIds = new Set(currentAlerts.map((a) => a.id));
+  const proposedIds = new Set(proposedAlerts.map((a) => a.id));
+  const byDateThenId = (a: FiredAlert, b: FiredAlert) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id);
+
+  return {
+    tenantId,
+    bizId,
+    from: runDates[0],
+    to,
+    days,
+    current: currentCounts,
+    proposed: proposedCounts,
+    delta: {
+      total: proposedCounts.total - currentCounts.total,
+      byType,
+      bySeverity: {
+        critical: proposedCounts.bySeverity.critical - currentCounts.bySeverity.critical,
+        warning: proposedCounts.bySeverity.warning - currentCounts.bySeverity.warning,
+        info: proposedCounts.bySeverity.info - currentCounts.bySeverity.info,
+      },
+    },
+    onlyProposed: proposedAlerts
+      .filter((a) => !currentIds.has(a.id))
+      .sort(byDateThenId)
+      .slice(0, MAX_LISTED_DIFFERENCES)
+      .map(summarize),
+    onlyCurrent: currentAlerts
+      .filter((a) => !proposedIds.has(a.id))
+      .sort(byDateThenId)
+      .slice(0, MAX_LISTED_DIFFERENCES)
+      .map(summarize),
+    errors,
+  };
+}
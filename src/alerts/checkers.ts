@@ -1,13 +1,63 @@
 // Marjin â Parameter-Based Alert Checkers
-// 7 deterministic checks. Each compares data against user-defined thresholds.
+// 9 deterministic checks, plus the tenant's own rules (rules.ts). Each
+// compares data against user-defined thresholds.
 // Zero AI. Pure math.
 
-import type { FiredAlert, AlertThresholds, AlertSeverity } from "./types.js";
+import type { FiredAlert, AlertThresholds, AlertSeverity, ProfileThresholdKey } from "./types.js";
 import { getDb } from "../firebase/admin.js";
-import { todayIso, daysAgoIso } from "../utils/dates.js";
+import { todayIso, addDaysIso } from "../utils/dates.js";
+import { reconcilePosRevenue, type PosReconciliation } from "../pos/reconcile.js";
+import { getDataHealthReport } from "../repositories/analytics/dataHealthRepo.js";
+import { buildDataHealthReport, type DataHealthReport } from "../analytics/dataHealth.js";
+import { resolveThresholdsForDate } from "./configRepo.js";
+import { getAlertRules } from "./rulesRepo.js";
+import { describeRuleAlert, evaluateAlertRule, ruleLookbackDays, rulesNeedPos, type RuleDay } from "./rules.js";
+import { loadAnalyticsHistory } from "../analytics/dailyBuilder.js";
+import { getStoredReports } from "../pos/posRepo.js";
 
 // ââ Helper ââââââââââââââââââââââââââââââââââââââââââââââââââââââââââââââââââââ
 
+/**
+ * What the checkers read. A live run goes to RTDB on every check; the
+ * threshold dry run (backtest.ts) loads its whole window once and serves the
+ * replayed days from memory. Date ranges are inclusive.
+ */
+export interface CheckerHistory {
+  /** analytics/daily, keyed by date; null when the range is empty. */
+  daily(from: string, to: string): Promise<Record<string, any> | null>;
+  /** biz:{bizId}:entries, keyed by date; null when the range is empty. */
+  entries(from: string, to: string): Promise<Record<string, any> | null>;
+  suppliers(): Promise<Record<string, any>>;
+  /** POS vs. manual revenue for a day; null when there's no POS report. */
+  reconcile(date: string, tolerancePct: number): Promise<PosReconciliation | null>;
+  /** The data-health report ending `to`. */
+  health(to: string): Promise<DataHealthReport | null>;
+}
+
+/** RTDB, as the cron reads it. Reconciliation records are stored. */
+export function liveHistory(tenantId: string, bizId: string): CheckerHistory {
+  const db = getDb();
+  const range = async (path: string, from: string, to: string) =>
+    (await db.ref(`tenants/${tenantId}/${path}`).orderByKey().startAt(from).endAt(to).once("value")).val();
+  return {
+    daily: (from, to) => range("analytics/daily", from, to),
+    entries: (from, to) => range(`biz:${bizId}:entries`, from, to),
+    suppliers: async () => (await db.ref(`tenants/${tenantId}/biz:${bizId}:suppliers`).once("value")).val() || {},
+    reconcile: (date, tolerancePct) => reconcilePosRevenue(tenantId, bizId, date, tolerancePct),
+    // The analytics cron stores the report ending yesterday; older days are rebuilt.
+    health: (to) =>
+      to === addDaysIso(todayIso(), -1)
+        ? getDataHealthReport(tenantId, bizId)
+        : buildDataHealthReport(tenantId, bizId, to),
+  };
+}
+
+/** Live run by default; the threshold dry run (backtest.ts) replays past days. */
+export interface CheckOptions {
+  asOf?: string;                   // evaluate as the cron would have on this date
+  history?: CheckerHistory;        // default: liveHistory
+}
+
 function makeAlert(
   tenantId: string,
   bizId: string,
@@ -24,6 +74,7 @@ function makeAlert(
     ? Math.round(((currentValue - threshold) / threshold) * 100 * 10) / 10
     : 0;
 
+  const firedAt = new Date().toISOString();
   return {
     id: `${bizId}:${type}:${date}${context?.key ? ":" + context.key : ""}`,
     tenantId,
@@ -36,65 +87,92 @@ function makeAlert(
     threshold,
     deviationPct,
     date,
-    firedAt: new Date().toISOString(),
+    firedAt,
     context,
     dismissed: false,
     notifiedWhatsApp: false,
+    status: "open",
+    history: [{ action: "fired", status: "open", at: firedAt }],
   };
 }
 
+/** One day of a checked window, weighted by e.g. its revenue. */
+interface DayWeight {
+  date: string;
+  weight: number;
+}
+
+/**
+ * A window's threshold when profiles resolve per day: each day's own value
+ * (a Friday's, a war-mode week's), weighted. Rounded to 0.1; no days → the
+ * flat value.
+ */
+function weightedThreshold(
+  thresholds: AlertThresholds,
+  key: ProfileThresholdKey,
+  days: DayWeight[]
+): number {
+  let sum = 0, total = 0;
+  for (const { date, weight } of days) {
+    sum += resolveThresholdsForDate(thresholds, date)[key] * weight;
+    total += weight;
+  }
+  return total > 0 ? Math.round((sum / total) * 10) / 10 : thresholds[key];
+}
+
 // ââ 1. Labor % Exceeded ââââââââââââââââââââââââââââââââââââââââââââââââââââââ
 
 export async function checkLaborPct(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert | null> {
-  const today = todayIso();
-  const db = getDb();
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
   // Get last 7 days of daily metrics
-  const start = daysAgoIso(7);
-  const snap = await db.ref(`tenants/${tenantId}/analytics/daily`)
-    .orderByKey()
-    .startAt(start)
-    .endAt(today)
-    .once("value");
-
-  const raw = snap.val();
+  const start = addDaysIso(today, -7);
+  const raw = await history.daily(start, today);
   if (!raw) return null;
 
   // Compute average labor %
-  const days = Object.values(raw) as any[];
   let totalLabor = 0, totalRevenue = 0, count = 0;
+  const weights: DayWeight[] = [];
 
-  for (const day of days) {
+  for (const [date, day] of Object.entries(raw) as Array<[string, any]>) {
     const entries = typeof day === "object" ? Object.values(day) : [day];
+    let dayRevenue = 0;
     for (const entry of entries as any[]) {
       if (entry?.laborCost && entry?.revenue && entry.revenue > 0) {
         totalLabor += Number(entry.laborCost);
         totalRevenue += Number(entry.revenue);
+        dayRevenue += Number(entry.revenue);
         count++;
       }
     }
+    if (dayRevenue > 0) weights.push({ date, weight: dayRevenue });
   }
 
   if (count === 0 || totalRevenue === 0) return null;
 
   const laborPct = Math.round((totalLabor / totalRevenue) * 100 * 10) / 10;
+  // Each day against its own profile's limit, weighted by its revenue.
+  const critical = weightedThreshold(thresholds, "laborPctCritical", weights);
+  const max = weightedThreshold(thresholds, "laborPctMax", weights);
 
-  if (laborPct >= thresholds.laborPctCritical) {
+  if (laborPct >= critical) {
     return makeAlert(tenantId, bizId, "labor_pct_exceeded", "critical",
       `×¢×××ª ××× ××× ×§×¨××××ª â ${laborPct}%`,
-      `×-7 ××××× ××××¨×× ×× ×¢×××ª ××× ××× ×¢××× ×¢× ${laborPct}% ××××× ×¡××ª (×¡×£: ${thresholds.laborPctCritical}%). ×¡×"× ×¢×××ª: ${totalLabor.toLocaleString()} âª, ×¡×"× ××× ×¡××ª: ${totalRevenue.toLocaleString()} âª.`,
-      laborPct, thresholds.laborPctCritical, today);
+      `×-7 ××××× ××××¨×× ×× ×¢×××ª ××× ××× ×¢××× ×¢× ${laborPct}% ××××× ×¡××ª (×¡×£: ${critical}%). ×¡×"× ×¢×××ª: ${totalLabor.toLocaleString()} âª, ×¡×"× ××× ×¡××ª: ${totalRevenue.toLocaleString()} âª.`,
+      laborPct, critical, today);
   }
 
-  if (laborPct >= thresholds.laborPctMax) {
+  if (laborPct >= max) {
     return makeAlert(tenantId, bizId, "labor_pct_exceeded", "warning",
       `×¢×××ª ××× ××× ××¢× ××¡×£ â ${laborPct}%`,
-      `×-7 ××××× ××××¨×× ×× ×¢×××ª ××× ××× ×¢××× ×¢× ${laborPct}% ××××× ×¡××ª (×¡×£: ${thresholds.laborPctMax}%). ×¡×"× ×¢×××ª: ${totalLabor.toLocaleString()} âª, ×¡×"× ××× ×¡××ª: ${totalRevenue.toLocaleString()} âª.`,
-      laborPct, thresholds.laborPctMax, today);
+      `×-7 ××××× ××××¨×× ×× ×¢×××ª ××× ××× ×¢××× ×¢× ${laborPct}% ××××× ×¡××ª (×¡×£: ${max}%). ×¡×"× ×¢×××ª: ${totalLabor.toLocaleString()} âª, ×¡×"× ××× ×¡××ª: ${totalRevenue.toLocaleString()} âª.`,
+      laborPct, max, today);
   }
 
   return null;
@@ -105,48 +183,51 @@ export async function checkLaborPct(
 export async function checkFoodCostPct(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert | null> {
-  const today = todayIso();
-  const db = getDb();
-  const start = daysAgoIso(7);
-
-  const snap = await db.ref(`tenants/${tenantId}/analytics/daily`)
-    .orderByKey().startAt(start).endAt(today).once("value");
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
+  const start = addDaysIso(today, -7);
 
-  const raw = snap.val();
+  const raw = await history.daily(start, today);
   if (!raw) return null;
 
-  const days = Object.values(raw) as any[];
   let totalFood = 0, totalRevenue = 0, count = 0;
+  const weights: DayWeight[] = [];
 
-  for (const day of days) {
+  for (const [date, day] of Object.entries(raw) as Array<[string, any]>) {
     const entries = typeof day === "object" ? Object.values(day) : [day];
+    let dayRevenue = 0;
     for (const entry of entries as any[]) {
       if (entry?.foodCost && entry?.revenue && entry.revenue > 0) {
         totalFood += Number(entry.foodCost);
         totalRevenue += Number(entry.revenue);
+        dayRevenue += Number(entry.revenue);
         count++;
       }
     }
+    if (dayRevenue > 0) weights.push({ date, weight: dayRevenue });
   }
 
   if (count === 0 || totalRevenue === 0) return null;
 
   const foodPct = Math.round((totalFood / totalRevenue) * 100 * 10) / 10;
+  const critical = weightedThreshold(thresholds, "foodCostPctCritical", weights);
+  const max = weightedThreshold(thresholds, "foodCostPctMax", weights);
 
-  if (foodPct >= thresholds.foodCostPctCritical) {
+  if (foodPct >= critical) {
     return makeAlert(tenantId, bizId, "food_cost_pct_exceeded", "critical",
       `×¢×××ª ×××× ×§×¨××××ª â ${foodPct}%`,
-      `×-7 ××××× ××××¨×× ×× ×¢×××ª ×××× ×¢××× ×¢× ${foodPct}% ××××× ×¡××ª (×¡×£: ${thresholds.foodCostPctCritical}%). ×¡×"× ×¢×××ª: ${totalFood.toLocaleString()} âª.`,
-      foodPct, thresholds.foodCostPctCritical, today);
+      `×-7 ××××× ××××¨×× ×× ×¢×××ª ×××× ×¢××× ×¢× ${foodPct}% ××××× ×¡××ª (×¡×£: ${critical}%). ×¡×"× ×¢×××ª: ${totalFood.toLocaleString()} âª.`,
+      foodPct, critical, today);
   }
 
-  if (foodPct >= thresholds.foodCostPctMax) {
+  if (foodPct >= max) {
     return makeAlert(tenantId, bizId, "food_cost_pct_exceeded", "warning",
       `×¢×××ª ×××× ××¢× ××¡×£ â ${foodPct}%`,
-      `×-7 ××××× ××××¨×× ×× ×¢×××ª ×××× ×¢××× ×¢× ${foodPct}% ××××× ×¡××ª (×¡×£: ${thresholds.foodCostPctMax}%). ×¡×"× ×¢×××ª: ${totalFood.toLocaleString()} âª.`,
-      foodPct, thresholds.foodCostPctMax, today);
+      `×-7 ××××× ××××¨×× ×× ×¢×××ª ×××× ×¢××× ×¢× ${foodPct}% ××××× ×¡××ª (×¡×£: ${max}%). ×¡×"× ×¢×××ª: ${totalFood.toLocaleString()} âª.`,
+      foodPct, max, today);
   }
 
   return null;
@@ -157,24 +238,23 @@ export async function checkFoodCostPct(
 export async function checkSupplierAnomaly(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert[]> {
   const alerts: FiredAlert[] = [];
-  const today = todayIso();
-  const db = getDb();
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
   // Read raw entries (last 28 days) to extract supplier payments
-  const start = daysAgoIso(28);
-  const snap = await db.ref(`tenants/${tenantId}/biz:${bizId}:entries`)
-    .orderByKey().startAt(start).endAt(today).once("value");
-
-  const raw = snap.val();
+  const start = addDaysIso(today, -28);
+  const raw = await history.entries(start, today);
   if (!raw) return alerts;
 
   // Parse entries and collect per-supplier payments
   const supplierPayments: Record<string, number[]> = {};
+  const lastPaidOn: Record<string, string> = {};
 
-  for (const [_date, entryRaw] of Object.entries(raw)) {
+  for (const [date, entryRaw] of Object.entries(raw)) {
     let entry: any = entryRaw;
     // Handle { _v: "JSON" } wrapper
     if (entry?._v && typeof entry._v === "string") {
@@ -187,13 +267,13 @@ export async function checkSupplierAnomaly(
       if (val > 0) {
         if (!supplierPayments[suppId]) supplierPayments[suppId] = [];
         supplierPayments[suppId].push(val);
+        lastPaidOn[suppId] = date;
       }
     }
   }
 
   // Load supplier names
-  const suppSnap = await db.ref(`tenants/${tenantId}/biz:${bizId}:suppliers`).once("value");
-  const suppliers = suppSnap.val() || {};
+  const suppliers = await history.suppliers();
 
   // Check each supplier: last payment vs average
   for (const [suppId, payments] of Object.entries(supplierPayments)) {
@@ -206,7 +286,8 @@ export async function checkSupplierAnomaly(
 
     const deviation = ((lastPayment - avgWithoutLast) / avgWithoutLast) * 100;
 
-    if (deviation >= thresholds.supplierDeviationPct) {
+    // Against the limit in force on the day of the payment.
+    if (deviation >= resolveThresholdsForDate(thresholds, lastPaidOn[suppId]).supplierDeviationPct) {
       const suppName = findSupplierName(suppliers, suppId);
       alerts.push(makeAlert(tenantId, bizId, "supplier_anomaly", "warning",
         `××××¤×ª ×¡×¤×§: ${suppName} â +${Math.round(deviation)}%`,
@@ -234,19 +315,17 @@ function findSupplierName(suppliers: any, id: string): string {
 export async function checkMinRevenue(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert | null> {
+  // Check yesterday (today's data may not be complete), against that day's floor
+  const yesterday = addDaysIso(options.asOf ?? todayIso(), -1);
+  thresholds = resolveThresholdsForDate(thresholds, yesterday);
   if (thresholds.minDailyRevenue <= 0) return null; // disabled
 
-  const today = todayIso();
-  const db = getDb();
-
-  // Check yesterday (today's data may not be complete)
-  const yesterday = daysAgoIso(1);
-  const snap = await db.ref(`tenants/${tenantId}/analytics/daily`)
-    .orderByKey().equalTo(yesterday).once("value");
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
-  const raw = snap.val();
+  const raw = await history.daily(yesterday, yesterday);
   if (!raw) return null;
 
   // Sum revenue for the day
@@ -273,23 +352,22 @@ export async function checkMinRevenue(
 export async function checkExpensiveEmployee(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert[]> {
   const alerts: FiredAlert[] = [];
-  const today = todayIso();
-  const db = getDb();
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
-  const start = daysAgoIso(28);
-  const snap = await db.ref(`tenants/${tenantId}/biz:${bizId}:entries`)
-    .orderByKey().startAt(start).endAt(today).once("value");
-
-  const raw = snap.val();
+  const start = addDaysIso(today, -28);
+  const raw = await history.entries(start, today);
   if (!raw) return alerts;
 
   // Collect per-employee payments
   const employeePayments: Record<string, number[]> = {};
+  const lastPaidOn: Record<string, string> = {};
 
-  for (const [_date, entryRaw] of Object.entries(raw)) {
+  for (const [date, entryRaw] of Object.entries(raw)) {
     let entry: any = entryRaw;
     if (entry?._v && typeof entry._v === "string") {
       try { entry = JSON.parse(entry._v); } catch { continue; }
@@ -301,6 +379,7 @@ export async function checkExpensiveEmployee(
       if (val > 0) {
         if (!employeePayments[empId]) employeePayments[empId] = [];
         employeePayments[empId].push(val);
+        lastPaidOn[empId] = date;
       }
     }
   }
@@ -316,7 +395,7 @@ export async function checkExpensiveEmployee(
 
     const deviation = ((lastPayment - avg) / avg) * 100;
 
-    if (deviation >= thresholds.employeeDeviationPct) {
+    if (deviation >= resolveThresholdsForDate(thresholds, lastPaidOn[empId]).employeeDeviationPct) {
       alerts.push(makeAlert(tenantId, bizId, "expensive_employee", "warning",
         `×¢××× ××§×¨: ${empId} â +${Math.round(deviation)}%`,
         `×ª×©××× ×××¨×× ××¢××× ${empId}: ${lastPayment.toLocaleString()} âª â ${Math.round(deviation)}% ××¢× ×××××¦×¢ ×©×× (${Math.round(avg).toLocaleString()} âª).`,
@@ -334,21 +413,20 @@ export async function checkExpensiveEmployee(
 export async function checkWeakDay(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert[]> {
   const alerts: FiredAlert[] = [];
-  const today = todayIso();
-  const db = getDb();
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
-  const start = daysAgoIso(28);
-  const snap = await db.ref(`tenants/${tenantId}/analytics/daily`)
-    .orderByKey().startAt(start).endAt(today).once("value");
-
-  const raw = snap.val();
+  const start = addDaysIso(today, -28);
+  const raw = await history.daily(start, today);
   if (!raw) return alerts;
 
   // Group revenue by day-of-week
   const dayRevenues: Record<number, number[]> = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  const dayDates: Record<number, DayWeight[]> = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
   const DAYS_HEB = ["×¨××©××", "×©× ×", "×©×××©×", "×¨×××¢×", "××××©×", "×©××©×", "×©××ª"];
 
   for (const [dateStr, dayData] of Object.entries(raw)) {
@@ -359,7 +437,10 @@ export async function checkWeakDay(
         rev += Number(entry?.revenue || 0);
       }
     }
-    if (rev > 0) dayRevenues[dow].push(rev);
+    if (rev > 0) {
+      dayRevenues[dow].push(rev);
+      dayDates[dow].push({ date: dateStr, weight: 1 });
+    }
   }
 
   // Calculate overall avg
@@ -377,7 +458,8 @@ export async function checkWeakDay(
     const dayAvg = revs.reduce((a, b) => a + b, 0) / revs.length;
     const deviation = ((overallAvg - dayAvg) / overallAvg) * 100;
 
-    if (deviation >= thresholds.weakDayDeviationPct) {
+    // The weekday's own dates, each with its profiles (a "Friday" profile applies here).
+    if (deviation >= weightedThreshold(thresholds, "weakDayDeviationPct", dayDates[dow])) {
       alerts.push(makeAlert(tenantId, bizId, "weak_day_detected", "info",
         `××× ×××©: ××× ${DAYS_HEB[dow]} â ${Math.round(deviation)}% ××ª××ª ×××××¦×¢`,
         `××××¦×¢ ××× ×¡××ª ×××× ${DAYS_HEB[dow]}: ${Math.round(dayAvg).toLocaleString()} âª â ${Math.round(deviation)}% ××ª××ª ×××××¦×¢ ××××× (${Math.round(overallAvg).toLocaleString()} âª). ××××¡×¡ ×¢× ${revs.length} ×©×××¢××ª.`,
@@ -395,25 +477,25 @@ export async function checkWeakDay(
 export async function checkPurchaseTrend(
   tenantId: string,
   bizId: string,
-  thresholds: AlertThresholds
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
 ): Promise<FiredAlert | null> {
-  const today = todayIso();
-  const db = getDb();
+  const today = options.asOf ?? todayIso();
+  const history = options.history ?? liveHistory(tenantId, bizId);
 
   // Compare last 7 days vs prior 7 days
-  const weekStart = daysAgoIso(7);
-  const priorStart = daysAgoIso(14);
+  const weekStart = addDaysIso(today, -7);
+  const priorStart = addDaysIso(today, -14);
 
-  const snap = await db.ref(`tenants/${tenantId}/analytics/daily`)
-    .orderByKey().startAt(priorStart).endAt(today).once("value");
-
-  const raw = snap.val();
+  const raw = await history.daily(priorStart, today);
   if (!raw) return null;
 
   let recentRevenue = 0, recentFood = 0, priorRevenue = 0, priorFood = 0;
+  const recentDays: DayWeight[] = [];
 
   for (const [dateStr, dayData] of Object.entries(raw)) {
     const isRecent = dateStr >= weekStart;
+    if (isRecent) recentDays.push({ date: dateStr, weight: 1 });
     if (typeof dayData === "object") {
       for (const entry of Object.values(dayData) as any[]) {
         const rev = Number(entry?.revenue || 0);
@@ -429,14 +511,115 @@ export async function checkPurchaseTrend(
   const purchaseGrowth = ((recentFood - priorFood) / priorFood) * 100;
   const revenueGrowth = ((recentRevenue - priorRevenue) / priorRevenue) * 100;
 
-  if (purchaseGrowth >= thresholds.purchaseRisePct &&
-      revenueGrowth <= thresholds.purchaseRevenueGapPct) {
+  // The week being judged, each day with its own profiles.
+  const risePct = weightedThreshold(thresholds, "purchaseRisePct", recentDays);
+  const revenueGapPct = weightedThreshold(thresholds, "purchaseRevenueGapPct", recentDays);
+
+  if (purchaseGrowth >= risePct && revenueGrowth <= revenueGapPct) {
     return makeAlert(tenantId, bizId, "purchase_trend_rising",
       purchaseGrowth >= 30 ? "critical" : "warning",
       `×¨×××©××ª ×¢××××ª +${Math.round(purchaseGrowth)}% â ××× ×¡××ª ${revenueGrowth > 0 ? "+" : ""}${Math.round(revenueGrowth)}%`,
       `×¨×××©××ª ×¢×× ×-${Math.round(purchaseGrowth)}% (${Math.round(recentFood).toLocaleString()} âª ××¢×××ª ${Math.round(priorFood).toLocaleString()} âª) ××× ××× ×¡××ª ${revenueGrowth >= 0 ? "×¢××" : "××¨××"} ×¨×§ ×-${Math.round(Math.abs(revenueGrowth))}%. ×¤×¢×¨ ××©××.`,
-      purchaseGrowth, thresholds.purchaseRisePct, today);
+      purchaseGrowth, risePct, today);
   }
 
   return null;
 }
+
+// ── 8. POS vs. Manual Entry Revenue Mismatch ──────────────────────────────────
+
+export async function checkPosRevenueMismatch(
+  tenantId: string,
+  bizId: string,
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
+): Promise<FiredAlert | null> {
+  // Yesterday: the cron runs after the POS import and the owner's evening entry.
+  const date = addDaysIso(options.asOf ?? todayIso(), -1);
+  thresholds = resolveThresholdsForDate(thresholds, date);
+  const history = options.history ?? liveHistory(tenantId, bizId);
+  const rec = await history.reconcile(date, thresholds.posReconcileTolerancePct);
+  if (!rec || rec.status !== "mismatch") return null;
+
+  const { total, inStore, delivery } = rec;
+  // Prefer the total line; a channel-only gap (e.g. delivery entered as sales)
+  // reports the worse channel instead.
+  const line = total.flagged
+    ? total
+    : [inStore, delivery].filter((l) => l.flagged).sort((a, b) => (b.gapPct ?? 0) - (a.gapPct ?? 0))[0];
+  const label = line === total ? "סה\"כ" : line === delivery ? "משלוחים" : "מכירות בבית העסק";
+  const gapPct = line.gapPct ?? 0;
+  const gap = line.gap ?? 0;
+
+  return makeAlert(tenantId, bizId, "pos_revenue_mismatch",
+    gapPct >= thresholds.posReconcileTolerancePct * 3 ? "critical" : "warning",
+    `פער בין ההזנה לקופה (${label}) — ${gapPct}%`,
+    `ב-${date} הוזנו ${(line.manual ?? 0).toLocaleString()} ₪ (${label}) בעוד שהקופה רשמה ${(line.pos ?? 0).toLocaleString()} ₪ — ${gap > 0 ? "עודף" : "חוסר"} של ${Math.abs(gap).toLocaleString()} ₪ (סף: ${thresholds.posReconcileTolerancePct}%). בדקו טעות הקלדה או מכירה שלא נרשמה.`,
+    gapPct, thresholds.posReconcileTolerancePct, date,
+    { manualTotal: total.manual, posTotal: total.pos, inStoreGap: inStore.gap, deliveryGap: delivery.gap }
+  );
+}
+
+// ── 9. Missing Manual Entries (data-health nudge) ─────────────────────────────
+
+export async function checkMissingEntries(
+  tenantId: string,
+  bizId: string,
+  thresholds: AlertThresholds,
+  options: CheckOptions = {}
+): Promise<FiredAlert | null> {
+  const yesterday = addDaysIso(options.asOf ?? todayIso(), -1);
+  if (!(thresholds.missingEntryDays > 0)) return null;
+  // Refreshed by the analytics cron (src/analytics/dataHealth.ts); closed weekdays never count.
+  const history = options.history ?? liveHistory(tenantId, bizId);
+  const report = await history.health(yesterday);
+  if (!report || report.entryGapDays < thresholds.missingEntryDays) return null;
+
+  const gap = report.entryGapDays;
+  const missingDates = [...report.missing.doc, ...report.missing.entry].sort().slice(-gap);
+  return makeAlert(tenantId, bizId, "missing_daily_entry",
+    gap >= 3 ? "warning" : "info",
+    gap === 1 ? `חסר רישום יומי ל-${report.to}` : `חסר רישום יומי ל-${gap} ימים`,
+    `לא הוזן רישום יומי ${gap === 1 ? `ל-${report.to}` : `מאז ${report.latestEntryDate ?? missingDates[0]}`}. בלי רישום אין ניתוח, התראות והשוואות לימים אלו — הזינו את הנתונים החסרים (שלמות הנתונים מאז ${report.from}: ${Math.round(report.score * 100)}%).`,
+    gap, thresholds.missingEntryDays, report.to,
+    { missingDates, score: report.score }
+  );
+}
+
+// ── 10. User-Defined Rules ────────────────────────────────────────────────────
+
+export async function checkCustomRules(
+  tenantId: string,
+  bizId: string
+): Promise<FiredAlert[]> {
+  const rules = (await getAlertRules(tenantId, bizId)).filter((r) => r.enabled);
+  if (rules.length === 0) return [];
+
+  // One read for all rules: enough history for the widest window. Ends
+  // yesterday — loadAnalyticsHistory reads the days before its anchor.
+  const lookback = Math.max(...rules.map(ruleLookbackDays));
+  const today = todayIso();
+  const docs = await loadAnalyticsHistory(tenantId, bizId, today, lookback);
+  const dates = Array.from({ length: lookback }, (_, i) => addDaysIso(today, -(i + 1)));
+  const reports = rulesNeedPos(rules)
+    ? await getStoredReports(tenantId, bizId, "daily_summary", dates).catch(() => [])
+    : [];
+
+  const docByDate = new Map(docs.map((d) => [d.date, d]));
+  const posByDate = new Map(reports.map((r) => [r.businessDate, r]));
+  const days: RuleDay[] = dates.map((date) => ({ date, doc: docByDate.get(date), pos: posByDate.get(date) }));
+
+  const alerts: FiredAlert[] = [];
+  for (const rule of rules) {
+    const evaluation = evaluateAlertRule(rule, days);
+    if (!evaluation?.fired) continue;
+    const { title, message } = describeRuleAlert(rule, evaluation);
+    // Dated by the newest day in the window: fires once per new day of data.
+    alerts.push(makeAlert(tenantId, bizId, "custom_rule", rule.severity,
+      title, message,
+      evaluation.value, rule.threshold, evaluation.dates[0],
+      { key: rule.id, ruleId: rule.id, ruleName: rule.name, metric: rule.metric, dates: evaluation.dates }
+    ));
+  }
+  return alerts;
+}
@@ -1,16 +1,180 @@
 // Marjin — Alert Config Repository
-// Reads/writes user-defined thresholds from Firebase.
+// Reads/writes user-defined thresholds from Firebase, including the weekday /
+// season profiles, and resolves them to the values in force on a date.
 
-import type { AlertThresholds } from "./types.js";
+import type { AlertThresholds, ProfileThresholdKey, ThresholdProfile } from "./types.js";
 import { DEFAULT_THRESHOLDS } from "./types.js";
 import { getDb } from "../firebase/admin.js";
+import { fail } from "../utils/httpError.js";
 
 function configRef(tenantId: string, bizId: string) {
   return getDb().ref(`tenants/${tenantId}/alert_config/${bizId}`);
 }
 
+export const MAX_THRESHOLD_PROFILES = 20;
+
+const NOT_PER_DATE: Array<keyof AlertThresholds> = ["missingEntryDays", "criticalEscalationMinutes"];
+
+/** The thresholds a profile may override (ProfileThresholdKey). */
+const PROFILE_KEYS = (Object.keys(DEFAULT_THRESHOLDS) as Array<keyof AlertThresholds>).filter(
+  (k): k is ProfileThresholdKey => typeof DEFAULT_THRESHOLDS[k] === "number" && !NOT_PER_DATE.includes(k)
+);
+
+/**
+ * RTDB drops empty arrays and may return a sparse one as an object. Overrides
+ * saved before a key stopped being per-date are dropped.
+ */
+function normalizeProfiles(raw: unknown): ThresholdProfile[] {
+  if (!raw || typeof raw !== "object") return [];
+  return (Object.values(raw) as ThresholdProfile[])
+    .filter((p) => p && typeof p === "object")
+    .map((p) => ({
+      ...p,
+      ...(p.weekdays ? { weekdays: Object.values(p.weekdays) } : {}),
+      overrides: Object.fromEntries(
+        Object.entries(p.overrides ?? {}).filter(([k]) => PROFILE_KEYS.includes(k as ProfileThresholdKey))
+      ),
+    }));
+}
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+const FULL_DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const MONTH_DAY = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Validate a full profile list (replaces the stored one). Assigns missing
+ * ids. Throws { status: 400 } naming the profile and field.
+ */
+export function validateThresholdProfiles(input: unknown): ThresholdProfile[] {
+  if (!Array.isArray(input)) fail(400, "profiles must be an array");
+  if (input.length > MAX_THRESHOLD_PROFILES) fail(400, `Up to ${MAX_THRESHOLD_PROFILES} profiles per business`);
+
+  const ids = new Set<string>();
+  return input.map((raw, i): ThresholdProfile => {
+    const where = `profiles[${i}]`;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail(400, `${where} must be an object`);
+    const p = raw as Record<string, unknown>;
+
+    const id = p.id === undefined || p.id === "" ? `profile_${i + 1}` : p.id;
+    if (typeof id !== "string" || !/^[a-z0-9_-]{1,40}$/i.test(id)) fail(400, `${where}.id must be 1–40 letters, digits, _ or -`);
+    if (ids.has(id)) fail(400, `${where}.id "${id}" is used twice`);
+    ids.add(id);
+
+    const name = typeof p.name === "string" ? p.name.trim() : "";
+    if (!name || name.length > 60) fail(400, `${where}.name is required (up to 60 characters)`);
+
+    let weekdays: number[] | undefined;
+    if (p.weekdays !== undefined && p.weekdays !== null) {
+      if (!Array.isArray(p.weekdays) || !p.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        fail(400, `${where}.weekdays must be an array of 0 (Sunday) … 6 (Saturday)`);
+      }
+      const unique = [...new Set(p.weekdays as number[])].sort((a, b) => a - b);
+      if (unique.length > 0 && unique.length < 7) weekdays = unique;
+    }
+
+    const { from, to } = p;
+    if ((from === undefined) !== (to === undefined)) fail(400, `${where} needs both from and to, or neither`);
+    if (from !== undefined) {
+      const full = typeof from === "string" && typeof to === "string" && FULL_DATE.test(from) && FULL_DATE.test(to);
+      const yearly = typeof from === "string" && typeof to === "string" && MONTH_DAY.test(from) && MONTH_DAY.test(to);
+      if (!full && !yearly) fail(400, `${where}.from / to must both be YYYY-MM-DD, or both MM-DD (every year)`);
+      if (full && (from as string) > (to as string)) fail(400, `${where}.from is after to`);
+    }
+    if (!weekdays && from === undefined) fail(400, `${where} needs weekdays or a from / to range`);
+
+    if (!p.overrides || typeof p.overrides !== "object" || Array.isArray(p.overrides)) {
+      fail(400, `${where}.overrides must be an object`);
+    }
+    const overrides: ThresholdProfile["overrides"] = {};
+    for (const [key, value] of Object.entries(p.overrides as Record<string, unknown>)) {
+      if (!PROFILE_KEYS.includes(key as ProfileThresholdKey)) {
+        fail(400, `${where}.overrides.${key} can't vary by date (${PROFILE_KEYS.join(", ")})`);
+      }
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        fail(400, `${where}.overrides.${key} must be a non-negative number`);
+      }
+      overrides[key as ProfileThresholdKey] = value;
+    }
+    if (Object.keys(overrides).length === 0) fail(400, `${where}.overrides is empty`);
+
+    return {
+      id,
+      name,
+      ...(weekdays ? { weekdays } : {}),
+      ...(from !== undefined ? { from: from as string, to: to as string } : {}),
+      overrides,
+    };
+  });
+}
+
+/**
+ * Validate a thresholds update (a partial AlertThresholds, as the `config`
+ * action takes) and rebuild it from the known keys; `profiles` goes through
+ * validateThresholdProfiles. Throws { status: 400 } naming the field.
+ */
+export function validateThresholds(input: unknown): Partial<AlertThresholds> {
+  if (!input || typeof input !== "object" || Array.isArray(input)) fail(400, "thresholds must be an object");
+  const update: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(input as Record<string, unknown>)) {
+    if (key === "profiles") {
+      update.profiles = validateThresholdProfiles(value ?? []);
+    } else if (!(key in DEFAULT_THRESHOLDS)) {
+      fail(400, `unknown threshold "${key}"`);
+    } else if (typeof DEFAULT_THRESHOLDS[key as keyof AlertThresholds] === "boolean") {
+      if (typeof value !== "boolean") fail(400, `${key} must be true or false`);
+      update[key] = value;
+    } else {
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        fail(400, `${key} must be a non-negative number`);
+      }
+      update[key] = value;
+    }
+  }
+  return update as Partial<AlertThresholds>;
+}
+
+function inRange(profile: ThresholdProfile, date: string): boolean {
+  if (!profile.from || !profile.to) return true;
+  if (profile.from.length === 10) return date >= profile.from && date <= profile.to;
+  const md = date.slice(5);
+  return profile.from <= profile.to
+    ? md >= profile.from && md <= profile.to
+    : md >= profile.from || md <= profile.to; // wraps the new year
+}
+
+export function profileMatchesDate(profile: ThresholdProfile, date: string): boolean {
+  if (profile.weekdays && !profile.weekdays.includes(new Date(`${date}T12:00:00Z`).getUTCDay())) return false;
+  return inRange(profile, date);
+}
+
+/** weekday < yearly range < yearly range + weekday < one-off range (+ weekday). */
+function specificity(profile: ThresholdProfile): number {
+  const range = !profile.from ? 0 : profile.from.length === 10 ? 4 : 2;
+  return (profile.weekdays ? 1 : 0) + range;
+}
+
+/**
+ * The thresholds in force on `date`: the flat values, overridden by every
+ * matching profile — the more specific one winning (a one-off "war mode"
+ * over "Thursday in summer" over "summer" over "Thursday"), list order
+ * breaking ties.
+ */
+export function resolveThresholdsForDate(thresholds: AlertThresholds, date: string): AlertThresholds {
+  const matching = (thresholds.profiles ?? [])
+    .map((profile, index) => ({ profile, index }))
+    .filter(({ profile }) => profileMatchesDate(profile, date))
+    .sort((a, b) => specificity(a.profile) - specificity(b.profile) || a.index - b.index);
+  const resolved: AlertThresholds = { ...thresholds };
+  for (const { profile } of matching) Object.assign(resolved, profile.overrides);
+  return resolved;
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
 /**
- * Get alert thresholds for a biz. Returns defaults if not configured.
+ * Get alert thresholds for a biz, with its profiles. Returns defaults if not
+ * configured. Checkers resolve them per date (resolveThresholdsForDate).
  */
 export async function getThresholds(
   tenantId: string,
@@ -21,25 +185,26 @@ export async function getThresholds(
     const raw = snap.val();
     if (!raw) return { ...DEFAULT_THRESHOLDS };
     // Merge with defaults so new fields always have values
-    return { ...DEFAULT_THRESHOLDS, ...raw };
+    return { ...DEFAULT_THRESHOLDS, ...raw, profiles: normalizeProfiles(raw.profiles) };
   } catch {
     return { ...DEFAULT_THRESHOLDS };
   }
 }
 
 /**
- * Save alert thresholds for a biz. Partial update allowed.
+ * Save alert thresholds for a biz. Partial update allowed, validated by
+ * validateThresholds; `profiles`, when present, replaces the stored list.
  */
 export async function saveThresholds(
   tenantId: string,
   bizId: string,
   thresholds: Partial<AlertThresholds>
 ): Promise<void> {
-  await configRef(tenantId, bizId).update(thresholds);
+  await configRef(tenantId, bizId).update(validateThresholds(thresholds));
 }
 
 /**
- * Reset thresholds to defaults.
+ * Reset thresholds to defaults (drops the profiles).
  */
 export async function resetThresholds(
   tenantId: string,
@@ -0,0 +1,129 @@
+// Marjin — Critical Alert Escalation
+// A critical alert nobody acknowledged, assigned or resolved within the biz's
+// criticalEscalationMinutes is WhatsApped to the owner, once, and the
+// escalation recorded in the alert's history.
+//
+// Runs at the end of the daily alerts cron (for criticals left from earlier
+// runs) and on GET /api/alerts/run?escalate=1, which the external scheduler
+// that drives the siren poll also calls every minute.
+
+import type { AlertThresholds, FiredAlert } from "./types.js";
+import { getThresholds } from "./configRepo.js";
+import { getAlert, getPendingAcknowledgements, removePendingAcknowledgement, saveAlert } from "./alertsRepo.js";
+import { acknowledgementDueFrom, awaitsAcknowledgement, effectiveAlertStatus } from "./lifecycle.js";
+import { getDb } from "../firebase/admin.js";
+import { hasUsablePhone, toIntlPhone } from "../utils/phone.js";
+import { sendWhatsApp } from "../../lib/sendWhatsApp.js";
+import { alertEscalationMessage } from "../../lib/whatsappMessages.js";
+
+export interface EscalationRunResult {
+  checked: number;
+  escalated: number;
+  messagesSent: number;
+  errors: string[];
+}
+
+interface OwnerContact {
+  bizName: string;
+  phones: string[];
+}
+
+async function getOwnerContact(tenantId: string, bizId: string): Promise<OwnerContact> {
+  const db = getDb();
+  const [usersSnap, bizSnap] = await Promise.all([
+    db.ref(`tenants/${tenantId}/app/users`).once("value"),
+    db.ref(`tenants/${tenantId}/app/business`).once("value"),
+  ]);
+  let users: any[] = [];
+  let bizList: any[] = [];
+  try { users = JSON.parse(usersSnap.val()?._v || "[]"); } catch (_) {}
+  try { bizList = JSON.parse(bizSnap.val()?._v || "[]"); } catch (_) {}
+
+  const phones = users
+    .filter((u) => (u?.role === "owner" || u?.role === "super_owner") && hasUsablePhone(u?.phone))
+    .map((u) => toIntlPhone(u.phone));
+  const bizName = bizList.find((b) => String(b?.id) === bizId)?.name || bizList[0]?.name || tenantId;
+  return { bizName, phones: [...new Set(phones)] };
+}
+
+function israelTime(iso: string): string {
+  return new Date(iso).toLocaleTimeString("he-IL", {
+    timeZone: "Asia/Jerusalem",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Escalate every overdue critical in the pending-acknowledgement index.
+ */
+export async function escalateOverdueAlerts(now: number = Date.now()): Promise<EscalationRunResult> {
+  const result: EscalationRunResult = { checked: 0, escalated: 0, messagesSent: 0, errors: [] };
+  const thresholdsByBiz = new Map<string, AlertThresholds>();
+  const contacts = new Map<string, OwnerContact>();
+
+  for (const { tenantId, bizId, alertId } of await getPendingAcknowledgements()) {
+    result.checked++;
+    try {
+      const alert = await getAlert(tenantId, bizId, alertId);
+      if (!alert || !awaitsAcknowledgement(alert)) {
+        await removePendingAcknowledgement(tenantId, bizId, alertId);
+        continue;
+      }
+      const bizKey = `${tenantId}:${bizId}`;
+      if (!thresholdsByBiz.has(bizKey)) {
+        thresholdsByBiz.set(bizKey, await getThresholds(tenantId, bizId));
+      }
+      const thresholds = thresholdsByBiz.get(bizKey)!;
+
+      const minutes = thresholds.criticalEscalationMinutes;
+      if (!(minutes > 0)) continue;
+      if (effectiveAlertStatus(alert, now) !== "open") continue; // still snoozed
+      const minutesOpen = Math.floor((now - acknowledgementDueFrom(alert)) / 60_000);
+      if (minutesOpen < minutes) continue;
+
+      if (!contacts.has(bizKey)) contacts.set(bizKey, await getOwnerContact(tenantId, bizId));
+      const { bizName, phones } = contacts.get(bizKey)!;
+
+      let sent = 0;
+      if (thresholds.whatsappEnabled) {
+        const message = alertEscalationMessage({
+          bizName,
+          title: alert.title,
+          message: alert.message,
+          firedTime: israelTime(alert.firedAt),
+          minutesOpen,
+        });
+        for (const phone of phones) {
+          try {
+            await sendWhatsApp(phone, message);
+            sent++;
+          } catch (e: any) {
+            result.errors.push(`whatsapp: ${e.message}`);
+          }
+        }
+      }
+
+      // Every send failed — leave it pending and retry on the next run.
+      if (thresholds.whatsappEnabled && phones.length > 0 && sent === 0) continue;
+
+      const at = new Date(now).toISOString();
+      const note = sent > 0
+        ? `נשלח לבעלים ב-WhatsApp אחרי ${minutesOpen} דקות ללא אישור`
+        : !thresholds.whatsappEnabled
+          ? "WhatsApp כבוי לעסק — ההסלמה לא נשלחה"
+          : "אין לבעלים מספר טלפון — ההסלמה לא נשלחה";
+      const escalated: FiredAlert = {
+        ...alert,
+        escalatedAt: at,
+        history: [...(alert.history ?? []), { action: "escalated", status: effectiveAlertStatus(alert, now), at, note }],
+      };
+      await saveAlert(escalated);
+      result.escalated++;
+      result.messagesSent += sent;
+    } catch (e: any) {
+      result.errors.push(`${tenantId}:${bizId}:${alertId}: ${e.message}`);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,125 @@
+// Marjin — Alert Lifecycle
+// open → acknowledged / snoozed / assigned → resolved, each change with an
+// optional note and recorded in the alert's history. Pure — alertsRepo
+// persists, escalation.ts WhatsApps the owner about criticals left open.
+
+import type { AlertAction, AlertHistoryEntry, AlertStatus, FiredAlert } from "./types.js";
+import { fail } from "../utils/httpError.js";
+
+export const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * The status as of `now`: legacy alerts (no status) are open or, when
+ * dismissed, resolved; a snooze that ran out is open again.
+ */
+export function effectiveAlertStatus(alert: FiredAlert, now: number = Date.now()): AlertStatus {
+  const status = alert.status ?? (alert.dismissed ? "resolved" : "open");
+  if (status === "snoozed" && (!alert.snoozedUntil || Date.parse(alert.snoozedUntil) <= now)) return "open";
+  return status;
+}
+
+/** Shown in the active list: not resolved, not snoozed. */
+export function isAlertActive(alert: FiredAlert, now: number = Date.now()): boolean {
+  const status = effectiveAlertStatus(alert, now);
+  return status !== "resolved" && status !== "snoozed";
+}
+
+/**
+ * A critical nobody has acknowledged, assigned or resolved (a snooze only
+ * postpones it) and that hasn't been escalated yet — kept in the escalation
+ * index while true.
+ */
+export function awaitsAcknowledgement(alert: FiredAlert): boolean {
+  const status = alert.status ?? (alert.dismissed ? "resolved" : "open");
+  return alert.severity === "critical" && !alert.escalatedAt && (status === "open" || status === "snoozed");
+}
+
+/** When the escalation clock started: firing, or the end of the latest snooze. */
+export function acknowledgementDueFrom(alert: FiredAlert): number {
+  const fired = Date.parse(alert.firedAt);
+  const snoozed = alert.snoozedUntil ? Date.parse(alert.snoozedUntil) : NaN;
+  return Number.isFinite(snoozed) && snoozed > fired ? snoozed : fired;
+}
+
+export interface AlertActionInput {
+  action: AlertAction;
+  note?: string;
+  by?: string;                     // verified user (email, else uid) — set by the API, not the client
+  snoozeMinutes?: number;          // snooze: this, or snoozedUntil
+  snoozedUntil?: string;
+  assignedTo?: { id: string; name: string }; // assign
+}
+
+const ACTIONS: AlertAction[] = ["acknowledge", "snooze", "assign", "resolve", "reopen"];
+
+/**
+ * Apply a lifecycle action and return the updated alert (the input is not
+ * mutated). Throws { status: 400 } on a bad input and { status: 409 } on a
+ * change the current status doesn't allow — anything but reopen on a
+ * resolved alert, or reopen on an unresolved one.
+ */
+export function applyAlertAction(alert: FiredAlert, input: AlertActionInput, now: number = Date.now()): FiredAlert {
+  if (!ACTIONS.includes(input?.action)) fail(400, `action must be one of: ${ACTIONS.join(", ")}`);
+  const note = typeof input.note === "string" ? input.note.trim() : "";
+  if (note.length > MAX_NOTE_LENGTH) fail(400, `note is limited to ${MAX_NOTE_LENGTH} characters`);
+  const by = typeof input.by === "string" && input.by.trim() ? input.by.trim().slice(0, 80) : undefined;
+
+  const current = effectiveAlertStatus(alert, now);
+  if (input.action === "reopen" ? current !== "resolved" : current === "resolved") {
+    fail(409, input.action === "reopen" ? "alert is not resolved" : "alert is resolved — reopen it first");
+  }
+
+  const at = new Date(now).toISOString();
+  const next: FiredAlert = { ...alert, history: [...(alert.history ?? [])] };
+  delete next.snoozedUntil;
+  let status: AlertStatus;
+
+  switch (input.action) {
+    case "acknowledge":
+      status = "acknowledged";
+      break;
+    case "snooze": {
+      const until = input.snoozedUntil !== undefined
+        ? Date.parse(input.snoozedUntil)
+        : now + Number(input.snoozeMinutes) * 60_000;
+      if (!Number.isFinite(until) || until <= now) fail(400, "snooze needs a future snoozedUntil or a positive snoozeMinutes");
+      if (until - now > MAX_SNOOZE_MINUTES * 60_000) fail(400, `snooze is limited to ${MAX_SNOOZE_MINUTES / 1440} days`);
+      status = "snoozed";
+      next.snoozedUntil = new Date(until).toISOString();
+      break;
+    }
+    case "assign": {
+      const id = typeof input.assignedTo?.id === "string" ? input.assignedTo.id.trim() : "";
+      if (!id) fail(400, "assign needs assignedTo: { id, name }");
+      status = "assigned";
+      next.assignedTo = { id, name: String(input.assignedTo?.name ?? "").trim().slice(0, 80) };
+      break;
+    }
+    case "resolve":
+      status = "resolved";
+      break;
+    case "reopen":
+      status = "open";
+      delete next.assignedTo;
+      break;
+  }
+
+  next.status = status;
+  next.dismissed = status === "resolved";
+  if (note) next.statusNote = note;
+  else delete next.statusNote;
+
+  const entry: AlertHistoryEntry = {
+    action: input.action,
+    status,
+    at,
+    ...(by ? { by } : {}),
+    ...(note ? { note } : {}),
+    ...(next.snoozedUntil ? { snoozedUntil: next.snoozedUntil } : {}),
+    ...(input.action === "assign" && next.assignedTo ? { assignedTo: next.assignedTo } : {}),
+  };
+  next.history!.push(entry);
+  return next;
+}
@@ -0,0 +1,217 @@
+// Marjin — User-Defined Alert Rules
+// Validates and evaluates declarative AlertRules against the daily analytics
+// docs (manual entry) and POS daily summaries. Pure — checkCustomRules
+// (checkers.ts) loads the data, the API validates and saves through here.
+
+import type {
+  AlertRule,
+  AlertRuleAggregation,
+  AlertRuleComparator,
+  AlertRuleMetric,
+  AlertSeverity,
+} from "./types.js";
+import type { AnalyticsDoc } from "../analytics/dailyBuilder.js";
+import type { NormalizedSalesReport } from "../pos/types.js";
+import { fail } from "../utils/httpError.js";
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+
+export interface RuleDay {
+  date: string;                    // ISO date
+  doc?: AnalyticsDoc;
+  pos?: NormalizedSalesReport;     // daily_summary, when the biz has POS
+}
+
+interface MetricDef {
+  label: string;                   // Hebrew
+  unit: "₪" | "%" | "";
+  source: "entry" | "pos" | "alerts";
+  /** null = no value that day (no entry, no POS report, zero revenue…) — the day is skipped. */
+  value: (day: RuleDay) => number | null;
+}
+
+const entryRevenue = (day: RuleDay) => (day.doc?.revenue?.had_entry ? day.doc.revenue : null);
+
+const shareOfRevenue = (pick: (r: AnalyticsDoc["revenue"]) => number) => (day: RuleDay) => {
+  const r = entryRevenue(day);
+  return r && r.total > 0 ? (Number(pick(r) || 0) / r.total) * 100 : null;
+};
+
+export const RULE_METRICS: Record<AlertRuleMetric, MetricDef> = {
+  revenue_total: { label: "הכנסות", unit: "₪", source: "entry", value: (d) => entryRevenue(d)?.total ?? null },
+  sales: { label: "מכירות בבית העסק", unit: "₪", source: "entry", value: (d) => entryRevenue(d)?.sales ?? null },
+  deliveries: { label: "משלוחים", unit: "₪", source: "entry", value: (d) => entryRevenue(d)?.deliveries ?? null },
+  delivery_share_pct: { label: "אחוז משלוחים", unit: "%", source: "entry", value: shareOfRevenue((r) => r.deliveries) },
+  food_cost_pct: { label: "עלות מזון", unit: "%", source: "entry", value: shareOfRevenue((r) => r.food_cost) },
+  labor_pct: { label: "עלות כוח אדם", unit: "%", source: "entry", value: shareOfRevenue((r) => r.payroll) },
+  avg_check: { label: "ממוצע חשבון", unit: "₪", source: "pos", value: (d) => d.pos?.avgCheck ?? null },
+  tickets: { label: "מספר חשבונות", unit: "", source: "pos", value: (d) => d.pos?.tickets ?? null },
+  alert_minutes: {
+    label: "דקות מקלט בשעות הפעילות",
+    unit: "",
+    source: "alerts",
+    value: (d) => (d.doc?.alerts ? d.doc.alerts.open_minutes ?? d.doc.alerts.alert_minutes : null),
+  },
+};
+
+const AGGREGATIONS: Record<AlertRuleAggregation, string> = {
+  avg: "ממוצע",
+  sum: "סה\"כ",
+  min: "מינימום",
+  max: "מקסימום",
+};
+
+const COMPARATORS: Record<AlertRuleComparator, { label: string; test: (v: number, t: number) => boolean }> = {
+  ">": { label: "מעל ", test: (v, t) => v > t },
+  ">=": { label: "לפחות ", test: (v, t) => v >= t },
+  "<": { label: "מתחת ל-", test: (v, t) => v < t },
+  "<=": { label: "לכל היותר ", test: (v, t) => v <= t },
+};
+
+const SEVERITIES: AlertSeverity[] = ["critical", "warning", "info"];
+
+export const MAX_RULES_PER_BIZ = 20;
+export const MAX_RULE_WINDOW_DAYS = 30;
+/** How far back a rule looks for its windowDays of matching days. */
+export const MAX_RULE_LOOKBACK_DAYS = 60;
+
+const DAYS_HEB = ["א׳", "ב׳", "ג׳", "ד׳", "ה׳", "ו׳", "ש׳"];
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+function oneOf<T extends string>(value: unknown, allowed: readonly T[], field: string): T {
+  if (typeof value !== "string" || !allowed.includes(value as T)) {
+    fail(400, `${field} must be one of: ${allowed.join(", ")}`);
+  }
+  return value as T;
+}
+
+/**
+ * Validate a rule from the client and return it normalized. Keeps `id` and
+ * `createdAt` when given (an edit), else assigns them. Throws { status: 400 }
+ * naming the first bad field.
+ */
+export function validateAlertRule(input: unknown, now: Date = new Date()): AlertRule {
+  if (!input || typeof input !== "object" || Array.isArray(input)) fail(400, "rule must be an object");
+  const r = input as Record<string, unknown>;
+
+  const id = r.id === undefined || r.id === "" ? `rule_${now.getTime().toString(36)}` : r.id;
+  if (typeof id !== "string" || !/^[a-z0-9_-]{1,40}$/i.test(id)) {
+    fail(400, "id must be 1–40 letters, digits, _ or -");
+  }
+
+  const name = typeof r.name === "string" ? r.name.trim() : "";
+  if (!name || name.length > 80) fail(400, "name is required (up to 80 characters)");
+
+  const metric = oneOf(r.metric, Object.keys(RULE_METRICS) as AlertRuleMetric[], "metric");
+  const aggregation = oneOf(r.aggregation, Object.keys(AGGREGATIONS) as AlertRuleAggregation[], "aggregation");
+  if (aggregation === "sum" && RULE_METRICS[metric].unit === "%") {
+    fail(400, `aggregation "sum" is meaningless for a percentage (${metric}); use avg, min or max`);
+  }
+  const comparator = oneOf(r.comparator, Object.keys(COMPARATORS) as AlertRuleComparator[], "comparator");
+  const severity = oneOf(r.severity ?? "warning", SEVERITIES, "severity");
+
+  const windowDays = Number(r.windowDays);
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_RULE_WINDOW_DAYS) {
+    fail(400, `windowDays must be a whole number between 1 and ${MAX_RULE_WINDOW_DAYS}`);
+  }
+
+  const threshold = typeof r.threshold === "string" && r.threshold.trim() ? Number(r.threshold) : r.threshold;
+  if (typeof threshold !== "number" || !Number.isFinite(threshold)) fail(400, "threshold must be a number");
+
+  let weekdays: number[] | undefined;
+  if (r.weekdays !== undefined && r.weekdays !== null) {
+    if (!Array.isArray(r.weekdays) || !r.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      fail(400, "weekdays must be an array of 0 (Sunday) … 6 (Saturday)");
+    }
+    const unique = [...new Set(r.weekdays as number[])].sort((a, b) => a - b);
+    // Empty or all seven = no filter.
+    if (unique.length > 0 && unique.length < 7) weekdays = unique;
+  }
+
+  if (r.enabled !== undefined && typeof r.enabled !== "boolean") fail(400, "enabled must be true or false");
+
+  const nowIso = now.toISOString();
+  return {
+    id,
+    name,
+    metric,
+    aggregation,
+    windowDays,
+    comparator,
+    threshold,
+    ...(weekdays ? { weekdays } : {}),
+    severity,
+    enabled: r.enabled !== false,
+    createdAt: typeof r.createdAt === "string" ? r.createdAt : nowIso,
+    updatedAt: nowIso,
+  };
+}
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+export interface AlertRuleEvaluation {
+  fired: boolean;
+  value: number;                   // aggregated, rounded to 0.1
+  dates: string[];                 // the window's days, newest first
+}
+
+/** Calendar days of history that cover a rule's window, given its weekday filter. */
+export function ruleLookbackDays(rule: AlertRule): number {
+  const perWeek = rule.weekdays?.length || 7;
+  return Math.min(MAX_RULE_LOOKBACK_DAYS, Math.ceil((rule.windowDays * 7) / perWeek) + 7);
+}
+
+/**
+ * Evaluate a rule over the days given (any order). Uses the newest
+ * `windowDays` days that pass the weekday filter and have a value; null when
+ * there are fewer — a rule never fires on partial data.
+ */
+export function evaluateAlertRule(rule: AlertRule, days: RuleDay[]): AlertRuleEvaluation | null {
+  const def = RULE_METRICS[rule.metric];
+  const window: Array<{ date: string; value: number }> = [];
+  for (const day of [...days].sort((a, b) => b.date.localeCompare(a.date))) {
+    if (rule.weekdays && !rule.weekdays.includes(new Date(`${day.date}T12:00:00Z`).getUTCDay())) continue;
+    const value = def.value(day);
+    if (value === null || !Number.isFinite(value)) continue;
+    window.push({ date: day.date, value });
+    if (window.length === rule.windowDays) break;
+  }
+  if (window.length < rule.windowDays) return null;
+
+  const values = window.map((w) => w.value);
+  const sum = values.reduce((s, v) => s + v, 0);
+  const aggregated =
+    rule.aggregation === "sum" ? sum
+    : rule.aggregation === "min" ? Math.min(...values)
+    : rule.aggregation === "max" ? Math.max(...values)
+    : sum / values.length;
+  const value = Math.round(aggregated * 10) / 10;
+
+  return {
+    fired: COMPARATORS[rule.comparator].test(value, rule.threshold),
+    value,
+    dates: window.map((w) => w.date),
+  };
+}
+
+function formatValue(value: number, unit: MetricDef["unit"]): string {
+  const n = value.toLocaleString();
+  return unit === "₪" ? `${n} ₪` : unit === "%" ? `${n}%` : n;
+}
+
+/** Hebrew headline + detail for a fired rule. */
+export function describeRuleAlert(rule: AlertRule, evaluation: AlertRuleEvaluation): { title: string; message: string } {
+  const def = RULE_METRICS[rule.metric];
+  const days = rule.weekdays ? ` (ימים ${rule.weekdays.map((d) => DAYS_HEB[d]).join(", ")})` : "";
+  const window = rule.windowDays === 1 ? "ביום האחרון" : `ב-${rule.windowDays} הימים האחרונים`;
+  return {
+    title: `${rule.name} — ${formatValue(evaluation.value, def.unit)}`,
+    message: `${AGGREGATIONS[rule.aggregation]} ${def.label} ${window}${days}: ${formatValue(evaluation.value, def.unit)} — ${COMPARATORS[rule.comparator].label}${formatValue(rule.threshold, def.unit)} (חוק "${rule.name}"). ימים: ${[...evaluation.dates].reverse().join(", ")}.`,
+  };
+}
+
+/** Whether any rule needs POS daily summaries (saves the reads otherwise). */
+export function rulesNeedPos(rules: AlertRule[]): boolean {
+  return rules.some((r) => RULE_METRICS[r.metric].source === "pos");
+}
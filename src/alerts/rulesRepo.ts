@@ -0,0 +1,48 @@
+// Marjin — Alert Rules Repository
+// Reads/writes user-defined rules (rules.ts validates them first).
+
+import type { AlertRule } from "./types.js";
+import { getDb } from "../firebase/admin.js";
+
+function rulesRef(tenantId: string, bizId: string) {
+  return getDb().ref(`tenants/${tenantId}/alert_rules/${bizId}`);
+}
+
+/**
+ * Get all rules for a biz, oldest first. Empty if none.
+ */
+export async function getAlertRules(
+  tenantId: string,
+  bizId: string
+): Promise<AlertRule[]> {
+  try {
+    const snap = await rulesRef(tenantId, bizId).once("value");
+    const raw = snap.val();
+    if (!raw) return [];
+    return (Object.values(raw) as AlertRule[]).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save (create or replace) a validated rule.
+ */
+export async function saveAlertRule(
+  tenantId: string,
+  bizId: string,
+  rule: AlertRule
+): Promise<void> {
+  await rulesRef(tenantId, bizId).child(rule.id).set(rule);
+}
+
+/**
+ * Delete a rule. Alerts it already fired stay.
+ */
+export async function deleteAlertRule(
+  tenantId: string,
+  bizId: string,
+  ruleId: string
+): Promise<void> {
+  await rulesRef(tenantId, bizId).child(ruleId).remove();
+}
@@ -1,5 +1,5 @@
 // Marjin — Alert Runner
-// Runs all 7 checkers, deduplicates, saves results, sends email digest.
+// Runs all 9 checkers and the tenant's own rules, deduplicates, saves results, sends email digest.
 // Called by Vercel cron or manual trigger.
 
 import type { FiredAlert } from "./types.js";
@@ -13,6 +13,9 @@ import {
   checkExpensiveEmployee,
   checkWeakDay,
   checkPurchaseTrend,
+  checkPosRevenueMismatch,
+  checkMissingEntries,
+  checkCustomRules,
 } from "./checkers.js";
 
 // ── Run All Checks for a Biz ──────────────────────────────────────────────────
@@ -27,7 +30,7 @@ export interface AlertRunResult {
 }
 
 /**
- * Run all 7 checkers for a single biz.
+ * Run all 9 checkers and the biz's user-defined rules for a single biz.
  * Deduplicates (no duplicate alert on same day).
  * Saves to Firebase and collects alerts for email digest.
  */
@@ -85,6 +88,21 @@ export async function runAlertsForBiz(
     if (purchases) candidates.push(purchases);
   } catch (e: any) { result.errors.push(`purchases: ${e.message}`); }
 
+  try {
+    const pos = await checkPosRevenueMismatch(tenantId, bizId, thresholds);
+    if (pos) candidates.push(pos);
+  } catch (e: any) { result.errors.push(`pos_reconcile: ${e.message}`); }
+
+  try {
+    const entries = await checkMissingEntries(tenantId, bizId, thresholds);
+    if (entries) candidates.push(entries);
+  } catch (e: any) { result.errors.push(`missing_entries: ${e.message}`); }
+
+  try {
+    const custom = await checkCustomRules(tenantId, bizId);
+    candidates.push(...custom);
+  } catch (e: any) { result.errors.push(`custom_rules: ${e.message}`); }
+
   // Deduplicate + save
   const firedAlerts: FiredAlert[] = [];
   for (const alert of candidates) {
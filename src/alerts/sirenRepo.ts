@@ -0,0 +1,80 @@
+// Marjin — Siren Events Repository
+// Live shelter episodes per biz, plus a root index of the open ones so the
+// poller finds them without scanning every tenant.
+
+import type { SirenEvent } from "./types.js";
+import { getDb } from "../firebase/admin.js";
+
+function eventsRef(tenantId: string, bizId: string) {
+  return getDb().ref(`tenants/${tenantId}/siren_events/${bizId}`);
+}
+
+function activeIndexRef() {
+  return getDb().ref("siren_active");
+}
+
+/** RTDB drops empty arrays — restore them on read. */
+function normalize(raw: any): SirenEvent {
+  return {
+    ...raw,
+    areas: Array.isArray(raw?.areas) ? raw.areas : [],
+    orefAlertIds: Array.isArray(raw?.orefAlertIds) ? raw.orefAlertIds : [],
+    notifiedPhones: Array.isArray(raw?.notifiedPhones) ? raw.notifiedPhones : [],
+  };
+}
+
+/**
+ * Save an event and keep the open-events index in step with its status.
+ */
+export async function saveSirenEvent(event: SirenEvent): Promise<void> {
+  await eventsRef(event.tenantId, event.bizId).child(event.id).set(event);
+  const indexKey = `${event.tenantId}:${event.bizId}`;
+  if (event.status === "active") {
+    await activeIndexRef().child(indexKey).set({ tenantId: event.tenantId, bizId: event.bizId, eventId: event.id });
+  } else {
+    await activeIndexRef().child(indexKey).remove();
+  }
+}
+
+/**
+ * Every open event, across all tenants (one per biz at most).
+ */
+export async function getActiveSirenEvents(): Promise<SirenEvent[]> {
+  const snap = await activeIndexRef().once("value");
+  const index = snap.val();
+  if (!index) return [];
+  const events: SirenEvent[] = [];
+  for (const entry of Object.values(index) as any[]) {
+    if (!entry?.tenantId || !entry?.bizId || !entry?.eventId) continue;
+    const eventSnap = await eventsRef(entry.tenantId, entry.bizId).child(entry.eventId).once("value");
+    if (eventSnap.exists()) events.push(normalize(eventSnap.val()));
+  }
+  return events;
+}
+
+/**
+ * Recent events for a biz (last N days), newest first — the disruption log.
+ */
+export async function getRecentSirenEvents(
+  tenantId: string,
+  bizId: string,
+  sinceDaysAgo: number = 7
+): Promise<SirenEvent[]> {
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - sinceDaysAgo);
+
+    const snap = await eventsRef(tenantId, bizId)
+      .orderByChild("startedAt")
+      .startAt(cutoff.toISOString())
+      .once("value");
+
+    const raw = snap.val();
+    if (!raw) return [];
+    return (Object.values(raw) as any[])
+      .map(normalize)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,426 @@
+// Marjin — Live Siren Poller
+// Server-side twin of the browser's /api/oref proxy: polls Oref's live alert
+// feed, matches it against every active biz's resolved areas, stores a siren
+// event per biz and WhatsApps whoever is on shift — then an "all clear" when
+// Oref says the event is over, or after the shelter window passes quietly.
+//
+// Vercel crons run at most daily, so an external scheduler calls
+// GET /api/alerts/run?sirens=1&seconds=3 every ~6 seconds: each invocation
+// polls twice, POLL_INTERVAL_MS apart, and ends well inside the ~10s Hobby
+// function limit (vercel.json sets no maxDuration).
+
+import type { SirenEvent } from "./types.js";
+import { getThresholds } from "./configRepo.js";
+import { getActiveSirenEvents, saveSirenEvent } from "./sirenRepo.js";
+import { getBizAlertAreas } from "../analytics/dailyBuilder.js";
+import { resolveShelterMinutes } from "../analytics/alertEpisodes.js";
+import { getDb } from "../firebase/admin.js";
+import { hasUsablePhone, toIntlPhone } from "../utils/phone.js";
+import { sendWhatsApp } from "../../lib/sendWhatsApp.js";
+import { sirenAlertMessage, sirenAllClearMessage } from "../../lib/whatsappMessages.js";
+
+const OREF_LIVE_URL = "https://www.oref.org.il/WarningMessages/alert/alerts.json";
+
+export const POLL_INTERVAL_MS = 3_000;
+
+/**
+ * Cap on `seconds`. The last poll starts by 3s and its Oref read times out at
+ * 4s, so an invocation stays under ~8s with RTDB and WhatsApp included.
+ */
+export const MAX_POLL_SECONDS = 3;
+
+/** A biz's config is re-read at most this often within one invocation. */
+const BIZ_CACHE_MS = 5 * 60_000;
+
+// ── Live feed ─────────────────────────────────────────────────────────────────
+
+export interface LiveOrefAlert {
+  id: string;
+  cat: string;
+  title: string;
+  areas: string[];
+}
+
+/**
+ * Oref's live alert, or null when nothing is active.
+ * Throws when the feed can't be read (timeout, HTTP error, HTML page) — the
+ * caller must not mistake an outage for quiet and send an all-clear.
+ */
+export async function fetchLiveOrefAlert(): Promise<LiveOrefAlert | null> {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 4_000);
+  let text: string;
+  try {
+    const res = await fetch(OREF_LIVE_URL, {
+      headers: {
+        Referer: "https://www.oref.org.il/",
+        "X-Requested-With": "XMLHttpRequest",
+        "User-Agent": "Mozilla/5.0",
+      },
+      signal: ctrl.signal,
+    });
+    if (!res.ok) throw new Error(`oref http_${res.status}`);
+    text = (await res.text()).replace(/^\uFEFF/, "").trim();
+  } finally {
+    clearTimeout(timer);
+  }
+  // Empty body = no active alert.
+  if (!text) return null;
+  // Oref returns HTML when degraded — that's "unknown", not "quiet".
+  if (!text.startsWith("{")) throw new Error("oref degraded (non-JSON body)");
+  const raw = JSON.parse(text);
+  const areas = (Array.isArray(raw?.data) ? raw.data : [raw?.data])
+    .map((a: unknown) => String(a ?? "").trim())
+    .filter(Boolean);
+  if (areas.length === 0) return null;
+  return { id: String(raw?.id ?? ""), cat: String(raw?.cat ?? ""), title: String(raw?.title ?? ""), areas };
+}
+
+/** Oref's "event over / you may leave the shelter" message. */
+export function isAllClear(alert: LiveOrefAlert): boolean {
+  return /הסתיים|ניתן לצאת/.test(alert.title);
+}
+
+/** "Alerts are expected in your area in the coming minutes" — no siren yet. */
+export function isEarlyWarning(alert: LiveOrefAlert): boolean {
+  return /צפויות להתקבל|בדקות הקרובות/.test(alert.title);
+}
+
+// ── Who's on shift ────────────────────────────────────────────────────────────
+
+interface TenantUser {
+  id?: string;
+  name?: string;
+  phone?: string;
+  role?: string;
+  allowedBizIds?: string[];
+}
+
+interface ActiveShiftLog {
+  date?: string;
+  managerId?: string | null;
+  managerName?: string;
+  closedAt?: string | null;
+}
+
+/**
+ * Phones to notify (international form): the manager on the biz's open shift (ShiftManagerEmbed's
+ * active-log, opened today or last night). No open shift, or no phone on file
+ * → the biz's managers and owners, so a siren never goes unannounced.
+ */
+export function pickSirenRecipients(
+  users: TenantUser[],
+  activeLog: ActiveShiftLog | null,
+  bizId: string,
+  today: string,
+  yesterday: string
+): string[] {
+  const withPhone = (u: TenantUser | undefined) => hasUsablePhone(u?.phone);
+
+  if (activeLog && !activeLog.closedAt && (activeLog.date === today || activeLog.date === yesterday)) {
+    const onShift = users.find(
+      (u) =>
+        (!!activeLog.managerId && u.id === activeLog.managerId) ||
+        (!!activeLog.managerName && u.name === activeLog.managerName)
+    );
+    if (withPhone(onShift)) return [toIntlPhone(onShift!.phone!)];
+  }
+
+  const managers = users.filter(
+    (u) =>
+      withPhone(u) &&
+      (u.role === "owner" ||
+        u.role === "super_owner" ||
+        (u.role === "manager" &&
+          (!Array.isArray(u.allowedBizIds) || u.allowedBizIds.length === 0 || u.allowedBizIds.includes(bizId))))
+  );
+  return [...new Set(managers.map((u) => toIntlPhone(u.phone!)))];
+}
+
+function parseStored<T>(value: any, fallback: T): T {
+  if (value && typeof value === "object" && "_v" in value) {
+    try { return JSON.parse(value._v); } catch { return fallback; }
+  }
+  return (value as T) ?? fallback;
+}
+
+async function getSirenRecipients(tenantId: string, bizId: string, now: number): Promise<string[]> {
+  const db = getDb();
+  const [usersSnap, logSnap] = await Promise.all([
+    db.ref(`tenants/${tenantId}/app/users`).once("value"),
+    db.ref(`tenants/${tenantId}/biz:${bizId}:active-log`).once("value"),
+  ]);
+  return pickSirenRecipients(
+    parseStored<TenantUser[]>(usersSnap.val(), []),
+    parseStored<ActiveShiftLog | null>(logSnap.val(), null),
+    bizId,
+    israelDate(now),
+    israelDate(now - 86_400_000)
+  );
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function israelDate(ms: number): string {
+  return new Date(ms).toLocaleDateString("en-CA", { timeZone: "Asia/Jerusalem" });
+}
+
+function israelTime(ms: number): string {
+  return new Date(ms).toLocaleTimeString("he-IL", {
+    timeZone: "Asia/Jerusalem",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+interface WatchedBiz {
+  tenantId: string;
+  bizId: string;
+  bizName: string;
+  orefAreas: string[];
+  shelterOverrides: Record<string, number>;
+}
+
+/** Poller state shared by the ticks of one invocation. */
+export interface SirenPollContext {
+  businesses?: WatchedBiz[];
+  loadedAt?: number;
+}
+
+async function loadWatchedBusinesses(): Promise<WatchedBiz[]> {
+  const db = getDb();
+  const pairs: Array<{ tenantId: string; bizId: string }> = [];
+  const snap = await db.ref("proactive_biz_index").once("value");
+  const index = snap.val();
+  if (index && typeof index === "object") {
+    for (const entry of Object.values(index) as any[]) {
+      if (entry?.tenantId && entry?.bizId && entry?.active) {
+        pairs.push({ tenantId: entry.tenantId, bizId: String(entry.bizId) });
+      }
+    }
+  }
+
+  const names = new Map<string, Array<{ id: string; name: string }>>();
+  const out: WatchedBiz[] = [];
+  for (const { tenantId, bizId } of pairs) {
+    try {
+      if (!names.has(tenantId)) {
+        const bizSnap = await db.ref(`tenants/${tenantId}/app/business`).once("value");
+        names.set(tenantId, parseStored(bizSnap.val(), []));
+      }
+      const { orefAreas, areasSource, shelterOverrides } = await getBizAlertAreas(tenantId, bizId);
+      // The Hadera fallback is for analytics; don't wake a biz that never picked a region.
+      if (areasSource === "default") continue;
+      const bizName = names.get(tenantId)!.find((b) => String(b.id) === bizId)?.name || tenantId;
+      out.push({ tenantId, bizId, bizName, orefAreas, shelterOverrides });
+    } catch (e: any) {
+      console.error(`[sirens] config for ${tenantId}:${bizId} failed:`, e?.message ?? e);
+    }
+  }
+  return out;
+}
+
+async function notify(phones: string[], message: string, errors: string[]): Promise<string[]> {
+  const sent: string[] = [];
+  for (const phone of phones) {
+    try {
+      await sendWhatsApp(phone, message);
+      sent.push(phone);
+    } catch (e: any) {
+      errors.push(`whatsapp: ${e.message}`);
+    }
+  }
+  return sent;
+}
+
+// ── One poll ──────────────────────────────────────────────────────────────────
+
+export interface SirenTickResult {
+  polledAt: string;
+  alert: { id: string; title: string; areas: number } | null;
+  opened: number;
+  updated: number;
+  cleared: number;
+  messagesSent: number;
+  errors: string[];
+}
+
+/**
+ * Poll the live feed once and advance every biz's siren event:
+ *   - a matching alert opens an event (+ WhatsApp) or extends the open one;
+ *   - Oref's "event over" for a matching area clears it (+ all-clear);
+ *   - an open event with no matching alert for its shelter window clears too.
+ */
+export async function pollSirensOnce(
+  ctx: SirenPollContext = {},
+  now: number = Date.now()
+): Promise<SirenTickResult> {
+  const result: SirenTickResult = {
+    polledAt: new Date(now).toISOString(),
+    alert: null,
+    opened: 0,
+    updated: 0,
+    cleared: 0,
+    messagesSent: 0,
+    errors: [],
+  };
+
+  let live: LiveOrefAlert | null;
+  try {
+    live = await fetchLiveOrefAlert();
+  } catch (e: any) {
+    // Unknown state — never time out open events on an outage.
+    result.errors.push(`oref: ${e.message}`);
+    return result;
+  }
+  if (live) result.alert = { id: live.id, title: live.title, areas: live.areas.length };
+
+  const active = new Map(
+    (await getActiveSirenEvents()).map((e) => [`${e.tenantId}:${e.bizId}`, e])
+  );
+  const touched = new Set<string>();
+
+  const clear = async (event: SirenEvent, clearedBy: "oref" | "timeout", bizName: string) => {
+    const clearedAt = now;
+    const durationMinutes = Math.max(1, Math.round((clearedAt - Date.parse(event.startedAt)) / 60_000));
+    const cleared: SirenEvent = {
+      ...event,
+      status: "cleared",
+      clearedAt: new Date(clearedAt).toISOString(),
+      clearedBy,
+      durationMinutes,
+    };
+    if (event.notifiedPhones.length > 0) {
+      const message = sirenAllClearMessage({
+        bizName,
+        startTime: israelTime(Date.parse(event.startedAt)),
+        endTime: israelTime(clearedAt),
+        durationMinutes,
+        clearedBy,
+      });
+      const sent = await notify(event.notifiedPhones, message, result.errors);
+      result.messagesSent += sent.length;
+      cleared.allClearSent = sent.length > 0;
+    }
+    await saveSirenEvent(cleared);
+    result.cleared++;
+  };
+
+  if (live && !isEarlyWarning(live)) {
+    if (!ctx.businesses || now - (ctx.loadedAt ?? 0) > BIZ_CACHE_MS) {
+      ctx.businesses = await loadWatchedBusinesses();
+      ctx.loadedAt = now;
+    }
+    for (const biz of ctx.businesses) {
+      const matched = live.areas.filter((area) => biz.orefAreas.some((h) => area.includes(h)));
+      if (matched.length === 0) continue;
+      const key = `${biz.tenantId}:${biz.bizId}`;
+      const open = active.get(key);
+      touched.add(key);
+
+      try {
+        if (isAllClear(live)) {
+          if (open) await clear(open, "oref", biz.bizName);
+          continue;
+        }
+
+        const shelterMinutes = Math.max(
+          ...matched.map((area) => resolveShelterMinutes(area, biz.shelterOverrides))
+        );
+
+        if (open) {
+          await saveSirenEvent({
+            ...open,
+            areas: [...new Set([...open.areas, ...matched])],
+            orefAlertIds: [...new Set([...open.orefAlertIds, live.id].filter(Boolean))],
+            lastAlertAt: new Date(now).toISOString(),
+            shelterMinutes: Math.max(open.shelterMinutes, shelterMinutes),
+          });
+          result.updated++;
+          continue;
+        }
+
+        const event: SirenEvent = {
+          id: `${biz.bizId}:siren:${now}`,
+          tenantId: biz.tenantId,
+          bizId: biz.bizId,
+          status: "active",
+          title: live.title,
+          areas: matched,
+          orefAlertIds: live.id ? [live.id] : [],
+          startedAt: new Date(now).toISOString(),
+          lastAlertAt: new Date(now).toISOString(),
+          shelterMinutes,
+          notifiedPhones: [],
+          allClearSent: false,
+        };
+        const thresholds = await getThresholds(biz.tenantId, biz.bizId);
+        if (thresholds.whatsappEnabled) {
+          const phones = await getSirenRecipients(biz.tenantId, biz.bizId, now);
+          const message = sirenAlertMessage({
+            bizName: biz.bizName,
+            title: live.title,
+            areas: matched,
+            time: israelTime(now),
+            shelterMinutes,
+          });
+          event.notifiedPhones = await notify(phones, message, result.errors);
+          result.messagesSent += event.notifiedPhones.length;
+        }
+        await saveSirenEvent(event);
+        result.opened++;
+      } catch (e: any) {
+        result.errors.push(`${key}: ${e.message}`);
+      }
+    }
+  }
+
+  // Quiet for a full shelter window → all clear.
+  for (const [key, event] of active) {
+    if (touched.has(key)) continue;
+    if (now - Date.parse(event.lastAlertAt) < event.shelterMinutes * 60_000) continue;
+    const bizName = ctx.businesses?.find((b) => `${b.tenantId}:${b.bizId}` === key)?.bizName ?? event.bizId;
+    try {
+      await clear(event, "timeout", bizName);
+    } catch (e: any) {
+      result.errors.push(`${key}: ${e.message}`);
+    }
+  }
+
+  return result;
+}
+
+// ── Poll loop (one invocation) ────────────────────────────────────────────────
+
+export interface SirenPollResult {
+  ticks: number;
+  opened: number;
+  updated: number;
+  cleared: number;
+  messagesSent: number;
+  errors: string[];
+}
+
+/**
+ * Poll every POLL_INTERVAL_MS for `seconds` (0 = a single poll).
+ */
+export async function pollSirens(seconds: number = 0): Promise<SirenPollResult> {
+  const until = Date.now() + Math.min(Math.max(0, seconds), MAX_POLL_SECONDS) * 1000;
+  const ctx: SirenPollContext = {};
+  const total: SirenPollResult = { ticks: 0, opened: 0, updated: 0, cleared: 0, messagesSent: 0, errors: [] };
+
+  for (;;) {
+    const started = Date.now();
+    const tick = await pollSirensOnce(ctx, started);
+    total.ticks++;
+    total.opened += tick.opened;
+    total.updated += tick.updated;
+    total.cleared += tick.cleared;
+    total.messagesSent += tick.messagesSent;
+    total.errors.push(...tick.errors);
+    const next = started + POLL_INTERVAL_MS;
+    if (next > until) break;
+    await new Promise((resolve) => setTimeout(resolve, next - Date.now()));
+  }
+  return total;
+}
@@ -10,7 +10,10 @@ export type AlertType =
   | "min_revenue_breach"          // הכנסות מתחת למינימום
   | "expensive_employee"          // עובד שעתי חורג מממוצע
   | "weak_day_detected"           // יום חלש קבוע
-  | "purchase_trend_rising";      // מגמת רכישות עולה ללא תמיכת הכנסות
+  | "purchase_trend_rising"       // מגמת רכישות עולה ללא תמיכת הכנסות
+  | "pos_revenue_mismatch"        // פער בין הכנסות שהוזנו לקופה
+  | "missing_daily_entry"         // רישום יומי חסר
+  | "custom_rule";                // חוק שהמשתמש הגדיר (AlertRule)
 
 export type AlertSeverity = "critical" | "warning" | "info";
 
@@ -30,8 +33,38 @@ export interface FiredAlert {
   date: string;                    // ISO date
   firedAt: string;                 // ISO timestamp
   context?: Record<string, unknown>; // extra data (supplier name, employee id, etc.)
-  dismissed: boolean;
+  dismissed: boolean;              // kept in step with status === "resolved"
   notifiedWhatsApp: boolean;
+
+  // Lifecycle (lifecycle.ts). Absent on alerts fired before it: read them
+  // through effectiveAlertStatus — open, or resolved when dismissed.
+  status?: AlertStatus;
+  statusNote?: string;             // note of the latest change
+  snoozedUntil?: string;           // ISO; status "snoozed" only
+  assignedTo?: { id: string; name: string };
+  escalatedAt?: string;            // ISO; owner was WhatsApped about an unacknowledged critical
+  history?: AlertHistoryEntry[];   // every state change, oldest first
+}
+
+// ── Alert Lifecycle ───────────────────────────────────────────────────────────
+
+export type AlertStatus =
+  | "open"                         // פתוחה
+  | "acknowledged"                 // נראתה
+  | "snoozed"                      // נדחתה עד snoozedUntil — אחריו שוב פתוחה
+  | "assigned"                     // הועברה לטיפול של משתמש
+  | "resolved";                    // טופלה
+
+export type AlertAction = "acknowledge" | "snooze" | "assign" | "resolve" | "reopen";
+
+export interface AlertHistoryEntry {
+  action: AlertAction | "fired" | "escalated";
+  status: AlertStatus;             // status after the change
+  at: string;                      // ISO timestamp
+  by?: string;                     // verified user (email, else uid); absent = the system
+  note?: string;
+  snoozedUntil?: string;
+  assignedTo?: { id: string; name: string };
 }
 
 // ── Threshold Configuration (User-Defined Parameters) ─────────────────────────
@@ -61,9 +94,43 @@ export interface AlertThresholds {
   purchaseRisePct: number;         // default: 15 (percent week-over-week)
   purchaseRevenueGapPct: number;   // default: 5 (max revenue growth to trigger)
 
+  // 8. POS reconciliation — manual entry vs. POS daily summary
+  posReconcileTolerancePct: number; // default: 3 (percent gap allowed)
+
+  // 9. Missing manual entries — open days in a row without a daily entry
+  missingEntryDays: number;        // default: 1 (0 = disabled)
+
+  // Escalation — WhatsApp the owner when a critical alert stays unacknowledged
+  criticalEscalationMinutes: number; // default: 60 (0 = disabled)
+
   // Notification settings
   whatsappEnabled: boolean;        // send alerts via WhatsApp
   dashboardEnabled: boolean;       // show alerts in app dashboard
+
+  // Weekday / season profiles over the flat values above (configRepo.ts
+  // resolves them per date). Absent or empty = the flat values every day.
+  profiles?: ThresholdProfile[];
+}
+
+// ── Threshold Profiles ────────────────────────────────────────────────────────
+
+export type NumericThresholdKey = {
+  [K in keyof AlertThresholds]-?: AlertThresholds[K] extends number ? K : never;
+}[keyof AlertThresholds];
+
+// What a profile may override: not the run-length / clock settings — a count
+// of missed days or minutes since firing has no single date to resolve for.
+export type ProfileThresholdKey = Exclude<NumericThresholdKey, "missingEntryDays" | "criticalEscalationMinutes">;
+
+export interface ThresholdProfile {
+  id: string;                      // [a-z0-9_-], unique per biz
+  name: string;                    // e.g. "קיץ", "חמישי בערב", "מצב מלחמה"
+  weekdays?: number[];             // 0 = Sunday … 6 = Saturday
+  // Inclusive range: "YYYY-MM-DD" for a one-off period (war mode), "MM-DD"
+  // for every year (summer; may wrap the new year). Both or neither.
+  from?: string;
+  to?: string;
+  overrides: Partial<Pick<AlertThresholds, ProfileThresholdKey>>;
 }
 
 // ── Default Thresholds ────────────────────────────────────────────────────────
@@ -79,10 +146,77 @@ export const DEFAULT_THRESHOLDS: AlertThresholds = {
   weakDayDeviationPct: 25,
   purchaseRisePct: 15,
   purchaseRevenueGapPct: 5,
+  posReconcileTolerancePct: 3,
+  missingEntryDays: 1,
+  criticalEscalationMinutes: 60,
   whatsappEnabled: true,
   dashboardEnabled: true,
 };
 
+// ── User-Defined Rules ────────────────────────────────────────────────────────
+// Declarative rules a tenant adds without a deploy (rules.ts validates and
+// evaluates them): "delivery share above 40% for 3 days" is
+// { metric: "delivery_share_pct", aggregation: "min", windowDays: 3,
+//   comparator: ">", threshold: 40 }.
+
+export type AlertRuleMetric =
+  | "revenue_total"               // הכנסות (₪)
+  | "sales"                       // מכירות בבית העסק (₪)
+  | "deliveries"                  // משלוחים (₪)
+  | "delivery_share_pct"          // משלוחים מתוך ההכנסות (%)
+  | "food_cost_pct"               // עלות מזון מההכנסות (%)
+  | "labor_pct"                   // עלות כוח אדם מההכנסות (%)
+  | "avg_check"                   // ממוצע חשבון (₪, קופה)
+  | "tickets"                     // מספר חשבונות (קופה)
+  | "alert_minutes";              // דקות מקלט בשעות הפעילות
+
+export type AlertRuleAggregation = "avg" | "sum" | "min" | "max";
+
+export type AlertRuleComparator = ">" | ">=" | "<" | "<=";
+
+export interface AlertRule {
+  id: string;                      // [a-z0-9_-], unique per biz
+  name: string;                    // Hebrew label, used as the alert headline
+  metric: AlertRuleMetric;
+  aggregation: AlertRuleAggregation; // min > X = "every day above X"
+  windowDays: number;              // last N days with data that pass the weekday filter
+  comparator: AlertRuleComparator;
+  threshold: number;
+  weekdays?: number[];             // 0 = Sunday … 6 = Saturday; absent = every day
+  severity: AlertSeverity;
+  enabled: boolean;
+  createdAt: string;               // ISO timestamp
+  updatedAt: string;
+}
+
+// ── Live Siren Events ─────────────────────────────────────────────────────────
+// One per shelter episode at a biz: opened when a live Oref alert matches the
+// biz's resolved areas, closed by Oref's "event over" message or when no alert
+// has matched for the shelter window (sirens.ts).
+
+export interface SirenEvent {
+  id: string;                      // `${bizId}:siren:${startedAt ms}`
+  tenantId: string;
+  bizId: string;
+  status: "active" | "cleared";
+  title: string;                   // Oref title, e.g. "ירי רקטות וטילים"
+  areas: string[];                 // Oref area names that matched
+  orefAlertIds: string[];
+  startedAt: string;               // ISO timestamp
+  lastAlertAt: string;             // ISO — last poll the alert was still live
+  shelterMinutes: number;          // quiet window before an automatic all-clear
+  clearedAt?: string;
+  clearedBy?: "oref" | "timeout";
+  durationMinutes?: number;        // startedAt → clearedAt
+  notifiedPhones: string[];        // who got the WhatsApp (all-clear goes to the same)
+  allClearSent: boolean;
+}
+
 // ── Firebase Paths ────────────────────────────────────────────────────────────
 // Thresholds: tenants/{tenantId}/alert_config/{bizId}
 // Fired alerts: tenants/{tenantId}/alerts/{bizId}/{alertId}
+// User-defined rules: tenants/{tenantId}/alert_rules/{bizId}/{ruleId}
+// Criticals awaiting acknowledgement (escalation index):
+//   alert_pending_ack/{tenantId}/{bizId}/{alertId}
+// Siren events: tenants/{tenantId}/siren_events/{bizId}/{eventId}
+// Open siren events (poller index): siren_active/{tenantId}:{bizId}
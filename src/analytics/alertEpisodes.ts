@@ -0,0 +1,73 @@
+/**
+ * Oref alert episodes — real disruption time from alert timestamps.
+ *
+ * Every matched alert opens a shelter window [alert, alert + shelter minutes].
+ * Overlapping or touching windows merge into one episode, so a burst of six
+ * alerts over three minutes is one ~13-minute disruption, not 60 minutes.
+ *
+ * Shelter duration defaults to the Home Front Command's 10 minutes; a business
+ * can override it per region or sub-region (config.shelter_minutes, keyed by
+ * the ids in regions.ts). A sub-region override beats its region's; an alert
+ * text matching several sub-regions takes the longest.
+ *
+ * The merging itself lives in lib/analytics/alertEpisodes.js, shared with the
+ * legacy builder (lib/analytics/sources.js); this module adds the region
+ * lookups, which need regions.ts. Pure functions (same as businessHours.ts).
+ */
+
+import {
+  DEFAULT_SHELTER_MINUTES,
+  mergeAlertEpisodes,
+  type AlertEpisodeSummary,
+  type TimedAlert,
+} from "../../lib/analytics/alertEpisodes.js";
+import {
+  DEFAULT_BUSINESS_HOURS,
+  windowMinutes,
+  type BusinessHours,
+} from "./businessHours.js";
+import { findSubRegionsForAlertData } from "./regionResolver.js";
+
+export { DEFAULT_SHELTER_MINUTES, matchAlertDay } from "../../lib/analytics/alertEpisodes.js";
+export type { AlertEpisode, AlertEpisodeSummary, TimedAlert } from "../../lib/analytics/alertEpisodes.js";
+
+const MAX_SHELTER_MINUTES = 60;
+
+/**
+ * Validate config.shelter_minutes ({ [regionOrSubRegionId]: minutes }).
+ * Unusable entries are dropped; an empty result means "defaults only".
+ */
+export function parseShelterOverrides(raw: unknown): Record<string, number> {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  const out: Record<string, number> = {};
+  for (const [id, v] of Object.entries(raw as Record<string, unknown>)) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n > 0 && n <= MAX_SHELTER_MINUTES) out[id] = n;
+  }
+  return out;
+}
+
+/** Shelter minutes for one alert's area text. */
+export function resolveShelterMinutes(
+  alertData: string,
+  overrides: Record<string, number> = {}
+): number {
+  let best: number | null = null;
+  for (const subId of findSubRegionsForAlertData(alertData)) {
+    const regionId = subId.split("__")[0];
+    const m = overrides[subId] ?? overrides[regionId];
+    if (m !== undefined && (best === null || m > best)) best = m;
+  }
+  return best ?? DEFAULT_SHELTER_MINUTES;
+}
+
+/**
+ * Merge one business day's timed alerts into episodes, with total minutes
+ * and the minutes that fell inside the operating window — both unrounded.
+ */
+export function summarizeAlertEpisodes(
+  alerts: TimedAlert[],
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS
+): AlertEpisodeSummary {
+  return mergeAlertEpisodes(alerts, windowMinutes(hours));
+}
@@ -0,0 +1,312 @@
+/**
+ * Resumable backfill jobs (onboarding history).
+ *
+ * A job covers one business and an inclusive date range, and runs two steps
+ * per day (each can be switched off):
+ *   - pos:       importPosForBiz (src/pos/ingest.ts) — dedup makes re-runs cheap
+ *   - analytics: buildAnalyticsForBiz + saveAnalyticsDoc + buildAndSaveInsights
+ *
+ * Work happens in bounded chunks so each call fits a serverless invocation:
+ * runBackfillChunk processes days from the job's cursor until maxDays, or
+ * until the next day would overrun the time budget, checkpointing after EVERY
+ * day. A crashed or timed-out invocation therefore loses at most the day in
+ * flight; the next call resumes from the cursor. A short lease keeps two
+ * callers from running the same job.
+ *
+ * Persisted at tenants/{tenantId}/biz:{bizId}:backfill_jobs/{jobId}.
+ */
+
+import { randomUUID } from "node:crypto";
+import { getDb } from "../firebase/admin.js";
+import { importPosForBiz } from "../pos/ingest.js";
+import { dateRange } from "../utils/dates.js";
+import {
+  buildAnalyticsForBiz,
+  buildAndSaveInsights,
+  saveAnalyticsDoc,
+  yesterdayInIsrael,
+} from "./dailyBuilder.js";
+import { fail } from "../utils/httpError.js";
+import { createTimeBudget } from "../utils/async.js";
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type BackfillDayStatus = "success" | "skipped" | "failed";
+
+export interface BackfillDayResult {
+  status: BackfillDayStatus;
+  /** POS outcome: import-log statuses ("success", "deduped", …), a skip reason, or "off". */
+  pos: string[] | string;
+  analytics: "ok" | "exists" | "failed" | "off";
+  error?: string;
+}
+
+export interface BackfillJob {
+  jobId: string;
+  tenantId: string;
+  bizId: string;
+  startDate: string;
+  endDate: string;
+  steps: { pos: boolean; analytics: boolean };
+  /** Rebuild analytics docs that already exist (default: skip them). */
+  overwrite: boolean;
+  status: "pending" | "running" | "completed";
+  /** Next date to process; null once the range is done. */
+  cursor: string | null;
+  counts: Record<BackfillDayStatus, number>;
+  days: Record<string, BackfillDayResult>;
+  leaseUntil: number;
+  createdAt: number;
+  updatedAt: number;
+  completedAt: number | null;
+}
+
+export interface BackfillChunkOptions {
+  maxDays?: number;
+  timeBudgetMs?: number;
+}
+
+/** Longest range one job may cover (~13 months of history). */
+export const BACKFILL_MAX_RANGE_DAYS = 400;
+
+/**
+ * Defaults sized for the Hobby function limit: a day costs 1–3s (POS fetch,
+ * Open-Meteo, Oref), and a day only starts when the time left covers the
+ * slowest day so far (BACKFILL_DAY_ESTIMATE_MS before the first finishes).
+ */
+export const BACKFILL_DEFAULT_MAX_DAYS = 14;
+/** Most days one chunk may be asked for (maxDays). */
+export const BACKFILL_MAX_CHUNK_DAYS = 60;
+export const BACKFILL_DEFAULT_TIME_BUDGET_MS = 7_000;
+const BACKFILL_DAY_ESTIMATE_MS = 3_000;
+
+/** How long a chunk holds the job. Longer than any chunk can run. */
+const LEASE_MS = 60_000;
+
+function jobPath(tenantId: string, bizId: string, jobId: string): string {
+  return `tenants/${tenantId}/biz:${bizId}:backfill_jobs/${jobId}`;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+export async function getBackfillJob(
+  tenantId: string,
+  bizId: string,
+  jobId: string
+): Promise<BackfillJob | null> {
+  const snap = await getDb().ref(jobPath(tenantId, bizId, jobId)).once("value");
+  const raw = snap.val();
+  if (!raw || typeof raw !== "object") return null;
+  return { ...raw, days: raw.days ?? {} } as BackfillJob;
+}
+
+/**
+ * Validate the range and persist a new pending job. The range may not reach
+ * past yesterday (Israel time) — today isn't a finished business day yet.
+ */
+export async function createBackfillJob(
+  tenantId: string,
+  bizId: string,
+  startDate: string,
+  endDate: string,
+  opts: { steps?: Partial<BackfillJob["steps"]>; overwrite?: boolean } = {}
+): Promise<BackfillJob> {
+  if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) {
+    fail(400, "startDate and endDate must be YYYY-MM-DD");
+  }
+  if (startDate > endDate) fail(400, "startDate must not be after endDate");
+  if (endDate > yesterdayInIsrael()) fail(400, "endDate must be yesterday or earlier");
+  if (dateRange(startDate, endDate).length > BACKFILL_MAX_RANGE_DAYS) {
+    fail(400, `range exceeds ${BACKFILL_MAX_RANGE_DAYS} days`);
+  }
+
+  const steps = { pos: opts.steps?.pos ?? true, analytics: opts.steps?.analytics ?? true };
+  if (!steps.pos && !steps.analytics) fail(400, "at least one step must be enabled");
+
+  const now = Date.now();
+  const job: BackfillJob = {
+    jobId: randomUUID(),
+    tenantId,
+    bizId,
+    startDate,
+    endDate,
+    steps,
+    overwrite: !!opts.overwrite,
+    status: "pending",
+    cursor: startDate,
+    counts: { success: 0, skipped: 0, failed: 0 },
+    days: {},
+    leaseUntil: 0,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+  await getDb().ref(jobPath(tenantId, bizId, job.jobId)).set(job);
+  return job;
+}
+
+/** Take the job's lease; false when another chunk holds an unexpired one. */
+async function acquireLease(tenantId: string, bizId: string, jobId: string): Promise<boolean> {
+  const now = Date.now();
+  const result = await getDb()
+    .ref(`${jobPath(tenantId, bizId, jobId)}/leaseUntil`)
+    .transaction((current: number | null) => {
+      if (typeof current === "number" && current > now) return; // abort — held
+      return now + LEASE_MS;
+    });
+  return result.committed;
+}
+
+// ── One day ───────────────────────────────────────────────────────────────────
+
+async function backfillDay(job: BackfillJob, date: string): Promise<BackfillDayResult> {
+  const { tenantId, bizId } = job;
+  const result: BackfillDayResult = { status: "skipped", pos: "off", analytics: "off" };
+  let didWork = false;
+  const errors: string[] = [];
+
+  if (job.steps.pos) {
+    try {
+      const pos = await importPosForBiz(tenantId, bizId, date);
+      if (pos.skipped) {
+        result.pos = pos.skipped;
+      } else {
+        result.pos = pos.logs.map((l) => l.status);
+        const failed = pos.logs.filter((l) => l.status === "failed");
+        if (failed.length > 0) errors.push(`pos:${failed.map((l) => l.error).join(",")}`);
+        if (pos.logs.some((l) => l.status === "success" || l.status === "partial")) didWork = true;
+      }
+    } catch (err) {
+      result.pos = "error";
+      errors.push(`pos:${(err as Error)?.message ?? "unknown"}`);
+    }
+  }
+
+  if (job.steps.analytics) {
+    try {
+      const exists =
+        !job.overwrite &&
+        (
+          await getDb()
+            .ref(`tenants/${tenantId}/biz:${bizId}:analytics:daily:${date}`)
+            .once("value")
+        ).exists();
+      if (exists) {
+        result.analytics = "exists";
+      } else {
+        const doc = await buildAnalyticsForBiz(tenantId, bizId, date);
+        await saveAnalyticsDoc(doc);
+        // Insight Engine v1 — isolated, never throws (see buildAndSaveInsights).
+        await buildAndSaveInsights(tenantId, bizId, date, doc);
+        result.analytics = "ok";
+        didWork = true;
+      }
+    } catch (err) {
+      result.analytics = "failed";
+      errors.push(`analytics:${(err as Error)?.message ?? "unknown"}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    result.status = "failed";
+    result.error = errors.join("; ").slice(0, 300);
+  } else if (didWork) {
+    result.status = "success";
+  }
+  return result;
+}
+
+// ── Chunk runner ──────────────────────────────────────────────────────────────
+
+/**
+ * Process the next chunk of a job and return its updated state. Throws an
+ * HttpError for unknown jobs (404) or a held lease (409); per-day
+ * failures are recorded on the job and never stop the chunk.
+ */
+export async function runBackfillChunk(
+  tenantId: string,
+  bizId: string,
+  jobId: string,
+  opts: BackfillChunkOptions = {}
+): Promise<BackfillJob> {
+  // The route rejects a bad maxDays; anything non-integer here falls back to the default.
+  const maxDays = Number.isInteger(opts.maxDays)
+    ? Math.max(1, Math.min(opts.maxDays!, BACKFILL_MAX_CHUNK_DAYS))
+    : BACKFILL_DEFAULT_MAX_DAYS;
+  const budget = createTimeBudget(opts.timeBudgetMs ?? BACKFILL_DEFAULT_TIME_BUDGET_MS, BACKFILL_DAY_ESTIMATE_MS);
+
+  const job = await getBackfillJob(tenantId, bizId, jobId);
+  if (!job) fail(404, "backfill job not found");
+  if (job.status === "completed" || job.cursor === null) return job;
+  if (!(await acquireLease(tenantId, bizId, jobId))) fail(409, "backfill job is already running");
+
+  const ref = getDb().ref(jobPath(tenantId, bizId, jobId));
+  const remaining = dateRange(job.cursor, job.endDate);
+  let processed = 0;
+
+  try {
+    await ref.update({ status: "running", updatedAt: Date.now() });
+    job.status = "running";
+
+    for (let i = 0; i < remaining.length; i++) {
+      // Always at least one day, so every chunk makes progress.
+      if (processed >= maxDays || (processed > 0 && !budget.hasRoom())) break;
+      const date = remaining[i];
+      const day = await budget.step(() => backfillDay(job, date));
+      processed++;
+
+      // Checkpoint after every day: result, counts, and the next cursor.
+      job.counts[day.status]++;
+      job.days[date] = day;
+      job.cursor = remaining[i + 1] ?? null;
+      job.updatedAt = Date.now();
+      if (job.cursor === null) {
+        job.status = "completed";
+        job.completedAt = job.updatedAt;
+      }
+      await ref.update({
+        [`days/${date}`]: day,
+        counts: job.counts,
+        cursor: job.cursor,
+        status: job.status,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt,
+      });
+    }
+  } finally {
+    if (job.status === "running") job.status = "pending";
+    job.leaseUntil = 0;
+    await ref.update({ status: job.status, leaseUntil: 0 }).catch((err) => {
+      console.error(
+        `[analytics/backfill] ${tenantId}:${bizId} ${jobId} lease release failed:`,
+        (err as Error)?.message ?? "unknown"
+      );
+    });
+  }
+
+  return job;
+}
+
+/** Compact view for API responses: counts and progress, failed days only. */
+export function summarizeBackfillJob(job: BackfillJob) {
+  const totalDays = dateRange(job.startDate, job.endDate).length;
+  const failedDays = Object.entries(job.days)
+    .filter(([, d]) => d.status === "failed")
+    .map(([date, d]) => ({ date, error: d.error ?? null }));
+  return {
+    jobId: job.jobId,
+    tenantId: job.tenantId,
+    bizId: job.bizId,
+    startDate: job.startDate,
+    endDate: job.endDate,
+    steps: job.steps,
+    status: job.status,
+    cursor: job.cursor,
+    totalDays,
+    doneDays: Object.keys(job.days).length,
+    counts: job.counts,
+    failedDays,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Business-day operating window.
+ *
+ * A business's hours are an open/close pair in local (Asia/Jerusalem) time.
+ * close <= open means the window crosses midnight (a bar open 18:00–03:00):
+ * everything before `close` on the next calendar day still belongs to the
+ * business day that opened the night before. open === close is a 24h venue.
+ *
+ * The window drives which hour buckets are extracted from POS payloads, which
+ * business day a timestamped sale/alert belongs to, and which hours the
+ * weak-hour detector considers. DEFAULT_BUSINESS_HOURS reproduces the
+ * original fixed 08–21 buckets exactly.
+ *
+ * Pure functions, no side effects (same as regionResolver.ts).
+ */
+
+export interface BusinessHours {
+  /** "HH:MM", local time. */
+  open: string;
+  /** "HH:MM", local time, exclusive. <= open → crosses midnight. */
+  close: string;
+  /** 15 → also keep quarter-hour buckets where the source allows it. */
+  bucketMinutes?: 60 | 15;
+}
+
+export const DEFAULT_BUSINESS_HOURS: BusinessHours = { open: "08:00", close: "22:00" };
+
+const HHMM = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hhmm: string): number {
+  const m = HHMM.exec(hhmm.trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+const pad = (n: number) => String(n).padStart(2, "0");
+
+function fromMinutes(min: number): string {
+  return `${pad(Math.floor(min / 60))}:${pad(min % 60)}`;
+}
+
+/**
+ * Validate a stored/posted window. Accepts "HH" or "HH:MM"; returns null when
+ * unusable so callers fall back to DEFAULT_BUSINESS_HOURS.
+ */
+export function parseBusinessHours(raw: unknown): BusinessHours | null {
+  if (!raw || typeof raw !== "object") return null;
+  const r = raw as Record<string, unknown>;
+  const norm = (v: unknown) => {
+    const s = String(v ?? "").trim();
+    return /^\d{1,2}$/.test(s) ? `${s}:00` : s;
+  };
+  const open = toMinutes(norm(r.open));
+  const close = toMinutes(norm(r.close));
+  if (Number.isNaN(open) || Number.isNaN(close)) return null;
+  const out: BusinessHours = { open: fromMinutes(open), close: fromMinutes(close) };
+  if (Number(r.bucketMinutes) === 15) out.bucketMinutes = 15;
+  return out;
+}
+
+export function crossesMidnight(hours: BusinessHours): boolean {
+  return toMinutes(hours.close) <= toMinutes(hours.open);
+}
+
+/** Window length in minutes (1440 for a 24h venue). */
+function spanMinutes(hours: BusinessHours): number {
+  const span = toMinutes(hours.close) - toMinutes(hours.open);
+  return span > 0 ? span : span + 1440;
+}
+
+/**
+ * Open/close as minutes from the business date's local midnight; close runs
+ * past 1440 for a window that crosses midnight (18:00–03:00 → 1080–1620).
+ */
+export function windowMinutes(hours: BusinessHours = DEFAULT_BUSINESS_HOURS): { open: number; close: number } {
+  const open = toMinutes(hours.open);
+  return { open, close: open + spanMinutes(hours) };
+}
+
+/**
+ * Hour bucket keys ("HH") in operating order, e.g. 18:00–03:00 →
+ * ["18", …, "23", "00", "01", "02"]. An hour is included when any part of it
+ * is open, so 08:30–22:30 yields "08".."22".
+ */
+export function hourSlots(hours: BusinessHours = DEFAULT_BUSINESS_HOURS): string[] {
+  const start = Math.floor(toMinutes(hours.open) / 60);
+  const end = toMinutes(hours.open) + spanMinutes(hours);
+  const out: string[] = [];
+  for (let h = start; h * 60 < end && out.length < 24; h++) out.push(pad(h % 24));
+  return out;
+}
+
+/** Quarter-hour bucket keys ("HH:MM") in operating order. */
+export function quarterSlots(hours: BusinessHours = DEFAULT_BUSINESS_HOURS): string[] {
+  const open = toMinutes(hours.open);
+  const start = open - (open % 15);
+  const end = open + spanMinutes(hours);
+  const out: string[] = [];
+  for (let m = start; m < end && out.length < 96; m += 15) {
+    out.push(fromMinutes(m % 1440));
+  }
+  return out;
+}
+
+/** True when a local hour (0–23) overlaps the window. */
+export function isOpenHour(hour: number, hours: BusinessHours = DEFAULT_BUSINESS_HOURS): boolean {
+  return hourSlots(hours).includes(pad(hour));
+}
+
+/** Sort key: position of a local hour in operating order (18 before 01 for a bar). */
+export function hourOrder(hour: number, hours: BusinessHours = DEFAULT_BUSINESS_HOURS): number {
+  const openHour = Math.floor(toMinutes(hours.open) / 60);
+  return (((hour - openHour) % 24) + 24) % 24;
+}
+
+/**
+ * Business day a local (calendar date, time) belongs to. Only a window that
+ * crosses midnight moves anything: times before `close` on the next calendar
+ * day roll back to the previous business day.
+ */
+export function businessDateOf(
+  calendarDate: string,
+  hour: number,
+  minute = 0,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS
+): string {
+  if (!crossesMidnight(hours) || hour * 60 + minute >= toMinutes(hours.close)) {
+    return calendarDate;
+  }
+  const d = new Date(`${calendarDate}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether `businessDate` has closed by `now` (Asia/Jerusalem). A 02:00 cron
+ * importing "yesterday" for a bar open until 03:00 is still mid-shift.
+ */
+export function isBusinessDayClosed(
+  businessDate: string,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS,
+  now: Date = new Date()
+): boolean {
+  const today = now.toLocaleDateString("en-CA", { timeZone: "Asia/Jerusalem" });
+  const hhmm = now.toLocaleTimeString("en-GB", {
+    timeZone: "Asia/Jerusalem",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  const closeDate = crossesMidnight(hours)
+    ? new Date(new Date(`${businessDate}T12:00:00Z`).getTime() + 86_400_000).toISOString().slice(0, 10)
+    : businessDate;
+  if (today !== closeDate) return today > closeDate;
+  return toMinutes(hhmm) >= toMinutes(hours.close);
+}
@@ -3,10 +3,14 @@
  *
  * For each active business, captures a per-day "feature doc" that combines:
  * - Revenue (from manual entries in Firebase, NOT a POS API)
- * - Weather (Open-Meteo, no API key — using business's lat/lon)
- * - Oref alerts (count + minutes — filtered by business's areas)
- * - Calendar (holiday / holiday-eve / weekend, derived locally)
- * - Operational classification (auto: war_day = "no" | "partial" | "full")
+ * - Weather (Open-Meteo, no API key — using business's lat/lon), daily + per
+ *   operating hour
+ * - Oref alerts (count, merged shelter episodes + minutes, per-hour timeline —
+ *   filtered by business's areas)
+ * - POS hourly sales when the business has a POS (revenue.hourly)
+ * - Calendar (holiday / holiday-eve / weekend / school vacation / Ramadan,
+ *   computed locally for any year)
+ * - Operational classification (auto: war_day = "regular" | "partial" | "full")
  *
  * The intent is research, not real-time alerting: building a multi-month
  * dataset so future ML can find correlations like "rain → +12% delivery"
@@ -18,7 +22,33 @@
 
 import { getDb } from "../firebase/admin.js";
 import { resolveOrefAreas, type RegionSelection } from "./regionResolver.js";
+import {
+  DEFAULT_BUSINESS_HOURS,
+  businessDateOf,
+  crossesMidnight,
+  hourSlots,
+  parseBusinessHours,
+  windowMinutes,
+  type BusinessHours,
+} from "./businessHours.js";
+import {
+  matchAlertDay,
+  parseShelterOverrides,
+  resolveShelterMinutes,
+  summarizeAlertEpisodes,
+  type AlertEpisode,
+} from "./alertEpisodes.js";
+import { israelCalendarDay } from "../../lib/analytics/israelCalendar.js";
+import { getStoredReport } from "../pos/posRepo.js";
 import { buildInsights } from "../insights/buildInsights.js";
+import { fitResearch, RESEARCH_VERSION, type ResearchDoc } from "./research.js";
+import {
+  getResearchDoc,
+  getSignificantEffects,
+  saveResearchDoc,
+} from "../repositories/analytics/researchRepo.js";
+import { addDaysIso } from "../utils/dates.js";
+import { createTimeBudget } from "../utils/async.js";
 import type { InsightsDailyDoc } from "../insights/types.js";
 
 // ── Types ─────────────────────────────────────────────────────────────────────
@@ -48,6 +78,35 @@ interface BusinessConfig {
   region_ids?: string[];
   subregion_ids?: string[];
   custom_oref_areas?: string[];
+  // Operating window, e.g. { open: "18:00", close: "03:00" } for a bar.
+  // Absent → 08:00–22:00 (see businessHours.ts).
+  business_hours?: { open?: string; close?: string; bucketMinutes?: number };
+  // Minutes to stay sheltered after an alert, per region / sub-region id
+  // (regions.ts), e.g. { "otef-aza": 15 }. Absent → 10 (alertEpisodes.ts).
+  shelter_minutes?: Record<string, number | string>;
+}
+
+// ── Schema changelog (meta.version) ──────────────────────────────────────────
+// 1.0.0  daily weather averages, alert count/minutes
+// 1.1.0  weather.hourly + alerts.hourly per operating hour, revenue.hourly from
+//        the POS daily_summary. Additive: 1.0.0 docs simply lack the fields, so
+//        no backfill is required (re-running backfill fills them in).
+// 1.2.0  alert_minutes = merged shelter windows (was alert_count × 10), plus
+//        alerts.episodes / open_minutes; war_day needs in-hours disruption.
+//        Older docs' alert_minutes aren't comparable — backfill to refresh.
+// 1.3.0  calendar computed for any year (was a 2024–2026 list, so later dates
+//        read as regular days) + chol_hamoed, holiday_name, school_vacation,
+//        ramadan, eid. Yom HaShoah / Yom HaZikaron and their eves now follow
+//        the Shabbat shifts (the lists had fixed, partly wrong dates) and the
+//        eve of Yom HaShoah is flagged. Backfill to correct holiday flags on
+//        older docs.
+export const ANALYTICS_SCHEMA_VERSION = "1.3.0";
+
+/** One operating hour of weather, local time (Open-Meteo hourly archive). */
+export interface WeatherHour {
+  temp: number;
+  rain_mm: number;
+  wind: number;
 }
 
 export interface AnalyticsDoc {
@@ -64,6 +123,9 @@ export interface AnalyticsDoc {
     food_cost: number;
     payroll: number;
     had_entry: boolean;
+    // POS sales per "HH" bucket (hourSlots of the window). Only for a biz with
+    // a POS daily_summary that day — the manual entry has no hours. Since 1.1.0.
+    hourly?: Record<string, number>;
   };
 
   weather: {
@@ -71,20 +133,33 @@ export interface AnalyticsDoc {
     rain_mm: number | null;
     is_rain_day: boolean | null;
     wind_avg: number | null;
+    // Per operating hour ("HH" keys, business-day attribution, so a bar's
+    // 01:00 comes from the next calendar day). Absent when Open-Meteo returned
+    // no hourly series. Since 1.1.0.
+    hourly?: Record<string, WeatherHour>;
   } | null;
 
   alerts: {
     alert_count: number;
+    // Merged shelter time across episodes (see alertEpisodes.ts). Before 1.2.0
+    // this was alert_count × 10.
     alert_minutes: number;
     is_alert_day: boolean;
     matched_areas: string[];
+    // Matched alerts per operating hour ("HH", 0 = quiet). Alerts outside the
+    // window still count in alert_count but have no hour here. Since 1.1.0.
+    hourly?: Record<string, number>;
+    // Overlapping shelter windows merged, in time order. Since 1.2.0.
+    episodes?: AlertEpisode[];
+    // The part of alert_minutes inside the operating window. Since 1.2.0.
+    open_minutes?: number;
   } | null;
 
   // Auto-classified operational status. The user explicitly chose "automatic
   // from alerts + revenue" over a manual toggle, so this is derived:
-  // - "regular": no alerts that day
-  // - "partial": alerts AND a real entry (open but disrupted)
-  // - "full": alerts AND no entry (closed for the day)
+  // - "regular": no alerts that day, or none disrupting operating hours
+  // - "partial": in-hours disruption AND a real entry (open but disrupted)
+  // - "full": in-hours disruption AND no entry (closed for the day)
   // - "unknown": alerts source failed → can't classify
   operational: {
     war_day: "regular" | "partial" | "full" | "unknown";
@@ -94,9 +169,15 @@ export interface AnalyticsDoc {
     dow: number; // 0 = Sunday … 6 = Saturday
     weekend: boolean; // Friday/Saturday in Israel
     month: number; // 1–12
-    holiday: boolean;
+    holiday: boolean; // includes Chol HaMoed, Chanukah, Purim (lib/analytics/israelCalendar.js)
     holiday_eve: boolean;
     new_year_eve: boolean;
+    // Since 1.3.0:
+    chol_hamoed?: boolean;
+    holiday_name?: string | null; // e.g. "pesach", "yom_kippur"
+    school_vacation?: boolean;
+    ramadan?: boolean;
+    eid?: boolean; // Eid al-Fitr / Eid al-Adha
   };
 
   meta: {
@@ -121,6 +202,10 @@ export interface AnalyticsDoc {
       region_ids?: string[];
       subregion_ids?: string[];
     };
+    // Window used to attribute alerts to this business day.
+    business_hours?: BusinessHours;
+    // Per-region shelter overrides used for alert episodes, when configured.
+    shelter_minutes?: Record<string, number>;
   };
 }
 
@@ -176,10 +261,40 @@ async function fetchWithTimeout(
   }
 }
 
+function nextDate(date: string): string {
+  return new Date(Date.parse(`${date}T12:00:00Z`) + 86_400_000).toISOString().slice(0, 10);
+}
+
+/**
+ * Open-Meteo's hourly series ("YYYY-MM-DDTHH:00" local times) → the business
+ * day's operating hours. null when the series is missing or has no such hour.
+ */
+function weatherByHour(
+  raw: any,
+  date: string,
+  hours: BusinessHours
+): Record<string, WeatherHour> | null {
+  const times: unknown[] = Array.isArray(raw?.time) ? raw.time : [];
+  const open = new Set(hourSlots(hours));
+  const out: Record<string, WeatherHour> = {};
+  times.forEach((time, i) => {
+    const m = /^(\d{4}-\d{2}-\d{2})T(\d{2}):/.exec(String(time));
+    if (!m || !open.has(m[2])) return;
+    if (businessDateOf(m[1], Number(m[2]), 0, hours) !== date) return;
+    out[m[2]] = {
+      temp: num(raw.temperature_2m?.[i]),
+      rain_mm: num(raw.precipitation?.[i]),
+      wind: num(raw.windspeed_10m?.[i]),
+    };
+  });
+  return Object.keys(out).length > 0 ? out : null;
+}
+
 async function fetchWeather(
   lat: number,
   lon: number,
-  date: string
+  date: string,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS
 ): Promise<AnalyticsDoc["weather"]> {
   const url =
     `https://api.open-meteo.com/v1/archive?` +
@@ -187,8 +302,10 @@ async function fetchWeather(
       latitude: String(lat),
       longitude: String(lon),
       start_date: date,
-      end_date: date,
+      // A window past midnight needs the next calendar day's early hours.
+      end_date: crossesMidnight(hours) ? nextDate(date) : date,
       daily: "precipitation_sum,temperature_2m_mean,windspeed_10m_max",
+      hourly: "temperature_2m,precipitation,windspeed_10m",
       timezone: "Asia/Jerusalem",
     });
   try {
@@ -200,11 +317,13 @@ async function fetchWeather(
     // value, so the cast is safe.
     const raw = await res.json() as any;
     const rain = num(raw?.daily?.precipitation_sum?.[0]);
+    const hourly = weatherByHour(raw?.hourly, date, hours);
     return {
       rain_mm: rain,
       is_rain_day: rain > 1,
       temp_avg: num(raw?.daily?.temperature_2m_mean?.[0]),
       wind_avg: num(raw?.daily?.windspeed_10m_max?.[0]),
+      ...(hourly ? { hourly } : {}),
     };
   } catch (err) {
     console.error("[analytics/weather] failed:", (err as Error)?.message ?? err);
@@ -212,12 +331,32 @@ async function fetchWeather(
   }
 }
 
+/** The alerts doc, plus the unrounded in-hours minutes war_day is judged on. */
+interface OrefDay {
+  alerts: AnalyticsDoc["alerts"];
+  openMinutes: number;
+}
+
 async function fetchOrefAlerts(
   areas: string[],
-  date: string
-): Promise<AnalyticsDoc["alerts"]> {
+  date: string,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS,
+  shelterOverrides: Record<string, number> = {}
+): Promise<OrefDay> {
+  const hourly: Record<string, number> = Object.fromEntries(hourSlots(hours).map((h) => [h, 0]));
   if (!areas || areas.length === 0) {
-    return { alert_count: 0, alert_minutes: 0, is_alert_day: false, matched_areas: [] };
+    return {
+      alerts: {
+        alert_count: 0,
+        alert_minutes: 0,
+        is_alert_day: false,
+        matched_areas: [],
+        hourly,
+        episodes: [],
+        open_minutes: 0,
+      },
+      openMinutes: 0,
+    };
   }
   try {
     const res = await fetchWithTimeout(
@@ -227,115 +366,140 @@ async function fetchOrefAlerts(
       },
       4_000
     );
-    if (!res.ok) return null;
+    if (!res.ok) return { alerts: null, openMinutes: 0 };
     const text = await res.text();
     if (!text || !text.trim().startsWith("[")) {
       // Oref sometimes returns HTML when their service is degraded —
       // never feed that into JSON.parse.
-      return null;
+      return { alerts: null, openMinutes: 0 };
     }
     const alerts = JSON.parse(text);
-    if (!Array.isArray(alerts)) return null;
-
-    const matched = new Set<string>();
-    const dayAlerts = alerts.filter((a: any) => {
-      const d = String(a?.alertDate ?? a?.date ?? "").slice(0, 10);
-      const area = String(a?.data ?? a?.area ?? "");
-      if (d !== date) return false;
-      const hit = areas.find((h) => area.includes(h));
-      if (hit) {
-        matched.add(hit);
-        return true;
-      }
-      return false;
+    if (!Array.isArray(alerts)) return { alerts: null, openMinutes: 0 };
+
+    // Attributed by business day: for a window crossing midnight, a 01:30
+    // alert belongs to the night that opened the previous calendar day.
+    const day = matchAlertDay(alerts, date, areas, {
+      window: windowMinutes(hours),
+      shelterMinutesFor: (area) => resolveShelterMinutes(area, shelterOverrides),
     });
+    for (const a of day.timed) if (a.hour in hourly) hourly[a.hour]++;
+    const { episodes, minutes, open_minutes } = summarizeAlertEpisodes(day.timed, hours);
+    const openMinutes = open_minutes + day.untimedMinutes;
 
     return {
-      alert_count: dayAlerts.length,
-      // Heuristic: 10 minutes of operational disruption per alert (siren +
-      // shelter time + return-to-work). Not exact — refine later.
-      alert_minutes: dayAlerts.length * 10,
-      is_alert_day: dayAlerts.length > 0,
-      matched_areas: Array.from(matched),
+      alerts: {
+        alert_count: day.count,
+        alert_minutes: Math.round(minutes + day.untimedMinutes),
+        is_alert_day: day.count > 0,
+        matched_areas: day.matchedAreas,
+        hourly,
+        episodes,
+        open_minutes: Math.round(openMinutes),
+      },
+      openMinutes,
     };
   } catch (err) {
     console.error("[analytics/oref] failed:", (err as Error)?.message ?? err);
-    return null;
+    return { alerts: null, openMinutes: 0 };
   }
 }
 
-// ── Calendar (Israeli holidays for 2024–2026) ─────────────────────────────────
-// Mirror of lib/analytics/sources.js — kept inline so this module is
-// self-contained for serverless cold starts.
-
-const IL_HOLIDAYS = new Set<string>([
-  // 2024
-  "2024-10-02", "2024-10-03", "2024-10-11", "2024-10-16", "2024-10-17",
-  "2024-10-23", "2024-10-24",
-  "2024-12-25", "2024-12-26", "2024-12-27", "2024-12-28",
-  "2024-12-29", "2024-12-30", "2024-12-31", "2025-01-01",
-  // 2025
-  "2025-03-13", "2025-03-14",
-  "2025-04-12", "2025-04-13", "2025-04-14", "2025-04-15",
-  "2025-04-16", "2025-04-17", "2025-04-18", "2025-04-19",
-  "2025-05-05", "2025-05-12", "2025-05-13", "2025-05-16",
-  "2025-06-01", "2025-06-02", "2025-08-03",
-  "2025-09-22", "2025-09-23", "2025-10-01",
-  "2025-10-06", "2025-10-07", "2025-10-08", "2025-10-09",
-  "2025-10-10", "2025-10-11", "2025-10-12", "2025-10-13", "2025-10-14",
-  "2025-12-14", "2025-12-15", "2025-12-16", "2025-12-17",
-  "2025-12-18", "2025-12-19", "2025-12-20", "2025-12-21",
-  // 2026
-  "2026-03-02", "2026-03-03",
-  "2026-03-31", "2026-04-01", "2026-04-02", "2026-04-03",
-  "2026-04-04", "2026-04-05", "2026-04-06", "2026-04-07",
-  "2026-04-20", "2026-04-28", "2026-04-29",
-  "2026-05-19", "2026-05-20", "2026-07-23",
-  "2026-09-10", "2026-09-11", "2026-09-19",
-  "2026-09-24", "2026-09-25", "2026-09-26", "2026-09-27",
-  "2026-09-28", "2026-09-29", "2026-09-30",
-  "2026-10-01", "2026-10-02",
-]);
-
-const IL_HOLIDAY_EVES = new Set<string>([
-  "2024-10-01", "2024-10-10", "2024-10-15", "2024-10-22",
-  "2025-03-12", "2025-04-11", "2025-04-17", "2025-05-11",
-  "2025-05-31", "2025-08-02", "2025-09-21", "2025-09-30",
-  "2025-10-05", "2025-10-12",
-  "2026-03-01", "2026-03-30", "2026-04-05", "2026-04-27",
-  "2026-05-18", "2026-07-22", "2026-09-09", "2026-09-18",
-  "2026-09-23", "2026-09-30",
-]);
-
-const NEW_YEAR_EVES = new Set<string>([
-  "2024-12-31", "2025-12-31", "2026-12-31",
-]);
+// ── Calendar (computed — lib/analytics/israelCalendar.js) ─────────────────────
+// Shared with lib/analytics/sources.js so both builders agree for any year.
 
 function buildCalendar(date: string): AnalyticsDoc["calendar"] {
   const d = new Date(date + "T12:00:00Z");
   const dow = d.getUTCDay();
-  const newYearEve = NEW_YEAR_EVES.has(date);
+  const newYearEve = date.slice(5) === "12-31";
+  const il = israelCalendarDay(date);
   return {
     dow,
     weekend: dow === 5 || dow === 6,
     month: d.getUTCMonth() + 1,
-    holiday: IL_HOLIDAYS.has(date),
-    holiday_eve: IL_HOLIDAY_EVES.has(date) || newYearEve,
+    holiday: il.holiday,
+    holiday_eve: il.holiday_eve || newYearEve,
     new_year_eve: newYearEve,
+    chol_hamoed: il.chol_hamoed,
+    holiday_name: il.holiday_name,
+    school_vacation: il.school_vacation,
+    ramadan: il.ramadan,
+    eid: il.eid,
   };
 }
 
 // ── Operational classification (auto from alerts + revenue) ───────────────────
 
 function classifyOperationalStatus(
-  alertsDoc: AnalyticsDoc["alerts"],
+  oref: OrefDay,
   hadEntry: boolean
 ): AnalyticsDoc["operational"]["war_day"] {
-  if (alertsDoc === null) return "unknown";
-  if (!alertsDoc.is_alert_day) return "regular";
+  if (oref.alerts === null) return "unknown";
+  if (!oref.alerts.is_alert_day) return "regular";
+  // Sirens only while the business was closed (a cafe's 04:00 alert) didn't
+  // disrupt the day. Raw minutes: a shelter window ending 20 seconds into
+  // opening rounds to 0 in the doc but still disrupted it.
+  if (oref.openMinutes === 0) return "regular";
   return hadEntry ? "partial" : "full";
 }
 
+// ── Location ──────────────────────────────────────────────────────────────────
+
+export interface BizLocation {
+  lat: number;
+  lon: number;
+  orefAreas: string[];
+  areasSource: "regions" | "legacy" | "default";
+}
+
+/**
+ * Weather coordinates + Oref areas for a business config. The legacy builder
+ * (lib/analytics/builder.js) takes the result as opts.location so both
+ * pipelines agree.
+ */
+export function resolveBizLocation(config: BusinessConfig): BizLocation {
+  // Resolve location with sane defaults (Hadera) until the user sets it
+  // explicitly through the map picker in SetupWizard.
+  const lat = num(config.lat) || 32.4342;
+  const lon = num(config.lon) || 34.9194;
+
+  // Three layers of precedence for which Oref areas to filter alerts by:
+  // 1. NEW: hierarchical region selection (region_ids / subregion_ids /
+  //    custom_oref_areas) — resolved through the resolver, which de-dupes
+  //    and returns a flat list of substrings.
+  // 2. LEGACY: a pre-existing flat oref_areas list (config saved before
+  //    we introduced the taxonomy).
+  // 3. DEFAULT: the Hadera-area fallback, kept identical to what we had
+  //    before so a brand-new biz still gets *something* useful until the
+  //    owner picks a region.
+  const hasNewSelection =
+    (config.region_ids?.length ?? 0) > 0 ||
+    (config.subregion_ids?.length ?? 0) > 0 ||
+    (config.custom_oref_areas?.length ?? 0) > 0;
+  if (hasNewSelection) {
+    const orefAreas = resolveOrefAreas({
+      region_ids: config.region_ids,
+      subregion_ids: config.subregion_ids,
+      custom_areas: config.custom_oref_areas,
+    } satisfies RegionSelection);
+    return { lat, lon, orefAreas, areasSource: "regions" };
+  }
+  if (Array.isArray(config.oref_areas) && config.oref_areas.length > 0) {
+    return { lat, lon, orefAreas: config.oref_areas, areasSource: "legacy" };
+  }
+  return {
+    lat,
+    lon,
+    orefAreas: ["חדרה", "בנימינה", "זכרון יעקב", "עמיקם", "עין עירון", "קציר"],
+    areasSource: "default",
+  };
+}
+
+/** A business's location from its stored config (see resolveBizLocation). */
+export async function getBizLocation(tenantId: string, bizId: string): Promise<BizLocation> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:config`).once("value");
+  return resolveBizLocation(parseFirebaseData<BusinessConfig>(snap.val(), {}));
+}
+
 // ── Main builder ──────────────────────────────────────────────────────────────
 
 export async function buildAnalyticsForBiz(
@@ -363,48 +527,18 @@ export async function buildAnalyticsForBiz(
     businesses.find((b) => b.id === bizId)?.name ||
     config.businessName ||
     "Unknown";
+  const businessHours = parseBusinessHours(config.business_hours) ?? DEFAULT_BUSINESS_HOURS;
 
   const todayEntry = entries.find((e) => e.date === date);
 
-  // Resolve location with sane defaults (Hadera) until the user sets it
-  // explicitly through the map picker in SetupWizard.
-  const lat = num(config.lat) || 32.4342;
-  const lon = num(config.lon) || 34.9194;
-
-  // Three layers of precedence for which Oref areas to filter alerts by:
-  // 1. NEW: hierarchical region selection (region_ids / subregion_ids /
-  //    custom_oref_areas) — resolved through the resolver, which de-dupes
-  //    and returns a flat list of substrings.
-  // 2. LEGACY: a pre-existing flat oref_areas list (config saved before
-  //    we introduced the taxonomy).
-  // 3. DEFAULT: the Hadera-area fallback, kept identical to what we had
-  //    before so a brand-new biz still gets *something* useful until the
-  //    owner picks a region.
-  const hasNewSelection =
-    (config.region_ids?.length ?? 0) > 0 ||
-    (config.subregion_ids?.length ?? 0) > 0 ||
-    (config.custom_oref_areas?.length ?? 0) > 0;
-  let orefAreas: string[];
-  let areasSource: "regions" | "legacy" | "default";
-  if (hasNewSelection) {
-    orefAreas = resolveOrefAreas({
-      region_ids: config.region_ids,
-      subregion_ids: config.subregion_ids,
-      custom_areas: config.custom_oref_areas,
-    } satisfies RegionSelection);
-    areasSource = "regions";
-  } else if (Array.isArray(config.oref_areas) && config.oref_areas.length > 0) {
-    orefAreas = config.oref_areas;
-    areasSource = "legacy";
-  } else {
-    orefAreas = ["חדרה", "בנימינה", "זכרון יעקב", "עמיקם", "עין עירון", "קציר"];
-    areasSource = "default";
-  }
+  const { lat, lon, orefAreas, areasSource } = resolveBizLocation(config);
+  const shelterOverrides = parseShelterOverrides(config.shelter_minutes);
 
   // Optional sources — soft-fail so one outage doesn't kill the whole doc.
-  const [weather, alerts] = await Promise.all([
-    fetchWeather(lat, lon, date),
-    fetchOrefAlerts(orefAreas, date),
+  const [weather, oref, posDaily] = await Promise.all([
+    fetchWeather(lat, lon, date, businessHours),
+    fetchOrefAlerts(orefAreas, date, businessHours, shelterOverrides),
+    getStoredReport(tenantId, bizId, "daily_summary", date).catch(() => null),
   ]);
 
   const sales = num(todayEntry?.sales);
@@ -427,7 +561,8 @@ export async function buildAnalyticsForBiz(
 
   const hadEntry = !!todayEntry && (sales > 0 || deliveries > 0 || food_cost > 0);
   const calendar = buildCalendar(date);
-  const war_day = classifyOperationalStatus(alerts, hadEntry);
+  const war_day = classifyOperationalStatus(oref, hadEntry);
+  const alerts = oref.alerts;
 
   return {
     date,
@@ -442,6 +577,7 @@ export async function buildAnalyticsForBiz(
       food_cost,
       payroll: total_payroll,
       had_entry: hadEntry,
+      ...(posDaily?.hourly ? { hourly: posDaily.hourly } : {}),
     },
     weather,
     alerts,
@@ -450,7 +586,7 @@ export async function buildAnalyticsForBiz(
     meta: {
       createdAt: Date.now(),
       builtAt: new Date().toISOString(),
-      version: "1.0.0",
+      version: ANALYTICS_SCHEMA_VERSION,
       sources: {
         entry: hadEntry ? "ok" : "missing",
         weather: weather ? "ok" : "missing",
@@ -464,10 +600,40 @@ export async function buildAnalyticsForBiz(
         region_ids: config.region_ids,
         subregion_ids: config.subregion_ids,
       },
+      business_hours: businessHours,
+      ...(Object.keys(shelterOverrides).length > 0 ? { shelter_minutes: shelterOverrides } : {}),
     },
   };
 }
 
+/**
+ * A business's operating window from its config (business_hours), or the
+ * 08:00–22:00 default. Used by the POS import and the proactive detectors.
+ */
+export async function getBusinessHours(tenantId: string, bizId: string): Promise<BusinessHours> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:config`).once("value");
+  const config = parseFirebaseData<BusinessConfig>(snap.val(), {});
+  return parseBusinessHours(config.business_hours) ?? DEFAULT_BUSINESS_HOURS;
+}
+
+/**
+ * The Oref areas a business follows (resolveBizLocation) and its shelter
+ * overrides, from one config read. Used by the live siren poller.
+ */
+export async function getBizAlertAreas(
+  tenantId: string,
+  bizId: string
+): Promise<Pick<BizLocation, "orefAreas" | "areasSource"> & { shelterOverrides: Record<string, number> }> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:config`).once("value");
+  const config = parseFirebaseData<BusinessConfig>(snap.val(), {});
+  const { orefAreas, areasSource } = resolveBizLocation(config);
+  return {
+    orefAreas,
+    areasSource,
+    shelterOverrides: parseShelterOverrides(config.shelter_minutes),
+  };
+}
+
 // ── Persist to Firebase ───────────────────────────────────────────────────────
 
 export async function saveAnalyticsDoc(doc: AnalyticsDoc): Promise<void> {
@@ -540,8 +706,11 @@ export async function buildAndSaveInsights(
   todayDoc: AnalyticsDoc
 ): Promise<void> {
   try {
-    const history = await loadAnalyticsHistory(tenantId, bizId, date, 45);
-    const insightsDoc = buildInsights(todayDoc, history);
+    const [history, research] = await Promise.all([
+      loadAnalyticsHistory(tenantId, bizId, date, 45),
+      getSignificantEffects(tenantId, bizId).catch(() => []),
+    ]);
+    const insightsDoc = buildInsights(todayDoc, history, Date.now(), research);
     await saveInsightsDoc(tenantId, bizId, insightsDoc);
   } catch (err) {
     console.error(
@@ -551,16 +720,90 @@ export async function buildAndSaveInsights(
   }
 }
 
+// ── Correlation research (weekly refit) ──────────────────────────────────────
+
+/**
+ * Refit research.ts's regressions for one business over the `windowDays` days
+ * ending at `lastDate` (inclusive) and store the result.
+ */
+export async function runResearchForBiz(
+  tenantId: string,
+  bizId: string,
+  lastDate: string,
+  windowDays = 365
+): Promise<ResearchDoc> {
+  const history = await loadAnalyticsHistory(tenantId, bizId, addDaysIso(lastDate, 1), windowDays);
+  const doc: ResearchDoc = {
+    tenantId,
+    bizId,
+    version: RESEARCH_VERSION,
+    fittedAt: Date.now(),
+    windowDays,
+    ...fitResearch(history),
+  };
+  await saveResearchDoc(doc);
+  return doc;
+}
+
+/** Days between refits of one business. */
+export const RESEARCH_REFIT_DAYS = 7;
+
+/**
+ * A fit reads a year of docs (~1–3s per biz), so the research job gets its own
+ * invocation and a budget under the Hobby limit.
+ */
+export const RESEARCH_TIME_BUDGET_MS = 8_000;
+const RESEARCH_STEP_ESTIMATE_MS = 3_000;
+
+export interface ResearchRunResult {
+  fitted: number;
+  failures: Array<{ tenantId: string; bizId: string; error: string }>;
+  /** Businesses still due (failed or not reached), left for the next run. */
+  remaining: number;
+}
+
+/**
+ * Refit every business never fitted or last fitted RESEARCH_REFIT_DAYS or more
+ * before `date`, stalest first, until the time budget runs out. Run daily; businesses the
+ * budget doesn't reach stay due and go first next time.
+ */
+export async function runDueResearch(
+  date: string,
+  timeBudgetMs = RESEARCH_TIME_BUDGET_MS
+): Promise<ResearchRunResult> {
+  const budget = createTimeBudget(timeBudgetMs, RESEARCH_STEP_ESTIMATE_MS);
+  const businesses = await listActiveBusinesses();
+  const fits = await Promise.all(
+    businesses.map((b) => getResearchDoc(b.tenantId, b.bizId).catch(() => null))
+  );
+  // By UTC day: the job runs late evening UTC, on `date`'s UTC day.
+  const cutoff = addDaysIso(date, -RESEARCH_REFIT_DAYS);
+  const due = businesses
+    .map((b, i) => ({ ...b, fittedAt: fits[i]?.fittedAt ?? 0 }))
+    .filter((b) => new Date(b.fittedAt).toISOString().slice(0, 10) <= cutoff)
+    .sort((a, b) => a.fittedAt - b.fittedAt);
+
+  const result: ResearchRunResult = { fitted: 0, failures: [], remaining: due.length };
+  for (const { tenantId, bizId } of due) {
+    if (!budget.hasRoom()) break;
+    try {
+      await budget.step(() => runResearchForBiz(tenantId, bizId, date));
+      result.fitted++;
+      result.remaining--;
+    } catch (err) {
+      console.error(`[analytics] research ${tenantId}:${bizId} failed:`, (err as Error)?.message ?? err);
+      result.failures.push({ tenantId, bizId, error: String((err as Error)?.message ?? err) });
+    }
+  }
+  return result;
+}
+
 // ── Iterate active businesses (mirrors snapshotBuilder discovery) ────────────
 
-export async function buildAnalyticsForAll(
-  date: string
-): Promise<{ docs: AnalyticsDoc[]; failures: Array<{ tenantId: string; bizId: string; error: string }> }> {
+/** proactive_biz_index's active entries; every tenant's businesses when it's empty. */
+export async function listActiveBusinesses(): Promise<Array<{ tenantId: string; bizId: string }>> {
   const db = getDb();
-  const docs: AnalyticsDoc[] = [];
-  const failures: Array<{ tenantId: string; bizId: string; error: string }> = [];
-
-  let activeBusinesses: Array<{ tenantId: string; bizId: string }> = [];
+  const activeBusinesses: Array<{ tenantId: string; bizId: string }> = [];
 
   // Preferred discovery: proactive_biz_index.
   try {
@@ -604,11 +847,19 @@ export async function buildAnalyticsForAll(
       }
     } catch (err) {
       console.error("[analytics] tenant discovery failed:", err);
-      return { docs, failures };
     }
   }
 
-  for (const { tenantId, bizId } of activeBusinesses) {
+  return activeBusinesses;
+}
+
+export async function buildAnalyticsForAll(
+  date: string
+): Promise<{ docs: AnalyticsDoc[]; failures: Array<{ tenantId: string; bizId: string; error: string }> }> {
+  const docs: AnalyticsDoc[] = [];
+  const failures: Array<{ tenantId: string; bizId: string; error: string }> = [];
+
+  for (const { tenantId, bizId } of await listActiveBusinesses()) {
     try {
       const doc = await buildAnalyticsForBiz(tenantId, bizId, date);
       await saveAnalyticsDoc(doc);
@@ -0,0 +1,237 @@
+/**
+ * Data health — per-business completeness and gap report over a period.
+ *
+ * Reads what the pipeline already records: each analytics:daily doc's
+ * meta.sources (entry / weather / alerts ok|missing), days with no doc at all
+ * (the builder never ran), and the stored POS daily_summary reports. Lists the
+ * missing dates per source, scores completeness, and says how current the
+ * manual entry and POS feed are.
+ *
+ *   score      weighted share of source-days present (entry ×3, POS ×2 when
+ *              the biz has POS, weather ×1, alerts ×1)
+ *   freshness  1.0 when the latest manual entry is at most a day behind `to`,
+ *              0.75 up to three days, 0.4 beyond; capped at 0.75 while POS is
+ *              stale. Feeds validateData's freshness score (analyticsService).
+ *
+ * A weekday with no manual entry anywhere in the window (e.g. closed on
+ * Saturdays) is treated as a closed day: not missing, not a gap.
+ *
+ * Stored at tenants/{tenantId}/biz:{bizId}:analytics:health (latest report),
+ * refreshed by the analytics cron; the alert checker nudges the owner about
+ * missing manual entries from it.
+ */
+
+import { addDaysIso, dateRange } from "../utils/dates.js";
+import { createTimeBudget } from "../utils/async.js";
+import { listActiveBusinesses, loadAnalyticsHistory, type AnalyticsDoc } from "./dailyBuilder.js";
+import { getPosConfig, getRecentImportLogs, getStoredReports } from "../pos/posRepo.js";
+import { getDataHealthReport, saveDataHealthReport } from "../repositories/analytics/dataHealthRepo.js";
+import type { PosImportLog } from "../pos/types.js";
+
+export type HealthSource = "entry" | "weather" | "alerts" | "pos";
+
+export interface DataHealthReport {
+  tenantId: string;
+  bizId: string;
+  from: string;
+  to: string;
+  generatedAt: number;
+  /** 0–1, weighted share of source-days present. */
+  score: number;
+  /** 0–1, how current the manual entry and POS feed are. */
+  freshness: number;
+  /** Share of expected days each source was present; pos only for a biz with POS. */
+  coverage: Partial<Record<HealthSource, number>>;
+  /** Dates per source. `doc` = no analytics doc at all (counted against every source). */
+  missing: Record<HealthSource | "doc", string[]>;
+  /** 0 = Sunday … 6 = Saturday; weekdays never entered in the window. */
+  closedWeekdays: number[];
+  /** Open days in a row without a manual entry, ending at `to`. */
+  entryGapDays: number;
+  latestEntryDate?: string;
+  pos: {
+    configured: boolean;
+    /** No stored daily_summary for the last POS_STALE_DAYS open days. */
+    stale: boolean;
+    lastImportAt?: number;
+    lastImportStatus?: PosImportLog["status"];
+  };
+}
+
+export const DATA_HEALTH_WINDOW_DAYS = 30;
+
+const POS_STALE_DAYS = 2;
+
+const SOURCE_WEIGHT: Record<HealthSource, number> = { entry: 3, pos: 2, weather: 1, alerts: 1 };
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+const weekday = (date: string) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+export interface DataHealthInput {
+  tenantId: string;
+  bizId: string;
+  /** Every date of the period, ascending. */
+  dates: string[];
+  docs: AnalyticsDoc[];
+  pos: {
+    configured: boolean;
+    /** Dates with a stored daily_summary. */
+    reportDates: string[];
+    lastImport: PosImportLog | null;
+  };
+  now?: number;
+}
+
+/** Pure: the report for one business over `dates`. */
+export function summarizeDataHealth(input: DataHealthInput): DataHealthReport {
+  const { dates } = input;
+  const byDate = new Map(input.docs.map((d) => [d.date, d]));
+  const posDates = new Set(input.pos.reportDates);
+  const posConfigured = input.pos.configured || posDates.size > 0;
+  const entryOk = (date: string) => byDate.get(date)?.meta?.sources?.entry === "ok";
+
+  // Weekdays with enough occurrences and never an entry (nor POS sales) → closed.
+  const seen = new Map<number, { days: number; open: boolean }>();
+  for (const date of dates) {
+    const w = weekday(date);
+    const s = seen.get(w) ?? { days: 0, open: false };
+    s.days++;
+    s.open ||= entryOk(date) || posDates.has(date);
+    seen.set(w, s);
+  }
+  const closedWeekdays = [...seen.entries()]
+    .filter(([, s]) => s.days >= 3 && !s.open)
+    .map(([w]) => w)
+    .sort((a, b) => a - b);
+  const openDates = dates.filter((d) => !closedWeekdays.includes(weekday(d)));
+
+  const missing: DataHealthReport["missing"] = { doc: [], entry: [], weather: [], alerts: [], pos: [] };
+  for (const date of openDates) {
+    const doc = byDate.get(date);
+    if (!doc) missing.doc.push(date);
+    else {
+      if (doc.meta?.sources?.entry !== "ok") missing.entry.push(date);
+      if (doc.meta?.sources?.weather !== "ok") missing.weather.push(date);
+      if (doc.meta?.sources?.alerts !== "ok") missing.alerts.push(date);
+    }
+    if (posConfigured && !posDates.has(date)) missing.pos.push(date);
+  }
+
+  const expected = Math.max(1, openDates.length);
+  const coverage: DataHealthReport["coverage"] = {};
+  const sources: HealthSource[] = posConfigured ? ["entry", "pos", "weather", "alerts"] : ["entry", "weather", "alerts"];
+  let weighted = 0;
+  let weights = 0;
+  for (const s of sources) {
+    const absent = s === "pos" ? missing.pos.length : missing[s].length + missing.doc.length;
+    coverage[s] = round2(Math.max(0, 1 - absent / expected));
+    weighted += coverage[s]! * SOURCE_WEIGHT[s];
+    weights += SOURCE_WEIGHT[s];
+  }
+
+  let entryGapDays = 0;
+  for (let i = openDates.length - 1; i >= 0 && !entryOk(openDates[i]); i--) entryGapDays++;
+  const latestEntryDate = [...dates].reverse().find(entryOk);
+
+  const posStale =
+    posConfigured &&
+    openDates.length >= POS_STALE_DAYS &&
+    openDates.slice(-POS_STALE_DAYS).every((d) => !posDates.has(d));
+  let freshness = entryGapDays <= 1 ? 1.0 : entryGapDays <= 3 ? 0.75 : 0.4;
+  if (posStale) freshness = Math.min(freshness, 0.75);
+
+  const last = input.pos.lastImport;
+  return {
+    tenantId: input.tenantId,
+    bizId: input.bizId,
+    from: dates[0] ?? "",
+    to: dates[dates.length - 1] ?? "",
+    generatedAt: input.now ?? Date.now(),
+    score: round2(weights > 0 ? weighted / weights : 0),
+    freshness,
+    coverage,
+    missing,
+    closedWeekdays,
+    entryGapDays,
+    ...(latestEntryDate ? { latestEntryDate } : {}),
+    pos: {
+      configured: posConfigured,
+      stale: posStale,
+      ...(last ? { lastImportAt: last.createdAt, lastImportStatus: last.status } : {}),
+    },
+  };
+}
+
+/** Read the period's docs and POS state for one business and summarize them. */
+export async function buildDataHealthReport(
+  tenantId: string,
+  bizId: string,
+  to: string,
+  days = DATA_HEALTH_WINDOW_DAYS
+): Promise<DataHealthReport> {
+  const dates = dateRange(addDaysIso(to, -(days - 1)), to);
+
+  const [docs, posConfig, reports, logs] = await Promise.all([
+    loadAnalyticsHistory(tenantId, bizId, addDaysIso(to, 1), days),
+    getPosConfig(tenantId, bizId).catch(() => null),
+    getStoredReports(tenantId, bizId, "daily_summary", dates),
+    getRecentImportLogs(tenantId, bizId, 1),
+  ]);
+  return summarizeDataHealth({
+    tenantId,
+    bizId,
+    dates,
+    docs,
+    pos: {
+      configured: posConfig?.enabled === true,
+      reportDates: reports.map((r) => r.businessDate),
+      lastImport: logs[0] ?? null,
+    },
+  });
+}
+
+/** A report reads ~60 keys in parallel; the budget leaves the Hobby limit's margin. */
+export const DATA_HEALTH_TIME_BUDGET_MS = 8_000;
+const DATA_HEALTH_STEP_ESTIMATE_MS = 1_500;
+
+export interface DataHealthRunResult {
+  refreshed: number;
+  failures: Array<{ tenantId: string; bizId: string; error: string }>;
+  /** Businesses still behind `to`, left for the next run. */
+  remaining: number;
+}
+
+/**
+ * Rebuild and store the report ending `to` for every active business whose
+ * stored one ends earlier, furthest behind first, until the time budget runs
+ * out. A failed build is a gap too — it stays behind and is retried.
+ */
+export async function refreshDataHealthReports(
+  to: string,
+  timeBudgetMs = DATA_HEALTH_TIME_BUDGET_MS
+): Promise<DataHealthRunResult> {
+  const budget = createTimeBudget(timeBudgetMs, DATA_HEALTH_STEP_ESTIMATE_MS);
+  const businesses = await listActiveBusinesses();
+  const stored = await Promise.all(
+    businesses.map((b) => getDataHealthReport(b.tenantId, b.bizId).catch(() => null))
+  );
+  const due = businesses
+    .map((b, i) => ({ ...b, lastTo: stored[i]?.to ?? "" }))
+    .filter((b) => b.lastTo < to)
+    .sort((a, b) => a.lastTo.localeCompare(b.lastTo));
+
+  const result: DataHealthRunResult = { refreshed: 0, failures: [], remaining: due.length };
+  for (const { tenantId, bizId } of due) {
+    if (!budget.hasRoom()) break;
+    try {
+      await budget.step(async () => saveDataHealthReport(await buildDataHealthReport(tenantId, bizId, to)));
+      result.refreshed++;
+      result.remaining--;
+    } catch (err) {
+      console.error(`[analytics] data health ${tenantId}:${bizId} failed:`, (err as Error)?.message ?? err);
+      result.failures.push({ tenantId, bizId, error: String((err as Error)?.message ?? err) });
+    }
+  }
+  return result;
+}
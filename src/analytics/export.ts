@@ -0,0 +1,271 @@
+/**
+ * Analytics dataset export — analytics:daily docs flattened to CSV / JSONL.
+ *
+ * One row per (business, date) that has a doc; days never built are simply
+ * absent. Columns are fixed by EXPORT_COLUMNS and versioned with the doc
+ * schema (ANALYTICS_SCHEMA_VERSION): the first line of every export is the
+ * schema header, and each row also carries its own doc's meta.version, since a
+ * range can mix docs built before and after a schema bump (fields added later
+ * read as empty on older rows).
+ *
+ *   CSV    "# schema=analytics-daily version=1.3.0 anonymized=false", then the
+ *          column header row (pandas: read_csv(..., comment="#"))
+ *   JSONL  {"schema": { name, version, anonymized, columns }} then one object
+ *          per row
+ *
+ * Anonymized exports (cross-tenant research) replace tenant_id / biz_id with
+ * keyed pseudonyms — HMAC-SHA256 under ANALYTICS_EXPORT_SALT, so the same biz
+ * gets the same id across exports but it can't be reversed without the salt —
+ * and drop the identifying columns (name, coordinates). Region ids stay: they
+ * are coarse and are what the research groups by.
+ *
+ * Hourly timelines and episode details are left out (episodes are only
+ * counted): their shape depends on each business's hours, not a flat row.
+ */
+
+import { createHmac } from "node:crypto";
+import { addDaysIso, dateRange } from "../utils/dates.js";
+import {
+  ANALYTICS_SCHEMA_VERSION,
+  loadAnalyticsHistory,
+  type AnalyticsDoc,
+} from "./dailyBuilder.js";
+import { fail } from "../utils/httpError.js";
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type ExportFormat = "csv" | "jsonl";
+
+export type ExportValue = string | number | boolean | null;
+
+interface ExportColumn {
+  name: string;
+  type: "string" | "number" | "boolean";
+  description: string;
+  /** Dropped from anonymized exports. */
+  identifying?: boolean;
+  get: (doc: AnalyticsDoc) => ExportValue;
+}
+
+export interface ExportSchema {
+  name: "analytics-daily";
+  version: string;
+  anonymized: boolean;
+  columns: Array<Pick<ExportColumn, "name" | "type" | "description">>;
+}
+
+export interface ExportRequest {
+  businesses: Array<{ tenantId: string; bizId: string }>;
+  startDate: string;
+  endDate: string;
+  format: ExportFormat;
+  anonymize?: boolean;
+}
+
+export interface ExportResult {
+  format: ExportFormat;
+  contentType: string;
+  filename: string;
+  schemaVersion: string;
+  rows: number;
+  body: string;
+}
+
+/**
+ * Sized for one Hobby invocation: every business-day is its own RTDB read and
+ * a CSV row is ~0.5 KB, so 2,000 of them stay well inside ~10s and the 4.5 MB
+ * response cap. A wider dataset is several exports (by business or range).
+ */
+export const EXPORT_MAX_RANGE_DAYS = 366;
+export const EXPORT_MAX_BUSINESSES = 20;
+export const EXPORT_MAX_BUSINESS_DAYS = 2_000;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Columns ───────────────────────────────────────────────────────────────────
+
+const nullable = <T extends ExportValue>(v: T | undefined): T | null => (v === undefined ? null : v);
+
+const EXPORT_COLUMNS: ExportColumn[] = [
+  { name: "date", type: "string", description: "business date (YYYY-MM-DD)", get: (d) => d.date },
+  { name: "tenant_id", type: "string", description: "tenant (pseudonym when anonymized)", get: (d) => d.tenantId },
+  { name: "biz_id", type: "string", description: "business (pseudonym when anonymized)", get: (d) => d.bizId },
+  { name: "biz_name", type: "string", description: "business name", identifying: true, get: (d) => d.bizName },
+  { name: "schema_version", type: "string", description: "meta.version of this row's doc", get: (d) => d.meta.version },
+
+  { name: "revenue_total", type: "number", description: "sales + deliveries + other income", get: (d) => d.revenue.total },
+  { name: "revenue_sales", type: "number", description: "in-store sales", get: (d) => d.revenue.sales },
+  { name: "revenue_deliveries", type: "number", description: "delivery sales", get: (d) => d.revenue.deliveries },
+  { name: "revenue_other_income", type: "number", description: "other income", get: (d) => d.revenue.other_income },
+  { name: "food_cost", type: "number", description: "supplier payments", get: (d) => d.revenue.food_cost },
+  { name: "payroll", type: "number", description: "payroll", get: (d) => d.revenue.payroll },
+  { name: "had_entry", type: "boolean", description: "a daily entry existed", get: (d) => d.revenue.had_entry },
+
+  { name: "temp_avg", type: "number", description: "°C, daily mean", get: (d) => d.weather?.temp_avg ?? null },
+  { name: "rain_mm", type: "number", description: "daily precipitation", get: (d) => d.weather?.rain_mm ?? null },
+  { name: "is_rain_day", type: "boolean", description: "rain > 1 mm", get: (d) => d.weather?.is_rain_day ?? null },
+  { name: "wind_avg", type: "number", description: "km/h, daily max wind", get: (d) => d.weather?.wind_avg ?? null },
+
+  { name: "alert_count", type: "number", description: "matched Oref alerts", get: (d) => d.alerts?.alert_count ?? null },
+  { name: "alert_minutes", type: "number", description: "merged shelter minutes", get: (d) => d.alerts?.alert_minutes ?? null },
+  {
+    name: "alert_open_minutes",
+    type: "number",
+    description: "shelter minutes inside operating hours (1.2.0+)",
+    get: (d) => nullable(d.alerts?.open_minutes),
+  },
+  {
+    name: "alert_episodes",
+    type: "number",
+    description: "merged alert episodes (1.2.0+)",
+    get: (d) => d.alerts?.episodes?.length ?? (d.alerts && d.alerts.alert_count === 0 ? 0 : null),
+  },
+  { name: "is_alert_day", type: "boolean", description: "any matched alert", get: (d) => d.alerts?.is_alert_day ?? null },
+  { name: "war_day", type: "string", description: "regular | partial | full | unknown", get: (d) => d.operational.war_day },
+
+  { name: "dow", type: "number", description: "0 = Sunday … 6 = Saturday", get: (d) => d.calendar.dow },
+  { name: "weekend", type: "boolean", description: "Friday/Saturday", get: (d) => d.calendar.weekend },
+  { name: "month", type: "number", description: "1–12", get: (d) => d.calendar.month },
+  { name: "holiday", type: "boolean", description: "Jewish holiday incl. Chol HaMoed", get: (d) => d.calendar.holiday },
+  { name: "holiday_eve", type: "boolean", description: "eve of a holiday", get: (d) => d.calendar.holiday_eve },
+  { name: "new_year_eve", type: "boolean", description: "31 December", get: (d) => d.calendar.new_year_eve },
+  { name: "chol_hamoed", type: "boolean", description: "(1.3.0+)", get: (d) => nullable(d.calendar.chol_hamoed) },
+  { name: "holiday_name", type: "string", description: "holiday slug (1.3.0+)", get: (d) => nullable(d.calendar.holiday_name) },
+  { name: "school_vacation", type: "boolean", description: "(1.3.0+)", get: (d) => nullable(d.calendar.school_vacation) },
+  { name: "ramadan", type: "boolean", description: "(1.3.0+)", get: (d) => nullable(d.calendar.ramadan) },
+  { name: "eid", type: "boolean", description: "Eid al-Fitr / al-Adha (1.3.0+)", get: (d) => nullable(d.calendar.eid) },
+
+  { name: "source_entry", type: "string", description: "ok | missing", get: (d) => d.meta.sources.entry },
+  { name: "source_weather", type: "string", description: "ok | missing", get: (d) => d.meta.sources.weather },
+  { name: "source_alerts", type: "string", description: "ok | missing", get: (d) => d.meta.sources.alerts },
+
+  {
+    name: "region_ids",
+    type: "string",
+    description: "Oref regions, '|'-separated",
+    get: (d) => (d.meta.location.region_ids ?? []).join("|") || null,
+  },
+  { name: "lat", type: "number", description: "business latitude", identifying: true, get: (d) => d.meta.location.lat },
+  { name: "lon", type: "number", description: "business longitude", identifying: true, get: (d) => d.meta.location.lon },
+];
+
+function columnsFor(anonymize: boolean): ExportColumn[] {
+  return anonymize ? EXPORT_COLUMNS.filter((c) => !c.identifying) : EXPORT_COLUMNS;
+}
+
+export function exportSchema(anonymize = false): ExportSchema {
+  return {
+    name: "analytics-daily",
+    version: ANALYTICS_SCHEMA_VERSION,
+    anonymized: anonymize,
+    columns: columnsFor(anonymize).map(({ name, type, description }) => ({ name, type, description })),
+  };
+}
+
+// ── Flatten / serialize ──────────────────────────────────────────────────────
+
+/** Stable, non-reversible id for anonymized exports. */
+export function pseudonym(prefix: string, id: string, salt: string): string {
+  return `${prefix}_${createHmac("sha256", salt).update(id, "utf8").digest("hex").slice(0, 12)}`;
+}
+
+/** One export row. `salt` is required when anonymizing. */
+export function flattenAnalyticsDoc(
+  doc: AnalyticsDoc,
+  opts: { anonymize?: boolean; salt?: string } = {}
+): Record<string, ExportValue> {
+  const row: Record<string, ExportValue> = {};
+  for (const c of columnsFor(!!opts.anonymize)) {
+    const v = c.get(doc);
+    row[c.name] = v === undefined ? null : v;
+  }
+  if (opts.anonymize) {
+    const salt = opts.salt ?? "";
+    row.tenant_id = pseudonym("t", doc.tenantId, salt);
+    // Keyed by tenant too: biz ids are only unique within a tenant.
+    row.biz_id = pseudonym("b", `${doc.tenantId}:${doc.bizId}`, salt);
+  }
+  return row;
+}
+
+/**
+ * Spreadsheets run a cell starting with = + - @ (or tab / CR) as a formula —
+ * a business name like "=HYPERLINK(…)" would. Text cells get a leading '
+ * so they open as text; numbers are written as-is.
+ */
+function csvCell(v: ExportValue): string {
+  if (v === null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows: Array<Record<string, ExportValue>>, schema: ExportSchema): string {
+  const names = schema.columns.map((c) => c.name);
+  const lines = [
+    `# schema=${schema.name} version=${schema.version} anonymized=${schema.anonymized}`,
+    names.join(","),
+    ...rows.map((r) => names.map((n) => csvCell(r[n] ?? null)).join(",")),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+export function toJsonl(rows: Array<Record<string, ExportValue>>, schema: ExportSchema): string {
+  return [JSON.stringify({ schema }), ...rows.map((r) => JSON.stringify(r))].join("\n") + "\n";
+}
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate the request, read every business's docs in the range (inclusive)
+ * and serialize them, ordered by business then date. Anonymizing needs
+ * ANALYTICS_EXPORT_SALT; refuses (503) rather than export weak pseudonyms.
+ */
+export async function exportAnalytics(req: ExportRequest): Promise<ExportResult> {
+  const { startDate, endDate } = req;
+  if (req.format !== "csv" && req.format !== "jsonl") fail(400, 'format must be "csv" or "jsonl"');
+  if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) {
+    fail(400, "startDate and endDate must be YYYY-MM-DD");
+  }
+  if (startDate > endDate) fail(400, "startDate must not be after endDate");
+  const days = dateRange(startDate, endDate).length;
+  if (days > EXPORT_MAX_RANGE_DAYS) fail(400, `range exceeds ${EXPORT_MAX_RANGE_DAYS} days`);
+  if (!Array.isArray(req.businesses) || req.businesses.length === 0) {
+    fail(400, "businesses must be a non-empty array of { tenantId, bizId }");
+  }
+  if (req.businesses.length > EXPORT_MAX_BUSINESSES) {
+    fail(400, `at most ${EXPORT_MAX_BUSINESSES} businesses per export`);
+  }
+  if (req.businesses.length * days > EXPORT_MAX_BUSINESS_DAYS) {
+    fail(400, `businesses × days exceeds ${EXPORT_MAX_BUSINESS_DAYS}; split the export`);
+  }
+  for (const b of req.businesses) {
+    if (!b || typeof b.tenantId !== "string" || !b.tenantId || typeof b.bizId !== "string" || !b.bizId) {
+      fail(400, "businesses must be a non-empty array of { tenantId, bizId }");
+    }
+  }
+
+  const anonymize = !!req.anonymize;
+  const salt = process.env.ANALYTICS_EXPORT_SALT || "";
+  if (anonymize && !salt) fail(503, "ANALYTICS_EXPORT_SALT not configured");
+
+  const rows: Array<Record<string, ExportValue>> = [];
+  for (const { tenantId, bizId } of req.businesses) {
+    const docs = await loadAnalyticsHistory(tenantId, bizId, addDaysIso(endDate, 1), days);
+    docs
+      .filter((doc) => doc.date >= startDate && doc.date <= endDate)
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+      .forEach((doc) => rows.push(flattenAnalyticsDoc(doc, { anonymize, salt })));
+  }
+
+  const schema = exportSchema(anonymize);
+  const csv = req.format === "csv";
+  return {
+    format: req.format,
+    contentType: csv ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    filename: `analytics_${startDate}_${endDate}${anonymize ? "_anon" : ""}.${req.format}`,
+    schemaVersion: schema.version,
+    rows: rows.length,
+    body: csv ? toCsv(rows, schema) : toJsonl(rows, schema),
+  };
+}
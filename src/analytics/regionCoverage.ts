@@ -0,0 +1,181 @@
+/**
+ * Region taxonomy coverage — checks REGIONS (regions.ts) against an official
+ * Oref area list.
+ *
+ * Oref renames and adds areas over time while the taxonomy matches them by
+ * substring, so drift is silent: a new area no sub-region catches never
+ * counts toward anyone's alerts. Given the current list this reports
+ *
+ *   uncovered   areas no sub-region substring matches, each with a suggested
+ *               sub-region (from the file's coordinates when present, else a
+ *               spelling-variant match against the gazetteer)
+ *   unmatched   taxonomy substrings that match no area in the list (renamed,
+ *               misspelled, or never an Oref name)
+ *   ambiguous   substrings matching areas of more than one place — "מגדל"
+ *               also catching "מגדל העמק". Districts of one city ("תל אביב -
+ *               מרכז העיר", "תל אביב - יפו") count as one place.
+ *
+ * Pure; the area list is passed in (api/analytics/daily-builder.ts,
+ * action "region_coverage", or `npm run region-coverage -- <file>` —
+ * scripts/regionCoverage.ts).
+ */
+
+import { ALL_SUBREGIONS, OREF_AREA_POINTS } from "./regions.js";
+import { findSubRegionsForAlertData, suggestRegionsForLocation } from "./regionResolver.js";
+import { fail } from "../utils/httpError.js";
+
+export interface OrefAreaEntry {
+  name: string;
+  lat?: number;
+  lon?: number;
+}
+
+export interface UncoveredArea extends OrefAreaEntry {
+  suggestedSubregionId: string | null;
+  /** How the suggestion was found; null when the area couldn't be placed. */
+  suggestedVia: "coordinates" | "similar_name" | null;
+  /** Gazetteer name the area was placed by (similar_name only). */
+  similarTo?: string;
+}
+
+export interface RegionCoverageReport {
+  areas: number;
+  covered: number;
+  uncovered: UncoveredArea[];
+  unmatched: Array<{ substring: string; subregionIds: string[] }>;
+  ambiguous: Array<{ substring: string; subregionIds: string[]; places: string[]; matches: string[] }>;
+}
+
+/** Object keys Oref's district lists (and our own exports) use for the name. */
+const NAME_KEYS = ["label_he", "label", "name", "areaname", "data", "value"] as const;
+
+function toEntry(raw: unknown): OrefAreaEntry | null {
+  if (typeof raw === "string") return raw.trim() ? { name: raw.trim() } : null;
+  if (!raw || typeof raw !== "object") return null;
+  const o = raw as Record<string, unknown>;
+  const key = NAME_KEYS.find((k) => typeof o[k] === "string" && (o[k] as string).trim());
+  if (!key) return null;
+  const lat = Number(o.lat ?? o.latitude);
+  const lon = Number(o.lon ?? o.lng ?? o.longitude);
+  return {
+    name: (o[key] as string).trim(),
+    ...(Number.isFinite(lat) && Number.isFinite(lon) && (lat !== 0 || lon !== 0) ? { lat, lon } : {}),
+  };
+}
+
+/**
+ * Parse an area-list file: a JSON array (of names or objects with a
+ * label / name field and optional lat / lon), a JSON object wrapping one
+ * under `areas` / `data`, or plain text / CSV with the name in the first
+ * column and optional lat, lon after it. Duplicates are dropped.
+ * Throws { status: 400 } on an empty or unreadable list.
+ */
+export function parseOrefAreaList(content: string): OrefAreaEntry[] {
+  const text = content.replace(/^\uFEFF/, "").trim();
+  let raw: unknown[];
+  if (text.startsWith("[") || text.startsWith("{")) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      fail(400, "area list looks like JSON but does not parse");
+    }
+    const wrapped = parsed as { areas?: unknown; data?: unknown };
+    raw = Array.isArray(parsed)
+      ? parsed
+      : Array.isArray(wrapped?.areas)
+        ? wrapped.areas
+        : Array.isArray(wrapped?.data)
+          ? wrapped.data
+          : fail(400, "JSON area list must be an array, or an object with an areas / data array");
+  } else {
+    raw = text.split(/\r?\n/).map((line) => {
+      const [name, lat, lon] = line.split(",").map((c) => c.trim().replace(/^"|"$/g, ""));
+      return lat !== undefined && lon !== undefined ? { name, lat, lon } : name;
+    });
+  }
+
+  const byName = new Map<string, OrefAreaEntry>();
+  for (const entry of raw.map(toEntry)) {
+    // A CSV header row ("name,lat,lon") is not an area.
+    if (!entry || /^(name|area|label|שם|אזור)$/i.test(entry.name)) continue;
+    if (!byName.has(entry.name)) byName.set(entry.name, entry);
+  }
+  if (byName.size === 0) fail(400, "area list is empty");
+  return [...byName.values()];
+}
+
+/** "תל אביב - מרכז העיר" → "תל אביב"; the place an area name belongs to. */
+function placeOf(area: string): string {
+  return area.split(/\s+-\s+/)[0].trim();
+}
+
+/** Spelling-insensitive form: no punctuation/spaces, doubled yod/vav collapsed, final letters folded. */
+function normalize(name: string): string {
+  return name
+    .replace(/[^א-ת]/g, "")
+    .replace(/יי/g, "י")
+    .replace(/וו/g, "ו")
+    .replace(/ך/g, "כ")
+    .replace(/ם/g, "מ")
+    .replace(/ן/g, "נ")
+    .replace(/ף/g, "פ")
+    .replace(/ץ/g, "צ");
+}
+
+const NORMALIZED_GAZETTEER = Object.keys(OREF_AREA_POINTS)
+  .map((name) => ({ name, norm: normalize(name) }))
+  .filter((g) => g.norm.length >= 3)
+  // Longest first, so "מגדל העמק" wins over "מגדל".
+  .sort((a, b) => b.norm.length - a.norm.length);
+
+function suggestFor(entry: OrefAreaEntry): UncoveredArea {
+  if (entry.lat !== undefined && entry.lon !== undefined) {
+    const { subregion } = suggestRegionsForLocation({ lat: entry.lat, lon: entry.lon });
+    return { ...entry, suggestedSubregionId: subregion?.id ?? null, suggestedVia: subregion ? "coordinates" : null };
+  }
+  const norm = normalize(placeOf(entry.name));
+  const similar = NORMALIZED_GAZETTEER.find((g) => norm.includes(g.norm) || (norm.length >= 3 && g.norm.includes(norm)));
+  if (similar) {
+    const { subregion } = suggestRegionsForLocation(OREF_AREA_POINTS[similar.name]);
+    if (subregion) {
+      return { ...entry, suggestedSubregionId: subregion.id, suggestedVia: "similar_name", similarTo: similar.name };
+    }
+  }
+  return { ...entry, suggestedSubregionId: null, suggestedVia: null };
+}
+
+/** Check the taxonomy against an Oref area list. */
+export function checkRegionCoverage(areas: OrefAreaEntry[]): RegionCoverageReport {
+  const uncovered: UncoveredArea[] = [];
+  for (const entry of areas) {
+    if (findSubRegionsForAlertData(entry.name).length === 0) uncovered.push(suggestFor(entry));
+  }
+
+  const subregionsBySubstring = new Map<string, string[]>();
+  for (const sub of ALL_SUBREGIONS) {
+    for (const a of sub.oref_areas) {
+      subregionsBySubstring.set(a, [...(subregionsBySubstring.get(a) ?? []), sub.id]);
+    }
+  }
+
+  const unmatched: RegionCoverageReport["unmatched"] = [];
+  const ambiguous: RegionCoverageReport["ambiguous"] = [];
+  for (const [substring, subregionIds] of [...subregionsBySubstring].sort(([a], [b]) => a.localeCompare(b))) {
+    const matches = areas.map((e) => e.name).filter((name) => name.includes(substring));
+    if (matches.length === 0) {
+      unmatched.push({ substring, subregionIds });
+      continue;
+    }
+    const places = [...new Set(matches.map(placeOf))];
+    if (places.length > 1) ambiguous.push({ substring, subregionIds, places, matches });
+  }
+
+  return {
+    areas: areas.length,
+    covered: areas.length - uncovered.length,
+    uncovered,
+    unmatched,
+    ambiguous,
+  };
+}
@@ -4,7 +4,8 @@
  * Given a business's selected regions / sub-regions, plus optional
  * lat/lon for auto-suggest, returns:
  *   - The flat list of Oref area substrings to filter alerts by.
- *   - The closest sub-region to a given coordinate (for the map UI).
+ *   - The sub-region a given coordinate falls in, and the Oref areas
+ *     around it (for the map UI).
  *
  * Pure functions, no side effects, safe to import in both the cron
  * builder and the browser UI (when index.html consumes the same data).
@@ -14,6 +15,7 @@ import {
   REGIONS,
   ALL_SUBREGIONS,
   ALL_OREF_AREAS,
+  OREF_AREA_POINTS,
   getRegion,
   getSubRegion,
   type SubRegion,
@@ -92,8 +94,8 @@ export function haversineKm(
 }
 
 /**
- * Find sub-regions ranked by proximity to a point. The map picker uses
- * this for "auto-suggest the user's region from where they tapped".
+ * Find sub-regions ranked by the distance from a point to their center.
+ * Coarse near borders — the map picker uses suggestRegionsForLocation.
  *
  * @param point   user's chosen lat/lon
  * @param maxKm   only return sub-regions within this many km (default 25 —
@@ -126,6 +128,185 @@ export function findNearestSubRegion(
   return all[0] ?? null;
 }
 
+// ──────────────────────────────────────────────────────────────────────
+// Sub-region polygons — approximations built from the Oref area points.
+// ──────────────────────────────────────────────────────────────────────
+
+type LatLon = { lat: number; lon: number };
+type SubRegionMatch = SubRegion & { regionId: string; regionName: string; distanceKm: number };
+
+/**
+ * An area point further than this from its sub-region's center is a
+ * taxonomy oddity (the same name filed under two sub-regions, a typo
+ * that landed on a namesake elsewhere). It still matches alerts but
+ * doesn't stretch the polygon across the country.
+ */
+const POLYGON_MAX_SPREAD_KM = 35;
+
+/** Outward margin around the outermost area points — towns have extent. */
+const POLYGON_BUFFER_KM = 4;
+
+const KM_PER_DEG_LAT = 111.32;
+
+/** Convex hull (Andrew's monotone chain), counter-clockwise, in lon/lat. */
+function convexHull(points: LatLon[]): LatLon[] {
+  const pts = [...points].sort((a, b) => a.lon - b.lon || a.lat - b.lat);
+  if (pts.length <= 2) return pts;
+  const cross = (o: LatLon, a: LatLon, b: LatLon) =>
+    (a.lon - o.lon) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lon - o.lon);
+  const lower: LatLon[] = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper: LatLon[] = [];
+  for (const p of pts.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/** Eight points on a `km` circle around `p` — the hull of these is the buffer. */
+function ring(p: LatLon, km: number): LatLon[] {
+  const dLat = km / KM_PER_DEG_LAT;
+  const dLon = km / (KM_PER_DEG_LAT * Math.cos((p.lat * Math.PI) / 180));
+  return Array.from({ length: 8 }, (_, i) => {
+    const a = (i * Math.PI) / 4;
+    return { lat: p.lat + dLat * Math.sin(a), lon: p.lon + dLon * Math.cos(a) };
+  });
+}
+
+/**
+ * Ray casting. Polygons here span tens of km, so treating lat/lon as
+ * planar is fine. Points exactly on an edge may fall either way.
+ */
+export function pointInPolygon(point: LatLon, polygon: LatLon[]): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.lat > point.lat !== b.lat > point.lat &&
+      point.lon < ((b.lon - a.lon) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lon
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Per sub-region: its placed area points (anchors) and the buffered hull around them. */
+const SUBREGION_SHAPES = new Map(
+  ALL_SUBREGIONS.map((s) => {
+    const anchors = s.oref_areas
+      .filter((a) => OREF_AREA_POINTS[a])
+      .map((a) => ({ area: a, ...OREF_AREA_POINTS[a] }))
+      .filter((p) => haversineKm(p, s.center) <= POLYGON_MAX_SPREAD_KM);
+    const polygon = convexHull(
+      [s.center, ...anchors].flatMap((p) => ring(p, POLYGON_BUFFER_KM))
+    );
+    return [s.id, { anchors, polygon }] as const;
+  })
+);
+
+/**
+ * The approximate outline of a sub-region: the convex hull of its Oref
+ * area points, buffered by POLYGON_BUFFER_KM. Counter-clockwise lat/lon
+ * ring (not closed). Neighbouring outlines overlap — suggestRegionsForLocation
+ * breaks the tie.
+ */
+export function getSubRegionPolygon(id: string): LatLon[] | null {
+  return SUBREGION_SHAPES.get(id)?.polygon.map((p) => ({ ...p })) ?? null;
+}
+
+/** Distance from a point to the nearest placed area of a sub-region (center if none). */
+function distanceToSubRegion(point: LatLon, sub: SubRegion): number {
+  const anchors = SUBREGION_SHAPES.get(sub.id)?.anchors ?? [];
+  if (anchors.length === 0) return haversineKm(point, sub.center);
+  return Math.min(...anchors.map((a) => haversineKm(point, a)));
+}
+
+/**
+ * Sub-regions whose polygon contains the point, closest first (by the
+ * nearest of their Oref areas, not their center).
+ */
+export function findSubRegionsContaining(point: LatLon): SubRegionMatch[] {
+  return ALL_SUBREGIONS
+    .filter((s) => pointInPolygon(point, SUBREGION_SHAPES.get(s.id)!.polygon))
+    .map((s) => ({ ...s, distanceKm: distanceToSubRegion(point, s) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+export interface NearbyOrefArea {
+  area: string;
+  distanceKm: number;
+  /** Sub-regions whose oref_areas list this name. */
+  subregionIds: string[];
+}
+
+/**
+ * Placed Oref areas within `radiusKm` of the point, closest first. Areas
+ * without a gazetteer point (see OREF_AREA_POINTS) never show up here.
+ *
+ * @param radiusKm  default 10 — roughly the spread of a single Oref
+ *                  warning zone around a town
+ * @param limit     cap so the UI shows a readable list
+ */
+export function findOrefAreasNear(
+  point: LatLon,
+  radiusKm: number = 10,
+  limit: number = 20
+): NearbyOrefArea[] {
+  return Object.entries(OREF_AREA_POINTS)
+    .map(([area, p]) => ({ area, distanceKm: haversineKm(point, p) }))
+    .filter((a) => a.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit)
+    .map((a) => ({
+      ...a,
+      subregionIds: ALL_SUBREGIONS.filter((s) => s.oref_areas.includes(a.area)).map((s) => s.id),
+    }));
+}
+
+export interface RegionSuggestion {
+  /** Best sub-region for the point; null when nothing is within reach. */
+  subregion: SubRegionMatch | null;
+  /**
+   * How it was chosen: "polygon" — the point is inside its outline;
+   * "nearest_area" — outside every outline, closest Oref area within 50 km;
+   * "center" — no placed area in reach, closest center (the old behaviour).
+   */
+  match: "polygon" | "nearest_area" | "center" | null;
+  /** Every sub-region whose polygon contains the point, closest first. */
+  candidates: SubRegionMatch[];
+  /** Oref areas within the radius, for the picker to show / pre-check. */
+  areas: NearbyOrefArea[];
+}
+
+/**
+ * The map picker's auto-suggest: which sub-region the business is in,
+ * plus the Oref areas around it. Point-in-polygon first; where outlines
+ * overlap, the sub-region owning the nearest Oref area wins.
+ */
+export function suggestRegionsForLocation(point: LatLon, radiusKm: number = 10): RegionSuggestion {
+  const candidates = findSubRegionsContaining(point);
+  const areas = findOrefAreasNear(point, radiusKm);
+  if (candidates.length > 0) {
+    return { subregion: candidates[0], match: "polygon", candidates, areas };
+  }
+
+  const nearest = ALL_SUBREGIONS
+    .filter((s) => (SUBREGION_SHAPES.get(s.id)?.anchors.length ?? 0) > 0)
+    .map((s) => ({ ...s, distanceKm: distanceToSubRegion(point, s) }))
+    .filter((s) => s.distanceKm <= 50)
+    .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+  if (nearest) return { subregion: nearest, match: "nearest_area", candidates, areas };
+
+  const byCenter = findNearestSubRegion(point);
+  return { subregion: byCenter, match: byCenter ? "center" : null, candidates, areas };
+}
+
 /**
  * "Show me everything inside Israel" escape hatch — used when a business
  * deliberately wants to track all alerts for analytics breadth, regardless
@@ -10,14 +10,19 @@
  *     the `data`/`area` field of each Oref alert. Matching is permissive
  *     (substring `.includes`), so e.g. "תל אביב" matches both
  *     "תל אביב - מרכז העיר" and "תל אביב - דרום העיר".
- *   - center: approximate lat/lon for the sub-region centroid, used by
- *     the map picker's auto-suggest ("which sub-region is closest to
- *     where you tapped?").
+ *   - center: approximate lat/lon for the sub-region centroid, the
+ *     fallback when nothing better places a point.
+ *
+ * OREF_AREA_POINTS (bottom of the file) places each area name on the map.
+ * regionResolver derives approximate sub-region polygons from those
+ * points, which the map picker's auto-suggest uses ("which sub-region is
+ * the point you tapped inside of, and which Oref areas are around it?").
  *
  * The taxonomy is deliberately pragmatic, not exhaustive. Oref publishes
  * ~180 distinct alert areas; we group them so a restaurant owner can
  * say "I'm in the Sharon" without naming every kibbutz on every side.
  * Refinements happen in this file only — no other code knows the names.
+ * regionCoverage.ts checks the lists against Oref's current area list.
  */
 
 export interface SubRegion {
@@ -546,3 +551,332 @@ export function getRegion(id: string): Region | undefined {
 export function getSubRegion(id: string): SubRegion | undefined {
   return SUBREGION_BY_ID.get(id);
 }
+
+// ──────────────────────────────────────────────────────────────────────
+// Gazetteer — approximate lat/lon of each Oref area name above.
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Where each Oref area sits, to within a km or so (town centre / kibbutz
+ * gate). regionResolver builds the sub-region polygons from these points
+ * and lists the areas around a business location. Names we can't place
+ * (typos, areas Oref has renamed) are left out — they still match alerts,
+ * they just don't shape a polygon.
+ */
+export const OREF_AREA_POINTS: Record<string, { lat: number; lon: number }> = {
+  // Galil Elyon
+  "קריית שמונה": { lat: 33.207, lon: 35.571 },
+  "מטולה": { lat: 33.279, lon: 35.578 },
+  "כפר גלעדי": { lat: 33.240, lon: 35.577 },
+  "מנרה": { lat: 33.195, lon: 35.544 },
+  "מרגליות": { lat: 33.216, lon: 35.545 },
+  "אביבים": { lat: 33.087, lon: 35.470 },
+  "דובב": { lat: 33.051, lon: 35.405 },
+  "בר יוחאי": { lat: 32.998, lon: 35.447 },
+  "צפת": { lat: 32.965, lon: 35.496 },
+  "ראש פינה": { lat: 32.969, lon: 35.543 },
+  "חצור הגלילית": { lat: 32.982, lon: 35.545 },
+  "טובא-זנגריה": { lat: 32.971, lon: 35.593 },
+  "עין זיוון": { lat: 33.092, lon: 35.776 },
+  // Galil Maaravi
+  "נהריה": { lat: 33.006, lon: 35.095 },
+  "שלומי": { lat: 33.075, lon: 35.145 },
+  "רוש הנקרה": { lat: 33.086, lon: 35.113 },
+  "אכזיב": { lat: 33.049, lon: 35.104 },
+  "כברי": { lat: 33.016, lon: 35.148 },
+  "געתון": { lat: 33.006, lon: 35.220 },
+  "מעלות-תרשיחא": { lat: 33.016, lon: 35.272 },
+  "פקיעין": { lat: 32.976, lon: 35.329 },
+  "כפר ורדים": { lat: 32.993, lon: 35.262 },
+  "אבן מנחם": { lat: 33.075, lon: 35.290 },
+  // Galil Merkazi
+  "כרמיאל": { lat: 32.915, lon: 35.296 },
+  "מג'אר": { lat: 32.891, lon: 35.405 },
+  "סכנין": { lat: 32.865, lon: 35.300 },
+  "עראבה": { lat: 32.851, lon: 35.337 },
+  "דיר אל-אסד": { lat: 32.934, lon: 35.268 },
+  "טמרה": { lat: 32.853, lon: 35.198 },
+  "ראמה": { lat: 32.937, lon: 35.367 },
+  "פרוד": { lat: 32.932, lon: 35.420 },
+  "חזון": { lat: 32.903, lon: 35.405 },
+  // Golan
+  "קצרין": { lat: 32.993, lon: 35.690 },
+  "מרום גולן": { lat: 33.134, lon: 35.777 },
+  "אל-רום": { lat: 33.172, lon: 35.774 },
+  "אורטל": { lat: 33.081, lon: 35.752 },
+  "אודם": { lat: 33.199, lon: 35.756 },
+  "מסעדה": { lat: 33.233, lon: 35.755 },
+  "מג'דל שמס": { lat: 33.268, lon: 35.770 },
+  "בוקעאתא": { lat: 33.201, lon: 35.776 },
+  "נמרוד": { lat: 33.244, lon: 35.745 },
+  "נוב": { lat: 32.830, lon: 35.783 },
+  "יונתן": { lat: 32.950, lon: 35.761 },
+  "אלוני הבשן": { lat: 33.043, lon: 35.836 },
+  "רמות": { lat: 32.852, lon: 35.663 },
+  "אניעם": { lat: 32.956, lon: 35.737 },
+  // Emek Yizrael
+  "עפולה": { lat: 32.607, lon: 35.289 },
+  "מגדל העמק": { lat: 32.676, lon: 35.240 },
+  "נצרת": { lat: 32.700, lon: 35.298 },
+  "נצרת עילית": { lat: 32.718, lon: 35.325 },
+  "אום אל-פחם": { lat: 32.520, lon: 35.153 },
+  "בית שערים": { lat: 32.697, lon: 35.135 },
+  "מרחביה": { lat: 32.600, lon: 35.307 },
+  "כפר ברוך": { lat: 32.647, lon: 35.197 },
+  "נהלל": { lat: 32.690, lon: 35.195 },
+  "גניגר": { lat: 32.650, lon: 35.253 },
+  "יזרעאל": { lat: 32.559, lon: 35.324 },
+  "כפר תבור": { lat: 32.687, lon: 35.420 },
+  "דברת": { lat: 32.657, lon: 35.360 },
+  "נורית": { lat: 32.536, lon: 35.361 },
+  // Kineret
+  "טבריה": { lat: 32.795, lon: 35.531 },
+  "מגדל": { lat: 32.838, lon: 35.506 },
+  "כפר נחום": { lat: 32.881, lon: 35.575 },
+  "כינרת": { lat: 32.721, lon: 35.560 },
+  "גינוסר": { lat: 32.849, lon: 35.523 },
+  "עין גב": { lat: 32.782, lon: 35.642 },
+  "האון": { lat: 32.730, lon: 35.624 },
+  "מעגן": { lat: 32.708, lon: 35.600 },
+  "דגניה": { lat: 32.707, lon: 35.575 },
+  // Beit She'an
+  "בית שאן": { lat: 32.497, lon: 35.497 },
+  "כפר רופין": { lat: 32.458, lon: 35.556 },
+  "מעוז חיים": { lat: 32.494, lon: 35.552 },
+  "שדה אליהו": { lat: 32.437, lon: 35.515 },
+  "טירת צבי": { lat: 32.423, lon: 35.527 },
+  "רוויה": { lat: 32.445, lon: 35.475 },
+  "סנדלה": { lat: 32.519, lon: 35.338 },
+  "ניר דוד": { lat: 32.505, lon: 35.455 },
+  "שדה נחום": { lat: 32.520, lon: 35.480 },
+  // Haifa
+  "חיפה": { lat: 32.794, lon: 34.990 },
+  "נשר": { lat: 32.766, lon: 35.044 },
+  "טירת כרמל": { lat: 32.761, lon: 34.972 },
+  "טירת הכרמל": { lat: 32.761, lon: 34.972 },
+  "כרמל הצרפתי": { lat: 32.787, lon: 34.965 },
+  "הדר הכרמל": { lat: 32.809, lon: 34.995 },
+  "רמות אלון": { lat: 32.784, lon: 35.022 },
+  "קריית ים": { lat: 32.849, lon: 35.067 },
+  "קריית ביאליק": { lat: 32.836, lon: 35.087 },
+  "קריית מוצקין": { lat: 32.837, lon: 35.077 },
+  "קריית חיים": { lat: 32.823, lon: 35.058 },
+  "קריית אתא": { lat: 32.809, lon: 35.113 },
+  "כפר אתא": { lat: 32.809, lon: 35.113 },
+  "עתלית": { lat: 32.690, lon: 34.940 },
+  "עין הוד": { lat: 32.701, lon: 34.983 },
+  "צרופה": { lat: 32.632, lon: 34.946 },
+  "הבונים": { lat: 32.640, lon: 34.935 },
+  "מעגן מיכאל": { lat: 32.557, lon: 34.912 },
+  "כפר גלים": { lat: 32.758, lon: 34.950 },
+  "פוריידיס": { lat: 32.598, lon: 34.952 },
+  "ג'סר א-זרקא": { lat: 32.538, lon: 34.912 },
+  "זיכרון יעקב": { lat: 32.572, lon: 34.952 },
+  "זכרון יעקב": { lat: 32.572, lon: 34.952 },
+  "יוקנעם": { lat: 32.659, lon: 35.099 },
+  "יוקנעם עילית": { lat: 32.649, lon: 35.105 },
+  "רמת ישי": { lat: 32.705, lon: 35.170 },
+  "אלוני יצחק": { lat: 32.494, lon: 35.000 },
+  "טבעון": { lat: 32.720, lon: 35.127 },
+  "קריית טבעון": { lat: 32.720, lon: 35.127 },
+  // Sharon
+  "חדרה": { lat: 32.434, lon: 34.919 },
+  "גבעת אולגה": { lat: 32.450, lon: 34.875 },
+  "אור עקיבא": { lat: 32.508, lon: 34.919 },
+  "קיסריה": { lat: 32.500, lon: 34.905 },
+  "גן שמואל": { lat: 32.450, lon: 34.950 },
+  "מענית": { lat: 32.461, lon: 35.023 },
+  "להבות חביבה": { lat: 32.415, lon: 35.042 },
+  "פרדס חנה": { lat: 32.473, lon: 34.975 },
+  "כרכור": { lat: 32.480, lon: 34.985 },
+  "פרדס חנה-כרכור": { lat: 32.473, lon: 34.975 },
+  "בנימינה": { lat: 32.518, lon: 34.948 },
+  "גבעת עדה": { lat: 32.522, lon: 34.997 },
+  "עמיקם": { lat: 32.564, lon: 35.020 },
+  "עין עירון": { lat: 32.480, lon: 34.998 },
+  "תלמי אלעזר": { lat: 32.487, lon: 35.006 },
+  "קציר": { lat: 32.478, lon: 35.107 },
+  "חריש": { lat: 32.460, lon: 35.044 },
+  "ברקאי": { lat: 32.473, lon: 35.030 },
+  "אליקים": { lat: 32.631, lon: 35.072 },
+  "רגבים": { lat: 32.526, lon: 35.041 },
+  "מי עמי": { lat: 32.505, lon: 35.098 },
+  "מצפה אילן": { lat: 32.460, lon: 35.085 },
+  "נתניה": { lat: 32.329, lon: 34.857 },
+  "אבן יהודה": { lat: 32.270, lon: 34.888 },
+  "תל מונד": { lat: 32.252, lon: 34.918 },
+  "שדה ורבורג": { lat: 32.219, lon: 34.909 },
+  "צורן": { lat: 32.282, lon: 34.949 },
+  "קדימה": { lat: 32.275, lon: 34.913 },
+  "אומץ": { lat: 32.365, lon: 34.955 },
+  "עין החורש": { lat: 32.387, lon: 34.936 },
+  "אליכין": { lat: 32.407, lon: 34.923 },
+  "כפר סבא": { lat: 32.178, lon: 34.908 },
+  "רעננה": { lat: 32.184, lon: 34.871 },
+  "הוד השרון": { lat: 32.150, lon: 34.889 },
+  "רמת השרון": { lat: 32.146, lon: 34.839 },
+  "קלנסווה": { lat: 32.284, lon: 34.982 },
+  "טירה": { lat: 32.234, lon: 34.951 },
+  "ג'לג'וליה": { lat: 32.154, lon: 34.955 },
+  "כפר ברא": { lat: 32.130, lon: 34.970 },
+  "הרצליה": { lat: 32.166, lon: 34.844 },
+  "הרצליה פיתוח": { lat: 32.173, lon: 34.805 },
+  // Gush Dan
+  "תל אביב": { lat: 32.085, lon: 34.781 },
+  "רמת גן": { lat: 32.068, lon: 34.824 },
+  "גבעתיים": { lat: 32.072, lon: 34.810 },
+  "בני ברק": { lat: 32.084, lon: 34.833 },
+  "חולון": { lat: 32.016, lon: 34.779 },
+  "בת ים": { lat: 32.023, lon: 34.751 },
+  "ראשון לציון": { lat: 31.964, lon: 34.804 },
+  "אזור": { lat: 32.022, lon: 34.806 },
+  "צהלה": { lat: 32.113, lon: 34.822 },
+  "חבת ציון": { lat: 32.446, lon: 34.922 },
+  "פתח תקווה": { lat: 32.087, lon: 34.887 },
+  "ראש העין": { lat: 32.096, lon: 34.957 },
+  "אלעד": { lat: 32.052, lon: 34.951 },
+  "כפר סירקין": { lat: 32.074, lon: 34.925 },
+  "סביון": { lat: 32.047, lon: 34.877 },
+  "גני תקווה": { lat: 32.061, lon: 34.873 },
+  "גבעת שמואל": { lat: 32.078, lon: 34.849 },
+  "קריית אונו": { lat: 32.063, lon: 34.855 },
+  "אור יהודה": { lat: 32.029, lon: 34.852 },
+  // Shfela
+  "רחובות": { lat: 31.894, lon: 34.811 },
+  "נס ציונה": { lat: 31.930, lon: 34.799 },
+  "יבנה": { lat: 31.877, lon: 34.739 },
+  "מזכרת בתיה": { lat: 31.854, lon: 34.839 },
+  "פלמחים": { lat: 31.929, lon: 34.702 },
+  "גן יבנה": { lat: 31.788, lon: 34.706 },
+  "באר טוביה": { lat: 31.733, lon: 34.728 },
+  "קוממיות": { lat: 31.715, lon: 34.755 },
+  "רמלה": { lat: 31.929, lon: 34.873 },
+  "לוד": { lat: 31.951, lon: 34.895 },
+  "מודיעין": { lat: 31.898, lon: 35.010 },
+  "מודיעין עילית": { lat: 31.933, lon: 35.044 },
+  "כפר טרומן": { lat: 31.980, lon: 34.931 },
+  "בן שמן": { lat: 31.953, lon: 34.927 },
+  "אחיסמך": { lat: 31.936, lon: 34.906 },
+  "בית עוזיאל": { lat: 31.873, lon: 34.902 },
+  "צפריה": { lat: 31.998, lon: 34.856 },
+  // Jerusalem
+  "ירושלים": { lat: 31.778, lon: 35.220 },
+  "מבשרת ציון": { lat: 31.803, lon: 35.151 },
+  "מוצא": { lat: 31.788, lon: 35.160 },
+  "אבו גוש": { lat: 31.806, lon: 35.110 },
+  "צור הדסה": { lat: 31.718, lon: 35.100 },
+  "גבעת זאב": { lat: 31.861, lon: 35.168 },
+  "בית שמש": { lat: 31.747, lon: 34.988 },
+  "צרעה": { lat: 31.772, lon: 34.987 },
+  "מטע": { lat: 31.717, lon: 35.061 },
+  "צובה": { lat: 31.785, lon: 35.124 },
+  "אלון שבות": { lat: 31.654, lon: 35.124 },
+  "אפרת": { lat: 31.655, lon: 35.155 },
+  "כפר עציון": { lat: 31.648, lon: 35.115 },
+  "נווה דניאל": { lat: 31.673, lon: 35.142 },
+  "מגדל עוז": { lat: 31.634, lon: 35.135 },
+  "תקוע": { lat: 31.639, lon: 35.237 },
+  // Southern Shfela
+  "אשדוד": { lat: 31.804, lon: 34.655 },
+  "ניצן": { lat: 31.740, lon: 34.630 },
+  "ניצנים": { lat: 31.717, lon: 34.627 },
+  "ניר ישראל": { lat: 31.686, lon: 34.616 },
+  "בית עזרא": { lat: 31.738, lon: 34.656 },
+  "שתולים": { lat: 31.766, lon: 34.680 },
+  "אשקלון": { lat: 31.669, lon: 34.571 },
+  "ברכיה": { lat: 31.668, lon: 34.614 },
+  "כוכב מיכאל": { lat: 31.637, lon: 34.652 },
+  "מבקיעים": { lat: 31.615, lon: 34.563 },
+  "כרמיה": { lat: 31.603, lon: 34.543 },
+  "זיקים": { lat: 31.608, lon: 34.523 },
+  "יד מרדכי": { lat: 31.587, lon: 34.556 },
+  "אורות": { lat: 31.689, lon: 34.700 },
+  "קריית גת": { lat: 31.610, lon: 34.771 },
+  "קריית מלאכי": { lat: 31.731, lon: 34.745 },
+  "ערוגות": { lat: 31.692, lon: 34.760 },
+  "תלמים": { lat: 31.559, lon: 34.680 },
+  "אחווה": { lat: 31.688, lon: 34.768 },
+  "נחלה": { lat: 31.640, lon: 34.740 },
+  // Gaza envelope
+  "שדרות": { lat: 31.525, lon: 34.596 },
+  "ניר עם": { lat: 31.520, lon: 34.581 },
+  "אור הנר": { lat: 31.558, lon: 34.601 },
+  "ארז": { lat: 31.559, lon: 34.566 },
+  "מפלסים": { lat: 31.503, lon: 34.560 },
+  "גברעם": { lat: 31.590, lon: 34.607 },
+  "רוחמה": { lat: 31.500, lon: 34.709 },
+  "נתיבות": { lat: 31.421, lon: 34.589 },
+  "אופקים": { lat: 31.313, lon: 34.620 },
+  "תקומה": { lat: 31.451, lon: 34.575 },
+  "תפרח": { lat: 31.374, lon: 34.661 },
+  "פטיש": { lat: 31.322, lon: 34.572 },
+  "אורים": { lat: 31.306, lon: 34.520 },
+  "מבטחים": { lat: 31.240, lon: 34.405 },
+  "בני נצרים": { lat: 31.145, lon: 34.305 },
+  "שובה": { lat: 31.430, lon: 34.557 },
+  "מגן": { lat: 31.300, lon: 34.432 },
+  "כיסופים": { lat: 31.376, lon: 34.399 },
+  "נירים": { lat: 31.335, lon: 34.398 },
+  "ניר עוז": { lat: 31.310, lon: 34.402 },
+  "נירעם": { lat: 31.515, lon: 34.573 },
+  "סופה": { lat: 31.239, lon: 34.337 },
+  "כרם שלום": { lat: 31.228, lon: 34.283 },
+  "אבשלום": { lat: 31.193, lon: 34.281 },
+  "עין השלושה": { lat: 31.353, lon: 34.400 },
+  "ניר יצחק": { lat: 31.237, lon: 34.357 },
+  "צאלים": { lat: 31.210, lon: 34.530 },
+  // Judea & Samaria, Jordan Valley
+  "אריאל": { lat: 32.105, lon: 35.179 },
+  "אלקנה": { lat: 32.111, lon: 35.033 },
+  "ברקן": { lat: 32.109, lon: 35.102 },
+  "קרני שומרון": { lat: 32.172, lon: 35.095 },
+  "אלפי מנשה": { lat: 32.169, lon: 35.020 },
+  "עמנואל": { lat: 32.161, lon: 35.136 },
+  "כדומים": { lat: 32.215, lon: 35.162 },
+  "פדואל": { lat: 32.066, lon: 35.116 },
+  "בית אריה": { lat: 32.035, lon: 35.049 },
+  "בית אל": { lat: 31.942, lon: 35.223 },
+  "ענתות": { lat: 31.812, lon: 35.262 },
+  "פסגות": { lat: 31.900, lon: 35.227 },
+  "כוכב יעקב": { lat: 31.876, lon: 35.243 },
+  "מעלה אדומים": { lat: 31.777, lon: 35.298 },
+  "מעלה מכמש": { lat: 31.872, lon: 35.298 },
+  "מצפה שלם": { lat: 31.574, lon: 35.400 },
+  "מחולה": { lat: 32.356, lon: 35.507 },
+  "ייטב": { lat: 31.957, lon: 35.423 },
+  "פצאל": { lat: 32.046, lon: 35.444 },
+  "תומר": { lat: 32.009, lon: 35.449 },
+  "ארגמן": { lat: 32.152, lon: 35.503 },
+  "משואה": { lat: 32.130, lon: 35.487 },
+  "נעמ\"ה": { lat: 31.893, lon: 35.434 },
+  "חברון": { lat: 31.532, lon: 35.095 },
+  "קריית ארבע": { lat: 31.536, lon: 35.118 },
+  "מעון": { lat: 31.413, lon: 35.125 },
+  "סוסיה": { lat: 31.393, lon: 35.114 },
+  "עתניאל": { lat: 31.437, lon: 34.971 },
+  "תנא עומרים": { lat: 31.379, lon: 34.954 },
+  // Negev & Eilat
+  "באר שבע": { lat: 31.252, lon: 34.791 },
+  "להבים": { lat: 31.374, lon: 34.812 },
+  "מיתר": { lat: 31.329, lon: 34.935 },
+  "עומר": { lat: 31.265, lon: 34.849 },
+  "תל שבע": { lat: 31.250, lon: 34.861 },
+  "רהט": { lat: 31.393, lon: 34.754 },
+  "חורה": { lat: 31.299, lon: 34.935 },
+  "כסיפה": { lat: 31.246, lon: 35.090 },
+  "ירוחם": { lat: 30.988, lon: 34.930 },
+  "דימונה": { lat: 31.070, lon: 35.033 },
+  "ערד": { lat: 31.259, lon: 35.213 },
+  "ים המלח": { lat: 31.200, lon: 35.360 },
+  "מצדה": { lat: 31.315, lon: 35.354 },
+  "עין בוקק": { lat: 31.200, lon: 35.362 },
+  "נווה זוהר": { lat: 31.153, lon: 35.363 },
+  "צוקים": { lat: 30.611, lon: 35.246 },
+  "פארן": { lat: 30.340, lon: 35.147 },
+  "חצבה": { lat: 30.784, lon: 35.255 },
+  "עין יהב": { lat: 30.659, lon: 35.229 },
+  "ספיר": { lat: 30.614, lon: 35.185 },
+  "צופר": { lat: 30.557, lon: 35.176 },
+  "אידן": { lat: 30.818, lon: 35.293 },
+  "אילת": { lat: 29.557, lon: 34.952 },
+};
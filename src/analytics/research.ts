@@ -0,0 +1,348 @@
+/**
+ * Correlation research engine over the analytics:daily dataset.
+ *
+ * Fits one multivariate OLS regression per business and outcome:
+ *   revenue, in_store, delivery   log(amount) → coefficients read as % effects
+ *   delivery_share                deliveries / (sales + deliveries), linear →
+ *                                 effects in percentage points
+ * against weather (rain day, temperature), alerts (in-hours alert hours,
+ * partial war day) and calendar (weekday, holiday, holiday eve, school
+ * vacation, Ramadan), with a linear trend as a control so a growing business
+ * doesn't read as "summer +20%".
+ *
+ * Each effect is stored with its 95% confidence interval, the days fitted and
+ * the days the factor was present. A factor present on fewer than
+ * MIN_EXPOSED_DAYS (or absent on fewer) is left out rather than guessed.
+ *
+ * Pure (no DB). The job that loads history and persists the fit at
+ * tenants/{tenantId}/biz:{bizId}:analytics:research (latest fit only) is
+ * runResearchForBiz() in dailyBuilder.ts, refit weekly by the research cron
+ * (runDueResearch).
+ * The insight rules and the agent cite results through describeEffect().
+ */
+
+import type { AnalyticsDoc } from "./dailyBuilder.js";
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export const RESEARCH_VERSION = "research-v1";
+
+export type ResearchOutcome = "revenue" | "in_store" | "delivery" | "delivery_share";
+
+export type ResearchFactor =
+  | "rain"
+  | "temp_c"
+  | "alert_hours"
+  | "war_day_partial"
+  | "holiday"
+  | "holiday_eve"
+  | "school_vacation"
+  | "ramadan"
+  | "dow_1"
+  | "dow_2"
+  | "dow_3"
+  | "dow_4"
+  | "dow_5"
+  | "dow_6";
+
+export interface ResearchEffect {
+  outcome: ResearchOutcome;
+  factor: ResearchFactor;
+  /** Fraction: +0.12 = +12% (log outcomes) or +12 percentage points (share). */
+  effect: number;
+  ciLow: number;
+  ciHigh: number;
+  /** Days in the fit. */
+  n: number;
+  /** Days the factor was present (non-zero). */
+  nExposed: number;
+  /** The 95% interval excludes zero. */
+  significant: boolean;
+}
+
+export interface ResearchModel {
+  outcome: ResearchOutcome;
+  n: number;
+  r2: number | null;
+  factors: ResearchFactor[];
+  /** Why the outcome wasn't fitted (too few days, singular design). */
+  skipped?: string;
+}
+
+export interface ResearchDoc {
+  tenantId: string;
+  bizId: string;
+  version: string;
+  fittedAt: number;
+  windowDays: number;
+  from: string | null;
+  to: string | null;
+  models: ResearchModel[];
+  effects: ResearchEffect[];
+}
+
+/** Fewest usable days before any outcome is fitted. */
+export const MIN_RESEARCH_DAYS = 30;
+
+/** A binary factor needs this many days present AND absent. */
+export const MIN_EXPOSED_DAYS = 5;
+
+const FACTOR_LABEL: Record<ResearchFactor, string> = {
+  rain: "יום גשום",
+  temp_c: "כל מעלה נוספת",
+  alert_hours: "כל שעת אזעקות בשעות הפעילות",
+  war_day_partial: "יום מלחמה חלקי",
+  holiday: "חג",
+  holiday_eve: "ערב חג",
+  school_vacation: "חופשת בתי ספר",
+  ramadan: "רמדאן",
+  dow_1: "יום שני (מול ראשון)",
+  dow_2: "יום שלישי (מול ראשון)",
+  dow_3: "יום רביעי (מול ראשון)",
+  dow_4: "יום חמישי (מול ראשון)",
+  dow_5: "יום שישי (מול ראשון)",
+  dow_6: "שבת (מול ראשון)",
+};
+
+const OUTCOME_LABEL: Record<ResearchOutcome, string> = {
+  revenue: "מחזור",
+  in_store: "מכירות במקום",
+  delivery: "משלוחים",
+  delivery_share: "נתח המשלוחים",
+};
+
+// ── Design matrix ─────────────────────────────────────────────────────────────
+
+interface Row {
+  date: string;
+  sales: number;
+  deliveries: number;
+  total: number;
+  x: Record<ResearchFactor, number>;
+}
+
+const CONTINUOUS = new Set<ResearchFactor>(["temp_c", "alert_hours"]);
+
+/**
+ * Feature row for one day, or null when the day can't be used: no real entry,
+ * or weather / alerts missing (never impute an upstream outage as "no rain").
+ * Calendar flags added in doc 1.3.0 read as false on older docs.
+ */
+function toRow(doc: AnalyticsDoc): Row | null {
+  if (!doc?.revenue?.had_entry || !doc.weather || !doc.alerts) return null;
+  if (doc.operational?.war_day === "unknown" || !Number.isFinite(doc.weather.temp_avg)) return null;
+  const c = doc.calendar;
+  const x = {
+    rain: doc.weather.is_rain_day ? 1 : 0,
+    temp_c: Number(doc.weather.temp_avg),
+    alert_hours: (doc.alerts.open_minutes ?? doc.alerts.alert_minutes ?? 0) / 60,
+    war_day_partial: doc.operational?.war_day === "partial" ? 1 : 0,
+    holiday: c?.holiday ? 1 : 0,
+    holiday_eve: c?.holiday_eve ? 1 : 0,
+    school_vacation: c?.school_vacation ? 1 : 0,
+    ramadan: c?.ramadan ? 1 : 0,
+  } as Record<ResearchFactor, number>;
+  for (let d = 1; d <= 6; d++) x[`dow_${d}` as ResearchFactor] = c?.dow === d ? 1 : 0;
+  return { date: doc.date, sales: doc.revenue.sales, deliveries: doc.revenue.deliveries, total: doc.revenue.total, x };
+}
+
+function outcomeValue(row: Row, outcome: ResearchOutcome): number | null {
+  switch (outcome) {
+    case "revenue": return row.total > 0 ? Math.log(row.total) : null;
+    case "in_store": return row.sales > 0 ? Math.log(row.sales) : null;
+    case "delivery": return row.deliveries > 0 ? Math.log(row.deliveries) : null;
+    case "delivery_share": {
+      const base = row.sales + row.deliveries;
+      return base > 0 ? row.deliveries / base : null;
+    }
+  }
+}
+
+/** Factors with enough variation in these rows to be estimated. */
+function usableFactors(rows: Row[]): ResearchFactor[] {
+  const all = Object.keys(FACTOR_LABEL) as ResearchFactor[];
+  return all.filter((f) => {
+    const values = rows.map((r) => r.x[f]);
+    if (CONTINUOUS.has(f)) {
+      const nonZero = values.filter((v) => v !== 0).length;
+      const spread = Math.max(...values) - Math.min(...values);
+      return spread > 0 && (f !== "alert_hours" || nonZero >= MIN_EXPOSED_DAYS);
+    }
+    const exposed = values.filter((v) => v !== 0).length;
+    return exposed >= MIN_EXPOSED_DAYS && rows.length - exposed >= MIN_EXPOSED_DAYS;
+  });
+}
+
+// ── OLS ───────────────────────────────────────────────────────────────────────
+
+/** Inverse of a symmetric positive-definite matrix; null when singular. */
+function invert(m: number[][]): number[][] | null {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col];
+      if (f === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+}
+
+/** Two-sided 95% Student-t critical value (Cornish–Fisher; exact enough for df ≥ 5). */
+export function tCritical95(df: number): number {
+  const z = 1.959964;
+  return (
+    z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) +
+    (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3)
+  );
+}
+
+interface OlsFit {
+  beta: number[];
+  se: number[];
+  r2: number;
+  df: number;
+}
+
+export function fitOls(X: number[][], y: number[]): OlsFit | null {
+  const n = X.length;
+  const p = X[0]?.length ?? 0;
+  if (n <= p) return null;
+  const xtx = Array.from({ length: p }, () => new Array<number>(p).fill(0));
+  const xty = new Array<number>(p).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < p; j++) {
+      xty[j] += X[i][j] * y[i];
+      for (let k = j; k < p; k++) xtx[j][k] += X[i][j] * X[i][k];
+    }
+  }
+  for (let j = 0; j < p; j++) for (let k = 0; k < j; k++) xtx[j][k] = xtx[k][j];
+  const inv = invert(xtx);
+  if (!inv) return null;
+  const beta = inv.map((row) => row.reduce((s, v, k) => s + v * xty[k], 0));
+
+  const meanY = y.reduce((s, v) => s + v, 0) / n;
+  let rss = 0;
+  let tss = 0;
+  for (let i = 0; i < n; i++) {
+    const fitted = X[i].reduce((s, v, k) => s + v * beta[k], 0);
+    rss += (y[i] - fitted) ** 2;
+    tss += (y[i] - meanY) ** 2;
+  }
+  const df = n - p;
+  const sigma2 = rss / df;
+  return {
+    beta,
+    se: inv.map((row, j) => Math.sqrt(Math.max(0, row[j] * sigma2))),
+    r2: tss > 0 ? 1 - rss / tss : 0,
+    df,
+  };
+}
+
+// ── Fit ───────────────────────────────────────────────────────────────────────
+
+const round4 = (n: number) => Math.round(n * 10000) / 10000;
+
+function fitOutcome(
+  rows: Row[],
+  outcome: ResearchOutcome
+): { model: ResearchModel; effects: ResearchEffect[] } {
+  const used = rows
+    .map((r) => ({ r, y: outcomeValue(r, outcome) }))
+    .filter((u): u is { r: Row; y: number } => u.y !== null);
+  const factors = usableFactors(used.map((u) => u.r));
+  const n = used.length;
+  // Intercept + trend + factors, with room left for the residual variance.
+  if (n < MIN_RESEARCH_DAYS || n < factors.length + 12) {
+    return { model: { outcome, n, r2: null, factors: [], skipped: "insufficient_days" }, effects: [] };
+  }
+
+  const t0 = Date.parse(used[0].r.date);
+  const X = used.map(({ r }) => [
+    1,
+    (Date.parse(r.date) - t0) / (30 * 86_400_000), // trend, per month
+    ...factors.map((f) => r.x[f]),
+  ]);
+  const fit = fitOls(X, used.map((u) => u.y));
+  if (!fit) {
+    return { model: { outcome, n, r2: null, factors, skipped: "singular_design" }, effects: [] };
+  }
+
+  const t = tCritical95(fit.df);
+  const isLog = outcome !== "delivery_share";
+  const effects = factors.map((factor, i): ResearchEffect => {
+    const b = fit.beta[i + 2];
+    const se = fit.se[i + 2];
+    const scale = (v: number) => round4(isLog ? Math.exp(v) - 1 : v);
+    const lo = b - t * se;
+    const hi = b + t * se;
+    return {
+      outcome,
+      factor,
+      effect: scale(b),
+      ciLow: scale(lo),
+      ciHigh: scale(hi),
+      n,
+      nExposed: used.filter(({ r }) => r.x[factor] !== 0).length,
+      significant: lo > 0 || hi < 0,
+    };
+  });
+  return { model: { outcome, n, r2: round4(fit.r2), factors }, effects };
+}
+
+/** Pure: fit every outcome over a set of analytics docs (any order). */
+export function fitResearch(
+  docs: AnalyticsDoc[]
+): Pick<ResearchDoc, "from" | "to" | "models" | "effects"> {
+  const rows = docs
+    .map(toRow)
+    .filter((r): r is Row => r !== null)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const outcomes: ResearchOutcome[] = ["revenue", "in_store", "delivery", "delivery_share"];
+  const fits = outcomes.map((o) => fitOutcome(rows, o));
+  return {
+    from: rows[0]?.date ?? null,
+    to: rows[rows.length - 1]?.date ?? null,
+    models: fits.map((f) => f.model),
+    effects: fits.flatMap((f) => f.effects),
+  };
+}
+
+// ── Citing ────────────────────────────────────────────────────────────────────
+
+function formatEffect(outcome: ResearchOutcome, v: number): string {
+  const sign = v >= 0 ? "+" : "";
+  return outcome === "delivery_share"
+    ? `${sign}${(v * 100).toFixed(1)} נק׳ אחוז`
+    : `${sign}${Math.round(v * 100)}%`;
+}
+
+/**
+ * One-line Hebrew citation, e.g.
+ * "יום גשום → משלוחים +12% (טווח 95%: +5% עד +19%, n=84 ימים)".
+ */
+export function describeEffect(e: ResearchEffect): string {
+  return (
+    `${FACTOR_LABEL[e.factor]} → ${OUTCOME_LABEL[e.outcome]} ${formatEffect(e.outcome, e.effect)} ` +
+    `(טווח 95%: ${formatEffect(e.outcome, e.ciLow)} עד ${formatEffect(e.outcome, e.ciHigh)}, n=${e.n} ימים)`
+  );
+}
+
+/** The significant effect of one factor on one outcome, if the fit found one. */
+export function findEffect(
+  effects: ResearchEffect[] | undefined,
+  factor: ResearchFactor,
+  outcome: ResearchOutcome = "revenue"
+): ResearchEffect | null {
+  return (effects ?? []).find((e) => e.factor === factor && e.outcome === outcome && e.significant) ?? null;
+}
@@ -16,9 +16,10 @@
  * signatures, so existing imports (all of which import only getDb) keep working.
  */
 import admin from "firebase-admin";
+import type { App } from "firebase-admin/app";
 import { getAdminDb } from "../../lib/adminSdk.js";
 
-export function getFirebaseAdmin(): admin.app.App {
+export function getFirebaseAdmin(): App {
   // The shared app initialized inside lib/adminSdk.js. getAdminDb() is
   // idempotent and guarantees the app exists before we read its handle.
   return getAdminDb().app;
@@ -69,6 +69,14 @@ export function bizConfigRef(tenantId: string, bizId: string) {
   return getDb().ref(`tenants/${tenantId}/biz:${bizId}:config`);
 }
 
+export function bizResearchRef(tenantId: string, bizId: string) {
+  return getDb().ref(`tenants/${tenantId}/biz:${bizId}:analytics:research`);
+}
+
+export function bizDataHealthRef(tenantId: string, bizId: string) {
+  return getDb().ref(`tenants/${tenantId}/biz:${bizId}:analytics:health`);
+}
+
 // --- Proactive Insights ---
 export function proactiveInsightsRef(tenantId: string, bizId: string) {
   return getDb().ref(`tenants/${tenantId}/proactive_insights/${bizId}`);
@@ -0,0 +1,55 @@
+/**
+ * Resumable, checkpointed backfill jobs (src/analytics/backfill.ts): start
+ * one, run its next chunk, or read its progress.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import {
+  BACKFILL_MAX_CHUNK_DAYS,
+  createBackfillJob,
+  getBackfillJob,
+  runBackfillChunk,
+  summarizeBackfillJob,
+} from "../../analytics/backfill.js";
+import { requireCronSecret } from "./shared.js";
+
+/** POST { action: "backfill_start" | "backfill_resume" | "backfill_status" } — cron secret. */
+export async function handleBackfill(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const body = (req.body || {}) as {
+    action?: string;
+    tenantId?: string;
+    bizId?: string;
+    jobId?: string;
+    startDate?: string;
+    endDate?: string;
+    steps?: { pos?: boolean; analytics?: boolean };
+    overwrite?: boolean;
+    maxDays?: number;
+  };
+  const { tenantId, bizId } = body;
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  // Posted JSON: "7" or 7.5 would otherwise reach the chunk runner.
+  const { maxDays } = body;
+  if (maxDays !== undefined && !(Number.isInteger(maxDays) && maxDays >= 1 && maxDays <= BACKFILL_MAX_CHUNK_DAYS)) {
+    return res.status(400).json({ error: `maxDays must be an integer from 1 to ${BACKFILL_MAX_CHUNK_DAYS}` });
+  }
+  if (body.action === "backfill_start") {
+    const job = await createBackfillJob(tenantId, bizId, body.startDate || "", body.endDate || "", {
+      steps: body.steps,
+      overwrite: body.overwrite,
+    });
+    const progressed = await runBackfillChunk(tenantId, bizId, job.jobId, { maxDays });
+    return res.status(200).json(summarizeBackfillJob(progressed));
+  }
+  if (!body.jobId) return res.status(400).json({ error: "Missing jobId" });
+  if (body.action === "backfill_status") {
+    const job = await getBackfillJob(tenantId, bizId, body.jobId);
+    if (!job) return res.status(404).json({ error: "backfill job not found" });
+    return res.status(200).json(summarizeBackfillJob(job));
+  }
+  const job = await runBackfillChunk(tenantId, bizId, body.jobId, { maxDays });
+  return res.status(200).json(summarizeBackfillJob(job));
+}
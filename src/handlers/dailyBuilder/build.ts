@@ -0,0 +1,87 @@
+/**
+ * The analytics build itself: the nightly cron (GET, no flag) and a manual
+ * build of one biz/day (POST without an action). Both cron secret.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import {
+  buildAnalyticsForAll,
+  buildAnalyticsForBiz,
+  buildAndSaveInsights,
+  saveAnalyticsDoc,
+  yesterdayInIsrael,
+} from "../../analytics/dailyBuilder.js";
+import { importPosForAll } from "../../pos/ingest.js";
+import { ISO_DATE, requireCronSecret } from "./shared.js";
+
+/** GET — cron: yesterday's POS import + analytics build for every active biz. */
+export async function handleNightlyBuild(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const date = yesterdayInIsrael();
+
+  // POS import — soft-fail; per-biz outcomes live in pos_import_log.
+  let posImports: Record<string, number> | undefined;
+  try {
+    const posResults = await importPosForAll(date);
+    posImports = {};
+    for (const r of posResults) {
+      for (const log of r.logs) posImports[log.status] = (posImports[log.status] ?? 0) + 1;
+    }
+  } catch (err) {
+    console.error("[analytics/daily-builder] pos import failed:", (err as Error)?.message ?? err);
+  }
+
+  const { docs, failures } = await buildAnalyticsForAll(date);
+
+  return res.status(200).json({
+    status: "completed",
+    date,
+    totalBusinesses: docs.length + failures.length,
+    successCount: docs.length,
+    failureCount: failures.length,
+    failures: failures.length > 0 ? failures : undefined,
+    posImports,
+    // Light summary so the cron run is auditable from logs without
+    // dumping the full feature doc.
+    summary: docs.map((d) => ({
+      tenantId: d.tenantId,
+      bizId: d.bizId,
+      bizName: d.bizName,
+      revenue_total: d.revenue.total,
+      had_entry: d.revenue.had_entry,
+      rain_mm: d.weather?.rain_mm ?? null,
+      alert_count: d.alerts?.alert_count ?? null,
+      war_day: d.operational.war_day,
+    })),
+  });
+}
+
+/** POST { tenantId, bizId, date? } (no action) — build one biz/day now. Cron secret. */
+export async function handleManualBuild(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const { tenantId, bizId, date } = (req.body || {}) as {
+    tenantId?: string;
+    bizId?: string;
+    date?: string;
+  };
+
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  const targetDate = date || yesterdayInIsrael();
+  // Sanity-check the format so we don't write garbage paths.
+  if (!ISO_DATE.test(targetDate)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+
+  const doc = await buildAnalyticsForBiz(tenantId, bizId, targetDate);
+  await saveAnalyticsDoc(doc);
+  // Insight Engine v1 — rebuild insights for this date too (isolated; never throws).
+  await buildAndSaveInsights(tenantId, bizId, targetDate, doc);
+
+  return res.status(200).json({
+    status: "success",
+    path: `tenants/${tenantId}/biz:${bizId}:analytics:daily:${targetDate}`,
+    doc,
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Per-business data-health reports (src/analytics/dataHealth.ts): one biz on
+ * demand, and the budgeted nightly refresh of every biz.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { yesterdayInIsrael } from "../../analytics/dailyBuilder.js";
+import { buildDataHealthReport, refreshDataHealthReports } from "../../analytics/dataHealth.js";
+import { saveDataHealthReport } from "../../repositories/analytics/dataHealthRepo.js";
+import { ISO_DATE, requireCronSecret, verifyCronOrTenantManager } from "./shared.js";
+
+/** POST { action: "data_health" } — cron secret, or manager+ on the tenant. */
+export async function handleDataHealth(req: VercelRequest, res: VercelResponse) {
+  const { tenantId, bizId, date, days } = (req.body || {}) as {
+    tenantId?: string;
+    bizId?: string;
+    date?: string;
+    days?: number;
+  };
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  if (!(await verifyCronOrTenantManager(req, res, [tenantId]))) return;
+  const targetDate = date || yesterdayInIsrael();
+  if (!ISO_DATE.test(targetDate)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  const window = days ?? 30;
+  if (!Number.isInteger(window) || window < 7 || window > 120) {
+    return res.status(400).json({ error: "days must be an integer 7–120" });
+  }
+  const report = await buildDataHealthReport(tenantId, bizId, targetDate, window);
+  await saveDataHealthReport(report);
+  return res.status(200).json({ status: "completed", report });
+}
+
+/** GET ?health=1 — cron: data-health reports for yesterday, budgeted. */
+export async function handleHealthCron(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const date = yesterdayInIsrael();
+  const { refreshed, failures, remaining } = await refreshDataHealthReports(date);
+  return res.status(200).json({
+    status: remaining > 0 ? "partial" : "completed",
+    date,
+    refreshed,
+    failureCount: failures.length,
+    failures: failures.length > 0 ? failures : undefined,
+    remaining,
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * Analytics dataset export (src/analytics/export.ts) as a CSV / JSONL file.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { exportAnalytics, type ExportRequest } from "../../analytics/export.js";
+import { verifyCronOrTenantManager } from "./shared.js";
+
+/** POST { action: "analytics_export" } — cron secret, or manager+ on every listed tenant. */
+export async function handleExport(req: VercelRequest, res: VercelResponse) {
+  const body = (req.body || {}) as Partial<ExportRequest>;
+  const tenants = Array.isArray(body.businesses)
+    ? [...new Set(body.businesses.map((b) => b?.tenantId).filter((t): t is string => typeof t === "string" && !!t))]
+    : [];
+  if (tenants.length === 0) {
+    return res.status(400).json({ error: "businesses must be a non-empty array of { tenantId, bizId }" });
+  }
+  if (!(await verifyCronOrTenantManager(req, res, tenants))) return;
+
+  const result = await exportAnalytics({
+    businesses: body.businesses ?? [],
+    startDate: body.startDate ?? "",
+    endDate: body.endDate ?? "",
+    format: body.format as ExportRequest["format"],
+    anonymize: body.anonymize === true,
+  });
+  res.setHeader("Content-Type", result.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${result.filename}"`);
+  res.setHeader("X-Analytics-Schema-Version", result.schemaVersion);
+  res.setHeader("X-Export-Rows", String(result.rows));
+  return res.status(200).send(result.body);
+}
@@ -0,0 +1,29 @@
+/**
+ * The multi-branch registry (src/pos/branches.ts): which POS branches a
+ * business imports and rolls up.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { saveBranches } from "../../pos/posRepo.js";
+import { validateBranches, type PosBranch } from "../../pos/branches.js";
+import { verifyTenantManager } from "./shared.js";
+
+/** POST { action: "pos_branches" } — replace the branch registry. Manager+ on the tenant. */
+export async function handlePosBranches(req: VercelRequest, res: VercelResponse) {
+  const { tenantId, bizId, branches } = (req.body || {}) as {
+    tenantId?: string;
+    bizId?: string;
+    branches?: unknown;
+  };
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  if (!(await verifyTenantManager(req, res, tenantId))) return;
+
+  const errors = validateBranches(branches);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "invalid_branches", details: errors });
+  }
+  await saveBranches(tenantId, bizId, branches as PosBranch[]);
+  return res.status(200).json({ status: "saved", branches: (branches as PosBranch[]).length });
+}
@@ -0,0 +1,52 @@
+/**
+ * Z-report file uploads for a POS without API access (src/pos/fileProfile.ts):
+ * saving the biz's column-mapping profile and importing one business day.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { importPosFile } from "../../pos/ingest.js";
+import { toFileProfile, validateFileProfile, type FileColumnProfile } from "../../pos/fileProfile.js";
+import { saveFileProfile } from "../../pos/posRepo.js";
+import { ISO_DATE, verifyTenantManager } from "./shared.js";
+
+/** POST { action: "pos_file_profile" | "pos_file_import" } — manager+ on the tenant. */
+export async function handlePosFile(req: VercelRequest, res: VercelResponse) {
+  const body = (req.body || {}) as {
+    action?: string;
+    tenantId?: string;
+    bizId?: string;
+    date?: string;
+    profile?: unknown;
+    format?: string;
+    content?: unknown;
+    rows?: unknown;
+  };
+  const { tenantId, bizId } = body;
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  if (!(await verifyTenantManager(req, res, tenantId))) return;
+
+  if (body.action === "pos_file_profile") {
+    const errors = validateFileProfile(body.profile);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "invalid_profile", details: errors });
+    }
+    await saveFileProfile(tenantId, bizId, toFileProfile(body.profile as FileColumnProfile));
+    return res.status(200).json({ status: "saved" });
+  }
+
+  const date = body.date || "";
+  if (!ISO_DATE.test(date)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  let log;
+  if (body.format === "csv" && typeof body.content === "string") {
+    log = await importPosFile(tenantId, bizId, date, { format: "csv", content: body.content });
+  } else if (body.format === "rows" && Array.isArray(body.rows)) {
+    log = await importPosFile(tenantId, bizId, date, { format: "rows", rows: body.rows });
+  } else {
+    return res.status(400).json({ error: 'format must be "csv" (content) or "rows" (rows)' });
+  }
+  return res.status(200).json({ status: "completed", log });
+}
@@ -0,0 +1,28 @@
+/**
+ * POST { action: "pos_import", tenantId, bizId, date? } — re-runs the POS
+ * import (src/pos/ingest.ts) for one biz/day and returns its PosImportLogs.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { yesterdayInIsrael } from "../../analytics/dailyBuilder.js";
+import { importPosForBiz } from "../../pos/ingest.js";
+import { ISO_DATE, requireCronSecret } from "./shared.js";
+
+/** POST { action: "pos_import" } — re-run the POS import for one biz/day. Cron secret. */
+export async function handlePosImport(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const { tenantId, bizId, date } = (req.body || {}) as {
+    tenantId?: string;
+    bizId?: string;
+    date?: string;
+  };
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  const targetDate = date || yesterdayInIsrael();
+  if (!ISO_DATE.test(targetDate)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  const result = await importPosForBiz(tenantId, bizId, targetDate);
+  return res.status(200).json({ status: "completed", ...result });
+}
@@ -0,0 +1,59 @@
+/**
+ * POST ?pos_webhook=1&tenantId=…&bizId=… — a signed vendor push
+ * (src/pos/webhook.ts). Routed by query string, since the vendor owns the
+ * body, and authenticated by an HMAC of the raw body (X-Pos-Signature)
+ * instead of a bearer token. Redeliveries are answered 200 with "deduped"
+ * import logs.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { importPosWebhook } from "../../pos/ingest.js";
+import { WEBHOOK_MAX_BYTES } from "../../pos/webhook.js";
+import { KEY_SAFE_ID } from "./shared.js";
+
+/**
+ * The request body exactly as sent — the signature covers these bytes, so a
+ * re-serialized req.body won't do. null when too large or already consumed.
+ */
+async function readRawBody(req: VercelRequest, maxBytes: number): Promise<string | null> {
+  if (!req.readable) return null;
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    size += buf.length;
+    if (size > maxBytes) return null;
+    chunks.push(buf);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+export async function handlePosWebhook(req: VercelRequest, res: VercelResponse) {
+  const tenantId = typeof req.query.tenantId === "string" ? req.query.tenantId : "";
+  const bizId = typeof req.query.bizId === "string" ? req.query.bizId : "";
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  // Unauthenticated until the signature is checked, and both end up in RTDB paths.
+  if (!KEY_SAFE_ID.test(tenantId) || !KEY_SAFE_ID.test(bizId)) {
+    return res.status(400).json({ error: "Invalid tenantId or bizId" });
+  }
+  const rawBody = await readRawBody(req, WEBHOOK_MAX_BYTES);
+  if (rawBody === null) return res.status(413).json({ error: "payload_unreadable_or_too_large" });
+
+  const logs = await importPosWebhook(
+    tenantId,
+    bizId,
+    rawBody,
+    req.headers["x-pos-signature"] as string | undefined
+  );
+  return res.status(200).json({
+    status: "completed",
+    logs: logs.map((l) => ({
+      importId: l.importId,
+      businessDate: l.businessDate,
+      status: l.status,
+      error: l.error,
+    })),
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Region taxonomy coverage against an Oref area list
+ * (src/analytics/regionCoverage.ts; scripts/regionCoverage.ts runs the same
+ * check on a local file).
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { checkRegionCoverage, parseOrefAreaList } from "../../analytics/regionCoverage.js";
+import { requireCronSecret } from "./shared.js";
+
+/** POST { action: "region_coverage" } — taxonomy vs. an Oref area list. Cron secret. */
+export async function handleRegionCoverage(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const { content, areas } = (req.body || {}) as { content?: string; areas?: unknown[] };
+  const list =
+    typeof content === "string"
+      ? parseOrefAreaList(content)
+      : parseOrefAreaList(JSON.stringify(Array.isArray(areas) ? areas : []));
+  return res.status(200).json({ status: "completed", report: checkRegionCoverage(list) });
+}
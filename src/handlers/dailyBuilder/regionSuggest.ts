@@ -0,0 +1,27 @@
+/**
+ * Location suggest for the setup wizard's map picker
+ * (src/analytics/regionResolver.ts). Any signed-in user — the business may
+ * not exist yet.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { suggestRegionsForLocation } from "../../analytics/regionResolver.js";
+import { requireAuth } from "../../../lib/verifyToken.js";
+
+/** POST { action: "region_suggest" } — any signed-in user; pure lookup, no DB. */
+export async function handleRegionSuggest(req: VercelRequest, res: VercelResponse) {
+  try {
+    await requireAuth(req);
+  } catch {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  const { lat, lon, radiusKm } = (req.body || {}) as { lat?: number; lon?: number; radiusKm?: number };
+  if (typeof lat !== "number" || typeof lon !== "number" || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return res.status(400).json({ error: "lat and lon must be numbers" });
+  }
+  const radius = radiusKm ?? 10;
+  if (typeof radius !== "number" || !(radius > 0 && radius <= 30)) {
+    return res.status(400).json({ error: "radiusKm must be a number in (0, 30]" });
+  }
+  return res.status(200).json(suggestRegionsForLocation({ lat, lon }, radius));
+}
@@ -0,0 +1,47 @@
+/**
+ * Correlation research refits (src/analytics/research.ts): one biz on
+ * demand, and the budgeted nightly run over the businesses due a refit.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { runDueResearch, runResearchForBiz, yesterdayInIsrael } from "../../analytics/dailyBuilder.js";
+import { ISO_DATE, requireCronSecret } from "./shared.js";
+
+/** POST { action: "research" } — refit one biz's correlation research now. Cron secret. */
+export async function handleResearch(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const { tenantId, bizId, date, windowDays } = (req.body || {}) as {
+    tenantId?: string;
+    bizId?: string;
+    date?: string;
+    windowDays?: number;
+  };
+  if (!tenantId || !bizId) {
+    return res.status(400).json({ error: "Missing tenantId or bizId" });
+  }
+  const targetDate = date || yesterdayInIsrael();
+  if (!ISO_DATE.test(targetDate)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  const window = windowDays ?? 365;
+  if (!Number.isInteger(window) || window < 30 || window > 730) {
+    return res.status(400).json({ error: "windowDays must be an integer 30–730" });
+  }
+  const doc = await runResearchForBiz(tenantId, bizId, targetDate, window);
+  return res.status(200).json({ status: "completed", doc });
+}
+
+/** GET ?research=1 — cron: weekly research refits, spread over the daily runs. */
+export async function handleResearchCron(req: VercelRequest, res: VercelResponse) {
+  if (!requireCronSecret(req, res)) return;
+  const date = yesterdayInIsrael();
+  const { fitted, failures, remaining } = await runDueResearch(date);
+  return res.status(200).json({
+    status: remaining > 0 ? "partial" : "completed",
+    date,
+    fitted,
+    failureCount: failures.length,
+    failures: failures.length > 0 ? failures : undefined,
+    remaining,
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Shared pieces of the /api/analytics/daily-builder action handlers: the
+ * handler signature the route's dispatch table uses, and the three ways a
+ * request is authorized (cron secret, tenant manager, either).
+ *
+ * A handler writes its own response. Errors thrown as HttpError
+ * ({ status, msg } — src/utils/httpError.ts) are answered by the route with
+ * that status; anything else is a 500.
+ */
+
+import type { VercelRequest, VercelResponse } from "@vercel/node";
+import { requireAuth } from "../../../lib/verifyToken.js";
+import { requireTenantAccess } from "../../../lib/helpers.js";
+
+export type BuilderHandler = (req: VercelRequest, res: VercelResponse) => Promise<unknown>;
+
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A tenant / biz id safe to splice into an RTDB path: no "/", ".", "#", "$",
+ * "[", "]", nor the ":" that separates "biz:{bizId}:…" keys.
+ */
+export const KEY_SAFE_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+/** Vercel cron header, or `Authorization: Bearer ${CRON_SECRET}`. */
+export function verifyCronSecret(req: VercelRequest): boolean {
+  if (req.headers["x-vercel-cron"]) return true;
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    console.warn("[analytics/daily-builder] CRON_SECRET not configured");
+    return false;
+  }
+
+  const authHeader = (req.headers.authorization as string) || "";
+  const [scheme, token] = authHeader.split(" ");
+  return scheme === "Bearer" && token === cronSecret;
+}
+
+/** Cron secret. Writes the 401 on failure. */
+export function requireCronSecret(req: VercelRequest, res: VercelResponse): boolean {
+  if (verifyCronSecret(req)) return true;
+  res.status(401).json({ error: "Unauthorized" });
+  return false;
+}
+
+/** Firebase user with manager+ on the tenant. Writes the error response on failure. */
+export async function verifyTenantManager(
+  req: VercelRequest,
+  res: VercelResponse,
+  tenantId: string
+): Promise<boolean> {
+  let claims;
+  try {
+    claims = await requireAuth(req);
+  } catch {
+    res.status(401).json({ error: "Authentication required" });
+    return false;
+  }
+  try {
+    await requireTenantAccess(claims.uid, tenantId, "manager");
+  } catch (e: any) {
+    res.status(e?.status || 403).json({ error: e?.msg || "Access denied" });
+    return false;
+  }
+  return true;
+}
+
+/** Cron secret, or manager+ on every tenant. Writes the error response on failure. */
+export async function verifyCronOrTenantManager(
+  req: VercelRequest,
+  res: VercelResponse,
+  tenantIds: string[]
+): Promise<boolean> {
+  if (verifyCronSecret(req)) return true;
+  for (const tenantId of tenantIds) {
+    if (!(await verifyTenantManager(req, res, tenantId))) return false;
+  }
+  return true;
+}
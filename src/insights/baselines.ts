@@ -90,3 +90,23 @@ export function condRevenueAvg(
   const valid = validDays(history).filter(predicate);
   return { avg: mean(valid.map((d) => d.revenue.total)), n: valid.length };
 }
+
+/**
+ * Typical share of a day's sales that falls in the given "HH" buckets: mean of
+ * the per-day shares over valid days that carry hourly (POS) sales.
+ */
+export function hourlySalesShare(
+  history: AnalyticsDailyInput[],
+  hours: string[]
+): { share: number | null; n: number } {
+  const shares: number[] = [];
+  for (const d of validDays(history)) {
+    const hourly = d.revenue.hourly;
+    if (!hourly) continue;
+    const total = Object.values(hourly).reduce((a, v) => a + (Number(v) || 0), 0);
+    if (!(total > 0)) continue;
+    shares.push(hours.reduce((a, h) => a + (Number(hourly[h]) || 0), 0) / total);
+  }
+  const avg = mean(shares);
+  return { share: avg === null ? null : round(avg, 4), n: shares.length };
+}
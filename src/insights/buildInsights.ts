@@ -8,6 +8,7 @@
 
 import type { AnalyticsDailyInput, Insight, InsightsDailyDoc, InsightType } from "./types.js";
 import { ALL_RULES } from "./rules.js";
+import type { ResearchEffect } from "../analytics/research.js";
 
 export const ENGINE_VERSION = "insights-v1";
 
@@ -79,11 +80,13 @@ export function rankInsights(list: Insight[], headSize = 3, maxPerGroupInHead =
 /**
  * Build the daily insights doc. `now` is injectable for deterministic tests;
  * it only affects timestamp fields, never the set/order of insights.
+ * `research` (the biz's significant regression effects) only adds citations.
  */
 export function buildInsights(
   todayDoc: AnalyticsDailyInput | null | undefined,
   historyDocs: AnalyticsDailyInput[] = [],
-  now: number = Date.now()
+  now: number = Date.now(),
+  research: ResearchEffect[] = []
 ): InsightsDailyDoc {
   const empty = (date: string, bizId: string, tenantId: string | null): InsightsDailyDoc => ({
     date,
@@ -105,7 +108,7 @@ export function buildInsights(
 
   const raw: Insight[] = [];
   for (const rule of ALL_RULES) {
-    const r = rule(todayDoc, historyDocs, now);
+    const r = rule(todayDoc, historyDocs, now, research);
     if (r) raw.push(r);
   }
 
@@ -7,7 +7,11 @@
  *  - includes numeric evidence,
  *  - sets a deterministic confidence from sample size,
  *  - sets severity from clear thresholds.
- * Only analytics:daily fields are used. No hourly/item/checklist/POS.
+ * Only analytics:daily fields are used. No item/checklist/POS reads; hourly
+ * data is only what the doc itself carries (v1.1+ timelines), used to say which
+ * sales hours a rain/alert day actually hit. The weather/alert rules also cite
+ * the business's own regression results (analytics/research.ts) when the
+ * weekly fit found a significant effect; rules never read the DB for them.
  */
 
 import type { AnalyticsDailyInput, Insight, InsightSeverity } from "./types.js";
@@ -19,7 +23,10 @@ import {
   sameWeekdayAvg,
   trailingRatioAvg,
   trailingRevenueAvg,
+  hourlySalesShare,
 } from "./baselines.js";
+import { DEFAULT_BUSINESS_HOURS, hourOrder } from "../analytics/businessHours.js";
+import { describeEffect, findEffect, type ResearchEffect } from "../analytics/research.js";
 
 // ── Tunable thresholds (documented; deterministic) ───────────────────────────
 export const THRESHOLDS = {
@@ -35,6 +42,7 @@ export const THRESHOLDS = {
   WEATHER_FIRE_ABS: 0.12,
   RATIO_GAP_WARN: 0.03, // +3 percentage points over baseline ratio
   RATIO_GAP_CRIT: 0.06, // +6 pp
+  RAIN_HOUR_MM: 0.5, // hourly precipitation that makes an operating hour "rainy"
 };
 
 const ILS = (n: number) => "₪" + Math.round(n).toLocaleString("en-US");
@@ -53,6 +61,40 @@ function base(
   return { id: idFor(t, type), date: t.date, bizId: t.bizId, type, source: "analytics:daily", createdAt: now };
 }
 
+// ── Disruption timing (hourly timelines, doc v1.1+) ──────────────────────────
+
+/**
+ * Operating hours ("HH", operating order) where `hit` holds. null when the doc
+ * has no hourly timeline (pre-1.1), so the rule keeps its daily-only wording.
+ */
+function hitHours<T>(
+  t: AnalyticsDailyInput,
+  hourly: Record<string, T> | undefined,
+  hit: (v: T) => boolean
+): string[] | null {
+  if (!hourly) return null;
+  const hours = t.meta?.business_hours ?? DEFAULT_BUSINESS_HOURS;
+  return Object.keys(hourly)
+    .filter((h) => hit(hourly[h]))
+    .sort((a, b) => hourOrder(Number(a), hours) - hourOrder(Number(b), hours));
+}
+
+/** Evidence + fields tying a disruption to the sales hours it hit. */
+function timing(
+  hit: string[] | null,
+  history: AnalyticsDailyInput[]
+): { evidence: string[]; fields: Pick<Insight, "affectedHours" | "affectedSalesShare"> } {
+  if (hit === null) return { evidence: [], fields: {} };
+  if (hit.length === 0) return { evidence: ["מחוץ לשעות הפעילות"], fields: {} };
+  const evidence = [`שעות: ${hit.map((h) => `${h}:00`).join(", ")}`];
+  const s = hourlySalesShare(history, hit);
+  if (s.share === null || s.n < THRESHOLDS.MIN_TREND_SAMPLES) {
+    return { evidence, fields: { affectedHours: hit } };
+  }
+  evidence.push(`בשעות אלו בדרך כלל ${Math.round(s.share * 100)}% מהמכירות (n=${s.n})`);
+  return { evidence, fields: { affectedHours: hit, affectedSalesShare: s.share } };
+}
+
 // ── 1. revenue_drop ──────────────────────────────────────────────────────────
 export function ruleRevenueDrop(t: AnalyticsDailyInput, history: AnalyticsDailyInput[], now: number): Insight | null {
   if (!t.revenue?.had_entry) return null;
@@ -130,24 +172,38 @@ export function ruleWeakWeekday(t: AnalyticsDailyInput, history: AnalyticsDailyI
 }
 
 // ── 4. weather_impact ────────────────────────────────────────────────────────
-export function ruleWeatherImpact(t: AnalyticsDailyInput, history: AnalyticsDailyInput[], now: number): Insight | null {
+export function ruleWeatherImpact(
+  t: AnalyticsDailyInput,
+  history: AnalyticsDailyInput[],
+  now: number,
+  research: ResearchEffect[] = []
+): Insight | null {
   if (!t.revenue?.had_entry || !t.weather || t.weather.is_rain_day !== true) return null;
   const dry = condRevenueAvg(history, (d) => d.weather?.is_rain_day === false);
   if (dry.n < THRESHOLDS.MIN_CONTEXT_SAMPLES || dry.avg === null) return null;
   const d = deltaPct(t.revenue.total, dry.avg);
   if (d === null || Math.abs(d) < THRESHOLDS.WEATHER_FIRE_ABS) return null;
-  const severity: InsightSeverity = d < 0 ? (d <= THRESHOLDS.DROP_CRIT ? "warning" : "info") : "info";
+  const hit = hitHours(t, t.weather.hourly, (w) => (w?.rain_mm ?? 0) >= THRESHOLDS.RAIN_HOUR_MM);
+  const outsideHours = hit !== null && hit.length === 0;
+  const severity: InsightSeverity =
+    d < 0 && !outsideHours ? (d <= THRESHOLDS.DROP_CRIT ? "warning" : "info") : "info";
   const mm = t.weather.rain_mm ?? null;
+  const when = timing(hit, history);
+  const study = findEffect(research, "rain");
   return {
     ...base(t, "weather_impact", now),
     severity,
     title: `השפעת גשם (${PCT(d)})`,
-    summary: `יום גשום — המחזור שונה מיום יבש טיפוסי.`,
+    summary: outsideHours
+      ? `יום גשום, אך הגשם ירד מחוץ לשעות הפעילות.`
+      : `יום גשום — המחזור שונה מיום יבש טיפוסי.`,
     evidence: [
       `מחזור: ${ILS(t.revenue.total)}`,
       `ממוצע ימים יבשים: ${ILS(dry.avg)}`,
       mm !== null ? `גשם: ${mm} מ״מ` : `יום גשום`,
+      ...when.evidence,
       `שינוי: ${PCT(d)} (n=${dry.n})`,
+      ...(study ? [`מחקר: ${describeEffect(study)}`] : []),
     ],
     recommendation: null,
     metric: "revenue_total",
@@ -155,11 +211,17 @@ export function ruleWeatherImpact(t: AnalyticsDailyInput, history: AnalyticsDail
     baselineValue: round(dry.avg, 0),
     deltaPct: d,
     confidence: confidenceForSamples(dry.n),
+    ...when.fields,
   };
 }
 
 // ── 5. alert_impact ──────────────────────────────────────────────────────────
-export function ruleAlertImpact(t: AnalyticsDailyInput, history: AnalyticsDailyInput[], now: number): Insight | null {
+export function ruleAlertImpact(
+  t: AnalyticsDailyInput,
+  history: AnalyticsDailyInput[],
+  now: number,
+  research: ResearchEffect[] = []
+): Insight | null {
   if (!t.revenue?.had_entry || !t.alerts) return null;
   const isAlert = t.alerts.is_alert_day === true || (t.alerts.alert_minutes || 0) > 0;
   if (!isAlert) return null;
@@ -167,17 +229,26 @@ export function ruleAlertImpact(t: AnalyticsDailyInput, history: AnalyticsDailyI
   if (calm.n < THRESHOLDS.MIN_CONTEXT_SAMPLES || calm.avg === null) return null;
   const d = deltaPct(t.revenue.total, calm.avg);
   if (d === null || d > THRESHOLDS.CONTEXT_FIRE) return null;
-  const severity: InsightSeverity = d <= THRESHOLDS.DROP_CRIT ? "critical" : "warning";
+  const hit = hitHours(t, t.alerts.hourly, (n) => Number(n) > 0);
+  // Sirens only outside opening hours can't explain the drop — keep it, but low.
+  const outsideHours = hit !== null && hit.length === 0;
+  const severity: InsightSeverity = outsideHours ? "info" : d <= THRESHOLDS.DROP_CRIT ? "critical" : "warning";
+  const when = timing(hit, history);
+  const study = findEffect(research, "alert_hours") ?? findEffect(research, "war_day_partial");
   return {
     ...base(t, "alert_impact", now),
     severity,
     title: `השפעת אזעקות (${PCT(d)})`,
-    summary: `יום עם אזעקות — מחזור נמוך מיום רגיל.`,
+    summary: outsideHours
+      ? `יום עם אזעקות, אך כולן מחוץ לשעות הפעילות.`
+      : `יום עם אזעקות — מחזור נמוך מיום רגיל.`,
     evidence: [
       `מחזור: ${ILS(t.revenue.total)}`,
       `ממוצע ימים רגילים: ${ILS(calm.avg)}`,
       `אזעקות: ${t.alerts.alert_count} · ${t.alerts.alert_minutes} דק׳`,
+      ...when.evidence,
       `שינוי: ${PCT(d)} (n=${calm.n})`,
+      ...(study ? [`מחקר: ${describeEffect(study)}`] : []),
     ],
     recommendation: null,
     metric: "revenue_total",
@@ -185,6 +256,7 @@ export function ruleAlertImpact(t: AnalyticsDailyInput, history: AnalyticsDailyI
     baselineValue: round(calm.avg, 0),
     deltaPct: d,
     confidence: confidenceForSamples(calm.n),
+    ...when.fields,
   };
 }
 
@@ -261,8 +333,15 @@ export function ruleSupplierSpendRisk(t: AnalyticsDailyInput, history: Analytics
   };
 }
 
+export type InsightRule = (
+  t: AnalyticsDailyInput,
+  history: AnalyticsDailyInput[],
+  now: number,
+  research?: ResearchEffect[]
+) => Insight | null;
+
 /** All v1 rules, in a stable order (used as a deterministic tie-breaker). */
-export const ALL_RULES = [
+export const ALL_RULES: InsightRule[] = [
   ruleRevenueDrop,
   ruleRevenueSpike,
   ruleWeakWeekday,
@@ -7,6 +7,8 @@
  * until a later wiring phase.
  */
 
+import type { BusinessHours } from "../analytics/businessHours.js";
+
 export type InsightSeverity = "info" | "warning" | "critical" | "positive";
 
 export type InsightType =
@@ -32,15 +34,18 @@ export interface AnalyticsDailyInput {
     food_cost: number; // aggregate supplier spend
     payroll: number; // labor
     had_entry: boolean;
+    hourly?: Record<string, number>; // POS sales per "HH" (doc v1.1+, POS only)
   };
   weather: {
     is_rain_day: boolean | null;
     rain_mm: number | null;
+    hourly?: Record<string, { rain_mm: number }>; // per operating hour (doc v1.1+)
   } | null;
   alerts: {
     alert_count: number;
     alert_minutes: number;
     is_alert_day: boolean;
+    hourly?: Record<string, number>; // alerts per operating hour (doc v1.1+)
   } | null;
   operational: {
     war_day: "regular" | "partial" | "full" | "unknown";
@@ -50,6 +55,9 @@ export interface AnalyticsDailyInput {
     weekend: boolean;
     holiday: boolean;
   };
+  meta?: {
+    business_hours?: BusinessHours; // orders the "HH" keys (a bar's 01 after 23)
+  };
 }
 
 export interface Insight {
@@ -67,6 +75,8 @@ export interface Insight {
   baselineValue: number | null;
   deltaPct: number | null; // fraction, e.g. -0.22
   confidence: number; // 0..1 deterministic (sample-size based, NOT a model)
+  affectedHours?: string[]; // "HH" operating hours the disruption hit (hourly docs only)
+  affectedSalesShare?: number; // typical share of the day's sales in those hours, fraction
   source: "analytics:daily";
   createdAt: number; // epoch ms
 }
@@ -1,11 +1,15 @@
 /**
- * POS Ingestion Foundation — Beecomm adapter PLACEHOLDER (Phase 1, INERT).
+ * POS Ingestion — Beecomm live connector.
  *
- * Stub only. NOT wired to any live API. No network here, no secret imports.
- * When activated (separate approval), fetchDailySummary will: resolve the key
- * server-side from ctx.apiKey, call the Beecomm daily-summary endpoint, then
- * run the raw payload through normalizeBeecommDaily + finalizeReport.
- * Until then it throws a sanitized not_implemented error.
+ * Calls the Beecomm daily-summary endpoint with the key the caller resolved
+ * server-side (ctx.apiKey, from PosConfig.credentialRef — see
+ * ../credentials.ts), then runs the raw payload through
+ * normalizeBeecommDaily + finalizeReport. Transport (timeout, retry with
+ * backoff, sanitized http_* / timeout / network reasons) lives in ../http.ts.
+ *
+ * The base URL is injectable so the connector can be exercised against a
+ * local stub server serving __fixtures__/beecommDailySummary.sample.json.
+ * Never logs or returns the raw payload or the key.
  */
 
 import type {
@@ -15,6 +19,11 @@ import type {
   PosFetchContext,
   PosFetchError,
 } from "../types.js";
+import { finalizeReport, normalizeBeecommDaily } from "../normalize.js";
+import type { BeecommDailyRaw } from "../normalize.js";
+import { fetchPosJson, type PosHttpOptions } from "../http.js";
+
+export const BEECOMM_BASE_URL = "https://api.beecomm.co.il";
 
 export const BEECOMM_CAPABILITIES: PosCapabilities = {
   dailySummary: true,
@@ -23,17 +32,60 @@ export const BEECOMM_CAPABILITIES: PosCapabilities = {
   payments: false,
 };
 
+export interface BeecommConnectorOptions {
+  /** Defaults to BEECOMM_BASE_URL env override, else the production API. */
+  baseUrl?: string;
+  http?: Partial<PosHttpOptions>;
+}
+
 export class BeecommConnector implements PosConnector {
   readonly sourceSystem = "beecomm" as const;
   readonly capabilities = BEECOMM_CAPABILITIES;
 
-  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  private readonly baseUrl: string;
+  private readonly http: Partial<PosHttpOptions>;
+
+  constructor(opts: BeecommConnectorOptions = {}) {
+    this.baseUrl = (opts.baseUrl || process.env.BEECOMM_BASE_URL || BEECOMM_BASE_URL).replace(/\/+$/, "");
+    this.http = opts.http ?? {};
+  }
+
   async fetchDailySummary(
-    _businessDate: string,
-    _ctx: PosFetchContext
+    businessDate: string,
+    ctx: PosFetchContext
   ): Promise<NormalizedSalesReport> {
-    const err: PosFetchError = { source: "beecomm", reason: "not_implemented" };
-    throw err;
+    if (!ctx.apiKey) {
+      const err: PosFetchError = { source: "beecomm", reason: "missing_credential" };
+      throw err;
+    }
+
+    const params = new URLSearchParams({ date: businessDate });
+    if (ctx.externalBranchId) params.set("branch_id", ctx.externalBranchId);
+
+    const raw = await fetchPosJson(
+      "beecomm",
+      `${this.baseUrl}/v1/reports/daily-summary?${params}`,
+      {
+        headers: {
+          Authorization: `Bearer ${ctx.apiKey}`,
+          Accept: "application/json",
+          "User-Agent": "MarjinAnalytics/1.0",
+        },
+      },
+      this.http
+    );
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      const err: PosFetchError = { source: "beecomm", reason: "invalid_payload" };
+      throw err;
+    }
+
+    const content = normalizeBeecommDaily(
+      raw as BeecommDailyRaw,
+      { tenantId: ctx.tenantId, businessId: ctx.businessId, businessHours: ctx.businessHours },
+      businessDate
+    );
+    return finalizeReport(content);
   }
 }
 
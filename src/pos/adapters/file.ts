@@ -0,0 +1,59 @@
+/**
+ * POS Ingestion — file-upload connector (CSV / XLSX Z-report).
+ *
+ * Implements PosConnector over an already-uploaded file table instead of a
+ * live API: the table and the business's column profile are bound at
+ * construction, fetchDailySummary picks out one business day and runs it
+ * through normalizeFileDaily + finalizeReport. ctx.apiKey is unused (uploads
+ * carry no credential). Throws a sanitized PosFetchError when the file has no
+ * rows for the requested day.
+ */
+
+import type {
+  NormalizedSalesReport,
+  PosCapabilities,
+  PosConnector,
+  PosFetchContext,
+  PosFetchError,
+} from "../types.js";
+import { finalizeReport, normalizeFileDaily } from "../normalize.js";
+import type { FileColumnProfile, FileTable } from "../fileProfile.js";
+import { columnIndex } from "../fileProfile.js";
+
+export class FileConnector implements PosConnector {
+  readonly sourceSystem = "file" as const;
+  readonly capabilities: PosCapabilities;
+
+  constructor(
+    private readonly table: FileTable,
+    private readonly profile: FileColumnProfile
+  ) {
+    const c = profile.columns;
+    this.capabilities = {
+      dailySummary: true,
+      hourly:
+        profile.layout === "tickets"
+          ? columnIndex(table, c.time) >= 0 || columnIndex(table, c.date) >= 0
+          : !!c.hourly && Object.keys(c.hourly).length > 0,
+      itemSales: false,
+      payments: false,
+    };
+  }
+
+  async fetchDailySummary(
+    businessDate: string,
+    ctx: PosFetchContext
+  ): Promise<NormalizedSalesReport> {
+    const content = normalizeFileDaily(
+      this.table,
+      this.profile,
+      { tenantId: ctx.tenantId, businessId: ctx.businessId, businessHours: ctx.businessHours },
+      businessDate
+    );
+    if (!content) {
+      const err: PosFetchError = { source: "file", reason: "no_rows_for_date" };
+      throw err;
+    }
+    return finalizeReport(content);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * POS Ingestion — pushed-event connector (vendor webhooks).
+ *
+ * Implements PosConnector over data the vendor already pushed instead of a
+ * live API, so webhook imports share importOne's finalize/hash/dedup/log path
+ * with polling. Bound at construction to either the vendor's end-of-day
+ * payload (normalized with the same Beecomm mapping the pull connector
+ * uses) or one business day's stored tickets (normalizeWebhookTickets —
+ * none left after voids is a zero-revenue day).
+ * ctx.apiKey is unused — the push was authenticated by its signature.
+ */
+
+import type {
+  NormalizedReportContent,
+  NormalizedSalesReport,
+  PosCapabilities,
+  PosConnector,
+  PosFetchContext,
+  PosFetchError,
+  SourceSystem,
+} from "../types.js";
+import {
+  finalizeReport,
+  normalizeBeecommDaily,
+  normalizeWebhookTickets,
+} from "../normalize.js";
+import type { BeecommDailyRaw } from "../normalize.js";
+import type { PosWebhookTicket } from "../webhook.js";
+
+export type WebhookPayload =
+  | { kind: "daily_summary"; summary: Record<string, unknown> }
+  | { kind: "tickets"; tickets: PosWebhookTicket[] };
+
+export class WebhookConnector implements PosConnector {
+  readonly capabilities: PosCapabilities;
+
+  constructor(
+    readonly sourceSystem: SourceSystem,
+    private readonly payload: WebhookPayload
+  ) {
+    this.capabilities = {
+      dailySummary: true,
+      hourly:
+        payload.kind === "tickets"
+          ? payload.tickets.some((t) => t.time !== null)
+          : true, // end-of-day payloads carry the vendor's hourly breakdown
+      itemSales: false,
+      payments: false,
+    };
+  }
+
+  async fetchDailySummary(
+    businessDate: string,
+    ctx: PosFetchContext
+  ): Promise<NormalizedSalesReport> {
+    const id = { tenantId: ctx.tenantId, businessId: ctx.businessId, businessHours: ctx.businessHours };
+    let content: NormalizedReportContent;
+    if (this.payload.kind === "tickets") {
+      content = normalizeWebhookTickets(this.payload.tickets, id, businessDate, this.sourceSystem);
+    } else if (this.sourceSystem === "beecomm") {
+      content = normalizeBeecommDaily(this.payload.summary as BeecommDailyRaw, id, businessDate);
+    } else {
+      const err: PosFetchError = { source: this.sourceSystem, reason: "unsupported_source" };
+      throw err;
+    }
+    return finalizeReport(content);
+  }
+}
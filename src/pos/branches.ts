@@ -0,0 +1,180 @@
+/**
+ * POS Ingestion — branch registry and roll-up (multi-branch businesses).
+ *
+ * A business with several branches under one POS account registers each
+ * branch with its own external POS id. The import then runs once per active
+ * branch (ctx.externalBranchId = the branch's id) and stores per-branch
+ * reports at biz:{bizId}:branch:{branchId}:pos:{reportType}:{date}; the
+ * branches are summed into a roll-up stored at the plain
+ * biz:{bizId}:pos:{reportType}:{date} path, so every existing consumer
+ * (reconciliation, snapshot, products) sees the combined business.
+ *
+ * No registry (the common case) = single-branch: PosConfig.externalBranchId
+ * is used and nothing changes.
+ *
+ * Registry: tenants/{tenantId}/biz:{bizId}:pos_branches → { [branchId]: PosBranch }.
+ * Pure helpers here; persistence in posRepo.ts, orchestration in ingest.ts.
+ */
+
+import type {
+  NormalizedPayments,
+  NormalizedReportContent,
+  NormalizedSalesItem,
+} from "./types.js";
+import { computeAvgCheck } from "./normalize.js";
+
+export interface PosBranch {
+  /** Our id — RTDB-key safe, used in paths and as the agent's branchId. */
+  branchId: string;
+  name: string;
+  /** The POS vendor's branch / organization id for this branch. */
+  externalBranchId: string;
+  active: boolean;
+}
+
+/** The single branch of a business without a registry (legacy builder path). */
+export const DEFAULT_BRANCH_ID = "main";
+
+export const MAX_BRANCHES = 20;
+
+const BRANCH_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Validate a registry before it is saved. Returns human-readable errors; an
+ * empty list means it is usable.
+ */
+export function validateBranches(raw: unknown): string[] {
+  if (!Array.isArray(raw)) return ["branches must be an array"];
+  if (raw.length > MAX_BRANCHES) return [`at most ${MAX_BRANCHES} branches`];
+  const errors: string[] = [];
+  const ids = new Set<string>();
+  const externals = new Set<string>();
+  raw.forEach((b: Partial<PosBranch> | null, i) => {
+    if (!b || typeof b !== "object") {
+      errors.push(`branches[${i}] must be an object`);
+      return;
+    }
+    if (typeof b.branchId !== "string" || !BRANCH_ID_RE.test(b.branchId)) {
+      errors.push(`branches[${i}].branchId must be 1–32 chars of a-z 0-9 _ -`);
+    } else if (ids.has(b.branchId)) {
+      errors.push(`branches[${i}].branchId "${b.branchId}" is duplicated`);
+    } else {
+      ids.add(b.branchId);
+    }
+    if (typeof b.name !== "string" || !b.name.trim()) errors.push(`branches[${i}].name is required`);
+    if (typeof b.externalBranchId !== "string" || !b.externalBranchId.trim()) {
+      errors.push(`branches[${i}].externalBranchId is required`);
+    } else if (externals.has(b.externalBranchId.trim())) {
+      errors.push(`branches[${i}].externalBranchId is used by another branch`);
+    } else {
+      externals.add(b.externalBranchId.trim());
+    }
+    if (b.active !== undefined && typeof b.active !== "boolean") {
+      errors.push(`branches[${i}].active must be a boolean`);
+    }
+  });
+  return errors;
+}
+
+/** Registry rows as stored (caller validates first). */
+export function toBranchRegistry(branches: PosBranch[]): Record<string, PosBranch> {
+  const out: Record<string, PosBranch> = {};
+  for (const b of branches) {
+    out[b.branchId] = {
+      branchId: b.branchId,
+      name: b.name.trim(),
+      externalBranchId: b.externalBranchId.trim(),
+      active: b.active ?? true,
+    };
+  }
+  return out;
+}
+
+// ── Roll-up ───────────────────────────────────────────────────────────────────
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/** Sum of the non-null values; null only when every branch is null. */
+function sumKnown(values: Array<number | null | undefined>): number | null {
+  let any = false;
+  let total = 0;
+  for (const v of values) {
+    if (v === null || v === undefined) continue;
+    any = true;
+    total += v;
+  }
+  return any ? round2(total) : null;
+}
+
+function sumMaps(
+  maps: Array<Record<string, number> | null | undefined>
+): Record<string, number> | null {
+  const present = maps.filter((m): m is Record<string, number> => !!m);
+  if (present.length === 0) return null;
+  const out: Record<string, number> = {};
+  for (const m of present) {
+    for (const [k, v] of Object.entries(m)) out[k] = round2((out[k] ?? 0) + (Number(v) || 0));
+  }
+  return out;
+}
+
+function mergeItems(lists: Array<NormalizedSalesItem[] | null>): NormalizedSalesItem[] | null {
+  const present = lists.filter((l): l is NormalizedSalesItem[] => Array.isArray(l));
+  if (present.length === 0) return null;
+  const byKey = new Map<string, NormalizedSalesItem>();
+  for (const item of present.flat()) {
+    const key = item.sku ? `sku:${item.sku}` : `name:${item.name.trim().toLowerCase()}`;
+    const cur = byKey.get(key);
+    if (cur) {
+      cur.qty += item.qty;
+      cur.revenue = round2(cur.revenue + item.revenue);
+    } else {
+      byKey.set(key, { ...item });
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Combine one day's per-branch reports of a single reportType into the
+ * business roll-up. A field is null only when no branch reported it.
+ * Returns null for an empty list.
+ */
+export function rollUpReports(reports: NormalizedReportContent[]): NormalizedReportContent | null {
+  if (reports.length === 0) return null;
+  const sorted = [...reports].sort((a, b) => (a.branchId ?? "").localeCompare(b.branchId ?? ""));
+  const first = sorted[0];
+  const revenueTotal = sumKnown(sorted.map((r) => r.revenueTotal));
+  const tickets = sumKnown(sorted.map((r) => r.tickets));
+  const quarterHourly = sumMaps(sorted.map((r) => r.quarterHourly));
+
+  let payments: NormalizedPayments | null | undefined;
+  if (sorted.some((r) => r.payments)) {
+    const keys: Array<keyof NormalizedPayments> = ["cash", "credit", "vouchers", "other", "tips", "refunds"];
+    payments = Object.fromEntries(
+      keys.map((k) => [k, sumKnown(sorted.map((r) => r.payments?.[k]))])
+    ) as unknown as NormalizedPayments;
+  }
+
+  return {
+    businessId: first.businessId,
+    tenantId: first.tenantId,
+    businessDate: first.businessDate,
+    sourceSystem: first.sourceSystem,
+    reportType: first.reportType,
+    revenueTotal,
+    tickets,
+    avgCheck: first.reportType === "daily_summary" ? computeAvgCheck(revenueTotal, tickets) : null,
+    channels: {
+      dineIn: sumKnown(sorted.map((r) => r.channels.dineIn)),
+      delivery: sumKnown(sorted.map((r) => r.channels.delivery)),
+      takeaway: sumKnown(sorted.map((r) => r.channels.takeaway)),
+    },
+    hourly: sumMaps(sorted.map((r) => r.hourly)),
+    ...(quarterHourly ? { quarterHourly } : {}),
+    items: mergeItems(sorted.map((r) => r.items)),
+    ...(payments ? { payments } : {}),
+    branchIds: sorted.map((r) => r.branchId ?? DEFAULT_BRANCH_ID),
+    schemaVersion: first.schemaVersion,
+  };
+}
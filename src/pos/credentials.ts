@@ -0,0 +1,48 @@
+/**
+ * POS Ingestion — server-side credential resolution.
+ *
+ * PosConfig.credentialRef is an env var NAME (e.g. "BEECOMM_KEY_KISS_GN").
+ * This is the only place that turns it into a secret value, and it does so at
+ * call time on the server. The value is never logged, stored or returned to a
+ * client; a missing key surfaces as a sanitized PosFetchError.
+ */
+
+import type { PosConfig, PosFetchContext, PosFetchError } from "./types.js";
+
+/** Env var names must look like env var names — no paths, no expressions. */
+const CREDENTIAL_REF_RE = /^[A-Z][A-Z0-9_]{2,127}$/;
+
+/**
+ * Resolve the api key referenced by a config. Throws PosFetchError
+ * ("invalid_credential_ref" | "missing_credential") — never the value itself.
+ */
+export function resolvePosApiKey(
+  config: Pick<PosConfig, "sourceSystem" | "credentialRef">,
+  env: Record<string, string | undefined> = process.env
+): string {
+  if (!CREDENTIAL_REF_RE.test(config.credentialRef ?? "")) {
+    const err: PosFetchError = { source: config.sourceSystem, reason: "invalid_credential_ref" };
+    throw err;
+  }
+  const value = env[config.credentialRef];
+  if (!value) {
+    const err: PosFetchError = { source: config.sourceSystem, reason: "missing_credential" };
+    throw err;
+  }
+  return value;
+}
+
+/** Build the per-call context for a connector from a business's PosConfig. */
+export function buildPosFetchContext(
+  tenantId: string,
+  businessId: string,
+  config: PosConfig,
+  env: Record<string, string | undefined> = process.env
+): PosFetchContext {
+  return {
+    tenantId,
+    businessId,
+    externalBranchId: config.externalBranchId || undefined,
+    apiKey: resolvePosApiKey(config, env),
+  };
+}
@@ -0,0 +1,314 @@
+/**
+ * POS Ingestion — file (CSV / Z-report) column-mapping profiles.
+ *
+ * Tenants without POS API access upload their nightly Z-report export. Every
+ * POS exports different headers, so each business stores a profile saying
+ * which column holds what:
+ *   - layout "summary": one row per business day (totals, optional hour columns)
+ *   - layout "tickets": one row per ticket/check (amount, time, channel) —
+ *                       totals, hourly and channel split are aggregated here
+ * Columns are referenced by header text (trimmed, case-insensitive) or by
+ * 0-based index.
+ *
+ * XLSX is converted client-side (SheetJS, already loaded by the app:
+ * sheet_to_json(ws, { header: 1, raw: false })) and arrives as rows; CSV
+ * arrives as text and is parsed by parseCsv. Pure — no network, no DB.
+ */
+
+export type ColumnRef = string | number;
+
+export interface FileColumnProfile {
+  layout: "summary" | "tickets";
+  /** CSV only. Auto-detected from the header line when absent. */
+  delimiter?: "," | ";" | "\t";
+  /** 0-based index of the header row (exports often start with a title block). */
+  headerRow?: number;
+  /** How date cells are written. Default: auto (ISO, else day-first). */
+  dateFormat?: "auto" | "YYYY-MM-DD" | "DD/MM/YYYY" | "MM/DD/YYYY";
+  columns: {
+    date?: ColumnRef;
+    // layout "summary"
+    revenueTotal?: ColumnRef;
+    tickets?: ColumnRef;
+    dineIn?: ColumnRef;
+    delivery?: ColumnRef;
+    takeaway?: ColumnRef;
+    /** hour ("08".."23") → column */
+    hourly?: Record<string, ColumnRef>;
+    // layout "tickets"
+    amount?: ColumnRef;
+    time?: ColumnRef;
+    channel?: ColumnRef;
+    ticketId?: ColumnRef;
+  };
+  /** layout "tickets": channel cell values per channel (case-insensitive). */
+  channelValues?: {
+    dineIn?: string[];
+    delivery?: string[];
+    takeaway?: string[];
+  };
+}
+
+/** Parsed file: header cells + data rows, all strings. */
+export interface FileTable {
+  header: string[];
+  rows: string[][];
+}
+
+/** Hard caps so one upload can't exhaust a serverless invocation. */
+export const FILE_MAX_CHARS = 2_000_000;
+export const FILE_MAX_ROWS = 50_000;
+
+const DELIMITERS = [",", ";", "\t"] as const;
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, CRLF/LF, a
+ * leading BOM. Blank lines are dropped. The delimiter is auto-detected unless
+ * given.
+ */
+export function parseCsv(text: string, delimiter?: string): string[][] {
+  const src = text.replace(/^\uFEFF/, "");
+  // Sniff over the first lines, not just the first: exports often open with a
+  // one-cell title row.
+  const head = src.split(/\r?\n/, 10).join("\n");
+  const delim =
+    delimiter ??
+    [...DELIMITERS].sort((a, b) => head.split(b).length - head.split(a).length)[0];
+
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+/** Split raw rows into header + data, stringifying every cell. */
+export function toFileTable(rows: unknown[][], headerRow = 0): FileTable {
+  const asText = rows.map((r) => (Array.isArray(r) ? r : []).map((c) => (c == null ? "" : String(c))));
+  return {
+    header: (asText[headerRow] ?? []).map((h) => h.trim()),
+    rows: asText.slice(headerRow + 1),
+  };
+}
+
+/** Resolve a ColumnRef to an index in the header; -1 if not present. */
+export function columnIndex(table: FileTable, ref: ColumnRef | undefined): number {
+  if (ref === undefined || ref === null) return -1;
+  if (typeof ref === "number") return ref >= 0 && ref < table.header.length ? ref : -1;
+  const want = ref.trim().toLowerCase();
+  return table.header.findIndex((h) => h.toLowerCase() === want);
+}
+
+/** YYYY-MM-DD, or null when the day doesn't exist (31/04, 29/02 off a leap year). */
+function calendarDate(year: string, month: string, day: string): string | null {
+  const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const d = new Date(`${iso}T12:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+/**
+ * Parse a date cell to YYYY-MM-DD; null if unparseable or not a real day.
+ * Accepts an optional trailing time ("29/06/2026 21:15"). "auto" reads ISO,
+ * else day-first; a two-digit year is 20xx.
+ */
+export function parseFileDate(
+  cell: string,
+  format: FileColumnProfile["dateFormat"] = "auto"
+): string | null {
+  const s = cell.trim();
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+  if (iso && format !== "DD/MM/YYYY" && format !== "MM/DD/YYYY") {
+    return calendarDate(iso[1], iso[2], iso[3]);
+  }
+  if (format === "YYYY-MM-DD") return null;
+  const dmy = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})(?!\d)/.exec(s);
+  if (!dmy) return null;
+  const [a, b] = [dmy[1], dmy[2]];
+  const [day, month] = format === "MM/DD/YYYY" ? [b, a] : [a, b];
+  const year = dmy[3].length === 2 ? `20${dmy[3]}` : dmy[3];
+  return calendarDate(year, month, day);
+}
+
+/** Local time of day from a time or date-time cell; null if none. */
+export function parseFileTime(cell: string): { hour: number; minute: number } | null {
+  const m = /(?:^|\s|T)(\d{1,2}):(\d{2})/.exec(cell.trim());
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2]);
+  return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+}
+
+/** Money/count cell → number: strips ₪, thousands separators, spaces. */
+export function parseFileNumber(cell: string | undefined): number | null {
+  if (cell === undefined) return null;
+  const s = cell.replace(/[₪\s,]/g, "").replace(/^\((.*)\)$/, "-$1");
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+const DATE_FORMATS = ["auto", "YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"] as const;
+const COLUMN_KEYS = [
+  "date",
+  "revenueTotal",
+  "tickets",
+  "dineIn",
+  "delivery",
+  "takeaway",
+  "hourly",
+  "amount",
+  "time",
+  "channel",
+  "ticketId",
+] as const;
+const CHANNELS = ["dineIn", "delivery", "takeaway"] as const;
+const PROFILE_KEYS = ["layout", "delimiter", "headerRow", "dateFormat", "columns", "channelValues"];
+const HOUR_KEY = /^(0\d|1\d|2[0-3])$/;
+/** Longest header name / channel label, and most labels per channel. */
+const MAX_LABEL_CHARS = 100;
+const MAX_CHANNEL_VALUES = 20;
+
+const isRef = (v: unknown): v is ColumnRef =>
+  (typeof v === "string" && v.trim() !== "" && v.length <= MAX_LABEL_CHARS) ||
+  (Number.isInteger(v) && (v as number) >= 0 && (v as number) < 1000);
+
+const isPlainObject = (v: unknown): v is Record<string, unknown> =>
+  !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Validate a profile before it is saved. Returns human-readable errors; an
+ * empty list means the profile is usable. Every field is checked, unknown
+ * ones included — a misspelled column would otherwise be silently ignored.
+ */
+export function validateFileProfile(raw: unknown): string[] {
+  if (!isPlainObject(raw)) return ["profile must be an object"];
+  const p = raw as Record<string, unknown>;
+  const errors: string[] = [];
+  for (const k of Object.keys(p)) {
+    if (!PROFILE_KEYS.includes(k)) errors.push(`unknown field "${k}"`);
+  }
+  if (p.layout !== "summary" && p.layout !== "tickets") {
+    errors.push('layout must be "summary" or "tickets"');
+  }
+  if (p.delimiter !== undefined && !(DELIMITERS as readonly unknown[]).includes(p.delimiter)) {
+    errors.push("delimiter must be one of , ; \\t");
+  }
+  const { headerRow } = p;
+  if (
+    headerRow !== undefined &&
+    !(typeof headerRow === "number" && Number.isInteger(headerRow) && headerRow >= 0 && headerRow < 50)
+  ) {
+    errors.push("headerRow must be an integer 0–49");
+  }
+  if (p.dateFormat !== undefined && !(DATE_FORMATS as readonly unknown[]).includes(p.dateFormat)) {
+    errors.push(`dateFormat must be one of ${DATE_FORMATS.join(", ")}`);
+  }
+
+  const cols = p.columns;
+  if (!isPlainObject(cols)) {
+    errors.push("columns is required");
+  } else {
+    for (const [k, v] of Object.entries(cols)) {
+      if (!(COLUMN_KEYS as readonly string[]).includes(k)) {
+        errors.push(`unknown column "${k}"`);
+      } else if (k === "hourly") {
+        if (!isPlainObject(v)) {
+          errors.push("columns.hourly must map hours to columns");
+          continue;
+        }
+        for (const [h, ref] of Object.entries(v)) {
+          if (!HOUR_KEY.test(h)) errors.push(`columns.hourly key "${h}" must be "00".."23"`);
+          if (!isRef(ref)) errors.push(`columns.hourly.${h} must be a header name or a 0-based index`);
+        }
+      } else if (!isRef(v)) {
+        errors.push(`columns.${k} must be a header name or a 0-based index`);
+      }
+    }
+    if (p.layout === "summary" && cols.revenueTotal === undefined) {
+      errors.push("layout summary requires columns.revenueTotal");
+    }
+    if (p.layout === "tickets" && cols.amount === undefined) {
+      errors.push("layout tickets requires columns.amount");
+    }
+  }
+
+  if (p.channelValues !== undefined) {
+    if (!isPlainObject(p.channelValues)) {
+      errors.push("channelValues must map channels to cell values");
+    } else {
+      for (const [k, v] of Object.entries(p.channelValues)) {
+        if (!(CHANNELS as readonly string[]).includes(k)) {
+          errors.push(`channelValues key "${k}" must be one of ${CHANNELS.join(", ")}`);
+        } else if (
+          !Array.isArray(v) ||
+          v.length > MAX_CHANNEL_VALUES ||
+          !v.every((s) => typeof s === "string" && s.trim() !== "" && s.length <= MAX_LABEL_CHARS)
+        ) {
+          errors.push(`channelValues.${k} must be up to ${MAX_CHANNEL_VALUES} non-empty strings`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/** The profile as stored: known fields only, strings trimmed (caller validates first). */
+export function toFileProfile(p: FileColumnProfile): FileColumnProfile {
+  const ref = (r: ColumnRef) => (typeof r === "string" ? r.trim() : r);
+  const columns: FileColumnProfile["columns"] = {};
+  for (const k of COLUMN_KEYS) {
+    if (k === "hourly") continue;
+    const r = p.columns[k];
+    if (r !== undefined) columns[k] = ref(r);
+  }
+  if (p.columns.hourly) {
+    columns.hourly = {};
+    for (const [h, r] of Object.entries(p.columns.hourly)) columns.hourly[h] = ref(r);
+  }
+
+  const out: FileColumnProfile = { layout: p.layout, columns };
+  if (p.delimiter !== undefined) out.delimiter = p.delimiter;
+  if (p.headerRow !== undefined) out.headerRow = p.headerRow;
+  if (p.dateFormat !== undefined) out.dateFormat = p.dateFormat;
+  if (p.channelValues) {
+    out.channelValues = {};
+    for (const c of CHANNELS) {
+      const values = p.channelValues[c];
+      if (values) out.channelValues[c] = values.map((v) => v.trim());
+    }
+  }
+  return out;
+}
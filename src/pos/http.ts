@@ -0,0 +1,110 @@
+/**
+ * POS Ingestion — shared HTTP transport for live connectors.
+ *
+ * One place for timeout, retry-with-backoff and error sanitization, so every
+ * connector fails the same way. Never logs or returns the payload, headers or
+ * the api key: every failure surfaces as a PosFetchError with a short reason
+ * ("timeout" | "network" | "http_401" | "http_503" | "invalid_json").
+ */
+
+import type { PosFetchError, SourceSystem } from "./types.js";
+
+export interface PosHttpOptions {
+  /** Per-attempt timeout. */
+  timeoutMs: number;
+  /** Extra attempts after the first (0 = no retry). */
+  retries: number;
+  /** Base backoff; attempt n waits backoffMs * 2^(n-1). */
+  backoffMs: number;
+}
+
+export const DEFAULT_POS_HTTP_OPTIONS: PosHttpOptions = {
+  timeoutMs: 8_000,
+  retries: 2,
+  backoffMs: 500,
+};
+
+/** Statuses worth another attempt: rate limiting and upstream hiccups. */
+function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function isRetryableReason(reason: string): boolean {
+  if (reason === "timeout" || reason === "network") return true;
+  const m = /^http_(\d{3})$/.exec(reason);
+  return m ? isRetryableStatus(Number(m[1])) : false;
+}
+
+/** Narrow an unknown throw to a PosFetchError (our own sanitized shape). */
+export function isPosFetchError(e: unknown): e is PosFetchError {
+  return (
+    !!e &&
+    typeof e === "object" &&
+    typeof (e as PosFetchError).source === "string" &&
+    typeof (e as PosFetchError).reason === "string"
+  );
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** One attempt. The timeout covers the body too: a stalled stream aborts as "timeout". */
+async function attemptJson(
+  source: SourceSystem,
+  url: string,
+  init: RequestInit,
+  timeoutMs: number
+): Promise<unknown> {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    let res: Response;
+    try {
+      res = await fetch(url, { ...init, signal: ctrl.signal });
+    } catch (e) {
+      const err: PosFetchError = {
+        source,
+        reason: (e as Error)?.name === "AbortError" ? "timeout" : "network",
+      };
+      throw err;
+    }
+    if (!res.ok) {
+      const err: PosFetchError = { source, reason: `http_${res.status}` };
+      throw err;
+    }
+    try {
+      return await res.json();
+    } catch {
+      const err: PosFetchError = { source, reason: ctrl.signal.aborted ? "timeout" : "invalid_json" };
+      throw err;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * GET/POST a JSON endpoint with timeout + exponential backoff. Retries only
+ * transient failures (timeout, network, 408/429/5xx); 4xx auth/not-found
+ * errors fail fast. Throws PosFetchError — never a raw Error.
+ */
+export async function fetchPosJson(
+  source: SourceSystem,
+  url: string,
+  init: RequestInit,
+  opts: Partial<PosHttpOptions> = {}
+): Promise<unknown> {
+  const { timeoutMs, retries, backoffMs } = { ...DEFAULT_POS_HTTP_OPTIONS, ...opts };
+  let lastErr: PosFetchError = { source, reason: "network" };
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(backoffMs * 2 ** (attempt - 1));
+    try {
+      return await attemptJson(source, url, init, timeoutMs);
+    } catch (e) {
+      lastErr = isPosFetchError(e) ? e : { source, reason: "network" };
+      if (!isRetryableReason(lastErr.reason)) throw lastErr;
+    }
+  }
+  throw lastErr;
+}
@@ -0,0 +1,602 @@
+/**
+ * POS Ingestion — import orchestrator.
+ *
+ * Runs one business-day import end to end:
+ *   PosConfig → connector (by sourceSystem) → fetch → normalize/finalize →
+ *   dedup against the stored contentHash → persist report → PosImportLog.
+ *
+ * Status per report:
+ *   - "failed"   connector threw (sanitized reason only) — nothing persisted but the log
+ *   - "deduped"  contentHash equals the stored report's — report left untouched
+ *   - "partial"  persisted, but content has UNEXPECTED null fields (see missingFields)
+ *   - "success"  persisted, complete
+ *
+ * Optional connector methods (fetchItemSales, fetchPayments) are only called
+ * when both the config's capabilities and the connector's own capabilities
+ * allow it. A
+ * newly stored item-sales report is also reconciled into per-day product rows
+ * (productCatalog.ts) — the source for productRepo / the agent's product metrics.
+ * Never throws for a single biz: every outcome ends up as an import log.
+ * Pushed vendor events (importPosWebhook) reuse the same path via
+ * WebhookConnector. Multi-branch businesses import per branch and persist a
+ * roll-up (see importPosForBiz / branches.ts).
+ */
+
+import type {
+  NormalizedReportContent,
+  NormalizedSalesReport,
+  PosConfig,
+  PosConnector,
+  PosFetchContext,
+  PosImportLog,
+  ReportType,
+  SourceSystem,
+} from "./types.js";
+import { beecommConnector } from "./adapters/beecomm.js";
+import { buildPosFetchContext, resolvePosApiKey } from "./credentials.js";
+import { isPosFetchError } from "./http.js";
+import {
+  buildItemSalesContent,
+  buildPaymentsContent,
+  finalizeReport,
+  missingFields,
+} from "./normalize.js";
+import { makeImportId } from "./hash.js";
+import { FileConnector } from "./adapters/file.js";
+import { WebhookConnector } from "./adapters/webhook.js";
+import {
+  parseWebhookEvent,
+  verifyWebhookSignature,
+  type PosWebhookEvent,
+  type PosWebhookTicket,
+} from "./webhook.js";
+import {
+  FILE_MAX_CHARS,
+  FILE_MAX_ROWS,
+  parseCsv,
+  toFileTable,
+  type FileColumnProfile,
+} from "./fileProfile.js";
+import { reconcileItems } from "./productCatalog.js";
+import { rollUpReports } from "./branches.js";
+import {
+  getFileProfile,
+  getPosConfig,
+  getProductCatalog,
+  getBranches,
+  getStoredReport,
+  getWebhookTickets,
+  saveImportLog,
+  saveProductCatalog,
+  saveProductDaily,
+  saveReport,
+  saveWebhookTickets,
+} from "./posRepo.js";
+import { proactiveBizIndexRef } from "../firebase/refs.js";
+import { getBusinessHours } from "../analytics/dailyBuilder.js";
+import { isBusinessDayClosed, type BusinessHours } from "../analytics/businessHours.js";
+import { fail } from "../utils/httpError.js";
+
+/**
+ * API connectors only — "file" has no pull connector (see importPosFile).
+ * Tabit has no known sales endpoint yet (adapters/tabit.ts is a placeholder),
+ * so a Tabit config imports as "no_connector". Beecomm reports no payments,
+ * so no payments report is imported until a connector with fetchPayments is
+ * registered here.
+ */
+const CONNECTORS: Partial<Record<SourceSystem, PosConnector>> = {
+  beecomm: beecommConnector,
+};
+
+/** Connector for a config's sourceSystem, or null if none is registered. */
+export function connectorFor(config: PosConfig): PosConnector | null {
+  return CONNECTORS[config.sourceSystem] ?? null;
+}
+
+/**
+ * Fields that are null BY DESIGN for a report type, so they never make a run
+ * "partial": a daily summary carries no items, item-sales and payments reports
+ * carry no tickets/channels/hourly (nor items, for payments), hourly is
+ * absent when the source can't supply it, and tips / refunds are extras a
+ * payments report carries only when the POS tracks them — the tenders are
+ * what it has to return.
+ */
+function expectedMissing(reportType: ReportType, connector: PosConnector): Set<string> {
+  const out = new Set<string>();
+  if (reportType === "daily_summary") {
+    out.add("items");
+    if (!connector.capabilities.hourly) out.add("hourly");
+  } else {
+    for (const f of ["tickets", "channels.dineIn", "channels.delivery", "channels.takeaway", "hourly"]) {
+      out.add(f);
+    }
+    if (reportType === "payments") {
+      for (const f of ["items", "payments.tips", "payments.refunds"]) out.add(f);
+    }
+  }
+  return out;
+}
+
+/** How many source rows a report was built from (1 summary / tender mix, or N items). */
+function rowCount(content: NormalizedReportContent): number {
+  return content.reportType === "item_sales" ? content.items?.length ?? 0 : 1;
+}
+
+export interface PosImportTarget {
+  tenantId: string;
+  bizId: string;
+  businessDate: string;
+  /** Set when importing one branch of a multi-branch biz (branches.ts). */
+  branchId?: string;
+}
+
+/**
+ * Dedup + persist one already-finalized report and write its import log.
+ * Shared by every source (API connectors, file uploads, pushed webhooks) so
+ * they all get identical dedup/partial semantics.
+ */
+export async function persistReport(
+  report: NormalizedSalesReport,
+  connector: PosConnector,
+  startedAt: number
+): Promise<PosImportLog> {
+  const missing = missingFields(report).filter(
+    (f) => !expectedMissing(report.reportType, connector).has(f)
+  );
+  const log: PosImportLog = {
+    importId: report.importId,
+    bizId: report.businessId,
+    tenantId: report.tenantId,
+    businessDate: report.businessDate,
+    sourceSystem: report.sourceSystem,
+    reportType: report.reportType,
+    status: "success",
+    rowsIn: rowCount(report),
+    rowsOut: 0,
+    contentHash: report.contentHash,
+    durationMs: 0,
+    error: null,
+    missingFields: missing,
+    ...(report.branchId ? { branchId: report.branchId } : {}),
+    createdAt: Date.now(),
+  };
+
+  const stored = await getStoredReport(
+    report.tenantId,
+    report.businessId,
+    report.reportType,
+    report.businessDate,
+    report.branchId
+  );
+  if (stored && stored.contentHash === report.contentHash) {
+    log.status = "deduped";
+  } else {
+    await saveReport(report);
+    await saveProductSales(report);
+    log.rowsOut = log.rowsIn;
+    log.status = missing.length > 0 ? "partial" : "success";
+  }
+
+  log.durationMs = Date.now() - startedAt;
+  await saveImportLog(log);
+  return log;
+}
+
+/**
+ * Reconcile a stored item-sales report into products:daily + the catalog.
+ * Per-branch reports are skipped — their roll-up feeds the products instead.
+ * Isolated: a failure here is logged and never fails the import itself.
+ */
+export async function saveProductSales(report: NormalizedSalesReport): Promise<void> {
+  if (report.reportType !== "item_sales" || !report.items || report.branchId) return;
+  try {
+    const catalog = await getProductCatalog(report.tenantId, report.businessId);
+    const { rows } = reconcileItems(report.items, catalog, report.businessDate);
+    await saveProductDaily(report.tenantId, report.businessId, report.businessDate, rows);
+    await saveProductCatalog(report.tenantId, report.businessId, catalog);
+  } catch (err) {
+    console.error(
+      `[pos/ingest] products ${report.tenantId}:${report.businessId} ${report.businessDate} failed:`,
+      (err as Error)?.message ?? "unknown"
+    );
+  }
+}
+
+/** Log a failed attempt. Only the sanitized reason is recorded. */
+async function logFailure(
+  target: PosImportTarget,
+  sourceSystem: SourceSystem,
+  reportType: ReportType,
+  reason: string,
+  startedAt: number
+): Promise<PosImportLog> {
+  const log: PosImportLog = {
+    importId: makeImportId(),
+    bizId: target.bizId,
+    tenantId: target.tenantId,
+    businessDate: target.businessDate,
+    sourceSystem,
+    reportType,
+    status: "failed",
+    rowsIn: 0,
+    rowsOut: 0,
+    contentHash: "",
+    durationMs: Date.now() - startedAt,
+    error: reason,
+    ...(target.branchId ? { branchId: target.branchId } : {}),
+    createdAt: Date.now(),
+  };
+  try {
+    await saveImportLog(log);
+  } catch (err) {
+    console.error(
+      `[pos/ingest] ${target.tenantId}:${target.bizId} log write failed:`,
+      (err as Error)?.message ?? "unknown"
+    );
+  }
+  return log;
+}
+
+/** Re-stamp a connector's report as one branch's (branchId is hashed content). */
+function withBranch(report: NormalizedSalesReport, branchId: string): NormalizedSalesReport {
+  const { importId: _id, contentHash: _hash, importedAt: _at, ...content } = report;
+  return finalizeReport({ ...content, branchId });
+}
+
+function reasonOf(e: unknown): string {
+  return isPosFetchError(e) ? e.reason : "unknown";
+}
+
+/**
+ * Import one report type for one day. Never throws — failures become a
+ * "failed" import log.
+ */
+async function importOne(
+  target: PosImportTarget,
+  connector: PosConnector,
+  ctx: PosFetchContext,
+  reportType: ReportType
+): Promise<PosImportLog> {
+  const startedAt = Date.now();
+  try {
+    let report: NormalizedSalesReport;
+    if (reportType === "item_sales") {
+      const items = await connector.fetchItemSales!(target.businessDate, ctx);
+      report = finalizeReport(
+        buildItemSalesContent(
+          items,
+          { tenantId: target.tenantId, businessId: target.bizId },
+          target.businessDate,
+          connector.sourceSystem
+        )
+      );
+    } else if (reportType === "payments") {
+      const payments = await connector.fetchPayments!(target.businessDate, ctx);
+      report = finalizeReport(
+        buildPaymentsContent(
+          payments,
+          { tenantId: target.tenantId, businessId: target.bizId },
+          target.businessDate,
+          connector.sourceSystem
+        )
+      );
+    } else {
+      report = await connector.fetchDailySummary(target.businessDate, ctx);
+    }
+    if (target.branchId) report = withBranch(report, target.branchId);
+    return await persistReport(report, connector, startedAt);
+  } catch (e) {
+    return logFailure(target, connector.sourceSystem, reportType, reasonOf(e), startedAt);
+  }
+}
+
+export interface PosBizImportResult {
+  tenantId: string;
+  bizId: string;
+  businessDate: string;
+  skipped?: "no_config" | "disabled" | "no_connector";
+  logs: PosImportLog[];
+}
+
+/** Every report type both the config and the connector support, in import order. */
+async function importReports(
+  target: PosImportTarget,
+  connector: PosConnector,
+  ctx: PosFetchContext,
+  config: PosConfig
+): Promise<PosImportLog[]> {
+  const logs: PosImportLog[] = [];
+  if (config.capabilities.dailySummary && connector.capabilities.dailySummary) {
+    logs.push(await importOne(target, connector, ctx, "daily_summary"));
+  }
+  if (
+    config.capabilities.itemSales &&
+    connector.capabilities.itemSales &&
+    typeof connector.fetchItemSales === "function"
+  ) {
+    logs.push(await importOne(target, connector, ctx, "item_sales"));
+  }
+  if (
+    config.capabilities.payments &&
+    connector.capabilities.payments &&
+    typeof connector.fetchPayments === "function"
+  ) {
+    logs.push(await importOne(target, connector, ctx, "payments"));
+  }
+  return logs;
+}
+
+/**
+ * Sum the stored per-branch reports of one type into the biz roll-up and
+ * persist it at the plain (unbranched) path. Uses every active branch's
+ * stored report, not just this run's, so one failed branch keeps its last
+ * good data in the total. null when no branch has a report for the day.
+ */
+async function rollUpBranches(
+  target: PosImportTarget,
+  connector: PosConnector,
+  reportType: ReportType,
+  branchIds: string[]
+): Promise<PosImportLog | null> {
+  const startedAt = Date.now();
+  try {
+    const stored = await Promise.all(
+      branchIds.map((id) =>
+        getStoredReport(target.tenantId, target.bizId, reportType, target.businessDate, id)
+      )
+    );
+    const content = rollUpReports(
+      stored.filter((r): r is NormalizedSalesReport => r !== null).map((r) => {
+        const { importId: _id, contentHash: _hash, importedAt: _at, ...c } = r;
+        return c;
+      })
+    );
+    if (!content) return null;
+    return await persistReport(finalizeReport(content), connector, startedAt);
+  } catch (e) {
+    return logFailure(target, connector.sourceSystem, reportType, `rollup_${reasonOf(e)}`, startedAt);
+  }
+}
+
+/**
+ * Run the POS import for one business and day. Returns every import log
+ * written (one per report type attempted). `connector` overrides the
+ * registry lookup — used for offline runs against MockPosConnector.
+ * Hourly buckets follow the biz's operating window (config business_hours).
+ *
+ * A biz with active branches in its registry (branches.ts) is imported once
+ * per branch with that branch's external POS id, then rolled up; the logs
+ * then cover every branch plus one roll-up log per report type.
+ */
+export async function importPosForBiz(
+  tenantId: string,
+  bizId: string,
+  businessDate: string,
+  opts: { connector?: PosConnector; config?: PosConfig; businessHours?: BusinessHours } = {}
+): Promise<PosBizImportResult> {
+  const result: PosBizImportResult = { tenantId, bizId, businessDate, logs: [] };
+  const target: PosImportTarget = { tenantId, bizId, businessDate };
+
+  const config = opts.config ?? (await getPosConfig(tenantId, bizId));
+  if (!config) return { ...result, skipped: "no_config" };
+  if (!config.enabled) return { ...result, skipped: "disabled" };
+
+  const connector = opts.connector ?? connectorFor(config);
+  if (!connector) return { ...result, skipped: "no_connector" };
+
+  const businessHours = opts.businessHours ?? (await getBusinessHours(tenantId, bizId));
+  const branches = (await getBranches(tenantId, bizId)).filter((b) => b.active);
+  let ctx: PosFetchContext;
+  try {
+    ctx = { ...buildPosFetchContext(tenantId, bizId, config), businessHours };
+  } catch (e) {
+    result.logs.push(
+      await logFailure(target, config.sourceSystem, "daily_summary", reasonOf(e), Date.now())
+    );
+    return result;
+  }
+
+  if (branches.length === 0) {
+    result.logs.push(...(await importReports(target, connector, ctx, config)));
+    return result;
+  }
+
+  const reportTypes = new Set<ReportType>();
+  for (const branch of branches) {
+    const logs = await importReports(
+      { ...target, branchId: branch.branchId },
+      connector,
+      { ...ctx, externalBranchId: branch.externalBranchId },
+      config
+    );
+    for (const log of logs) reportTypes.add(log.reportType);
+    result.logs.push(...logs);
+  }
+  const branchIds = branches.map((b) => b.branchId);
+  for (const reportType of reportTypes) {
+    const log = await rollUpBranches(target, connector, reportType, branchIds);
+    if (log) result.logs.push(log);
+  }
+
+  return result;
+}
+
+/** An uploaded Z-report: CSV text, or rows already extracted from XLSX client-side. */
+export type PosFileUpload =
+  | { format: "csv"; content: string }
+  | { format: "rows"; rows: unknown[][] };
+
+/**
+ * Import one business day from an uploaded file, through the same
+ * finalize/hash/dedup/log path as the API connectors. Uses the biz's saved
+ * column profile unless one is passed in. Never throws — a bad file or a
+ * missing profile becomes a "failed" import log with a sanitized reason.
+ */
+export async function importPosFile(
+  tenantId: string,
+  bizId: string,
+  businessDate: string,
+  upload: PosFileUpload,
+  opts: { profile?: FileColumnProfile } = {}
+): Promise<PosImportLog> {
+  const startedAt = Date.now();
+  const target: PosImportTarget = { tenantId, bizId, businessDate };
+  const fail = (reason: string) =>
+    logFailure(target, "file", "daily_summary", reason, startedAt);
+
+  let profile: FileColumnProfile | null;
+  let businessHours: BusinessHours;
+  try {
+    profile = opts.profile ?? (await getFileProfile(tenantId, bizId));
+    businessHours = await getBusinessHours(tenantId, bizId);
+  } catch {
+    return fail("profile_unavailable");
+  }
+  if (!profile) return fail("missing_file_profile");
+
+  let rows: unknown[][];
+  if (upload.format === "csv") {
+    if (typeof upload.content !== "string" || upload.content.length > FILE_MAX_CHARS) {
+      return fail("file_too_large");
+    }
+    rows = parseCsv(upload.content, profile.delimiter);
+  } else {
+    if (!Array.isArray(upload.rows)) return fail("invalid_file");
+    rows = upload.rows;
+  }
+  if (rows.length > FILE_MAX_ROWS) return fail("file_too_large");
+
+  const connector = new FileConnector(toFileTable(rows, profile.headerRow ?? 0), profile);
+  return importOne(
+    target,
+    connector,
+    { tenantId, businessId: bizId, apiKey: "", businessHours },
+    "daily_summary"
+  );
+}
+
+/**
+ * Import one pushed vendor event (webhook.ts). The signature is checked
+ * against the raw body BEFORE it is parsed, with the secret the biz's
+ * PosConfig.credentialRef names. A daily summary imports its day; tickets are
+ * upserted into their business days, and each touched day is re-aggregated.
+ * Both go through importOne, so a redelivery ends "deduped".
+ *
+ * Throws HttpError for requests that must be refused (unknown biz,
+ * bad signature, malformed event); otherwise returns one import log per
+ * business day touched.
+ */
+export async function importPosWebhook(
+  tenantId: string,
+  bizId: string,
+  rawBody: string,
+  signature: string | undefined
+): Promise<PosImportLog[]> {
+  const config = await getPosConfig(tenantId, bizId);
+  if (!config || !config.enabled || config.sourceSystem === "file") {
+    fail(404, "no webhook-capable POS configured");
+  }
+
+  let secret: string;
+  try {
+    secret = resolvePosApiKey(config);
+  } catch (e) {
+    console.error(`[pos/ingest] ${tenantId}:${bizId} webhook secret unavailable: ${reasonOf(e)}`);
+    fail(401, "invalid signature");
+  }
+  if (!verifyWebhookSignature(rawBody, signature, secret)) fail(401, "invalid signature");
+
+  let body: unknown;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    fail(400, "invalid_payload");
+  }
+  const businessHours = await getBusinessHours(tenantId, bizId);
+  let event: PosWebhookEvent;
+  try {
+    event = parseWebhookEvent(body, config.sourceSystem, businessHours);
+  } catch (e) {
+    fail(400, reasonOf(e));
+  }
+
+  const ctx: PosFetchContext = { tenantId, businessId: bizId, apiKey: "", businessHours };
+  if (event.type === "daily_summary") {
+    const connector = new WebhookConnector(config.sourceSystem, {
+      kind: "daily_summary",
+      summary: event.summary,
+    });
+    const target: PosImportTarget = { tenantId, bizId, businessDate: event.businessDate };
+    return [await importOne(target, connector, ctx, "daily_summary")];
+  }
+
+  const byDate = new Map<string, { tickets: PosWebhookTicket[]; voided: PosWebhookTicket[] }>();
+  const bucket = (d: string) => {
+    if (!byDate.has(d)) byDate.set(d, { tickets: [], voided: [] });
+    return byDate.get(d)!;
+  };
+  for (const t of event.tickets) bucket(t.businessDate).tickets.push(t);
+  for (const t of event.voided) bucket(t.businessDate).voided.push(t);
+
+  const logs: PosImportLog[] = [];
+  for (const [businessDate, day] of [...byDate].sort(([a], [b]) => a.localeCompare(b))) {
+    const target: PosImportTarget = { tenantId, bizId, businessDate };
+    await saveWebhookTickets(tenantId, bizId, businessDate, day.tickets, day.voided);
+    const tickets = await getWebhookTickets(tenantId, bizId, businessDate);
+    const connector = new WebhookConnector(config.sourceSystem, { kind: "tickets", tickets });
+    logs.push(await importOne(target, connector, ctx, "daily_summary"));
+  }
+  return logs;
+}
+
+/**
+ * Nightly entry point: import `businessDate` for every active biz in
+ * proactive_biz_index that has an enabled PosConfig. One biz failing never
+ * stops the loop.
+ *
+ * A late-closing biz (e.g. open until 03:00) is still trading when the 02:00
+ * cron runs, so its `businessDate` import is provisional; the previous day —
+ * closed by now — is re-imported alongside it (dedup makes that a no-op when
+ * nothing changed). `connector` is passed through to importPosForBiz.
+ */
+export async function importPosForAll(
+  businessDate: string,
+  opts: { connector?: PosConnector } = {}
+): Promise<PosBizImportResult[]> {
+  const pairs: Array<{ tenantId: string; bizId: string }> = [];
+  try {
+    const snap = await proactiveBizIndexRef().once("value");
+    const index = snap.val();
+    if (index && typeof index === "object") {
+      for (const entry of Object.values(index) as any[]) {
+        if (entry?.tenantId && entry?.bizId && entry?.active) {
+          pairs.push({ tenantId: entry.tenantId, bizId: String(entry.bizId) });
+        }
+      }
+    }
+  } catch (err) {
+    console.error("[pos/ingest] proactive_biz_index read failed:", (err as Error)?.message ?? err);
+  }
+
+  const results: PosBizImportResult[] = [];
+  for (const { tenantId, bizId } of pairs) {
+    try {
+      const businessHours = await getBusinessHours(tenantId, bizId);
+      const bizOpts = { connector: opts.connector, businessHours };
+      results.push(await importPosForBiz(tenantId, bizId, businessDate, bizOpts));
+      if (!isBusinessDayClosed(businessDate, businessHours)) {
+        const prev = new Date(`${businessDate}T12:00:00Z`);
+        prev.setUTCDate(prev.getUTCDate() - 1);
+        results.push(await importPosForBiz(tenantId, bizId, prev.toISOString().slice(0, 10), bizOpts));
+      }
+    } catch (err) {
+      // Config read failed (RTDB) — record and move on.
+      console.error(
+        `[pos/ingest] ${tenantId}:${bizId} ${businessDate} failed:`,
+        (err as Error)?.message ?? "unknown"
+      );
+      results.push({ tenantId, bizId, businessDate, logs: [] });
+    }
+  }
+  return results;
+}
@@ -2,8 +2,8 @@
  * POS Ingestion Foundation — MOCK adapter (Phase 1, INERT, OFFLINE).
  *
  * Implements PosConnector against a fixed local fixture — NO network, NO
- * secrets, NO DB. Used to validate normalize/hash/dedup offline, before any
- * real Beecomm/Tabit API exists. `ctx` is accepted but ignored (no apiKey use).
+ * secrets, NO DB. Used to validate normalize/hash/dedup offline, without the
+ * live Beecomm API. `ctx` is accepted but ignored (no apiKey use).
  */
 
 import type {
@@ -39,7 +39,7 @@ export class MockPosConnector implements PosConnector {
     const raw = sampleDaily as BeecommDailyRaw;
     const content = normalizeBeecommDaily(
       raw,
-      { tenantId: ctx.tenantId, businessId: ctx.businessId },
+      { tenantId: ctx.tenantId, businessId: ctx.businessId, businessHours: ctx.businessHours },
       businessDate
     );
     return finalizeReport(content);
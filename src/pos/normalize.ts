@@ -2,25 +2,38 @@
  * POS Ingestion Foundation — normalization (Phase 1, INERT).
  *
  * Pure functions. No network, no DB, no secrets. Maps a raw daily-summary
- * payload (Beecomm field aliases live here) onto the internal
- * NormalizedReportContent, and finalizes a report with provenance stamps.
+ * payload (Beecomm field aliases live here), an uploaded file
+ * table (via its column profile) or a day of pushed webhook tickets onto the
+ * internal NormalizedReportContent, wraps item-sales / payments data as their
+ * own report types, and finalizes a report with provenance stamps.
  */
 
 import type {
+  NormalizedPayments,
   NormalizedReportContent,
+  NormalizedSalesItem,
   NormalizedSalesReport,
   PosFetchContext,
 } from "./types.js";
 import { contentHashFor, makeImportId } from "./hash.js";
+import type { ColumnRef, FileColumnProfile, FileTable } from "./fileProfile.js";
+import type { PosWebhookTicket } from "./webhook.js";
+import {
+  columnIndex,
+  parseFileDate,
+  parseFileNumber,
+  parseFileTime,
+} from "./fileProfile.js";
+import {
+  DEFAULT_BUSINESS_HOURS,
+  businessDateOf,
+  hourSlots,
+  quarterSlots,
+  type BusinessHours,
+} from "../analytics/businessHours.js";
 
 export const SCHEMA_VERSION = "1.0.0";
 
-/** Hour buckets we surface (matches the existing analytics fetcher). */
-const HOURS = [
-  "08", "09", "10", "11", "12", "13", "14",
-  "15", "16", "17", "18", "19", "20", "21",
-];
-
 /** Coerce to a finite number, else null (0 is valid; missing is null, never 0). */
 export function numOrNull(v: unknown): number | null {
   if (v === null || v === undefined || v === "") return null;
@@ -37,14 +50,19 @@ export function computeAvgCheck(
   return Math.round((revenueTotal / tickets) * 100) / 100;
 }
 
-/** Build the hourly map from a raw hourly object; null if none present. */
+/**
+ * Build the hourly map from a raw hourly object; null if none present. Only
+ * the business's operating hours are surfaced (default 08–21, matching the
+ * existing analytics fetcher); a window crossing midnight yields e.g. 18..02.
+ */
 export function extractHourly(
-  hourlyRaw: Record<string, unknown> | null | undefined
+  hourlyRaw: Record<string, unknown> | null | undefined,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS
 ): Record<string, number> | null {
   if (!hourlyRaw || typeof hourlyRaw !== "object") return null;
   const out: Record<string, number> = {};
   let any = false;
-  for (const h of HOURS) {
+  for (const h of hourSlots(hours)) {
     const raw =
       hourlyRaw[h] ?? hourlyRaw[`${h}:00`] ?? hourlyRaw[String(parseInt(h, 10))];
     const n = numOrNull(raw);
@@ -76,7 +94,7 @@ export interface BeecommDailyRaw {
  */
 export function normalizeBeecommDaily(
   raw: BeecommDailyRaw,
-  ctx: Pick<PosFetchContext, "tenantId" | "businessId">,
+  ctx: Pick<PosFetchContext, "tenantId" | "businessId" | "businessHours">,
   businessDate: string
 ): NormalizedReportContent {
   const revenueTotal = numOrNull(raw.total_sales ?? raw.totalSales);
@@ -96,12 +114,284 @@ export function normalizeBeecommDaily(
       delivery: numOrNull(raw.delivery_sales ?? raw.deliverySales),
       takeaway: numOrNull(raw.takeaway_sales ?? raw.takeawaySales),
     },
-    hourly: extractHourly(raw.hourly ?? raw.hourlyBreakdown ?? null),
+    hourly: extractHourly(raw.hourly ?? raw.hourlyBreakdown ?? null, ctx.businessHours),
     items: null, // future-ready; daily-summary has no item-level
     schemaVersion: SCHEMA_VERSION,
   };
 }
 
+/**
+ * Map an uploaded file table to NormalizedReportContent for one business day,
+ * per the business's column profile. Rows whose date column parses to a
+ * different day are ignored (multi-day exports are fine); with no date column
+ * every row belongs to businessDate. Ticket rows are attributed by business
+ * day, so a 01:30 ticket counts for the previous day when the window crosses
+ * midnight. Returns null when no row matched.
+ */
+export function normalizeFileDaily(
+  table: FileTable,
+  profile: FileColumnProfile,
+  ctx: Pick<PosFetchContext, "tenantId" | "businessId" | "businessHours">,
+  businessDate: string
+): NormalizedReportContent | null {
+  const col = (ref: ColumnRef | undefined) => columnIndex(table, ref);
+  const hours = ctx.businessHours ?? DEFAULT_BUSINESS_HOURS;
+  const dateIdx = col(profile.columns.date);
+  const timeIdx = col(profile.columns.time);
+  // A configured date column that the file doesn't have is a mismatch, not a
+  // single-day file — don't attribute every row to businessDate.
+  if (profile.columns.date !== undefined && dateIdx < 0) return null;
+  const timeOf = (r: string[]) =>
+    parseFileTime(timeIdx >= 0 ? r[timeIdx] ?? "" : dateIdx >= 0 ? r[dateIdx] ?? "" : "");
+  const rows = table.rows.filter((r) => {
+    if (dateIdx < 0) return true;
+    const date = parseFileDate(r[dateIdx] ?? "", profile.dateFormat);
+    if (!date || profile.layout === "summary") return date === businessDate;
+    const t = timeOf(r);
+    return (t ? businessDateOf(date, t.hour, t.minute, hours) : date) === businessDate;
+  });
+  if (rows.length === 0) return null;
+
+  const base = {
+    businessId: ctx.businessId,
+    tenantId: ctx.tenantId,
+    businessDate,
+    sourceSystem: "file" as const,
+    reportType: "daily_summary" as const,
+    items: null,
+    schemaVersion: SCHEMA_VERSION,
+  };
+
+  if (profile.layout === "summary") {
+    // One row per day — take the first matching row.
+    const row = rows[0];
+    const cell = (ref: ColumnRef | undefined) => {
+      const i = col(ref);
+      return i < 0 ? null : parseFileNumber(row[i]);
+    };
+    const revenueTotal = cell(profile.columns.revenueTotal);
+    const tickets = cell(profile.columns.tickets);
+    let hourlyRaw: Record<string, unknown> | null = null;
+    if (profile.columns.hourly) {
+      hourlyRaw = {};
+      for (const [h, ref] of Object.entries(profile.columns.hourly)) hourlyRaw[h] = cell(ref);
+    }
+    return {
+      ...base,
+      revenueTotal,
+      tickets,
+      avgCheck: computeAvgCheck(revenueTotal, tickets),
+      channels: {
+        dineIn: cell(profile.columns.dineIn),
+        delivery: cell(profile.columns.delivery),
+        takeaway: cell(profile.columns.takeaway),
+      },
+      hourly: extractHourly(hourlyRaw, hours),
+    };
+  }
+
+  // layout "tickets": aggregate ticket rows.
+  const amountIdx = col(profile.columns.amount);
+  const channelIdx = col(profile.columns.channel);
+  const ticketIdx = col(profile.columns.ticketId);
+  const lc = (xs: string[] | undefined) => (xs ?? []).map((x) => x.trim().toLowerCase());
+  const channelSets = {
+    dineIn: lc(profile.channelValues?.dineIn),
+    delivery: lc(profile.channelValues?.delivery),
+    takeaway: lc(profile.channelValues?.takeaway),
+  };
+
+  let revenueTotal = 0;
+  let amountSeen = false;
+  const ticketIds = new Set<string>();
+  let ticketRows = 0;
+  const channels = { dineIn: 0, delivery: 0, takeaway: 0 };
+  const hourly: Record<string, number> = {};
+  const quarters: Record<string, number> = {};
+  let hourSeen = false;
+
+  for (const r of rows) {
+    const amount = amountIdx < 0 ? null : parseFileNumber(r[amountIdx]);
+    if (amount === null) continue;
+    amountSeen = true;
+    revenueTotal += amount;
+    ticketRows++;
+    if (ticketIdx >= 0 && (r[ticketIdx] ?? "").trim()) ticketIds.add(r[ticketIdx].trim());
+
+    const t = timeOf(r);
+    if (t) {
+      hourSeen = true;
+      const hh = String(t.hour).padStart(2, "0");
+      const quarter = `${hh}:${String(t.minute - (t.minute % 15)).padStart(2, "0")}`;
+      hourly[hh] = (hourly[hh] ?? 0) + amount;
+      quarters[quarter] = (quarters[quarter] ?? 0) + amount;
+    }
+
+    if (channelIdx >= 0) {
+      const v = (r[channelIdx] ?? "").trim().toLowerCase();
+      if (channelSets.delivery.includes(v)) channels.delivery += amount;
+      else if (channelSets.takeaway.includes(v)) channels.takeaway += amount;
+      else if (channelSets.dineIn.includes(v)) channels.dineIn += amount;
+    }
+  }
+
+  const round = (n: number) => Math.round(n * 100) / 100;
+  const total = amountSeen ? round(revenueTotal) : null;
+  const tickets = amountSeen ? (ticketIdx >= 0 ? ticketIds.size : ticketRows) : null;
+  const hasChannels = channelIdx >= 0 && amountSeen;
+
+  let quarterHourly: Record<string, number> | undefined;
+  if (hourSeen && hours.bucketMinutes === 15) {
+    quarterHourly = {};
+    for (const q of quarterSlots(hours)) quarterHourly[q] = round(quarters[q] ?? 0);
+  }
+
+  return {
+    ...base,
+    revenueTotal: total,
+    tickets,
+    avgCheck: computeAvgCheck(total, tickets),
+    channels: {
+      dineIn: hasChannels ? round(channels.dineIn) : null,
+      delivery: hasChannels ? round(channels.delivery) : null,
+      takeaway: hasChannels ? round(channels.takeaway) : null,
+    },
+    hourly: hourSeen ? extractHourly(hourly, hours) : null,
+    // Omitted (not undefined) otherwise — RTDB rejects undefined values.
+    ...(quarterHourly ? { quarterHourly } : {}),
+  };
+}
+
+/**
+ * Aggregate one business day's pushed tickets (webhook.ts) into a daily
+ * summary. The vendor's own sourceSystem is kept so pushed and polled data
+ * dedup against each other. Channels stay null unless some ticket carried a
+ * recognizable channel; hourly stays null unless some ticket carried a time.
+ * No tickets (every one voided) is a zero-revenue day, not a missing one.
+ */
+export function normalizeWebhookTickets(
+  tickets: PosWebhookTicket[],
+  ctx: Pick<PosFetchContext, "tenantId" | "businessId" | "businessHours">,
+  businessDate: string,
+  sourceSystem: NormalizedReportContent["sourceSystem"]
+): NormalizedReportContent {
+  const hours = ctx.businessHours ?? DEFAULT_BUSINESS_HOURS;
+  const round = (n: number) => Math.round(n * 100) / 100;
+  const channels = { dineIn: 0, delivery: 0, takeaway: 0 };
+  const hourly: Record<string, number> = {};
+  const quarters: Record<string, number> = {};
+  let revenueTotal = 0;
+  let channelSeen = false;
+  let hourSeen = false;
+
+  for (const t of tickets) {
+    revenueTotal += t.amount;
+    if (t.channel) {
+      channelSeen = true;
+      channels[t.channel] += t.amount;
+    }
+    if (t.time) {
+      hourSeen = true;
+      const [hh, mm] = t.time.split(":");
+      const quarter = `${hh}:${String(Number(mm) - (Number(mm) % 15)).padStart(2, "0")}`;
+      hourly[hh] = (hourly[hh] ?? 0) + t.amount;
+      quarters[quarter] = (quarters[quarter] ?? 0) + t.amount;
+    }
+  }
+
+  const total = round(revenueTotal);
+  const count = tickets.length;
+  // Nothing sold is nothing sold on every channel.
+  if (count === 0) channelSeen = true;
+
+  let quarterHourly: Record<string, number> | undefined;
+  if (hourSeen && hours.bucketMinutes === 15) {
+    quarterHourly = {};
+    for (const q of quarterSlots(hours)) quarterHourly[q] = round(quarters[q] ?? 0);
+  }
+
+  return {
+    businessId: ctx.businessId,
+    tenantId: ctx.tenantId,
+    businessDate,
+    sourceSystem,
+    reportType: "daily_summary",
+    revenueTotal: total,
+    tickets: count,
+    avgCheck: computeAvgCheck(total, count),
+    channels: {
+      dineIn: channelSeen ? round(channels.dineIn) : null,
+      delivery: channelSeen ? round(channels.delivery) : null,
+      takeaway: channelSeen ? round(channels.takeaway) : null,
+    },
+    hourly: hourSeen ? extractHourly(hourly, hours) : null,
+    items: null,
+    // Omitted (not undefined) otherwise — RTDB rejects undefined values.
+    ...(quarterHourly ? { quarterHourly } : {}),
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Wrap an item-sales list as report content (reportType "item_sales"), so it
+ * flows through the same finalize/hash/dedup path as a daily summary.
+ * revenueTotal is the item sum; summary-only fields stay null.
+ */
+export function buildItemSalesContent(
+  items: NormalizedSalesItem[],
+  ctx: Pick<PosFetchContext, "tenantId" | "businessId">,
+  businessDate: string,
+  sourceSystem: NormalizedReportContent["sourceSystem"]
+): NormalizedReportContent {
+  const revenueTotal = Math.round(items.reduce((s, i) => s + i.revenue, 0) * 100) / 100;
+  return {
+    businessId: ctx.businessId,
+    tenantId: ctx.tenantId,
+    businessDate,
+    sourceSystem,
+    reportType: "item_sales",
+    revenueTotal,
+    tickets: null,
+    avgCheck: null,
+    channels: { dineIn: null, delivery: null, takeaway: null },
+    hourly: null,
+    items,
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Wrap a day's tender mix as report content (reportType "payments"), stored
+ * beside the daily summary at pos:payments:{date}. revenueTotal is the tender
+ * total (tips and refunds excluded); summary-only fields stay null.
+ */
+export function buildPaymentsContent(
+  payments: NormalizedPayments,
+  ctx: Pick<PosFetchContext, "tenantId" | "businessId">,
+  businessDate: string,
+  sourceSystem: NormalizedReportContent["sourceSystem"]
+): NormalizedReportContent {
+  const tenders = [payments.cash, payments.credit, payments.vouchers, payments.other];
+  const revenueTotal = tenders.every((t) => t === null)
+    ? null
+    : Math.round(tenders.reduce((s: number, t) => s + (t ?? 0), 0) * 100) / 100;
+  return {
+    businessId: ctx.businessId,
+    tenantId: ctx.tenantId,
+    businessDate,
+    sourceSystem,
+    reportType: "payments",
+    revenueTotal,
+    tickets: null,
+    avgCheck: null,
+    channels: { dineIn: null, delivery: null, takeaway: null },
+    hourly: null,
+    items: null,
+    payments,
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
 /** Names of content fields that are absent (null) — useful for diagnostics. */
 export function missingFields(content: NormalizedReportContent): string[] {
   const out: string[] = [];
@@ -112,6 +402,11 @@ export function missingFields(content: NormalizedReportContent): string[] {
   if (content.channels.takeaway === null) out.push("channels.takeaway");
   if (content.hourly === null) out.push("hourly");
   if (content.items === null) out.push("items");
+  if (content.payments) {
+    for (const [k, v] of Object.entries(content.payments)) {
+      if (v === null) out.push(`payments.${k}`);
+    }
+  }
   return out;
 }
 
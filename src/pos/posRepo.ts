@@ -0,0 +1,263 @@
+/**
+ * POS Ingestion — RTDB persistence.
+ *
+ * Paths (biz-scoped, same key style as biz:{bizId}:analytics:daily:{date}):
+ *   tenants/{tenantId}/biz:{bizId}:pos_config                     → PosConfig
+ *   tenants/{tenantId}/biz:{bizId}:pos_file_profile               → FileColumnProfile
+ *   tenants/{tenantId}/biz:{bizId}:pos:{reportType}:{date}        → NormalizedSalesReport
+ *   tenants/{tenantId}/biz:{bizId}:pos_branches                   → { [branchId]: PosBranch }
+ *   tenants/{tenantId}/biz:{bizId}:branch:{branchId}:pos:{reportType}:{date} → per-branch report
+ *   tenants/{tenantId}/biz:{bizId}:pos_import_log/{importId}      → PosImportLog
+ *   tenants/{tenantId}/biz:{bizId}:products:catalog                → ProductCatalog
+ *   tenants/{tenantId}/biz:{bizId}:products:daily:{date}           → { [productKey]: ProductDailyRow }
+ *   tenants/{tenantId}/biz:{bizId}:pos_reconciliation:{date}       → PosReconciliation (reconcile.ts)
+ *   tenants/{tenantId}/biz:{bizId}:pos_webhook_tickets:{date}/{key} → PosWebhookTicket (webhook.ts)
+ *
+ * reportType is daily_summary, item_sales or payments (the day's tender mix).
+ * One report per (biz, reportType, date): re-imports overwrite in place, and
+ * the stored contentHash is what dedup compares against. Never stores raw
+ * payloads or secrets — PosConfig holds only the credentialRef NAME.
+ * For a multi-branch biz (branches.ts) the plain pos:… path holds the roll-up.
+ */
+
+import { getDb } from "../firebase/admin.js";
+import type {
+  NormalizedSalesReport,
+  PosConfig,
+  PosImportLog,
+  ReportType,
+} from "./types.js";
+import type { FileColumnProfile } from "./fileProfile.js";
+import type { ProductCatalog, ProductDailyRow } from "./productCatalog.js";
+import { emptyCatalog } from "./productCatalog.js";
+import { ticketKey, type PosWebhookTicket } from "./webhook.js";
+import { toBranchRegistry, type PosBranch } from "./branches.js";
+
+function reportPath(
+  tenantId: string,
+  bizId: string,
+  reportType: ReportType,
+  date: string,
+  branchId?: string
+): string {
+  const scope = branchId ? `biz:${bizId}:branch:${branchId}` : `biz:${bizId}`;
+  return `tenants/${tenantId}/${scope}:pos:${reportType}:${date}`;
+}
+
+/** Read a business's POS config. null when the biz has no POS configured. */
+export async function getPosConfig(
+  tenantId: string,
+  bizId: string
+): Promise<PosConfig | null> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:pos_config`).once("value");
+  const raw = snap.val();
+  if (!raw || typeof raw !== "object") return null;
+  return raw as PosConfig;
+}
+
+/** Branch registry, registry order. Empty for a single-branch biz. */
+export async function getBranches(tenantId: string, bizId: string): Promise<PosBranch[]> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:pos_branches`).once("value");
+  const raw = snap.val();
+  return raw && typeof raw === "object" ? (Object.values(raw) as PosBranch[]) : [];
+}
+
+/** Replace the registry. Caller validates first (validateBranches). */
+export async function saveBranches(
+  tenantId: string,
+  bizId: string,
+  branches: PosBranch[]
+): Promise<void> {
+  await getDb()
+    .ref(`tenants/${tenantId}/biz:${bizId}:pos_branches`)
+    .set(branches.length > 0 ? toBranchRegistry(branches) : null);
+}
+
+/** Column-mapping profile for file uploads. null until the owner saves one. */
+export async function getFileProfile(
+  tenantId: string,
+  bizId: string
+): Promise<FileColumnProfile | null> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:pos_file_profile`).once("value");
+  const raw = snap.val();
+  return raw && typeof raw === "object" ? (raw as FileColumnProfile) : null;
+}
+
+/** Caller validates first (validateFileProfile). */
+export async function saveFileProfile(
+  tenantId: string,
+  bizId: string,
+  profile: FileColumnProfile
+): Promise<void> {
+  await getDb().ref(`tenants/${tenantId}/biz:${bizId}:pos_file_profile`).set(profile);
+}
+
+/**
+ * The currently stored report for a day, or null if none was imported yet.
+ * Without branchId: the biz's report (the roll-up for a multi-branch biz).
+ */
+export async function getStoredReport(
+  tenantId: string,
+  bizId: string,
+  reportType: ReportType,
+  date: string,
+  branchId?: string
+): Promise<NormalizedSalesReport | null> {
+  const snap = await getDb().ref(reportPath(tenantId, bizId, reportType, date, branchId)).once("value");
+  const raw = snap.val();
+  return raw && typeof raw === "object" ? (raw as NormalizedSalesReport) : null;
+}
+
+/** Stored reports of one type for the given dates; days with none are omitted. */
+export async function getStoredReports(
+  tenantId: string,
+  bizId: string,
+  reportType: ReportType,
+  dates: string[],
+  branchId?: string
+): Promise<NormalizedSalesReport[]> {
+  const snaps = await Promise.all(
+    dates.map((d) =>
+      getDb()
+        .ref(reportPath(tenantId, bizId, reportType, d, branchId))
+        .once("value")
+        .catch(() => null)
+    )
+  );
+  const out: NormalizedSalesReport[] = [];
+  for (const snap of snaps) {
+    const val = snap && typeof snap.val === "function" ? snap.val() : null;
+    if (val && typeof val === "object") out.push(val as NormalizedSalesReport);
+  }
+  return out;
+}
+
+export async function saveReport(report: NormalizedSalesReport): Promise<void> {
+  await getDb()
+    .ref(
+      reportPath(report.tenantId, report.businessId, report.reportType, report.businessDate, report.branchId)
+    )
+    .set(report);
+}
+
+export async function saveImportLog(log: PosImportLog): Promise<void> {
+  await getDb()
+    .ref(`tenants/${log.tenantId}/biz:${log.bizId}:pos_import_log/${log.importId}`)
+    .set(log);
+}
+
+/** Most recent import logs for a biz (newest first). */
+export async function getRecentImportLogs(
+  tenantId: string,
+  bizId: string,
+  limit = 30
+): Promise<PosImportLog[]> {
+  try {
+    const snap = await getDb()
+      .ref(`tenants/${tenantId}/biz:${bizId}:pos_import_log`)
+      .orderByChild("createdAt")
+      .limitToLast(limit)
+      .once("value");
+    const raw = snap.val();
+    if (!raw) return [];
+    return (Object.values(raw) as PosImportLog[]).sort((a, b) => b.createdAt - a.createdAt);
+  } catch {
+    return [];
+  }
+}
+
+// ── Pushed tickets (webhooks) ──────────────────────────────────────────────
+
+function webhookTicketsPath(tenantId: string, bizId: string, date: string): string {
+  return `tenants/${tenantId}/biz:${bizId}:pos_webhook_tickets:${date}`;
+}
+
+/**
+ * Upsert tickets (keyed by ticketKey, so a redelivered ticket overwrites
+ * itself) and drop voided ones, in one multi-path update per day.
+ */
+export async function saveWebhookTickets(
+  tenantId: string,
+  bizId: string,
+  date: string,
+  tickets: PosWebhookTicket[],
+  voided: PosWebhookTicket[] = []
+): Promise<void> {
+  const updates: Record<string, PosWebhookTicket | null> = {};
+  for (const t of tickets) updates[ticketKey(t.ticketId)] = t;
+  for (const t of voided) updates[ticketKey(t.ticketId)] = null;
+  await getDb().ref(webhookTicketsPath(tenantId, bizId, date)).update(updates);
+}
+
+/** Every stored ticket for one business day. RTDB drops nulls, so they're restored here. */
+export async function getWebhookTickets(
+  tenantId: string,
+  bizId: string,
+  date: string
+): Promise<PosWebhookTicket[]> {
+  const snap = await getDb().ref(webhookTicketsPath(tenantId, bizId, date)).once("value");
+  const raw = snap.val();
+  if (!raw || typeof raw !== "object") return [];
+  return (Object.values(raw) as PosWebhookTicket[]).map((t) => ({
+    ...t,
+    channel: t.channel ?? null,
+    time: t.time ?? null,
+  }));
+}
+
+// ── Product analytics (item-sales, reconciled) ─────────────────────────────
+
+export async function getProductCatalog(
+  tenantId: string,
+  bizId: string
+): Promise<ProductCatalog> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:products:catalog`).once("value");
+  const raw = snap.val();
+  if (!raw || typeof raw !== "object") return emptyCatalog();
+  return {
+    products: raw.products ?? {},
+    nameIndex: raw.nameIndex ?? {},
+  };
+}
+
+export async function saveProductCatalog(
+  tenantId: string,
+  bizId: string,
+  catalog: ProductCatalog
+): Promise<void> {
+  await getDb().ref(`tenants/${tenantId}/biz:${bizId}:products:catalog`).set(catalog);
+}
+
+/** Replace one day's product rows (re-imports overwrite, never double count). */
+export async function saveProductDaily(
+  tenantId: string,
+  bizId: string,
+  date: string,
+  rows: Record<string, ProductDailyRow>
+): Promise<void> {
+  await getDb().ref(`tenants/${tenantId}/biz:${bizId}:products:daily:${date}`).set(rows);
+}
+
+/** Product rows per day for the given dates; days with no data are omitted. */
+export async function getProductDaily(
+  tenantId: string,
+  bizId: string,
+  dates: string[]
+): Promise<Array<{ date: string; rows: ProductDailyRow[] }>> {
+  const snaps = await Promise.all(
+    dates.map((d) =>
+      getDb()
+        .ref(`tenants/${tenantId}/biz:${bizId}:products:daily:${d}`)
+        .once("value")
+        .catch(() => null)
+    )
+  );
+  const out: Array<{ date: string; rows: ProductDailyRow[] }> = [];
+  snaps.forEach((snap, i) => {
+    const val = snap && typeof snap.val === "function" ? snap.val() : null;
+    if (val && typeof val === "object") {
+      out.push({ date: dates[i], rows: Object.values(val) as ProductDailyRow[] });
+    }
+  });
+  return out;
+}
@@ -0,0 +1,168 @@
+/**
+ * POS Ingestion — item-sales → per-day product rows, with SKU/name
+ * reconciliation across days.
+ *
+ * POS item names drift ("המבורגר" → "המבורגר קלאסי") and some rows arrive
+ * without a SKU, so each item is mapped onto a stable productKey via a
+ * per-biz catalog:
+ *   - SKU present  → "sku_<sku>"; every name seen for it is indexed to it
+ *                    under name + SKU, so two SKUs sharing a name (sizes,
+ *                    "שתייה") never take over each other's index entry.
+ *   - SKU absent   → whatever product that normalized name already maps to
+ *                    (the first product seen under it), else a new
+ *                    name-keyed product "name_<hash>".
+ *   - A name-keyed product that later shows up WITH a SKU is marked
+ *     mergedInto the SKU product, so older daily rows roll up with newer ones
+ *     (see canonicalProductKey).
+ *
+ * Pure: callers load/save the catalog (posRepo.ts). No network, no secrets.
+ */
+
+import type { NormalizedSalesItem } from "./types.js";
+import { sha256Hex } from "./hash.js";
+
+export interface CatalogProduct {
+  productKey: string;
+  sku: string | null;
+  displayName: string; // latest name seen
+  names: string[]; // every distinct name seen (for audit / search)
+  firstSeen: string; // YYYY-MM-DD
+  lastSeen: string; // YYYY-MM-DD
+  mergedInto?: string; // set when a name-keyed product was linked to a SKU
+}
+
+export interface ProductCatalog {
+  products: Record<string, CatalogProduct>;
+  /** hash of normalized name (+ SKU, when the row had one) → productKey */
+  nameIndex: Record<string, string>;
+}
+
+/** One product's sales on one business day. */
+export interface ProductDailyRow {
+  productKey: string;
+  sku: string | null;
+  name: string;
+  qty: number;
+  revenue: number;
+}
+
+export function emptyCatalog(): ProductCatalog {
+  return { products: {}, nameIndex: {} };
+}
+
+/** Case/whitespace/quote-insensitive name used for matching — never displayed. */
+export function normalizeProductName(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/["'׳״`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** nameIndex key. Without a SKU it is the bare name hash, so existing entries still resolve. */
+function nameHash(name: string, sku: string | null = null): string {
+  const normalized = normalizeProductName(name);
+  return sha256Hex(sku ? `${normalized}\u0000${sku}` : normalized).slice(0, 16);
+}
+
+/** RTDB keys cannot contain . $ # [ ] / — SKUs are vendor strings. */
+function skuKey(sku: string): string {
+  return `sku_${sku.replace(/[.$#[\]/\s]/g, "_")}`;
+}
+
+/** Follow mergedInto links to the product a key currently rolls up into. */
+export function canonicalProductKey(catalog: ProductCatalog, key: string): string {
+  let current = key;
+  for (let i = 0; i < 5; i++) {
+    const next = catalog.products[current]?.mergedInto;
+    if (!next || next === current) break;
+    current = next;
+  }
+  return current;
+}
+
+function touch(
+  catalog: ProductCatalog,
+  key: string,
+  sku: string | null,
+  name: string,
+  date: string
+): void {
+  const existing = catalog.products[key];
+  if (!existing) {
+    catalog.products[key] = {
+      productKey: key,
+      sku,
+      displayName: name,
+      names: [name],
+      firstSeen: date,
+      lastSeen: date,
+    };
+  } else {
+    if (!existing.names.includes(name)) existing.names.push(name);
+    if (date >= existing.lastSeen) {
+      existing.displayName = name;
+      existing.lastSeen = date;
+    }
+    if (date < existing.firstSeen) existing.firstSeen = date;
+  }
+}
+
+/**
+ * The catalog product an item currently rolls up into, without touching the
+ * catalog — null for an item it has never seen. For reading rows that were
+ * not reconciled themselves (per-branch reports).
+ */
+export function lookupProductKey(
+  catalog: ProductCatalog,
+  item: Pick<NormalizedSalesItem, "sku" | "name">
+): string | null {
+  const key = item.sku
+    ? catalog.nameIndex[nameHash(item.name, item.sku)] ?? skuKey(item.sku)
+    : catalog.nameIndex[nameHash(item.name)];
+  return key && catalog.products[key] ? canonicalProductKey(catalog, key) : null;
+}
+
+/**
+ * Reconcile one day's items against the catalog. Mutates and returns the
+ * catalog; rows for the same productKey on the same day are summed.
+ */
+export function reconcileItems(
+  items: NormalizedSalesItem[],
+  catalog: ProductCatalog,
+  date: string
+): { rows: Record<string, ProductDailyRow>; catalog: ProductCatalog } {
+  const rows: Record<string, ProductDailyRow> = {};
+
+  for (const item of items) {
+    const hash = nameHash(item.name);
+    let key: string;
+
+    if (item.sku) {
+      key = skuKey(item.sku);
+      const byName = catalog.nameIndex[hash];
+      const named = byName ? catalog.products[byName] : undefined;
+      if (named && byName !== key && !named.sku && !named.mergedInto) {
+        // A SKU-less product with this name already exists → fold it in.
+        named.mergedInto = key;
+      }
+      catalog.nameIndex[nameHash(item.name, item.sku)] = key;
+      catalog.nameIndex[hash] = catalog.nameIndex[hash] ?? key;
+    } else {
+      key = canonicalProductKey(catalog, catalog.nameIndex[hash] ?? `name_${hash}`);
+      catalog.nameIndex[hash] = catalog.nameIndex[hash] ?? key;
+    }
+
+    touch(catalog, key, item.sku, item.name, date);
+
+    const row = rows[key];
+    if (row) {
+      row.qty += item.qty;
+      row.revenue = Math.round((row.revenue + item.revenue) * 100) / 100;
+    } else {
+      rows[key] = { productKey: key, sku: item.sku, name: item.name, qty: item.qty, revenue: item.revenue };
+    }
+  }
+
+  return { rows, catalog };
+}
@@ -0,0 +1,179 @@
+/**
+ * POS vs. manual-entry revenue reconciliation.
+ *
+ * Revenue in analytics still comes from the owner's manual daily entry
+ * (biz:{bizId}:entries — sales + deliveries). When a POS is connected the same
+ * day also has a stored daily_summary. Comparing the two catches entry typos
+ * and sales that were rung up but never entered (or the reverse).
+ *
+ * Mapping (same split the manual form uses):
+ *   manual.sales      ↔ pos.channels.dineIn + pos.channels.takeaway
+ *   manual.deliveries ↔ pos.channels.delivery
+ *   manual total      ↔ pos.revenueTotal
+ * other_income is excluded — it never goes through the register.
+ *
+ * Persisted at tenants/{tenantId}/biz:{bizId}:pos_reconciliation:{date};
+ * re-running a day overwrites it. Surfaced as the pos_revenue_mismatch alert.
+ */
+
+import { getDb } from "../firebase/admin.js";
+import { getStoredReport } from "./posRepo.js";
+import type { NormalizedReportContent } from "./types.js";
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type ReconciliationStatus = "ok" | "mismatch" | "missing_manual" | "missing_pos";
+
+export interface ReconciliationLine {
+  manual: number | null;
+  pos: number | null;
+  /** manual − pos; null when either side is unknown. */
+  gap: number | null;
+  /** |gap| as % of pos (the register is the reference). */
+  gapPct: number | null;
+  flagged: boolean;
+}
+
+export interface PosReconciliation {
+  tenantId: string;
+  bizId: string;
+  date: string;
+  status: ReconciliationStatus;
+  tolerancePct: number;
+  total: ReconciliationLine;
+  /** Manual "sales" vs. POS dine-in + takeaway. */
+  inStore: ReconciliationLine;
+  /** Manual "deliveries" vs. POS delivery channel. */
+  delivery: ReconciliationLine;
+  createdAt: number;
+}
+
+export interface ManualRevenue {
+  sales: number;
+  deliveries: number;
+}
+
+/**
+ * Gaps below this many shekels never flag, whatever the %. Keeps a ₪30 tip
+ * rounding on a slow day from paging the owner.
+ */
+export const RECONCILE_MIN_GAP = 50;
+
+const round1 = (n: number) => Math.round(n * 10) / 10;
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+function num(v: unknown): number {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// ── Pure comparison ───────────────────────────────────────────────────────────
+
+function compareLine(manual: number | null, pos: number | null, tolerancePct: number): ReconciliationLine {
+  if (manual === null || pos === null) {
+    return { manual, pos, gap: null, gapPct: null, flagged: false };
+  }
+  const gap = round2(manual - pos);
+  const gapPct = pos !== 0 ? round1((Math.abs(gap) / pos) * 100) : gap === 0 ? 0 : 100;
+  const flagged = Math.abs(gap) >= RECONCILE_MIN_GAP && gapPct > tolerancePct;
+  return { manual, pos, gap, gapPct, flagged };
+}
+
+/**
+ * Compare one day's manual entry with the POS daily_summary content.
+ * Either side may be null (no entry yet / no POS report for the day).
+ */
+export function reconcileRevenue(
+  manual: ManualRevenue | null,
+  pos: Pick<NormalizedReportContent, "revenueTotal" | "channels"> | null,
+  tolerancePct: number
+): Omit<PosReconciliation, "tenantId" | "bizId" | "date" | "createdAt"> {
+  const ch = pos?.channels;
+  const inStorePos =
+    ch && (ch.dineIn !== null || ch.takeaway !== null) ? (ch.dineIn ?? 0) + (ch.takeaway ?? 0) : null;
+
+  const total = compareLine(
+    manual ? round2(manual.sales + manual.deliveries) : null,
+    pos?.revenueTotal ?? null,
+    tolerancePct
+  );
+  const inStore = compareLine(manual ? manual.sales : null, inStorePos, tolerancePct);
+  const delivery = compareLine(manual ? manual.deliveries : null, ch?.delivery ?? null, tolerancePct);
+
+  let status: ReconciliationStatus;
+  if (!pos || pos.revenueTotal === null) status = "missing_pos";
+  else if (!manual) status = "missing_manual";
+  else status = total.flagged || inStore.flagged || delivery.flagged ? "mismatch" : "ok";
+
+  return { status, tolerancePct, total, inStore, delivery };
+}
+
+// ── Load + persist ────────────────────────────────────────────────────────────
+
+/**
+ * Manual sales/deliveries for a day out of the raw biz:{bizId}:entries node;
+ * null when the owner hasn't entered it.
+ */
+export function manualRevenueFrom(entries: unknown, date: string): ManualRevenue | null {
+  let raw: any = entries;
+  if (raw?._v && typeof raw._v === "string") {
+    try { raw = JSON.parse(raw._v); } catch { return null; }
+  }
+  const list = Array.isArray(raw) ? raw : raw && typeof raw === "object" ? Object.values(raw) : [];
+  const entry = (list as any[]).find((e) => e?.date === date);
+  if (!entry) return null;
+  const sales = num(entry.sales);
+  const deliveries = num(entry.deliveries);
+  return sales > 0 || deliveries > 0 ? { sales, deliveries } : null;
+}
+
+async function getManualRevenue(
+  tenantId: string,
+  bizId: string,
+  date: string
+): Promise<ManualRevenue | null> {
+  const snap = await getDb().ref(`tenants/${tenantId}/biz:${bizId}:entries`).once("value");
+  return manualRevenueFrom(snap.val(), date);
+}
+
+export async function getReconciliation(
+  tenantId: string,
+  bizId: string,
+  date: string
+): Promise<PosReconciliation | null> {
+  const snap = await getDb()
+    .ref(`tenants/${tenantId}/biz:${bizId}:pos_reconciliation:${date}`)
+    .once("value");
+  const raw = snap.val();
+  return raw && typeof raw === "object" ? (raw as PosReconciliation) : null;
+}
+
+/**
+ * Reconcile one day and store the record. Returns null (and stores nothing)
+ * for a business without a POS report that day — most businesses have no POS,
+ * and a record per day saying so is noise.
+ */
+export async function reconcilePosRevenue(
+  tenantId: string,
+  bizId: string,
+  date: string,
+  tolerancePct: number
+): Promise<PosReconciliation | null> {
+  const [manual, report] = await Promise.all([
+    getManualRevenue(tenantId, bizId, date),
+    getStoredReport(tenantId, bizId, "daily_summary", date),
+  ]);
+  if (!report) return null;
+
+  const record: PosReconciliation = {
+    tenantId,
+    bizId,
+    date,
+    ...reconcileRevenue(manual, report, tolerancePct),
+    createdAt: Date.now(),
+  };
+  await getDb()
+    .ref(`tenants/${tenantId}/biz:${bizId}:pos_reconciliation:${date}`)
+    .set(record);
+  return record;
+}
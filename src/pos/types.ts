@@ -7,9 +7,12 @@
  * new POS can be plugged in without re-architecting the pipeline.
  */
 
-export type SourceSystem = "beecomm" | "tabit";
+import type { BusinessHours } from "../analytics/businessHours.js";
 
-export type ReportType = "daily_summary" | "item_sales";
+/** "file" = an uploaded CSV/XLSX Z-report (see fileProfile.ts), not a live API. */
+export type SourceSystem = "beecomm" | "tabit" | "file";
+
+export type ReportType = "daily_summary" | "item_sales" | "payments";
 
 /** What a given connector/source can provide. Checked before optional calls. */
 export interface PosCapabilities {
@@ -29,6 +32,8 @@ export interface PosFetchContext {
   businessId: string;
   externalBranchId?: string;
   apiKey: string;
+  /** Operating window for hourly buckets / business-day attribution. Default 08–22. */
+  businessHours?: BusinessHours;
 }
 
 /** One normalized item-sales row (future-ready; unused until item-level). */
@@ -39,6 +44,21 @@ export interface NormalizedSalesItem {
   revenue: number;
 }
 
+/**
+ * One day's tender mix (₪). A tender the source reports but the day didn't
+ * use is 0; a figure the source doesn't report at all is null. cash + credit
+ * + vouchers + other is the tender total — tips (owed to staff) and refunds
+ * (a positive amount) are tracked beside it, not inside it.
+ */
+export interface NormalizedPayments {
+  cash: number | null;
+  credit: number | null;
+  vouchers: number | null; // meal cards: Cibus, 10bis
+  other: number | null;
+  tips: number | null;
+  refunds: number | null;
+}
+
 /** Content fields of a normalized report — everything except the run-stamped, volatile fields. */
 export interface NormalizedReportContent {
   // identity / keying
@@ -56,8 +76,19 @@ export interface NormalizedReportContent {
     delivery: number | null;
     takeaway: number | null;
   };
-  hourly: Record<string, number> | null;
+  hourly: Record<string, number> | null; // "HH" keys = hourSlots(businessHours)
+  // "HH:MM" buckets, only when the biz asked for 15-minute buckets and the
+  // source has minute-level times; undefined otherwise (keeps contentHash stable)
+  quarterHourly?: Record<string, number> | null;
   items: NormalizedSalesItem[] | null; // future-ready; null until item-level
+  // reportType "payments" only — left undefined on other reports so their
+  // contentHash is unchanged
+  payments?: NormalizedPayments | null;
+  // Multi-branch businesses (branches.ts): set on a per-branch report; the
+  // combined roll-up lists the branches it sums instead. Both undefined for a
+  // single-branch business, so its contentHash is unchanged.
+  branchId?: string;
+  branchIds?: string[];
   schemaVersion: string;
 }
 
@@ -82,6 +113,8 @@ export interface PosImportLog {
   contentHash: string;
   durationMs: number; // volatile
   error: string | null; // summary only: "http_401" | "timeout" | "network" | ...
+  missingFields?: string[]; // unexpected null content fields (why a run is "partial")
+  branchId?: string; // per-branch import; absent for single-branch and roll-up logs
   createdAt: number;
 }
 
@@ -114,4 +147,9 @@ export interface PosConnector {
     businessDate: string,
     ctx: PosFetchContext
   ): Promise<NormalizedSalesItem[]>;
+  /** Capability-guarded (capabilities.payments). Optional. */
+  fetchPayments?(
+    businessDate: string,
+    ctx: PosFetchContext
+  ): Promise<NormalizedPayments>;
 }
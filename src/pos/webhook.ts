@@ -0,0 +1,177 @@
+/**
+ * POS Ingestion — pushed (webhook) events.
+ *
+ * Some POS vendors push instead of being polled. Two event kinds:
+ *   - daily_summary  the vendor's end-of-day payload, same raw shape its pull
+ *                    API returns (normalizeBeecommDaily; Beecomm only for now)
+ *   - tickets        closed tickets; stored per business day and re-aggregated
+ *                    into that day's daily_summary on every push
+ *
+ * Every request is signed: X-Pos-Signature is hex HMAC-SHA256 of the RAW body
+ * (optionally "sha256="-prefixed), keyed by the secret the biz's
+ * PosConfig.credentialRef names (see credentials.ts). Redeliveries are safe:
+ * a summary re-hashes to the stored contentHash, and a ticket is keyed by its
+ * id, so the same push always ends "deduped".
+ *
+ * Pure parsing/verification only — the import lives in ingest.ts
+ * (importPosWebhook) and the route in api/analytics/daily-builder.ts.
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { sha256Hex } from "./hash.js";
+import type { PosFetchError, SourceSystem } from "./types.js";
+import {
+  DEFAULT_BUSINESS_HOURS,
+  businessDateOf,
+  type BusinessHours,
+} from "../analytics/businessHours.js";
+
+/** Largest body accepted (bytes). An end-of-day payload is a few KB. */
+export const WEBHOOK_MAX_BYTES = 256 * 1024;
+
+/** Most tickets one push may carry. */
+export const WEBHOOK_MAX_TICKETS = 500;
+
+export type WebhookChannel = "dineIn" | "delivery" | "takeaway";
+
+/** A closed ticket as stored under biz:{bizId}:pos_webhook_tickets:{date}. */
+export interface PosWebhookTicket {
+  ticketId: string;
+  amount: number;
+  channel: WebhookChannel | null;
+  /** Local "HH:MM" the ticket closed; null when the vendor sent no time. */
+  time: string | null;
+  businessDate: string;
+}
+
+export type PosWebhookEvent =
+  | { type: "daily_summary"; businessDate: string; summary: Record<string, unknown> }
+  | { type: "tickets"; tickets: PosWebhookTicket[]; voided: PosWebhookTicket[] };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(source: SourceSystem, reason: string): never {
+  const err: PosFetchError = { source, reason };
+  throw err;
+}
+
+// ── Signature ─────────────────────────────────────────────────────────────────
+
+/** Constant-time check of X-Pos-Signature against HMAC-SHA256(secret, rawBody). */
+export function verifyWebhookSignature(
+  rawBody: string,
+  header: string | undefined,
+  secret: string
+): boolean {
+  if (!header || !secret) return false;
+  const given = header.trim().replace(/^sha256=/i, "").toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(given)) return false;
+  const expected = createHmac("sha256", secret).update(rawBody, "utf8").digest();
+  return timingSafeEqual(Buffer.from(given, "hex"), expected);
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+/** Vendor channel label → internal channel; unknown labels stay null. */
+export function classifyWebhookChannel(label: unknown): WebhookChannel | null {
+  const s = String(label ?? "").trim().toLowerCase();
+  if (!s) return null;
+  if (/deliver|משלוח|wolt|10bis|תן ביס/.test(s)) return "delivery";
+  if (/take|^ta$|pickup|pick-up|איסוף|טייק/.test(s)) return "takeaway";
+  if (/dine|seat|table|eat.?in|ישיבה|שולחן|במקום/.test(s)) return "dineIn";
+  return null;
+}
+
+/**
+ * Local date + "HH:MM" from a vendor timestamp. "YYYY-MM-DDTHH:MM[:SS]" is
+ * taken as Israel local time; a trailing Z / offset is converted to it.
+ */
+function localDateTime(value: unknown): { date: string; hour: number; minute: number } | null {
+  const s = String(value ?? "").trim();
+  const m = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})/.exec(s);
+  if (!m) return null;
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    return { date: m[1], hour: Number(m[2]), minute: Number(m[3]) };
+  }
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  const date = d.toLocaleDateString("en-CA", { timeZone: "Asia/Jerusalem" });
+  const [hh, mm] = d
+    .toLocaleTimeString("en-GB", { timeZone: "Asia/Jerusalem", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .split(":");
+  return { date, hour: Number(hh), minute: Number(mm) };
+}
+
+function parseTicket(
+  raw: unknown,
+  source: SourceSystem,
+  hours: BusinessHours
+): { ticket: PosWebhookTicket; voided: boolean } {
+  if (!raw || typeof raw !== "object") invalid(source, "invalid_ticket");
+  const r = raw as Record<string, unknown>;
+  const ticketId = String(r.ticketId ?? r.id ?? "").trim();
+  const amount = Number(r.amount ?? r.total);
+  if (!ticketId || ticketId.length > 128 || !Number.isFinite(amount)) invalid(source, "invalid_ticket");
+
+  const at = localDateTime(r.closedAt ?? r.closed_at);
+  const explicit = typeof r.businessDate === "string" ? r.businessDate : null;
+  if (explicit !== null && !DATE_RE.test(explicit)) invalid(source, "invalid_ticket");
+  const businessDate = explicit ?? (at ? businessDateOf(at.date, at.hour, at.minute, hours) : null);
+  if (!businessDate) invalid(source, "invalid_ticket");
+
+  const pad = (n: number) => String(n).padStart(2, "0");
+  return {
+    ticket: {
+      ticketId,
+      amount: Math.round(amount * 100) / 100,
+      channel: classifyWebhookChannel(r.channel ?? r.orderType ?? r.type),
+      time: at ? `${pad(at.hour)}:${pad(at.minute)}` : null,
+      businessDate,
+    },
+    voided: r.voided === true || r.status === "voided",
+  };
+}
+
+/**
+ * Validate a pushed body (already signature-checked). Throws a sanitized
+ * PosFetchError ("invalid_payload" | "invalid_ticket" | "too_many_tickets").
+ */
+export function parseWebhookEvent(
+  body: unknown,
+  source: SourceSystem,
+  hours: BusinessHours = DEFAULT_BUSINESS_HOURS
+): PosWebhookEvent {
+  if (!body || typeof body !== "object" || Array.isArray(body)) invalid(source, "invalid_payload");
+  const b = body as Record<string, unknown>;
+
+  if (b.type === "daily_summary") {
+    const summary = b.summary ?? b.data;
+    if (typeof b.businessDate !== "string" || !DATE_RE.test(b.businessDate)) {
+      invalid(source, "invalid_payload");
+    }
+    if (!summary || typeof summary !== "object" || Array.isArray(summary)) {
+      invalid(source, "invalid_payload");
+    }
+    return { type: "daily_summary", businessDate: b.businessDate, summary: summary as Record<string, unknown> };
+  }
+
+  if (b.type === "ticket" || b.type === "tickets") {
+    const list = b.type === "ticket" ? [b.ticket ?? b.data] : b.tickets;
+    if (!Array.isArray(list) || list.length === 0) invalid(source, "invalid_payload");
+    if (list.length > WEBHOOK_MAX_TICKETS) invalid(source, "too_many_tickets");
+    const tickets: PosWebhookTicket[] = [];
+    const voided: PosWebhookTicket[] = [];
+    for (const raw of list) {
+      const parsed = parseTicket(raw, source, hours);
+      (parsed.voided ? voided : tickets).push(parsed.ticket);
+    }
+    return { type: "tickets", tickets, voided };
+  }
+
+  invalid(source, "unsupported_event");
+}
+
+/** RTDB-safe key for a vendor ticket id (ids may contain . / # etc.). */
+export function ticketKey(ticketId: string): string {
+  return sha256Hex(ticketId).slice(0, 32);
+}
@@ -0,0 +1,16 @@
+import { DEFAULT_BRANCH_ID } from "../../pos/branches.js";
+
+// Branch scoping shared by the entry-backed repositories.
+// Manual entries belong to the whole business unless the entry form tagged
+// them with `branch_id` (multi-branch businesses, see src/pos/branches.ts);
+// untagged entries count as the default "main" branch. No branchId (or "all")
+// reads the whole business, exactly as before branches existed.
+
+export function isBranchScoped(branchId?: string): branchId is string {
+  return !!branchId && branchId !== "all";
+}
+
+export function inBranch(entry: { branch_id?: unknown }, branchId?: string): boolean {
+  if (!isBranchScoped(branchId)) return true;
+  return String(entry.branch_id || DEFAULT_BRANCH_ID) === branchId;
+}
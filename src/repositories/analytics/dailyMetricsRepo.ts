@@ -1,5 +1,8 @@
 import { bizEntriesRef } from "../../firebase/refs.js";
 import type { DailyMetric } from "../../agent/types/analytics.js";
+import { getStoredReports } from "../../pos/posRepo.js";
+import { dateRange } from "../../utils/dates.js";
+import { inBranch, isBranchScoped } from "./branchScope.js";
 
 interface RawEntry {
   date: string;
@@ -10,6 +13,7 @@ interface RawEntry {
   payroll?: number | string;
   hourly_payroll?: Record<string, number | string>;
   supplier_payments?: Record<string, number | string>;
+  branch_id?: string;
 }
 
 function parseV(snapshot: any): RawEntry[] {
@@ -55,16 +59,51 @@ export async function getDailyMetrics(
   startDate: string,
   endDate: string,
   bizId: string,
-  _branchId?: string
+  branchId?: string
 ): Promise<DailyMetric[]> {
   const ref = bizEntriesRef(tenantId, bizId);
   const snapshot = await ref.once("value");
   const entries = parseV(snapshot);
 
-  return entries
-    .filter((e) => e.date && e.date >= startDate && e.date <= endDate)
+  const days = entries
+    .filter((e) => e.date && e.date >= startDate && e.date <= endDate && inBranch(e, branchId))
     .map(toDaily)
     .sort((a, b) => a.date.localeCompare(b.date));
+
+  // A branch nobody enters manually still has its own POS reports — use
+  // their revenue/tickets (costs unknown per branch → null).
+  if (days.length === 0 && isBranchScoped(branchId)) {
+    return getBranchPosDaily(tenantId, startDate, endDate, bizId, branchId);
+  }
+  return days;
+}
+
+async function getBranchPosDaily(
+  tenantId: string,
+  startDate: string,
+  endDate: string,
+  bizId: string,
+  branchId: string
+): Promise<DailyMetric[]> {
+  const reports = await getStoredReports(
+    tenantId,
+    bizId,
+    "daily_summary",
+    dateRange(startDate, endDate),
+    branchId
+  );
+  return reports
+    .filter((r) => r.revenueTotal !== null)
+    .map((r) => ({
+      date: r.businessDate,
+      revenue: r.revenueTotal ?? 0,
+      laborCost: null,
+      laborPct: null,
+      foodCost: null,
+      foodCostPct: null,
+      transactionCount: r.tickets ?? 0,
+      avgTicket: r.avgCheck ?? 0,
+    }));
 }
 
 export async function getLatestDailyDate(tenantId: string, bizId: string): Promise<string | null> {
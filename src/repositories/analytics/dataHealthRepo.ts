@@ -0,0 +1,21 @@
+import { bizDataHealthRef } from "../../firebase/refs.js";
+import type { DataHealthReport } from "../../analytics/dataHealth.js";
+
+/** Latest data-health report for a biz (src/analytics/dataHealth.ts); null until the first run. */
+export async function getDataHealthReport(
+  tenantId: string,
+  bizId: string
+): Promise<DataHealthReport | null> {
+  const snapshot = await bizDataHealthRef(tenantId, bizId).once("value");
+  const raw = snapshot.val();
+  if (!raw || typeof raw !== "object") return null;
+  // RTDB drops empty arrays.
+  return {
+    ...raw,
+    missing: { entry: [], weather: [], alerts: [], pos: [], doc: [], ...raw.missing },
+  } as DataHealthReport;
+}
+
+export async function saveDataHealthReport(report: DataHealthReport): Promise<void> {
+  await bizDataHealthRef(report.tenantId, report.bizId).set(report);
+}
@@ -1,5 +1,6 @@
 import { bizEntriesRef } from "../../firebase/refs.js";
 import type { LaborMetric } from "../../agent/types/analytics.js";
+import { inBranch } from "./branchScope.js";
 
 function num(v: unknown): number {
   return Number(v) || 0;
@@ -26,14 +27,14 @@ export async function getLaborMetrics(
   startDate: string,
   endDate: string,
   bizId: string,
-  _branchId?: string
+  branchId?: string
 ): Promise<LaborMetric[]> {
   const ref = bizEntriesRef(tenantId, bizId);
   const snapshot = await ref.once("value");
   const entries = parseV(snapshot);
 
   return entries
-    .filter((e: any) => e.date && e.date >= startDate && e.date <= endDate)
+    .filter((e: any) => e.date && e.date >= startDate && e.date <= endDate && inBranch(e, branchId))
     .map((e: any) => {
       const revenue = num(e.sales) + num(e.deliveries) + num(e.other_income);
       const payroll = num(e.payroll);
@@ -1,27 +1,123 @@
 import type { ProductMetric } from "../../agent/types/analytics.js";
+import { getProductCatalog, getProductDaily, getStoredReports } from "../../pos/posRepo.js";
+import { canonicalProductKey, lookupProductKey, normalizeProductName } from "../../pos/productCatalog.js";
+import { dateRange } from "../../utils/dates.js";
+import { isBranchScoped } from "./branchScope.js";
 
-// Manual entries do not contain product-level data.
-// This repo will be populated when POS integration (Beecomm/Tabit) is connected.
-// For now, returns empty arrays.
+// Manual entries do not contain product-level data. Product rows come from POS
+// item-sales imports (src/pos/ingest.ts), reconciled per biz into stable
+// productKeys: tenants/{tenantId}/biz:{bizId}:products:daily:{date}.
+// Without a bizId there is nothing to read, so both functions return [].
+// products:daily is the whole business (a multi-branch biz's roll-up); one
+// branch's products are read from that branch's stored item-sales reports.
 
+type ProductTotal = { name: string; qty: number; revenue: number };
+type ProductDayTotal = ProductTotal & { date: string; key: string };
+
+/**
+ * Sales per product per day, merged by canonical productKey: a product whose
+ * older rows were keyed by name before it gained a SKU is one product, under
+ * its latest name. Branch rows are matched to the catalog by SKU / name;
+ * items the catalog has never seen merge by normalized name.
+ */
+async function getProductDayTotals(
+  tenantId: string,
+  bizId: string,
+  startDate: string,
+  endDate: string,
+  branchId?: string
+): Promise<ProductDayTotal[]> {
+  const dates = dateRange(startDate, endDate);
+  const totals = new Map<string, ProductDayTotal>();
+  const add = (date: string, key: string, name: string, qty: unknown, revenue: unknown) => {
+    const t = totals.get(`${date}|${key}`) ?? { date, key, name, qty: 0, revenue: 0 };
+    t.qty += Number(qty) || 0;
+    t.revenue += Number(revenue) || 0;
+    totals.set(`${date}|${key}`, t);
+  };
+
+  if (isBranchScoped(branchId)) {
+    const [reports, catalog] = await Promise.all([
+      getStoredReports(tenantId, bizId, "item_sales", dates, branchId),
+      getProductCatalog(tenantId, bizId),
+    ]);
+    for (const r of reports) {
+      for (const item of r.items ?? []) {
+        const key = lookupProductKey(catalog, item);
+        const name = (key && catalog.products[key]?.displayName) || item.name;
+        add(r.businessDate, key ?? `name:${normalizeProductName(item.name)}`, name, item.qty, item.revenue);
+      }
+    }
+  } else {
+    const [days, catalog] = await Promise.all([
+      getProductDaily(tenantId, bizId, dates),
+      getProductCatalog(tenantId, bizId),
+    ]);
+    for (const { date, rows } of days) {
+      for (const row of rows) {
+        const key = canonicalProductKey(catalog, row.productKey);
+        add(date, key, catalog.products[key]?.displayName ?? row.name, row.qty, row.revenue);
+      }
+    }
+  }
+  return [...totals.values()];
+}
+
+/** One row per product per day (see getProductDayTotals). */
 export async function getProductMetrics(
-  _tenantId: string,
-  _startDate: string,
-  _endDate: string,
-  _bizId?: string,
-  _branchId?: string
+  tenantId: string,
+  startDate: string,
+  endDate: string,
+  bizId?: string,
+  branchId?: string
 ): Promise<ProductMetric[]> {
-  // TODO: connect to POS analytics when available
-  return [];
+  if (!bizId) return [];
+  const days = await getProductDayTotals(tenantId, bizId, startDate, endDate, branchId);
+  return days.map((t) => ({
+    date: t.date,
+    productName: t.name,
+    quantitySold: t.qty,
+    revenue: Math.round(t.revenue * 100) / 100,
+  }));
 }
 
+/**
+ * Products aggregated over the range, best sellers (by quantity) first.
+ * Rows are merged by canonical productKey, so a renamed item or one that
+ * gained a SKU mid-range counts as one product under its latest name.
+ * `date` on each result is the range end.
+ */
 export async function getTopProducts(
-  _tenantId: string,
-  _startDate: string,
-  _endDate: string,
-  _bizId?: string,
-  _limit = 10
+  tenantId: string,
+  startDate: string,
+  endDate: string,
+  bizId?: string,
+  limit = 10,
+  branchId?: string
 ): Promise<ProductMetric[]> {
-  // TODO: connect to POS analytics when available
-  return [];
+  if (!bizId) return [];
+  const totals = new Map<string, ProductTotal>();
+  for (const day of await getProductDayTotals(tenantId, bizId, startDate, endDate, branchId)) {
+    const t = totals.get(day.key) ?? { name: day.name, qty: 0, revenue: 0 };
+    t.qty += day.qty;
+    t.revenue += day.revenue;
+    totals.set(day.key, t);
+  }
+  return rankProducts(totals, endDate, limit);
+}
+
+function rankProducts(
+  totals: Map<string, ProductTotal>,
+  endDate: string,
+  limit: number
+): ProductMetric[] {
+  return [...totals.values()]
+    .sort((a, b) => b.qty - a.qty || b.revenue - a.revenue)
+    .slice(0, limit)
+    .map((t) => ({
+      date: endDate,
+      productName: t.name,
+      quantitySold: t.qty,
+      revenue: Math.round(t.revenue * 100) / 100,
+    }));
 }
@@ -1,6 +1,7 @@
 import { bizEntriesRef } from "../../firebase/refs.js";
 import { bizSuppliersRef } from "../../firebase/refs.js";
 import type { PurchaseMetric } from "../../agent/types/analytics.js";
+import { inBranch } from "./branchScope.js";
 
 function num(v: unknown): number {
   return Number(v) || 0;
@@ -22,7 +23,7 @@ export async function getPurchaseMetrics(
   startDate: string,
   endDate: string,
   bizId: string,
-  _branchId?: string
+  branchId?: string
 ): Promise<PurchaseMetric[]> {
   // Get supplier names for lookup
   const suppSnap = await bizSuppliersRef(tenantId, bizId).once("value");
@@ -39,7 +40,7 @@ export async function getPurchaseMetrics(
 
   const results: PurchaseMetric[] = [];
   for (const e of entries) {
-    if (!e.date || e.date < startDate || e.date > endDate) continue;
+    if (!e.date || e.date < startDate || e.date > endDate || !inBranch(e, branchId)) continue;
     if (!e.supplier_payments || typeof e.supplier_payments !== "object") continue;
     for (const [suppId, amount] of Object.entries(e.supplier_payments)) {
       const val = num(amount);
@@ -0,0 +1,25 @@
+import { bizResearchRef } from "../../firebase/refs.js";
+import type { ResearchDoc, ResearchEffect } from "../../analytics/research.js";
+
+/** Latest research fit for a biz (src/analytics/research.ts); null until the first run. */
+export async function getResearchDoc(
+  tenantId: string,
+  bizId: string
+): Promise<ResearchDoc | null> {
+  const snapshot = await bizResearchRef(tenantId, bizId).once("value");
+  const raw = snapshot.val();
+  return raw && typeof raw === "object" ? (raw as ResearchDoc) : null;
+}
+
+/** Effects the fit could tell apart from zero. [] when none / never fitted. */
+export async function getSignificantEffects(
+  tenantId: string,
+  bizId: string
+): Promise<ResearchEffect[]> {
+  const doc = await getResearchDoc(tenantId, bizId);
+  return (doc?.effects ?? []).filter((e) => e.significant);
+}
+
+export async function saveResearchDoc(doc: ResearchDoc): Promise<void> {
+  await bizResearchRef(doc.tenantId, doc.bizId).set(doc);
+}
@@ -5,6 +5,7 @@ import { getHourlyMetrics } from "../repositories/analytics/hourlyMetricsRepo.js
 import { getLaborMetrics } from "../repositories/analytics/laborRepo.js";
 import { getProductMetrics, getTopProducts } from "../repositories/analytics/productRepo.js";
 import { getPurchaseMetrics } from "../repositories/analytics/purchasesRepo.js";
+import { getDataHealthReport } from "../repositories/analytics/dataHealthRepo.js";
 import { isWithinDays } from "../utils/guards.js";
 import { logger } from "../utils/logging.js";
 import { withTimeout, TIMEOUT_CRITICAL_MS, TIMEOUT_SECONDARY_MS } from "../utils/async.js";
@@ -85,7 +86,7 @@ export async function fetchPlannedData(
   if (plan.metrics.some((m) => m.includes("product"))) {
     try {
       const products = await withTimeout(
-        getTopProducts(tenantId, start, end, context.bizId),
+        getTopProducts(tenantId, start, end, context.bizId, 10, branchId),
         TIMEOUT_SECONDARY_MS,
         "getTopProducts"
       );
@@ -139,6 +140,34 @@ export async function fetchPlannedData(
     // keep default
   }
 
+  // Data health: a missing manual entry or a stalled POS feed makes the data
+  // less current than the latest doc date alone suggests — when the period
+  // asked about overlaps the report's. Last quarter's figures aren't less
+  // current because yesterday's entry is missing.
+  let dataHealth: FetchedData["dataHealth"];
+  try {
+    const report = await withTimeout(
+      getDataHealthReport(tenantId, context.bizId),
+      TIMEOUT_SECONDARY_MS,
+      "getDataHealthReport"
+    );
+    if (report) {
+      if (report.from <= end && report.to >= start) {
+        freshnessScore = Math.min(freshnessScore, report.freshness);
+      }
+      dataHealth = {
+        score: report.score,
+        freshness: report.freshness,
+        missingEntryDates: [...report.missing.doc, ...report.missing.entry]
+          .filter((d) => d >= start && d <= end)
+          .sort(),
+        posStale: report.pos.stale,
+      };
+    }
+  } catch {
+    // optional — keep the date-based score
+  }
+
   // Consistency: cross-check daily data for suspicious patterns
   const consistencyScore = computeConsistencyScore(daily, totalRecords);
   const sampleAdequacyScore = Math.min(1, daily.length / 14); // 14 days = fully adequate
@@ -153,6 +182,7 @@ export async function fetchPlannedData(
     evidenceRefs,
     rawRecordCount: totalRecords,
     fetchStatus,
+    ...(dataHealth ? { dataHealth } : {}),
   };
 }
 
@@ -167,7 +197,7 @@ function daysBetweenSimple(a: string, b: string): number {
  * unreliable or contradictory data (not business anomalies — data quality issues).
  */
 function computeConsistencyScore(
-  daily: Array<{ date: string; revenue?: number; laborCost?: number; foodCost?: number }>,
+  daily: Array<{ date: string; revenue?: number; laborCost?: number | null; foodCost?: number | null }>,
   totalRecords: number
 ): number {
   if (totalRecords === 0) return 0.0;
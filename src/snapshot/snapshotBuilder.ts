@@ -1,4 +1,25 @@
 import { getDb } from "../firebase/admin.js";
+import { getPosConfig, getStoredReports } from "../pos/posRepo.js";
+import type { NormalizedSalesReport } from "../pos/types.js";
+import { dateRange } from "../utils/dates.js";
+
+/**
+ * Month-to-date tender mix, summed from the POS payments reports. Only a biz
+ * whose PosConfig enables payments has any; no registered connector fetches
+ * them yet (Beecomm has no payments endpoint, Tabit has no connector), so
+ * until one does the snapshot and email carry no tender section.
+ */
+export interface SnapshotPayments {
+  cash: number;
+  credit: number;
+  vouchers: number; // Cibus / 10bis
+  other: number;
+  tips: number;
+  refunds: number;
+  daysWithData: number;
+  creditPct: number; // credit share of the tender total
+  estimatedCardFees: number | null; // credit × config.cardFeePct; null when no rate is set
+}
 
 export interface SnapshotData {
   tenantId: string;
@@ -38,6 +59,9 @@ export interface SnapshotData {
   targetFoodCost: number;
   targetLabor: number;
 
+  // Tender mix — null when the POS doesn't report payments
+  payments: SnapshotPayments | null;
+
   // Insights
   insights: Array<{
     type: "positive" | "negative" | "warning";
@@ -77,6 +101,7 @@ interface Config {
   rentFixed?: number;
   hasRoyalty?: boolean;
   royaltyPct?: number;
+  cardFeePct?: number; // clearing fee on credit card sales, e.g. 0.8
   targetSales: number;
   targetFoodCost: number;
   targetLabor: number;
@@ -142,6 +167,39 @@ function num(value: any): number {
   return Number.isFinite(n) ? n : 0;
 }
 
+/** The month's stored payments reports; none read unless the PosConfig enables payments. */
+async function getPaymentReports(
+  tenantId: string,
+  bizId: string,
+  dates: string[]
+): Promise<NormalizedSalesReport[]> {
+  const posConfig = await getPosConfig(tenantId, bizId);
+  if (!posConfig?.enabled || !posConfig.capabilities?.payments) return [];
+  return getStoredReports(tenantId, bizId, "payments", dates);
+}
+
+function summarizePayments(
+  reports: NormalizedSalesReport[],
+  cardFeePct: number
+): SnapshotPayments | null {
+  const withPayments = reports.filter((r) => r.payments);
+  if (withPayments.length === 0) return null;
+
+  const sum = { cash: 0, credit: 0, vouchers: 0, other: 0, tips: 0, refunds: 0 };
+  for (const r of withPayments) {
+    for (const key of Object.keys(sum) as Array<keyof typeof sum>) {
+      sum[key] += num(r.payments![key]);
+    }
+  }
+  const tenderTotal = sum.cash + sum.credit + sum.vouchers + sum.other;
+  return {
+    ...sum,
+    daysWithData: withPayments.length,
+    creditPct: tenderTotal > 0 ? (sum.credit / tenderTotal) * 100 : 0,
+    estimatedCardFees: cardFeePct > 0 ? sum.credit * (cardFeePct / 100) : null,
+  };
+}
+
 export async function buildSnapshotForBiz(
   tenantId: string,
   bizId: string
@@ -157,11 +215,12 @@ export async function buildSnapshotForBiz(
   const daysInCurrentMonth = getDaysInMonth(israelDate);
 
   // Fetch all required data
-  const [entriesSnap, fixedSnap, configSnap, businessSnap] = await Promise.all([
+  const [entriesSnap, fixedSnap, configSnap, businessSnap, paymentReports] = await Promise.all([
     db.ref(`tenants/${tenantId}/biz:${bizId}:entries`).once("value"),
     db.ref(`tenants/${tenantId}/biz:${bizId}:fixed`).once("value"),
     db.ref(`tenants/${tenantId}/biz:${bizId}:config`).once("value"),
     db.ref(`tenants/${tenantId}/app/business`).once("value"),
+    getPaymentReports(tenantId, bizId, dateRange(`${currentMonth}-01`, currentDateStr)),
   ]);
 
   const entries = parseFirebaseData<DailyEntry[]>(entriesSnap.val());
@@ -275,6 +334,8 @@ export async function buildSnapshotForBiz(
     ? ((paceRevenue - targetSales) / targetSales) * 100
     : 0;
 
+  const payments = summarizePayments(paymentReports, num(config.cardFeePct));
+
   // Generate insights
   const insights: Array<{ type: "positive" | "negative" | "warning"; message: string }> = [];
 
@@ -335,6 +396,18 @@ export async function buildSnapshotForBiz(
     });
   }
 
+  // Refunds insight — only meaningful with POS payments data
+  if (payments) {
+    const tenderTotal = payments.cash + payments.credit + payments.vouchers + payments.other;
+    const refundPct = tenderTotal > 0 ? (payments.refunds / tenderTotal) * 100 : 0;
+    if (refundPct > 2) {
+      insights.push({
+        type: "warning",
+        message: `החזרים גבוהים: ₪${Math.round(payments.refunds).toLocaleString("he-IL")} (${refundPct.toFixed(1)}% מהמכירות)`,
+      });
+    }
+  }
+
   return {
     tenantId,
     bizId,
@@ -362,6 +435,7 @@ export async function buildSnapshotForBiz(
     targetSales: resolvedTargetSales,
     targetFoodCost: resolvedTargetFood,
     targetLabor: resolvedTargetLabor,
+    payments,
     insights,
   };
 }
@@ -92,6 +92,19 @@ export async function sendSnapshotEmail(
     },
   ];
 
+  // Tender mix rows (POS payments) — section omitted when there is no data
+  const payments = snapshot.payments;
+  const paymentRows = payments
+    ? [
+        { label: "מזומן", value: payments.cash },
+        { label: "אשראי", value: payments.credit },
+        { label: "סיבוס / 10ביס", value: payments.vouchers },
+        { label: "אחר", value: payments.other },
+        { label: "טיפים", value: payments.tips },
+        { label: "החזרים", value: payments.refunds },
+      ]
+    : [];
+
   // Build insights HTML
   let insightsHtml = "";
   for (const insight of snapshot.insights) {
@@ -288,6 +301,19 @@ export async function sendSnapshotEmail(
       margin-top: 4px;
       text-align: right;
     }
+    .payments-section {
+      margin-bottom: 24px;
+      padding: 16px;
+      background-color: #f0fdf4;
+      border-radius: 6px;
+      border-right: 4px solid #10b981;
+    }
+    .payments-note {
+      font-size: 12px;
+      color: #6b7280;
+      margin-top: 8px;
+      text-align: right;
+    }
     .insights-section {
       margin-bottom: 24px;
     }
@@ -410,6 +436,33 @@ export async function sendSnapshotEmail(
         <div class="forecast-label">רווח נקי חזוי בסיום החודש</div>
       </div>
 
+      ${
+        payments
+          ? `
+      <div class="payments-section">
+        <div class="pace-title">💳 אמצעי תשלום מתחילת החודש</div>
+        ${paymentRows
+          .map(
+            (row) => `
+        <div class="pace-row">
+          <span class="pace-value">${formatCurrency(row.value)}</span>
+          <span class="pace-label">${row.label}</span>
+        </div>
+        `
+          )
+          .join("")}
+        <div class="payments-note">
+          אשראי ${payments.creditPct.toFixed(1)}% מהתקבולים${
+            payments.estimatedCardFees !== null
+              ? ` · עמלות סליקה משוערות ${formatCurrency(payments.estimatedCardFees)}`
+              : ""
+          } · ${payments.daysWithData} ימים עם נתוני קופה
+        </div>
+      </div>
+      `
+          : ""
+      }
+
       ${
         snapshot.insights.length > 0
           ? `
@@ -40,3 +40,35 @@ export function withTimeout<T>(
       });
   });
 }
+
+/**
+ * A duration budget for a loop of similar steps (businesses, days). A step
+ * only starts when the time left covers the slowest step so far —
+ * `estimateMs` until one has run — so the loop stops before the step that
+ * would overrun the function limit, not after it.
+ */
+export interface TimeBudget {
+  /** Whether another step is expected to finish inside the budget. */
+  hasRoom(): boolean;
+  /** Run one step, timing it. */
+  step<T>(fn: () => Promise<T>): Promise<T>;
+}
+
+export function createTimeBudget(
+  budgetMs: number,
+  estimateMs: number,
+  startedAt: number = Date.now()
+): TimeBudget {
+  let slowest: number | null = null;
+  return {
+    hasRoom: () => Date.now() - startedAt + (slowest ?? estimateMs) <= budgetMs,
+    async step(fn) {
+      const t = Date.now();
+      try {
+        return await fn();
+      } finally {
+        slowest = Math.max(slowest ?? 0, Date.now() - t);
+      }
+    },
+  };
+}
@@ -15,6 +15,13 @@ export function startOfMonthIso(tz = "Asia/Jerusalem"): string {
   return new Date(y, m - 1, 1).toLocaleDateString("en-CA", { timeZone: tz });
 }
 
+/** `dateIso` shifted by `days` (negative = earlier). */
+export function addDaysIso(dateIso: string, days: number): string {
+  const d = new Date(dateIso + "T12:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
 export function dayOfWeek(dateIso: string): number {
   return new Date(dateIso + "T12:00:00").getDay();
 }
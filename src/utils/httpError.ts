@@ -0,0 +1,15 @@
+/**
+ * Errors with an HTTP status for the API layer — the same { status, msg }
+ * shape requireTenantAccess (lib/helpers.js) throws, so a handler answers
+ * every one of them with res.status(err.status).json({ error: err.msg }).
+ */
+
+export interface HttpError {
+  status: number;
+  msg: string;
+}
+
+export function fail(status: number, msg: string): never {
+  const err: HttpError = { status, msg };
+  throw err;
+}
@@ -0,0 +1,10 @@
+/** Users' phones are stored local ("054-1234567"); Green API wants 972… */
+export function toIntlPhone(phone: string): string {
+  const digits = phone.replace(/\D/g, "");
+  return digits.startsWith("0") ? `972${digits.slice(1)}` : digits;
+}
+
+/** At least a local number's worth of digits. */
+export function hasUsablePhone(phone: unknown): phone is string {
+  return typeof phone === "string" && phone.replace(/\D/g, "").length >= 9;
+}
@@ -0,0 +1,112 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { backtestThresholds, importAsOf } from "../../dist/test/src/alerts/backtest.js";
+import { getAdminDb, resetDb, readDb } from "../support/fakeAdmin.js";
+import { addDaysIso, todayIso } from "../../dist/test/src/utils/dates.js";
+
+// The backtest replays the days up to today; revenue per day before it.
+const TODAY = todayIso();
+const REVENUE = [6_000, 4_000, 3_000, 7_000]; // the 4 days before today, oldest first
+
+/** Stored config: the missing-entries nudge off, so revenue alerts are all that fire. */
+const CONFIG = { missingEntryDays: 0 };
+
+beforeEach(() => {
+  const daily = {};
+  REVENUE.forEach((revenue, i) => {
+    daily[addDaysIso(TODAY, i - REVENUE.length)] = { summary: { revenue } };
+  });
+  resetDb({ tenants: { t1: { analytics: { daily }, alert_config: { b1: CONFIG } } } });
+});
+
+test("a raised revenue floor lists the days it would have flagged", async () => {
+  const result = await backtestThresholds("t1", "b1", { minDailyRevenue: 5_000 }, 5);
+
+  assert.equal(result.days, 5);
+  assert.equal(result.from, addDaysIso(TODAY, -4));
+  assert.equal(result.to, TODAY);
+  assert.equal(result.current.total, 0);
+  assert.deepEqual(result.proposed.byType, { min_revenue_breach: 2 });
+  assert.deepEqual(result.delta.bySeverity, { critical: 0, warning: 2, info: 0 });
+  assert.deepEqual(
+    result.onlyProposed.map((a) => a.date),
+    [addDaysIso(TODAY, -3), addDaysIso(TODAY, -2)]
+  );
+  assert.deepEqual(result.onlyCurrent, []);
+  assert.deepEqual(result.errors, []);
+});
+
+test("a window too short to reach a day leaves it out", async () => {
+  // Runs on today and yesterday look at yesterday and the day before.
+  const result = await backtestThresholds("t1", "b1", { minDailyRevenue: 5_000 }, 2);
+  assert.deepEqual(result.onlyProposed.map((a) => a.date), [addDaysIso(TODAY, -2)]);
+});
+
+test("lowering a stored floor shows what it would stop firing", async () => {
+  await getAdminDb().ref("tenants/t1/alert_config/b1").update({ minDailyRevenue: 5_000 });
+  const result = await backtestThresholds("t1", "b1", { minDailyRevenue: 3_500 }, 5);
+
+  assert.equal(result.current.total, 2);
+  assert.equal(result.proposed.total, 1);
+  assert.equal(result.delta.total, -1);
+  assert.deepEqual(result.onlyCurrent.map((a) => a.date), [addDaysIso(TODAY, -3)]);
+});
+
+test("a profile in the proposal applies on the days it matches", async () => {
+  const day = addDaysIso(TODAY, -2);
+  const result = await backtestThresholds(
+    "t1",
+    "b1",
+    { profiles: [{ name: "slow day", from: day, to: day, overrides: { minDailyRevenue: 5_000 } }] },
+    5
+  );
+  assert.deepEqual(result.onlyProposed.map((a) => a.date), [day]);
+});
+
+test("nothing is saved", async () => {
+  await backtestThresholds("t1", "b1", { minDailyRevenue: 5_000 }, 5);
+  assert.deepEqual(readDb("tenants/t1/alert_config/b1"), CONFIG);
+  assert.equal(readDb("tenants/t1/alerts"), null);
+});
+
+test("days and thresholds the config action would reject are 400s", async () => {
+  for (const days of [0, 31, 2.5]) {
+    await assert.rejects(backtestThresholds("t1", "b1", {}, days), {
+      status: 400,
+      msg: "days must be an integer from 1 to 30",
+    });
+  }
+  await assert.rejects(backtestThresholds("t1", "b1", [], 5), { status: 400, msg: "thresholds must be an object" });
+  await assert.rejects(backtestThresholds("t1", "b1", { minDailyRevenue: "5000" }, 5), {
+    status: 400,
+    msg: "minDailyRevenue must be a non-negative number",
+  });
+  await assert.rejects(backtestThresholds("t1", "b1", { whatsappEnabled: 1 }, 5), {
+    status: 400,
+    msg: "whatsappEnabled must be true or false",
+  });
+  await assert.rejects(backtestThresholds("t1", "b1", { minRevenue: 5000 }, 5), {
+    status: 400,
+    msg: 'unknown threshold "minRevenue"',
+  });
+  await assert.rejects(backtestThresholds("t1", "b1", { profiles: [{ name: "x", overrides: {} }] }, 5), {
+    status: 400,
+    msg: "profiles[0] needs weekdays or a from / to range",
+  });
+});
+
+test("each replayed day's health report sees the import of its own days, not a later one", () => {
+  const log = (businessDate, createdAt, status = "success") => ({ businessDate, createdAt, status });
+  // Newest first, as getRecentImportLogs returns them.
+  const logs = [
+    log("2026-03-10", 5, "failed"),
+    log("2026-03-08", 4), // a late re-import of an older day
+    log("2026-03-09", 3),
+    log("2026-03-07", 2),
+  ];
+  assert.equal(importAsOf(logs, "2026-03-10").createdAt, 5);
+  assert.equal(importAsOf(logs, "2026-03-09").createdAt, 4);
+  assert.equal(importAsOf(logs, "2026-03-07").createdAt, 2);
+  assert.equal(importAsOf(logs, "2026-03-06"), null);
+});
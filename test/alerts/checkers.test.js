@@ -0,0 +1,167 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { checkLaborPct, checkPosRevenueMismatch } from "../../dist/test/src/alerts/checkers.js";
+import { resolveThresholdsForDate } from "../../dist/test/src/alerts/configRepo.js";
+import { DEFAULT_THRESHOLDS } from "../../dist/test/src/alerts/types.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+const AS_OF = "2026-03-11";
+const DATE = "2026-03-10"; // the checkers look at yesterday
+
+beforeEach(() => resetDb());
+
+// ── pos_revenue_mismatch ──────────────────────────────────────────────────────
+
+function seedDay(manual, posReport) {
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:entries": [{ date: DATE, ...manual }],
+        [`biz:b1:pos:daily_summary:${DATE}`]: posReport,
+      },
+    },
+  });
+}
+
+const posDay = (revenueTotal, dineIn, takeaway, delivery) => ({
+  revenueTotal,
+  channels: { dineIn, takeaway, delivery },
+});
+
+test("pos_revenue_mismatch fires on yesterday's total gap", async () => {
+  seedDay({ sales: 9_500, deliveries: 0 }, posDay(10_000, 10_000, 0, 0));
+  const alert = await checkPosRevenueMismatch("t1", "b1", DEFAULT_THRESHOLDS, { asOf: AS_OF });
+
+  assert.equal(alert.type, "pos_revenue_mismatch");
+  assert.equal(alert.date, DATE);
+  assert.equal(alert.severity, "warning");
+  assert.equal(alert.currentValue, 5);
+  assert.equal(alert.threshold, DEFAULT_THRESHOLDS.posReconcileTolerancePct);
+  assert.deepEqual(alert.context, { manualTotal: 9_500, posTotal: 10_000, inStoreGap: -500, deliveryGap: 0 });
+});
+
+test("pos_revenue_mismatch is critical at three times the tolerance", async () => {
+  seedDay({ sales: 9_000, deliveries: 0 }, posDay(10_000, 10_000, 0, 0));
+  const alert = await checkPosRevenueMismatch("t1", "b1", DEFAULT_THRESHOLDS, { asOf: AS_OF });
+  assert.equal(alert.currentValue, 10);
+  assert.equal(alert.severity, "critical");
+});
+
+test("pos_revenue_mismatch reports the worse channel when the total agrees", async () => {
+  seedDay({ sales: 7_000, deliveries: 1_000 }, posDay(8_000, 5_000, 1_000, 2_000));
+  const alert = await checkPosRevenueMismatch("t1", "b1", DEFAULT_THRESHOLDS, { asOf: AS_OF });
+  // Delivery is off by 50% of the register, in-store by 16.7%.
+  assert.equal(alert.currentValue, 50);
+  assert.match(alert.title, /משלוחים/);
+});
+
+test("pos_revenue_mismatch stays quiet within tolerance or without a POS report", async () => {
+  seedDay({ sales: 10_100, deliveries: 0 }, posDay(10_000, 10_000, 0, 0));
+  assert.equal(await checkPosRevenueMismatch("t1", "b1", DEFAULT_THRESHOLDS, { asOf: AS_OF }), null);
+
+  resetDb({ tenants: { t1: { "biz:b1:entries": [{ date: DATE, sales: 100, deliveries: 0 }] } } });
+  assert.equal(await checkPosRevenueMismatch("t1", "b1", DEFAULT_THRESHOLDS, { asOf: AS_OF }), null);
+});
+
+test("pos_revenue_mismatch uses the tolerance of the day's threshold profile", async () => {
+  seedDay({ sales: 9_500, deliveries: 0 }, posDay(10_000, 10_000, 0, 0));
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [{ id: "p1", name: "Tuesdays", weekdays: [2], overrides: { posReconcileTolerancePct: 6 } }],
+  };
+  assert.equal(await checkPosRevenueMismatch("t1", "b1", thresholds, { asOf: AS_OF }), null);
+});
+
+// ── Threshold profiles ────────────────────────────────────────────────────────
+
+const profile = (id, scope, overrides) => ({ id, name: id, ...scope, overrides });
+
+test("the more specific profile wins where two overlap, whatever the list order", () => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [
+      profile("war", { from: "2026-03-10", to: "2026-03-12" }, { laborPctMax: 50 }),
+      profile("summer_thu", { weekdays: [4], from: "06-01", to: "08-31" }, { laborPctMax: 45 }),
+      profile("summer", { from: "06-01", to: "08-31" }, { laborPctMax: 42, foodCostPctMax: 36 }),
+      profile("thursday", { weekdays: [4] }, { laborPctMax: 40 }),
+    ],
+  };
+  const laborMax = (date) => resolveThresholdsForDate(thresholds, date).laborPctMax;
+
+  assert.equal(laborMax("2026-03-09"), 30); // Monday: flat
+  assert.equal(laborMax("2026-03-05"), 40); // Thursday
+  assert.equal(laborMax("2026-03-12"), 50); // Thursday inside the one-off range
+  assert.equal(laborMax("2026-07-01"), 42); // Wednesday in summer
+  assert.equal(laborMax("2026-07-02"), 45); // Thursday in summer
+  // Overrides merge: the summer-Thursday limit, summer's food cost.
+  assert.equal(resolveThresholdsForDate(thresholds, "2026-07-02").foodCostPctMax, 36);
+});
+
+test("between equally specific profiles the later one wins", () => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [
+      profile("thu", { weekdays: [4] }, { laborPctMax: 40 }),
+      profile("thu_fri", { weekdays: [4, 5] }, { laborPctMax: 38 }),
+    ],
+  };
+  assert.equal(resolveThresholdsForDate(thresholds, "2026-03-05").laborPctMax, 38);
+});
+
+test("a yearly range can wrap the new year", () => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [profile("winter", { from: "12-20", to: "01-10" }, { laborPctMax: 33 })],
+  };
+  assert.equal(resolveThresholdsForDate(thresholds, "2026-12-25").laborPctMax, 33);
+  assert.equal(resolveThresholdsForDate(thresholds, "2027-01-05").laborPctMax, 33);
+  assert.equal(resolveThresholdsForDate(thresholds, "2027-01-11").laborPctMax, 30);
+});
+
+/** checkLaborPct's window: the 7 days before asOf and asOf itself, laborPct% each. */
+function laborHistory(days) {
+  const raw = Object.fromEntries(
+    Object.entries(days).map(([date, [revenue, laborPct]]) => [
+      date,
+      { e1: { revenue, laborCost: (revenue * laborPct) / 100 } },
+    ])
+  );
+  return { daily: async (from, to) => Object.fromEntries(Object.entries(raw).filter(([d]) => d >= from && d <= to)) };
+}
+
+test("a window spanning weekday and range profiles holds each day to its own limit, revenue-weighted", async () => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [
+      profile("war", { from: "2026-03-10", to: "2026-03-12" }, { laborPctMax: 50, laborPctCritical: 55 }),
+      profile("thursday", { weekdays: [4] }, { laborPctMax: 40, laborPctCritical: 45 }),
+    ],
+  };
+  // Mon (flat 30/35), Tue (war 50/55), Thu in war (50/55, not 40/45), Thu (40/45).
+  const history = laborHistory({
+    "2026-03-09": [1_000, 43],
+    "2026-03-10": [1_000, 43],
+    "2026-03-12": [1_000, 43],
+    "2026-03-05": [1_000, 43],
+  });
+  const alert = await checkLaborPct("t1", "b1", thresholds, { asOf: "2026-03-12", history });
+
+  assert.equal(alert.severity, "warning");
+  assert.equal(alert.currentValue, 43);
+  assert.equal(alert.threshold, 42.5); // (30 + 50 + 50 + 40) / 4
+});
+
+test("a busier day pulls the window's limit toward its own", async () => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    profiles: [profile("war", { from: "2026-03-10", to: "2026-03-12" }, { laborPctMax: 50, laborPctCritical: 55 })],
+  };
+  // 3,000 of war-day revenue against 1,000 of a flat day: max (30 + 3 × 50) / 4 = 45.
+  const history = laborHistory({ "2026-03-09": [1_000, 44], "2026-03-11": [3_000, 44] });
+  assert.equal(await checkLaborPct("t1", "b1", thresholds, { asOf: "2026-03-12", history }), null);
+
+  const noProfiles = await checkLaborPct("t1", "b1", DEFAULT_THRESHOLDS, { asOf: "2026-03-12", history });
+  assert.equal(noProfiles.severity, "critical");
+  assert.equal(noProfiles.threshold, 35);
+});
@@ -0,0 +1,213 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import {
+  describeRuleAlert,
+  evaluateAlertRule,
+  ruleLookbackDays,
+  validateAlertRule,
+} from "../../dist/test/src/alerts/rules.js";
+import { checkCustomRules } from "../../dist/test/src/alerts/checkers.js";
+import { addDaysIso, todayIso } from "../../dist/test/src/utils/dates.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+const NOW = new Date("2026-03-11T08:00:00Z");
+
+/** "Delivery share above 40% for 3 days". */
+const RULE = {
+  name: "משלוחים גבוהים",
+  metric: "delivery_share_pct",
+  aggregation: "min",
+  windowDays: 3,
+  comparator: ">",
+  threshold: 40,
+};
+
+// ── validateAlertRule ─────────────────────────────────────────────────────────
+
+test("a valid rule is normalized with an id, defaults and timestamps", () => {
+  const rule = validateAlertRule({ ...RULE, name: "  משלוחים גבוהים ", threshold: "40", weekdays: [5, 4, 5] }, NOW);
+  assert.deepEqual(rule, {
+    id: `rule_${NOW.getTime().toString(36)}`,
+    ...RULE,
+    weekdays: [4, 5],
+    severity: "warning",
+    enabled: true,
+    createdAt: NOW.toISOString(),
+    updatedAt: NOW.toISOString(),
+  });
+});
+
+test("an edit keeps its id and createdAt; every weekday or none is no filter", () => {
+  const rule = validateAlertRule(
+    { ...RULE, id: "r1", createdAt: "2026-01-01T00:00:00.000Z", weekdays: [0, 1, 2, 3, 4, 5, 6], enabled: false },
+    NOW
+  );
+  assert.equal(rule.id, "r1");
+  assert.equal(rule.createdAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(rule.updatedAt, NOW.toISOString());
+  assert.equal(rule.enabled, false);
+  assert.equal("weekdays" in rule, false);
+  assert.equal("weekdays" in validateAlertRule({ ...RULE, weekdays: [] }, NOW), false);
+});
+
+test("each bad field is a 400 naming it", () => {
+  const cases = [
+    [null, "rule must be an object"],
+    [[RULE], "rule must be an object"],
+    [{ ...RULE, id: "has space" }, "id must be 1–40 letters, digits, _ or -"],
+    [{ ...RULE, id: 7 }, "id must be 1–40 letters, digits, _ or -"],
+    [{ ...RULE, name: "   " }, "name is required (up to 80 characters)"],
+    [{ ...RULE, name: "x".repeat(81) }, "name is required (up to 80 characters)"],
+    [
+      { ...RULE, metric: "profit" },
+      "metric must be one of: revenue_total, sales, deliveries, delivery_share_pct, food_cost_pct, labor_pct, avg_check, tickets, alert_minutes",
+    ],
+    [{ ...RULE, aggregation: "median" }, "aggregation must be one of: avg, sum, min, max"],
+    [
+      { ...RULE, aggregation: "sum" },
+      'aggregation "sum" is meaningless for a percentage (delivery_share_pct); use avg, min or max',
+    ],
+    [{ ...RULE, comparator: "==" }, "comparator must be one of: >, >=, <, <="],
+    [{ ...RULE, severity: "urgent" }, "severity must be one of: critical, warning, info"],
+    [{ ...RULE, windowDays: 0 }, "windowDays must be a whole number between 1 and 30"],
+    [{ ...RULE, windowDays: 31 }, "windowDays must be a whole number between 1 and 30"],
+    [{ ...RULE, windowDays: 2.5 }, "windowDays must be a whole number between 1 and 30"],
+    [{ ...RULE, threshold: "" }, "threshold must be a number"],
+    [{ ...RULE, threshold: "forty" }, "threshold must be a number"],
+    [{ ...RULE, threshold: Infinity }, "threshold must be a number"],
+    [{ ...RULE, weekdays: [7] }, "weekdays must be an array of 0 (Sunday) … 6 (Saturday)"],
+    [{ ...RULE, weekdays: "5" }, "weekdays must be an array of 0 (Sunday) … 6 (Saturday)"],
+    [{ ...RULE, enabled: "yes" }, "enabled must be true or false"],
+  ];
+  for (const [input, msg] of cases) {
+    assert.throws(() => validateAlertRule(input, NOW), { status: 400, msg }, JSON.stringify(input));
+  }
+});
+
+test("sum is allowed on amounts", () => {
+  assert.equal(validateAlertRule({ ...RULE, metric: "deliveries", aggregation: "sum" }, NOW).aggregation, "sum");
+});
+
+// ── evaluateAlertRule ─────────────────────────────────────────────────────────
+
+const rule = (patch = {}) => validateAlertRule({ ...RULE, ...patch }, NOW);
+
+/** A day with a manual entry: `deliveries` of a 10,000 total. */
+const entryDay = (date, deliveries, extra = {}) => ({
+  date,
+  doc: {
+    date,
+    revenue: { had_entry: true, total: 10_000, sales: 10_000 - deliveries, deliveries, food_cost: 3_000, payroll: 0 },
+    ...extra,
+  },
+});
+
+test("the newest windowDays days with a value are aggregated, any order in", () => {
+  const days = [
+    entryDay("2026-03-06", 1_000),
+    entryDay("2026-03-10", 4_500),
+    { date: "2026-03-09" }, // no entry: skipped, not counted as zero
+    entryDay("2026-03-08", 4_200),
+    entryDay("2026-03-07", 4_100),
+  ];
+  const result = evaluateAlertRule(rule(), days);
+  assert.deepEqual(result, { fired: true, value: 41, dates: ["2026-03-10", "2026-03-08", "2026-03-07"] });
+});
+
+test("every aggregation and comparator", () => {
+  const days = [entryDay("2026-03-10", 4_500), entryDay("2026-03-09", 4_000), entryDay("2026-03-08", 3_000)];
+  const value = (patch) => evaluateAlertRule(rule(patch), days);
+
+  assert.equal(value({ aggregation: "min" }).value, 30);
+  assert.equal(value({ aggregation: "max" }).value, 45);
+  assert.equal(value({ aggregation: "avg" }).value, 38.3); // rounded to 0.1
+  assert.equal(value({ metric: "deliveries", aggregation: "sum", threshold: 11_500 }).value, 11_500);
+  assert.equal(value({ metric: "deliveries", aggregation: "sum", comparator: ">", threshold: 11_500 }).fired, false);
+  assert.equal(value({ metric: "deliveries", aggregation: "sum", comparator: ">=", threshold: 11_500 }).fired, true);
+  assert.equal(value({ aggregation: "max", comparator: "<", threshold: 45 }).fired, false);
+  assert.equal(value({ aggregation: "max", comparator: "<=", threshold: 45 }).fired, true);
+});
+
+test("a rule never fires on fewer days than its window", () => {
+  const days = [entryDay("2026-03-10", 9_000), entryDay("2026-03-09", 9_000), { date: "2026-03-08" }];
+  assert.equal(evaluateAlertRule(rule(), days), null);
+});
+
+test("the weekday filter picks only those days", () => {
+  // 2026-03-05 and 2026-03-12 are Thursdays (4).
+  const days = [
+    entryDay("2026-03-12", 5_000),
+    entryDay("2026-03-11", 0),
+    entryDay("2026-03-05", 4_500),
+    entryDay("2026-03-04", 0),
+  ];
+  const result = evaluateAlertRule(rule({ windowDays: 2, weekdays: [4] }), days);
+  assert.deepEqual(result.dates, ["2026-03-12", "2026-03-05"]);
+  assert.equal(result.fired, true);
+  assert.equal(ruleLookbackDays(rule({ windowDays: 2, weekdays: [4] })), 21);
+  assert.equal(ruleLookbackDays(rule({ windowDays: 30, weekdays: [4] })), 60);
+});
+
+test("POS and alert metrics read their own sources", () => {
+  const day = (date, tickets, open_minutes) => ({
+    date,
+    doc: { date, alerts: { open_minutes, alert_minutes: 999 } },
+    pos: { businessDate: date, tickets, avgCheck: 60 },
+  });
+  const days = [day("2026-03-10", 120, 30), day("2026-03-09", 80, 0)];
+  const tickets = rule({ metric: "tickets", aggregation: "avg", windowDays: 2, comparator: "<", threshold: 110 });
+  assert.deepEqual(evaluateAlertRule(tickets, days), { fired: true, value: 100, dates: ["2026-03-10", "2026-03-09"] });
+  // open_minutes (in business hours) wins over the all-day alert_minutes.
+  const shelter = rule({ metric: "alert_minutes", aggregation: "max", windowDays: 2, threshold: 20 });
+  assert.equal(evaluateAlertRule(shelter, days).value, 30);
+  // No entry that day: no share to compute.
+  assert.equal(evaluateAlertRule(rule({ windowDays: 1 }), days), null);
+});
+
+test("describeRuleAlert spells out the rule and its days, oldest first", () => {
+  const r = rule({ weekdays: [4, 5] });
+  const { title, message } = describeRuleAlert(r, { fired: true, value: 41, dates: ["2026-03-13", "2026-03-12", "2026-03-06"] });
+  assert.equal(title, "משלוחים גבוהים — 41%");
+  assert.equal(
+    message,
+    'מינימום אחוז משלוחים ב-3 הימים האחרונים (ימים ה׳, ו׳): 41% — מעל 40% (חוק "משלוחים גבוהים"). ימים: 2026-03-06, 2026-03-12, 2026-03-13.'
+  );
+});
+
+// ── checkCustomRules ──────────────────────────────────────────────────────────
+
+const TODAY = todayIso();
+
+function seed(rules, shares) {
+  const tenant = { alert_rules: { b1: Object.fromEntries(rules.map((r) => [r.id, r])) } };
+  shares.forEach((deliveries, i) => {
+    const date = addDaysIso(TODAY, -(i + 1));
+    tenant[`biz:b1:analytics:daily:${date}`] = entryDay(date, deliveries).doc;
+  });
+  resetDb({ tenants: { t1: tenant } });
+}
+
+beforeEach(() => resetDb());
+
+test("an enabled rule that holds fires once, dated by its newest day", async () => {
+  seed(
+    [rule({ id: "high" }), rule({ id: "off", enabled: false }), rule({ id: "quiet", threshold: 50 })],
+    [4_500, 4_200, 4_100, 1_000] // yesterday first
+  );
+  const alerts = await checkCustomRules("t1", "b1");
+
+  assert.equal(alerts.length, 1);
+  const [alert] = alerts;
+  assert.equal(alert.id, `b1:custom_rule:${addDaysIso(TODAY, -1)}:high`);
+  assert.equal(alert.type, "custom_rule");
+  assert.equal(alert.severity, "warning");
+  assert.equal(alert.currentValue, 41);
+  assert.equal(alert.threshold, 40);
+  assert.deepEqual(alert.context.dates, [1, 2, 3].map((d) => addDaysIso(TODAY, -d)));
+});
+
+test("a biz without rules gets no custom alerts", async () => {
+  seed([], [9_000, 9_000, 9_000]);
+  assert.deepEqual(await checkCustomRules("t1", "b1"), []);
+});
@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import {
+  createBackfillJob,
+  getBackfillJob,
+  runBackfillChunk,
+} from "../../dist/test/src/analytics/backfill.js";
+import { handleBackfill } from "../../dist/test/src/handlers/dailyBuilder/backfill.js";
+import { getAdminDb, resetDb, readDb } from "../support/fakeAdmin.js";
+
+const START = "2026-03-01";
+const END = "2026-03-05";
+const POS_ONLY = { steps: { pos: true, analytics: false } };
+const jobNode = (jobId) => `tenants/t1/biz:b1:backfill_jobs/${jobId}`;
+const patchJob = (jobId, patch) => getAdminDb().ref(jobNode(jobId)).update(patch);
+
+process.env.BEECOMM_BACKFILL_TEST_KEY = "k";
+
+// The POS step goes through the registered Beecomm connector; its API is
+// stubbed and records which days were fetched.
+const realFetch = globalThis.fetch;
+let fetchedDates;
+
+beforeEach(() => {
+  fetchedDates = [];
+  globalThis.fetch = async (url) => {
+    const date = new URL(String(url)).searchParams.get("date");
+    fetchedDates.push(date);
+    return Response.json({ total_sales: 1000, transaction_count: 10 });
+  };
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:pos_config": {
+          sourceSystem: "beecomm",
+          externalBranchId: "",
+          credentialRef: "BEECOMM_BACKFILL_TEST_KEY",
+          capabilities: { dailySummary: true, hourly: false, itemSales: false, payments: false },
+          enabled: true,
+        },
+      },
+    },
+  });
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("each chunk checkpoints its days and the next one resumes from the cursor", async () => {
+  const job = await createBackfillJob("t1", "b1", START, END, POS_ONLY);
+
+  const first = await runBackfillChunk("t1", "b1", job.jobId, { maxDays: 2 });
+  assert.equal(first.status, "pending");
+  assert.equal(first.cursor, "2026-03-03");
+  assert.deepEqual(fetchedDates, ["2026-03-01", "2026-03-02"]);
+  // Persisted, not just returned: a fresh read sees the checkpoint.
+  const stored = await getBackfillJob("t1", "b1", job.jobId);
+  assert.equal(stored.cursor, "2026-03-03");
+  assert.deepEqual(Object.keys(stored.days), ["2026-03-01", "2026-03-02"]);
+  assert.equal(stored.leaseUntil, 0);
+
+  const second = await runBackfillChunk("t1", "b1", job.jobId, { maxDays: 10 });
+  assert.equal(second.status, "completed");
+  assert.equal(second.cursor, null);
+  assert.deepEqual(second.counts, { success: 5, skipped: 0, failed: 0 });
+  assert.deepEqual(fetchedDates, ["2026-03-01", "2026-03-02", "2026-03-03", "2026-03-04", "2026-03-05"]);
+
+  // A completed job is returned as is.
+  await runBackfillChunk("t1", "b1", job.jobId);
+  assert.equal(fetchedDates.length, 5);
+});
+
+test("a chunk that died mid-run resumes once its lease has expired", async () => {
+  const job = await createBackfillJob("t1", "b1", START, END, POS_ONLY);
+  await runBackfillChunk("t1", "b1", job.jobId, { maxDays: 1 });
+  // What a crashed invocation leaves behind: still "running", lease lapsed.
+  await patchJob(job.jobId, { status: "running", leaseUntil: Date.now() - 1 });
+
+  const resumed = await runBackfillChunk("t1", "b1", job.jobId, { maxDays: 10 });
+  assert.equal(resumed.status, "completed");
+  assert.deepEqual(fetchedDates, ["2026-03-01", "2026-03-02", "2026-03-03", "2026-03-04", "2026-03-05"]);
+});
+
+test("a job whose lease is held is refused with 409", async () => {
+  const job = await createBackfillJob("t1", "b1", START, END, POS_ONLY);
+  const leaseUntil = Date.now() + 30_000;
+  await patchJob(job.jobId, { status: "running", leaseUntil });
+
+  await assert.rejects(runBackfillChunk("t1", "b1", job.jobId), { status: 409 });
+  assert.deepEqual(fetchedDates, []);
+  // The refused call leaves the holder's lease alone.
+  assert.equal(readDb(`${jobNode(job.jobId)}/leaseUntil`), leaseUntil);
+});
+
+test("of two concurrent chunks on one job, only one runs", async () => {
+  const job = await createBackfillJob("t1", "b1", START, END, POS_ONLY);
+  const results = await Promise.allSettled([
+    runBackfillChunk("t1", "b1", job.jobId, { maxDays: 10 }),
+    runBackfillChunk("t1", "b1", job.jobId, { maxDays: 10 }),
+  ]);
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(results.find((r) => r.status === "rejected").reason.status, 409);
+  assert.equal(fetchedDates.length, 5);
+  assert.equal(readDb(jobNode(job.jobId)).status, "completed");
+});
+
+test("the route rejects a maxDays that isn't an integer from 1 to 60", async () => {
+  const job = await createBackfillJob("t1", "b1", START, END, POS_ONLY);
+  for (const maxDays of ["7", 2.5, 0, 61, null]) {
+    let status;
+    let json;
+    const res = {
+      status(s) {
+        status = s;
+        return this;
+      },
+      json(j) {
+        json = j;
+        return this;
+      },
+    };
+    const body = { action: "backfill_resume", tenantId: "t1", bizId: "b1", jobId: job.jobId, maxDays };
+    await handleBackfill({ headers: { "x-vercel-cron": "1" }, body }, res);
+    assert.equal(status, 400, `maxDays ${JSON.stringify(maxDays)}`);
+    assert.deepEqual(json, { error: "maxDays must be an integer from 1 to 60" });
+  }
+  assert.deepEqual(fetchedDates, []);
+});
@@ -0,0 +1,89 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { buildDailyDoc } from "../../lib/analytics/builder.js";
+
+const DATE = "2026-03-10";
+
+// Oref history: two alerts in Hadera (overlapping windows), one in Tel Aviv.
+const OREF_HISTORY = [
+  { alertDate: `${DATE} 12:00:00`, data: "חדרה" },
+  { alertDate: `${DATE} 12:04:00`, data: "חדרה" },
+  { alertDate: `${DATE} 19:30:00`, data: "תל אביב - מרכז העיר" },
+];
+
+const realFetch = globalThis.fetch;
+
+function stubUpstreams() {
+  globalThis.fetch = async (url) => {
+    const u = new URL(String(url));
+    if (u.hostname === "api.beecomm.co.il") {
+      return Response.json({ total_sales: 5000, transaction_count: 50 });
+    }
+    if (u.hostname === "api.open-meteo.com") {
+      // Rain only north of 32.2 — distinguishes the two coordinates.
+      const rainy = Number(u.searchParams.get("latitude")) > 32.2;
+      return Response.json({
+        daily: {
+          precipitation_sum: [rainy ? 12 : 0],
+          temperature_2m_mean: [rainy ? 14 : 19],
+          windspeed_10m_max: [20],
+        },
+      });
+    }
+    if (u.hostname === "www.oref.org.il") return Response.json(OREF_HISTORY);
+    throw new Error(`unexpected fetch ${url}`);
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const HADERA = { lat: 32.434, lon: 34.919, orefAreas: ["חדרה"], areasSource: "regions" };
+const TEL_AVIV = { lat: 32.08, lon: 34.78, orefAreas: ["תל אביב"], areasSource: "regions" };
+
+test("two regions produce different feature docs", async () => {
+  stubUpstreams();
+  const north = await buildDailyDoc("t1", DATE, { location: HADERA });
+  const center = await buildDailyDoc("t1", DATE, { location: TEL_AVIV });
+
+  assert.equal(north.doc.revenue_total, center.doc.revenue_total);
+
+  assert.equal(north.doc.weather.is_rain_day, true);
+  assert.equal(center.doc.weather.is_rain_day, false);
+
+  // 12:00 + 12:04 merge into one 14-minute episode.
+  assert.equal(north.doc.alerts.alert_count, 2);
+  assert.equal(north.doc.alerts.alert_minutes, 14);
+  assert.equal(north.doc.alerts.episodes.length, 1);
+  assert.equal(center.doc.alerts.alert_count, 1);
+  assert.equal(center.doc.alerts.alert_minutes, 10);
+
+  assert.deepEqual(north.doc.meta.location.oref_areas, ["חדרה"]);
+  assert.deepEqual(center.doc.meta.location.oref_areas, ["תל אביב"]);
+});
+
+test("shelter minutes and the operating window come from the caller", async () => {
+  stubUpstreams();
+  // Open 18:00–03:00, 15 minutes in shelter: the 19:30 alert is in hours.
+  const { doc } = await buildDailyDoc("t1", DATE, {
+    location: TEL_AVIV,
+    alertWindow: { open: 1080, close: 1620 },
+    shelterMinutesFor: () => 15,
+  });
+  assert.equal(doc.alerts.alert_minutes, 15);
+  assert.equal(doc.alerts.open_minutes, 15);
+
+  // Hadera's noon alerts came before the bar opened.
+  const bar = await buildDailyDoc("t1", DATE, { location: HADERA, alertWindow: { open: 1080, close: 1620 } });
+  assert.equal(bar.doc.alerts.alert_minutes, 14);
+  assert.equal(bar.doc.alerts.open_minutes, 0);
+});
+
+test("no location falls back to the Hadera pilot defaults", async () => {
+  stubUpstreams();
+  const { doc } = await buildDailyDoc("t1", DATE);
+  assert.equal(doc.meta.location, null);
+  assert.equal(doc.weather.is_rain_day, true);
+  assert.equal(doc.alerts.alert_count, 2);
+});
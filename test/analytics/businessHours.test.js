@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json).
+import {
+  businessDateOf,
+  crossesMidnight,
+  hourOrder,
+  hourSlots,
+  isBusinessDayClosed,
+  isOpenHour,
+  parseBusinessHours,
+  quarterSlots,
+  windowMinutes,
+} from "../../dist/test/src/analytics/businessHours.js";
+import { normalizeFileDaily, normalizeWebhookTickets } from "../../dist/test/src/pos/normalize.js";
+
+const BAR = { open: "18:00", close: "03:00" };
+const CTX = { tenantId: "t1", businessId: "b1" };
+
+// ── The window ────────────────────────────────────────────────────────────────
+
+test("parseBusinessHours accepts HH or HH:MM and only a 15-minute bucket option", () => {
+  assert.deepEqual(parseBusinessHours({ open: "18", close: "3" }), BAR);
+  assert.deepEqual(parseBusinessHours({ open: " 8:30", close: "22:30", bucketMinutes: "15" }), {
+    open: "08:30",
+    close: "22:30",
+    bucketMinutes: 15,
+  });
+  assert.deepEqual(parseBusinessHours({ open: "08:00", close: "22:00", bucketMinutes: 30 }), {
+    open: "08:00",
+    close: "22:00",
+  });
+  assert.equal(parseBusinessHours({ open: "24:00", close: "03:00" }), null);
+  assert.equal(parseBusinessHours({ open: "18:00" }), null);
+  assert.equal(parseBusinessHours("18-03"), null);
+});
+
+test("a close at or before the open crosses midnight; equal is a 24h venue", () => {
+  assert.equal(crossesMidnight(BAR), true);
+  assert.equal(crossesMidnight({ open: "08:00", close: "22:00" }), false);
+  assert.deepEqual(windowMinutes(BAR), { open: 1080, close: 1620 });
+  assert.deepEqual(windowMinutes({ open: "06:00", close: "06:00" }), { open: 360, close: 1800 });
+});
+
+test("hour slots run in operating order across midnight", () => {
+  assert.deepEqual(hourSlots(BAR), ["18", "19", "20", "21", "22", "23", "00", "01", "02"]);
+  // A part-open hour counts.
+  assert.deepEqual(hourSlots({ open: "08:30", close: "22:30" }), [
+    "08", "09", "10", "11", "12", "13", "14", "15", "16", "17", "18", "19", "20", "21", "22",
+  ]);
+  const allDay = hourSlots({ open: "06:00", close: "06:00" });
+  assert.equal(allDay.length, 24);
+  assert.deepEqual([allDay[0], allDay[23]], ["06", "05"]);
+
+  assert.equal(isOpenHour(1, BAR), true);
+  assert.equal(isOpenHour(3, BAR), false);
+  assert.equal(hourOrder(18, BAR), 0);
+  assert.equal(hourOrder(2, BAR), 8);
+  assert.ok(hourOrder(23, BAR) < hourOrder(0, BAR));
+});
+
+test("quarter slots start at the quarter the window opens in and wrap midnight", () => {
+  assert.deepEqual(quarterSlots({ open: "23:10", close: "01:00" }), [
+    "23:00", "23:15", "23:30", "23:45", "00:00", "00:15", "00:30", "00:45",
+  ]);
+  assert.equal(quarterSlots(BAR).length, 36);
+  assert.equal(quarterSlots({ open: "00:00", close: "00:00" }).length, 96);
+});
+
+// ── Business day ──────────────────────────────────────────────────────────────
+
+test("before close, the small hours belong to the night before", () => {
+  assert.equal(businessDateOf("2026-03-11", 1, 30, BAR), "2026-03-10");
+  assert.equal(businessDateOf("2026-03-11", 2, 59, BAR), "2026-03-10");
+  assert.equal(businessDateOf("2026-03-11", 3, 0, BAR), "2026-03-11");
+  assert.equal(businessDateOf("2026-03-11", 19, 0, BAR), "2026-03-11");
+  // Across a month end.
+  assert.equal(businessDateOf("2026-04-01", 0, 5, BAR), "2026-03-31");
+  // A window that doesn't cross midnight never moves a time.
+  assert.equal(businessDateOf("2026-03-11", 1, 30), "2026-03-11");
+});
+
+test("a bar's day is still open at 02:30 the next morning", () => {
+  // March 2026 is before Israeli DST: local = UTC+2.
+  const at = (iso) => new Date(iso);
+  assert.equal(isBusinessDayClosed("2026-03-10", BAR, at("2026-03-11T00:30:00Z")), false);
+  assert.equal(isBusinessDayClosed("2026-03-10", BAR, at("2026-03-11T01:00:00Z")), true);
+  assert.equal(isBusinessDayClosed("2026-03-10", BAR, at("2026-03-10T21:00:00Z")), false);
+  assert.equal(isBusinessDayClosed("2026-03-10", BAR, at("2026-03-12T10:00:00Z")), true);
+
+  const cafe = { open: "08:00", close: "22:00" };
+  assert.equal(isBusinessDayClosed("2026-03-10", cafe, at("2026-03-10T19:59:00Z")), false);
+  assert.equal(isBusinessDayClosed("2026-03-10", cafe, at("2026-03-10T20:00:00Z")), true);
+});
+
+// ── Bucketing ─────────────────────────────────────────────────────────────────
+
+const ticket = (time, amount) => ({ ticketId: time, amount, channel: null, time, businessDate: "2026-03-10" });
+
+test("pushed tickets are bucketed by hour and quarter in operating order", () => {
+  const report = normalizeWebhookTickets(
+    [ticket("18:00", 10), ticket("23:59", 20), ticket("00:14", 30), ticket("00:15", 40), ticket("02:59", 50)],
+    { ...CTX, businessHours: { ...BAR, bucketMinutes: 15 } },
+    "2026-03-10",
+    "beecomm"
+  );
+
+  assert.deepEqual(Object.keys(report.hourly), hourSlots(BAR));
+  assert.deepEqual(
+    Object.entries(report.hourly).filter(([, v]) => v > 0),
+    [["18", 10], ["23", 20], ["00", 70], ["02", 50]]
+  );
+  assert.deepEqual(Object.keys(report.quarterHourly), quarterSlots(BAR));
+  assert.equal(report.quarterHourly["18:00"], 10);
+  assert.equal(report.quarterHourly["23:45"], 20);
+  assert.equal(report.quarterHourly["00:00"], 30);
+  assert.equal(report.quarterHourly["00:15"], 40);
+  assert.equal(report.quarterHourly["02:45"], 50);
+});
+
+test("quarters are only kept when the business asks for them", () => {
+  const report = normalizeWebhookTickets([ticket("19:07", 10)], { ...CTX, businessHours: BAR }, "2026-03-10", "beecomm");
+  assert.equal(report.hourly["19"], 10);
+  assert.equal("quarterHourly" in report, false);
+});
+
+test("sales outside the window count toward the total but no bucket", () => {
+  const report = normalizeWebhookTickets(
+    [ticket("12:00", 100), ticket("19:00", 10)],
+    { ...CTX, businessHours: { ...BAR, bucketMinutes: 15 } },
+    "2026-03-10",
+    "beecomm"
+  );
+  assert.equal(report.revenueTotal, 110);
+  assert.equal(Object.values(report.hourly).reduce((s, v) => s + v, 0), 10);
+  assert.equal(report.quarterHourly["12:00"], undefined);
+});
+
+test("a ticket file's after-midnight rows land on the night before", () => {
+  const table = {
+    header: ["date", "time", "amount"],
+    rows: [
+      ["10/03/2026", "22:40", "100"],
+      ["11/03/2026", "01:30", "50"],
+      ["11/03/2026", "03:10", "999"], // the next business day
+      ["10/03/2026", "01:00", "777"], // the day before's night
+    ],
+  };
+  const profile = { layout: "tickets", dateFormat: "DD/MM/YYYY", columns: { date: "date", time: "time", amount: "amount" } };
+  const report = normalizeFileDaily(table, profile, { ...CTX, businessHours: { ...BAR, bucketMinutes: 15 } }, "2026-03-10");
+
+  assert.equal(report.revenueTotal, 150);
+  assert.equal(report.tickets, 2);
+  assert.equal(report.hourly["22"], 100);
+  assert.equal(report.hourly["01"], 50);
+  assert.equal(report.quarterHourly["22:30"], 100);
+  assert.equal(report.quarterHourly["01:30"], 50);
+});
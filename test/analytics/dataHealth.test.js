@@ -0,0 +1,234 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { buildDataHealthReport, summarizeDataHealth } from "../../dist/test/src/analytics/dataHealth.js";
+import { checkMissingEntries } from "../../dist/test/src/alerts/checkers.js";
+import { DEFAULT_THRESHOLDS } from "../../dist/test/src/alerts/types.js";
+import { addDaysIso, dateRange, todayIso } from "../../dist/test/src/utils/dates.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+// Three weeks from a Sunday: Saturdays 7, 14 and 21.
+const DATES = dateRange("2026-03-01", "2026-03-21");
+const isSaturday = (date) => new Date(`${date}T12:00:00Z`).getUTCDay() === 6;
+
+/** An analytics doc carrying only what the report reads. */
+const doc = (date, { entry = "ok", weather = "ok", alerts = "ok" } = {}) => ({
+  date,
+  meta: { sources: { entry, weather, alerts } },
+});
+
+/** Closed Saturdays, no doc on the 10th, no weather on the 5th, no entry on the 19th and 20th. */
+function cafeDocs() {
+  return DATES.filter((d) => d !== "2026-03-10").map((d) =>
+    doc(d, {
+      entry: isSaturday(d) || d === "2026-03-19" || d === "2026-03-20" ? "missing" : "ok",
+      weather: d === "2026-03-05" ? "missing" : "ok",
+    })
+  );
+}
+
+const NO_POS = { configured: false, reportDates: [], lastImport: null };
+
+// ── summarizeDataHealth ───────────────────────────────────────────────────────
+
+test("lists gaps per source, skips closed weekdays and scores what was expected", () => {
+  const report = summarizeDataHealth({ tenantId: "t1", bizId: "b1", dates: DATES, docs: cafeDocs(), pos: NO_POS, now: 1 });
+
+  assert.deepEqual(report, {
+    tenantId: "t1",
+    bizId: "b1",
+    from: "2026-03-01",
+    to: "2026-03-21",
+    generatedAt: 1,
+    // 18 open days: entry (×3) lacks 3, weather 2, alerts 1.
+    score: 0.86,
+    freshness: 0.75,
+    coverage: { entry: 0.83, weather: 0.89, alerts: 0.94 },
+    missing: {
+      doc: ["2026-03-10"],
+      entry: ["2026-03-19", "2026-03-20"],
+      weather: ["2026-03-05"],
+      alerts: [],
+      pos: [],
+    },
+    closedWeekdays: [6],
+    // Saturday the 21st is closed, so the gap is Thursday and Friday.
+    entryGapDays: 2,
+    latestEntryDate: "2026-03-18",
+    pos: { configured: false, stale: false },
+  });
+});
+
+test("freshness steps down with the entry gap", () => {
+  const freshness = (lastEntry) =>
+    summarizeDataHealth({
+      tenantId: "t1",
+      bizId: "b1",
+      dates: DATES,
+      docs: DATES.map((d) => doc(d, { entry: d <= lastEntry ? "ok" : "missing" })),
+      pos: NO_POS,
+    });
+
+  assert.deepEqual([freshness("2026-03-21").freshness, freshness("2026-03-21").entryGapDays], [1, 0]);
+  assert.deepEqual([freshness("2026-03-20").freshness, freshness("2026-03-20").entryGapDays], [1, 1]);
+  assert.deepEqual([freshness("2026-03-18").freshness, freshness("2026-03-18").entryGapDays], [0.75, 3]);
+  assert.deepEqual([freshness("2026-03-17").freshness, freshness("2026-03-17").entryGapDays], [0.4, 4]);
+  assert.equal(freshness("2026-03-17").latestEntryDate, "2026-03-17");
+});
+
+test("a POS feed that stopped caps freshness and counts against the score", () => {
+  const docs = DATES.map((d) => doc(d, { entry: isSaturday(d) ? "missing" : "ok" }));
+  const reportDates = DATES.filter((d) => !isSaturday(d) && d < "2026-03-19");
+  const lastImport = { createdAt: 1_773_900_000_000, status: "failed" };
+  const report = summarizeDataHealth({
+    tenantId: "t1",
+    bizId: "b1",
+    dates: DATES,
+    docs,
+    pos: { configured: true, reportDates, lastImport },
+  });
+
+  assert.deepEqual(report.missing.pos, ["2026-03-19", "2026-03-20"]);
+  assert.deepEqual(report.pos, { configured: true, stale: true, lastImportAt: lastImport.createdAt, lastImportStatus: "failed" });
+  assert.equal(report.freshness, 0.75);
+  assert.deepEqual(report.coverage, { entry: 1, pos: 0.89, weather: 1, alerts: 1 });
+  assert.equal(report.score, 0.97);
+});
+
+test("POS sales keep a weekday open; reports alone mean the biz has POS", () => {
+  const docs = DATES.map((d) => doc(d, { entry: isSaturday(d) ? "missing" : "ok" }));
+  const report = summarizeDataHealth({
+    tenantId: "t1",
+    bizId: "b1",
+    dates: DATES,
+    docs,
+    pos: { configured: false, reportDates: DATES, lastImport: null },
+  });
+  assert.deepEqual(report.closedWeekdays, []);
+  assert.deepEqual(report.missing.entry, ["2026-03-07", "2026-03-14", "2026-03-21"]);
+  assert.equal(report.entryGapDays, 1);
+  assert.deepEqual(report.pos, { configured: true, stale: false });
+});
+
+// ── buildDataHealthReport ─────────────────────────────────────────────────────
+
+beforeEach(() => resetDb());
+
+test("the stored docs, POS config, reports and latest import make the report", async () => {
+  const tenant = {
+    "biz:b1:pos_config": { sourceSystem: "beecomm", enabled: true },
+    "biz:b1:pos_import_log": {
+      i1: { importId: "i1", businessDate: "2026-03-19", status: "success", createdAt: 1 },
+      i2: { importId: "i2", businessDate: "2026-03-20", status: "partial", createdAt: 2 },
+    },
+  };
+  for (const d of cafeDocs()) tenant[`biz:b1:analytics:daily:${d.date}`] = d;
+  for (const d of DATES.filter((date) => !isSaturday(date))) {
+    tenant[`biz:b1:pos:daily_summary:${d}`] = { businessDate: d, revenueTotal: 1_000 };
+  }
+  resetDb({ tenants: { t1: tenant } });
+
+  const report = await buildDataHealthReport("t1", "b1", "2026-03-21", 21);
+  assert.equal(report.from, "2026-03-01");
+  assert.deepEqual(report.missing.doc, ["2026-03-10"]);
+  assert.deepEqual(report.missing.pos, []);
+  assert.deepEqual(report.closedWeekdays, [6]);
+  assert.equal(report.entryGapDays, 2);
+  assert.deepEqual(report.pos, { configured: true, stale: false, lastImportAt: 2, lastImportStatus: "partial" });
+});
+
+// ── checkMissingEntries ───────────────────────────────────────────────────────
+
+const AS_OF = "2026-03-22";
+
+/** A history serving one health report; records which day was asked for. */
+function healthHistory(patch) {
+  const asked = [];
+  const report = {
+    ...summarizeDataHealth({ tenantId: "t1", bizId: "b1", dates: DATES, docs: cafeDocs(), pos: NO_POS }),
+    ...patch,
+  };
+  const health = async (to) => {
+    asked.push(to);
+    return report;
+  };
+  return { asked, history: { health } };
+}
+
+const nudge = (missingEntryDays, history) =>
+  checkMissingEntries("t1", "b1", { ...DEFAULT_THRESHOLDS, missingEntryDays }, { asOf: AS_OF, history });
+
+test("the nudge names the missing days from the report ending yesterday", async () => {
+  const { asked, history } = healthHistory();
+  const alert = await nudge(2, history);
+
+  assert.deepEqual(asked, ["2026-03-21"]);
+  assert.equal(alert.id, "b1:missing_daily_entry:2026-03-21");
+  assert.equal(alert.severity, "info");
+  assert.equal(alert.title, "חסר רישום יומי ל-2 ימים");
+  assert.equal(alert.currentValue, 2);
+  assert.equal(alert.threshold, 2);
+  assert.deepEqual(alert.context, { missingDates: ["2026-03-19", "2026-03-20"], score: 0.86 });
+  assert.equal(
+    alert.message,
+    "לא הוזן רישום יומי מאז 2026-03-18. בלי רישום אין ניתוח, התראות והשוואות לימים אלו — הזינו את הנתונים החסרים (שלמות הנתונים מאז 2026-03-01: 86%)."
+  );
+});
+
+test("the nudge waits for the configured gap and is off at 0", async () => {
+  assert.equal(await nudge(3, healthHistory().history), null);
+
+  const { asked, history } = healthHistory();
+  assert.equal(await nudge(0, history), null);
+  assert.deepEqual(asked, []);
+
+  assert.equal(await nudge(1, healthHistory({ entryGapDays: 0 }).history), null);
+  assert.equal(await nudge(1, { health: async () => null }), null);
+});
+
+test("one missing day is named; three or more is a warning", async () => {
+  const missing = (doc, entry) => ({ doc, entry, weather: [], alerts: [], pos: [] });
+  const one = await nudge(1, healthHistory({ entryGapDays: 1, missing: missing([], ["2026-03-21"]) }).history);
+  assert.equal(one.title, "חסר רישום יומי ל-2026-03-21");
+  assert.ok(one.message.startsWith("לא הוזן רישום יומי ל-2026-03-21."));
+  assert.deepEqual(one.context.missingDates, ["2026-03-21"]);
+
+  // The doc-less 10th counts as a missing entry too.
+  const three = await nudge(
+    1,
+    healthHistory({
+      entryGapDays: 3,
+      missing: missing(["2026-03-10"], ["2026-03-11", "2026-03-12"]),
+      latestEntryDate: undefined,
+    }).history
+  );
+  assert.equal(three.severity, "warning");
+  assert.deepEqual(three.context.missingDates, ["2026-03-10", "2026-03-11", "2026-03-12"]);
+  assert.ok(three.message.includes("מאז 2026-03-10."));
+});
+
+test("the live nudge reads the report the analytics cron stored", async () => {
+  const yesterday = addDaysIso(todayIso(), -1);
+  // As stored: RTDB drops the empty lists.
+  const stored = {
+    tenantId: "t1",
+    bizId: "b1",
+    from: addDaysIso(yesterday, -29),
+    to: yesterday,
+    generatedAt: 1,
+    score: 0.9,
+    freshness: 0.4,
+    coverage: { entry: 0.87, weather: 1, alerts: 1 },
+    missing: { entry: [addDaysIso(yesterday, -3), addDaysIso(yesterday, -2), addDaysIso(yesterday, -1), yesterday] },
+    closedWeekdays: [6],
+    entryGapDays: 4,
+    latestEntryDate: addDaysIso(yesterday, -4),
+    pos: { configured: false, stale: false },
+  };
+  resetDb({ tenants: { t1: { "biz:b1:analytics:health": stored } } });
+
+  const alert = await checkMissingEntries("t1", "b1", { ...DEFAULT_THRESHOLDS, missingEntryDays: 2 });
+  assert.equal(alert.id, `b1:missing_daily_entry:${yesterday}`);
+  assert.equal(alert.severity, "warning");
+  assert.deepEqual(alert.context.missingDates, stored.missing.entry);
+});
@@ -0,0 +1,154 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import {
+  exportAnalytics,
+  exportSchema,
+  flattenAnalyticsDoc,
+  pseudonym,
+  toCsv,
+} from "../../dist/test/src/analytics/export.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+/** An analytics:daily doc with every exported field set. */
+function doc(date, patch = {}) {
+  return {
+    date,
+    tenantId: "t1",
+    bizId: "b1",
+    bizName: "Cafe",
+    revenue: { sales: 700, deliveries: 300, other_income: 0, total: 1_000, food_cost: 250, payroll: 300, had_entry: true },
+    weather: { temp_avg: 18, rain_mm: 0, is_rain_day: false, wind_avg: 12 },
+    alerts: { alert_count: 0, alert_minutes: 0, is_alert_day: false, matched_areas: [] },
+    operational: { war_day: "regular" },
+    calendar: { dow: 2, weekend: false, month: 3, holiday: false, holiday_eve: false, new_year_eve: false },
+    meta: {
+      createdAt: 0,
+      builtAt: "",
+      version: "1.1.0",
+      sources: { entry: "ok", weather: "ok", alerts: "ok" },
+      location: { lat: 32.43, lon: 34.92, oref_areas: ["חדרה"], areas_source: "regions", region_ids: ["hadera"] },
+    },
+    ...patch,
+  };
+}
+
+/** The data rows of a CSV export, as column → raw cell. */
+function csvRows(body) {
+  const [, header, ...lines] = body.trimEnd().split("\n");
+  const names = header.split(",");
+  return lines.map((line) => Object.fromEntries(line.split(",").map((cell, i) => [names[i], cell])));
+}
+
+// ── CSV formula guard ─────────────────────────────────────────────────────────
+
+test("text cells that a spreadsheet would run as a formula are quoted as text", () => {
+  const schema = exportSchema();
+  const body = toCsv(
+    ["=HYPERLINK(\"http://x\")", "+972", "-1", "@SUM(A1)", "\tTab", "Café"].map((name, i) =>
+      flattenAnalyticsDoc(doc(`2026-03-0${i + 1}`, { bizName: name }))
+    ),
+    schema
+  );
+  const names = body.trimEnd().split("\n").slice(2).map((line) => line.split(",")[3]);
+  assert.deepEqual(names, ["\"'=HYPERLINK(\"\"http://x\"\")\"", "'+972", "'-1", "'@SUM(A1)", "'\tTab", "Café"]);
+});
+
+test("numbers are written as-is, even negative ones; null is an empty cell", () => {
+  const row = flattenAnalyticsDoc(doc("2026-03-01", { bizName: "-", weather: null }));
+  row.revenue_other_income = -50;
+  const [cells] = csvRows(toCsv([row], exportSchema()));
+  assert.equal(cells.revenue_other_income, "-50");
+  assert.equal(cells.biz_name, "'-");
+  assert.equal(cells.temp_avg, "");
+  assert.equal(cells.is_rain_day, "");
+});
+
+test("commas, quotes and newlines are quoted", () => {
+  const row = flattenAnalyticsDoc(doc("2026-03-01", { bizName: 'Pizza "Roma", Haifa\nbranch' }));
+  const body = toCsv([row], exportSchema());
+  assert.ok(body.includes(',"Pizza ""Roma"", Haifa\nbranch",'));
+});
+
+// ── Anonymization ─────────────────────────────────────────────────────────────
+
+test("anonymized rows drop the identifying columns and pseudonymize the ids", () => {
+  const row = flattenAnalyticsDoc(doc("2026-03-01"), { anonymize: true, salt: "s1" });
+  assert.equal("biz_name" in row, false);
+  assert.equal("lat" in row, false);
+  assert.equal("lon" in row, false);
+  assert.equal(row.region_ids, "hadera");
+  assert.match(row.tenant_id, /^t_[0-9a-f]{12}$/);
+  assert.match(row.biz_id, /^b_[0-9a-f]{12}$/);
+  assert.equal(row.tenant_id, pseudonym("t", "t1", "s1"));
+  assert.equal(row.biz_id, pseudonym("b", "t1:b1", "s1"));
+
+  const schema = exportSchema(true);
+  assert.equal(schema.anonymized, true);
+  assert.deepEqual(
+    exportSchema(false).columns.filter((c) => !schema.columns.some((a) => a.name === c.name)).map((c) => c.name),
+    ["biz_name", "lat", "lon"]
+  );
+});
+
+test("pseudonyms are stable per salt, differ across salts, and key the biz by tenant", () => {
+  assert.equal(pseudonym("t", "t1", "s1"), pseudonym("t", "t1", "s1"));
+  assert.notEqual(pseudonym("t", "t1", "s1"), pseudonym("t", "t1", "s2"));
+  // The same biz id under two tenants is two businesses.
+  const a = flattenAnalyticsDoc(doc("2026-03-01"), { anonymize: true, salt: "s1" });
+  const b = flattenAnalyticsDoc(doc("2026-03-01", { tenantId: "t2" }), { anonymize: true, salt: "s1" });
+  assert.notEqual(a.biz_id, b.biz_id);
+});
+
+// ── exportAnalytics ───────────────────────────────────────────────────────────
+
+const realSalt = process.env.ANALYTICS_EXPORT_SALT;
+
+beforeEach(() => {
+  delete process.env.ANALYTICS_EXPORT_SALT;
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:analytics:daily:2026-03-01": doc("2026-03-01", { bizName: "=cmd|' /C calc'!A0" }),
+        "biz:b1:analytics:daily:2026-03-03": doc("2026-03-03", { bizName: "=cmd|' /C calc'!A0" }),
+        "biz:b1:analytics:daily:2026-03-05": doc("2026-03-05"), // after the range
+      },
+    },
+  });
+});
+
+afterEach(() => {
+  if (realSalt === undefined) delete process.env.ANALYTICS_EXPORT_SALT;
+  else process.env.ANALYTICS_EXPORT_SALT = realSalt;
+});
+
+const REQUEST = { businesses: [{ tenantId: "t1", bizId: "b1" }], startDate: "2026-03-01", endDate: "2026-03-04", format: "csv" };
+
+test("a CSV export guards names read from the database and skips unbuilt days", async () => {
+  const result = await exportAnalytics(REQUEST);
+  assert.equal(result.rows, 2);
+  assert.equal(result.filename, "analytics_2026-03-01_2026-03-04.csv");
+  assert.ok(result.body.startsWith("# schema=analytics-daily version=1.3.0 anonymized=false\ndate,"));
+  const rows = csvRows(result.body);
+  assert.deepEqual(rows.map((r) => r.date), ["2026-03-01", "2026-03-03"]);
+  assert.equal(rows[0].biz_name, "'=cmd|' /C calc'!A0");
+});
+
+test("an anonymized export needs the salt, and then leaks no name or id", async () => {
+  await assert.rejects(exportAnalytics({ ...REQUEST, anonymize: true }), {
+    status: 503,
+    msg: "ANALYTICS_EXPORT_SALT not configured",
+  });
+
+  process.env.ANALYTICS_EXPORT_SALT = "s1";
+  const result = await exportAnalytics({ ...REQUEST, format: "jsonl", anonymize: true });
+  assert.equal(result.filename, "analytics_2026-03-01_2026-03-04_anon.jsonl");
+  const [head, ...rows] = result.body.trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.equal(head.schema.anonymized, true);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(
+    rows.map((r) => [r.tenant_id, r.biz_id]),
+    [[pseudonym("t", "t1", "s1"), pseudonym("b", "t1:b1", "s1")], [pseudonym("t", "t1", "s1"), pseudonym("b", "t1:b1", "s1")]]
+  );
+  assert.ok(!/calc|"t1"|"b1"|32\.43/.test(result.body));
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { israelCalendarDay } from "../../lib/analytics/israelCalendar.js";
+
+/** [holiday, holiday_eve, holiday_name] for each date. */
+const marks = (dates) =>
+  Object.fromEntries(
+    dates.map((d) => {
+      const c = israelCalendarDay(d);
+      return [d, [c.holiday, c.holiday_eve, c.holiday_name]];
+    })
+  );
+
+// Dates below are the published Israeli observances.
+
+test("Rosh Hashana lands on its published date across years", () => {
+  // 5780 … 5791: Monday, Saturday, Thursday, Tuesday, Saturday, Saturday.
+  for (const [eve, day1] of [
+    ["2019-09-29", "2019-09-30"],
+    ["2023-09-15", "2023-09-16"],
+    ["2024-10-02", "2024-10-03"],
+    ["2025-09-22", "2025-09-23"],
+    ["2026-09-11", "2026-09-12"],
+    ["2030-09-27", "2030-09-28"],
+  ]) {
+    const day2 = new Date(Date.parse(`${day1}T12:00:00Z`) + 86_400_000).toISOString().slice(0, 10);
+    assert.deepEqual(marks([eve, day1, day2]), {
+      [eve]: [false, true, "rosh_hashana"],
+      [day1]: [true, false, "rosh_hashana"],
+      [day2]: [true, false, "rosh_hashana"],
+    });
+  }
+});
+
+test("Yom HaShoah moves off a Friday to Thursday and off a Sunday to Monday", () => {
+  // 27 Nisan 5785 was a Friday.
+  assert.deepEqual(marks(["2025-04-23", "2025-04-24", "2025-04-25"]), {
+    "2025-04-23": [false, true, "yom_hashoah"],
+    "2025-04-24": [true, false, "yom_hashoah"],
+    "2025-04-25": [false, false, null],
+  });
+  // 27 Nisan 5784 was a Sunday.
+  assert.deepEqual(marks(["2024-05-04", "2024-05-05", "2024-05-06"]), {
+    "2024-05-04": [false, false, null],
+    "2024-05-05": [false, true, "yom_hashoah"],
+    "2024-05-06": [true, false, "yom_hashoah"],
+  });
+  // 27 Nisan 5786, a Tuesday, stays.
+  assert.equal(israelCalendarDay("2026-04-14").holiday_name, "yom_hashoah");
+});
+
+test("Yom HaZikaron and Yom HaAtzmaut keep off Shabbat", () => {
+  // 5 Iyar 5785 was a Saturday → Wednesday / Thursday.
+  assert.deepEqual(marks(["2025-04-29", "2025-04-30", "2025-05-01", "2025-05-02"]), {
+    "2025-04-29": [false, true, "yom_hazikaron"],
+    "2025-04-30": [true, true, "yom_hazikaron"],
+    "2025-05-01": [true, false, "yom_haatzmaut"],
+    "2025-05-02": [false, false, null],
+  });
+  // 5 Iyar 5784 was a Monday: Yom HaZikaron would start at the end of Shabbat, so both move a day later.
+  assert.deepEqual(marks(["2024-05-12", "2024-05-13", "2024-05-14"]), {
+    "2024-05-12": [false, true, "yom_hazikaron"],
+    "2024-05-13": [true, true, "yom_hazikaron"],
+    "2024-05-14": [true, false, "yom_haatzmaut"],
+  });
+  // 5 Iyar 5786, a Wednesday, stays.
+  assert.deepEqual(marks(["2026-04-21", "2026-04-22"]), {
+    "2026-04-21": [true, true, "yom_hazikaron"],
+    "2026-04-22": [true, false, "yom_haatzmaut"],
+  });
+  assert.equal(israelCalendarDay("2026-04-22").school_vacation, true);
+});
+
+test("Tisha B'Av on Shabbat is observed on Sunday", () => {
+  assert.deepEqual(marks(["2022-08-05", "2022-08-06", "2022-08-07"]), {
+    "2022-08-05": [false, false, null],
+    "2022-08-06": [false, true, "tisha_bav"],
+    "2022-08-07": [true, false, "tisha_bav"],
+  });
+});
+
+test("Purim follows Adar II in a leap year", () => {
+  assert.equal(israelCalendarDay("2024-03-24").holiday_name, "purim"); // 5784, leap
+  assert.equal(israelCalendarDay("2026-03-03").holiday_name, "purim");
+  // Shushan Purim is a holiday too.
+  assert.deepEqual(marks(["2025-03-13", "2025-03-14", "2025-03-15"]), {
+    "2025-03-13": [false, true, "purim"],
+    "2025-03-14": [true, false, "purim"],
+    "2025-03-15": [true, false, "purim"],
+  });
+});
+
+test("Pesach: Yom Tov, Chol HaMoed and the school break around it", () => {
+  const first = israelCalendarDay("2026-04-02");
+  const middle = israelCalendarDay("2026-04-05");
+  const after = israelCalendarDay("2026-04-09"); // Isru Chag
+  assert.deepEqual([first.holiday, first.chol_hamoed], [true, false]);
+  assert.deepEqual([middle.holiday, middle.chol_hamoed, middle.holiday_name], [true, true, "pesach"]);
+  assert.deepEqual([after.holiday, after.school_vacation], [false, true]);
+  assert.equal(israelCalendarDay("2026-03-26").school_vacation, true); // 8 Nisan
+  assert.equal(israelCalendarDay("2026-03-25").school_vacation, false);
+});
+
+test("Chanukah's first day is a holiday but not yet a school day off", () => {
+  const first = israelCalendarDay("2025-12-15");
+  assert.deepEqual([first.holiday_name, first.school_vacation], ["chanukah", false]);
+  assert.equal(israelCalendarDay("2025-12-16").school_vacation, true);
+  assert.equal(israelCalendarDay("2025-12-23").holiday_name, null);
+});
+
+test("Ramadan and Eid follow the tabular calendar", () => {
+  assert.equal(israelCalendarDay("2026-03-10").ramadan, true);
+  assert.equal(israelCalendarDay("2025-03-15").ramadan, true);
+  assert.deepEqual(
+    [israelCalendarDay("2025-03-31").ramadan, israelCalendarDay("2025-03-31").eid],
+    [false, true]
+  );
+  assert.equal(israelCalendarDay("2025-04-15").ramadan, false);
+});
+
+test("an ordinary day is unmarked; July and August are summer vacation", () => {
+  assert.deepEqual(israelCalendarDay("2026-06-16"), {
+    holiday: false,
+    holiday_eve: false,
+    chol_hamoed: false,
+    holiday_name: null,
+    school_vacation: false,
+    ramadan: false,
+    eid: false,
+  });
+  assert.equal(israelCalendarDay("2026-07-15").school_vacation, true);
+  assert.equal(israelCalendarDay("2026-09-01").school_vacation, false);
+});
@@ -0,0 +1,194 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { describeEffect, fitOls, fitResearch, tCritical95 } from "../../dist/test/src/analytics/research.js";
+import { getRelevantResearch } from "../../dist/test/src/agent/memory/getRelevantResearch.js";
+import { addDaysIso } from "../../dist/test/src/utils/dates.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+const close = (actual, expected, eps = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} ≉ ${expected}`);
+
+// ── fitOls / tCritical95 ──────────────────────────────────────────────────────
+
+test("fitOls matches the textbook simple regression", () => {
+  // y = 1.4 + 0.8x; RSS 3.6 over 3 df, Sxx 10, TSS 10.
+  const X = [0, 1, 2, 3, 4].map((x) => [1, x]);
+  const fit = fitOls(X, [1, 3, 2, 5, 4]);
+
+  close(fit.beta[0], 1.4);
+  close(fit.beta[1], 0.8);
+  close(fit.se[1], Math.sqrt(1.2 / 10));
+  close(fit.se[0], Math.sqrt(1.2 * (1 / 5 + 4 / 10)));
+  close(fit.r2, 0.64);
+  assert.equal(fit.df, 3);
+});
+
+test("fitOls gives up on a singular design or too few rows", () => {
+  // The second column is twice the first.
+  assert.equal(fitOls([[1, 2], [1, 2], [1, 2]], [1, 2, 3]), null);
+  assert.equal(fitOls([[1, 0], [1, 1]], [1, 2]), null);
+  assert.equal(fitOls([], []), null);
+});
+
+test("tCritical95 tracks the Student-t table and tends to 1.96", () => {
+  close(tCritical95(5), 2.571, 0.005);
+  close(tCritical95(10), 2.228, 0.001);
+  close(tCritical95(30), 2.042, 0.001);
+  close(tCritical95(120), 1.980, 0.001);
+  close(tCritical95(1e6), 1.96, 0.001);
+});
+
+// ── fitResearch ───────────────────────────────────────────────────────────────
+
+const START = "2026-01-01";
+
+/** An analytics doc with only what the fit reads; calendar left out (no weekday factors). */
+function doc(i, total, rain, patch = {}) {
+  return {
+    date: addDaysIso(START, i),
+    revenue: { had_entry: true, total, sales: total * 0.7, deliveries: total * 0.3 },
+    weather: { is_rain_day: rain, temp_avg: 20 },
+    alerts: { open_minutes: 0 },
+    operational: { war_day: "none" },
+    ...patch,
+  };
+}
+
+/**
+ * 90 days growing 10% a month, +15% on rain days — and rain twice as common
+ * in the later, busier half, so without the trend term the growth would be
+ * credited to rain.
+ */
+function growingRainyDocs() {
+  return Array.from({ length: 90 }, (_, i) => {
+    const rain = i < 45 ? i % 6 === 0 : i % 3 === 0;
+    return doc(i, 10_000 * Math.exp((0.1 * i) / 30) * (rain ? 1.15 : 1), rain);
+  });
+}
+
+test("the trend term keeps growth out of the factor effects", () => {
+  const fit = fitResearch(growingRainyDocs().reverse()); // any order
+  const rain = fit.effects.find((e) => e.outcome === "revenue" && e.factor === "rain");
+
+  assert.equal(fit.from, START);
+  assert.equal(fit.to, addDaysIso(START, 89));
+  assert.deepEqual(fit.models.find((m) => m.outcome === "revenue").factors, ["rain"]);
+  close(rain.effect, 0.15);
+  assert.equal(rain.n, 90);
+  assert.equal(rain.nExposed, 23);
+  assert.equal(rain.significant, true);
+  assert.equal(fit.models.find((m) => m.outcome === "revenue").r2, 1);
+  // A constant delivery share: rain moves it by nothing.
+  close(fit.effects.find((e) => e.outcome === "delivery_share").effect, 0);
+});
+
+test("noise widens the interval around the effect", () => {
+  // A fixed ±3% wobble, not correlated with rain or the trend.
+  const docs = growingRainyDocs().map((d, i) => {
+    const total = d.revenue.total * (1 + 0.03 * Math.sin(i * 2.3));
+    return { ...d, revenue: { ...d.revenue, total } };
+  });
+  const rain = fitResearch(docs).effects.find((e) => e.outcome === "revenue" && e.factor === "rain");
+
+  assert.ok(rain.ciLow < rain.effect && rain.effect < rain.ciHigh);
+  assert.ok(rain.ciLow > 0.1 && rain.ciHigh < 0.2, `${rain.ciLow}..${rain.ciHigh}`);
+  assert.equal(rain.significant, true);
+});
+
+test("days without an entry, weather or a known war status are left out", () => {
+  const docs = growingRainyDocs();
+  docs[0] = doc(0, 10_000, false, { weather: null });
+  docs[1] = doc(1, 10_000, false, { operational: { war_day: "unknown" } });
+  docs[2] = doc(2, 10_000, false, { revenue: { had_entry: false, total: 0, sales: 0, deliveries: 0 } });
+  const fit = fitResearch(docs);
+  assert.equal(fit.from, addDaysIso(START, 3));
+  assert.equal(fit.models[0].n, 87);
+});
+
+test("too few days skips the fit rather than guessing", () => {
+  const fit = fitResearch(growingRainyDocs().slice(0, 29));
+  assert.deepEqual(fit.effects, []);
+  assert.deepEqual(
+    fit.models.map((m) => m.skipped),
+    ["insufficient_days", "insufficient_days", "insufficient_days", "insufficient_days"]
+  );
+});
+
+// ── describeEffect ────────────────────────────────────────────────────────────
+
+const effect = (patch) => ({
+  outcome: "delivery",
+  factor: "rain",
+  effect: 0.12,
+  ciLow: 0.05,
+  ciHigh: 0.19,
+  n: 84,
+  nExposed: 20,
+  significant: true,
+  ...patch,
+});
+
+test("describeEffect cites the effect, its interval and the days fitted", () => {
+  assert.equal(describeEffect(effect()), "יום גשום → משלוחים +12% (טווח 95%: +5% עד +19%, n=84 ימים)");
+  assert.equal(
+    describeEffect(effect({ outcome: "revenue", factor: "alert_hours", effect: -0.034, ciLow: -0.061, ciHigh: -0.006 })),
+    "כל שעת אזעקות בשעות הפעילות → מחזור -3% (טווח 95%: -6% עד -1%, n=84 ימים)"
+  );
+});
+
+test("describeEffect gives a delivery share in percentage points", () => {
+  assert.equal(
+    describeEffect(effect({ outcome: "delivery_share", effect: 0.025, ciLow: -0.004, ciHigh: 0.054 })),
+    "יום גשום → נתח המשלוחים +2.5 נק׳ אחוז (טווח 95%: -0.4 נק׳ אחוז עד +5.4 נק׳ אחוז, n=84 ימים)"
+  );
+});
+
+// ── getRelevantResearch ───────────────────────────────────────────────────────
+
+const CONTEXT = { tenantId: "t1", bizId: "b1", timezone: "Asia/Jerusalem", locale: "he-IL", nowIso: "" };
+
+beforeEach(() => {
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:analytics:research": {
+          effects: [
+            effect({ factor: "rain", effect: 0.12 }),
+            effect({ factor: "temp_c", effect: -0.01 }),
+            effect({ factor: "holiday", effect: -0.3 }),
+            effect({ factor: "ramadan", effect: 0.2, significant: false }),
+          ],
+        },
+      },
+    },
+  });
+});
+
+const factorsFor = async (question) =>
+  (await getRelevantResearch(question, { ...CONTEXT, userQuestion: question })).map((e) => e.factor);
+
+test("a keyword behind one-letter prefixes still matches", async () => {
+  assert.deepEqual(await factorsFor("כמה מכרנו בגשם?"), ["rain", "temp_c"]);
+  assert.deepEqual(await factorsFor("ומה קרה והחג?"), ["holiday"]);
+  assert.deepEqual(await factorsFor("How does RAIN affect sales?"), ["rain", "temp_c"]);
+});
+
+test("keywords match whole words only", async () => {
+  // חג inside חגיגה, גשם inside הגשמה, rain inside training.
+  assert.deepEqual(await factorsFor("איך הייתה החגיגה?"), []);
+  assert.deepEqual(await factorsFor("הגשמה של היעד"), []);
+  assert.deepEqual(await factorsFor("staff training costs"), []);
+});
+
+test("bare words take no prefix", async () => {
+  assert.deepEqual(await factorsFor("כשקר בחוץ"), []);
+  assert.deepEqual(await factorsFor("מה קורה בבקר?"), []);
+  assert.deepEqual(await factorsFor("מקור ההכנסות"), []);
+  assert.deepEqual(await factorsFor("מה קורה כשיום קר"), ["rain", "temp_c"]);
+});
+
+test("only significant effects come back, strongest first", async () => {
+  assert.deepEqual(await factorsFor("גשם, חג או רמדאן?"), ["holiday", "rain", "temp_c"]);
+  assert.deepEqual(await factorsFor("מה המכירות החודש?"), []);
+});
@@ -0,0 +1,116 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { BeecommConnector } from "../../dist/test/src/pos/adapters/beecomm.js";
+import { buildPosFetchContext } from "../../dist/test/src/pos/credentials.js";
+import { importPosForBiz } from "../../dist/test/src/pos/ingest.js";
+import { resetDb, readDb } from "../support/fakeAdmin.js";
+
+const KEY = "beecomm-test-key";
+const DATE = "2026-06-29";
+const CONFIG = {
+  sourceSystem: "beecomm",
+  externalBranchId: "77",
+  credentialRef: "BEECOMM_KEY_TEST",
+  capabilities: { dailySummary: true, hourly: true, itemSales: false, payments: false },
+  enabled: true,
+};
+
+process.env.BEECOMM_KEY_TEST = KEY;
+
+// Serves the sample daily summary to a request carrying the key, 401 otherwise.
+let server;
+let connector;
+const requests = [];
+
+before(async () => {
+  const fixture = await readFile(
+    new URL("../../src/pos/__fixtures__/beecommDailySummary.sample.json", import.meta.url)
+  );
+  server = createServer((req, res) => {
+    requests.push({ url: new URL(req.url, "http://stub"), authorization: req.headers.authorization });
+    if (req.headers.authorization !== `Bearer ${KEY}`) {
+      res.writeHead(401).end();
+      return;
+    }
+    if (!req.url.startsWith("/v1/reports/daily-summary?")) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "content-type": "application/json" }).end(fixture);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  connector = new BeecommConnector({
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    http: { timeoutMs: 1_000, retries: 0 },
+  });
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  requests.length = 0;
+  resetDb();
+});
+
+test("the daily summary is fetched with the key credentialRef names and normalized", async () => {
+  const ctx = buildPosFetchContext("t1", "b1", CONFIG);
+  const report = await connector.fetchDailySummary(DATE, ctx);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].authorization, `Bearer ${KEY}`);
+  assert.equal(requests[0].url.searchParams.get("date"), DATE);
+  assert.equal(requests[0].url.searchParams.get("branch_id"), "77");
+
+  assert.equal(report.tenantId, "t1");
+  assert.equal(report.businessId, "b1");
+  assert.equal(report.businessDate, DATE);
+  assert.equal(report.sourceSystem, "beecomm");
+  assert.equal(report.reportType, "daily_summary");
+  assert.equal(report.revenueTotal, 18450.5);
+  assert.equal(report.tickets, 312);
+  assert.equal(report.avgCheck, 59.14);
+  assert.deepEqual(report.channels, { dineIn: 9220, delivery: 5100.5, takeaway: 4130 });
+  assert.equal(report.hourly["12"], 2360);
+  assert.equal(report.items, null);
+  assert.match(report.contentHash, /^[0-9a-f]{64}$/);
+});
+
+test("the same payload always hashes the same", async () => {
+  const ctx = buildPosFetchContext("t1", "b1", CONFIG);
+  const a = await connector.fetchDailySummary(DATE, ctx);
+  const b = await connector.fetchDailySummary(DATE, ctx);
+  assert.equal(a.contentHash, b.contentHash);
+  assert.notEqual(a.importId, b.importId);
+});
+
+test("a key the POS rejects surfaces as a sanitized http_401", async () => {
+  const ctx = buildPosFetchContext("t1", "b1", CONFIG, { BEECOMM_KEY_TEST: "wrong" });
+  await assert.rejects(connector.fetchDailySummary(DATE, ctx), { source: "beecomm", reason: "http_401" });
+});
+
+test("an unset credentialRef env var fails before any request", () => {
+  assert.throws(() => buildPosFetchContext("t1", "b1", CONFIG, {}), {
+    source: "beecomm",
+    reason: "missing_credential",
+  });
+  assert.equal(requests.length, 0);
+});
+
+test("an import through the connector stores the report and its log", async () => {
+  const result = await importPosForBiz("t1", "b1", DATE, { connector, config: CONFIG });
+
+  assert.deepEqual(
+    result.logs.map((l) => [l.reportType, l.status]),
+    [["daily_summary", "success"]]
+  );
+  const stored = readDb(`tenants/t1/biz:b1:pos:daily_summary:${DATE}`);
+  assert.equal(stored.revenueTotal, 18450.5);
+  assert.equal(stored.contentHash, result.logs[0].contentHash);
+  assert.equal(readDb(`tenants/t1/biz:b1:pos_import_log/${result.logs[0].importId}`).status, "success");
+});
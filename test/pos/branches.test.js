@@ -0,0 +1,167 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { rollUpReports } from "../../dist/test/src/pos/branches.js";
+import { inBranch, isBranchScoped } from "../../dist/test/src/repositories/analytics/branchScope.js";
+import { getDailyMetrics } from "../../dist/test/src/repositories/analytics/dailyMetricsRepo.js";
+import { resetDb } from "../support/fakeAdmin.js";
+
+// ── Branch scope ──────────────────────────────────────────────────────────────
+
+test("no branch or 'all' is the whole business; untagged entries are main", () => {
+  assert.equal(isBranchScoped(undefined), false);
+  assert.equal(isBranchScoped(""), false);
+  assert.equal(isBranchScoped("all"), false);
+  assert.equal(isBranchScoped("north"), true);
+
+  assert.equal(inBranch({ branch_id: "north" }, undefined), true);
+  assert.equal(inBranch({ branch_id: "north" }, "all"), true);
+  assert.equal(inBranch({ branch_id: "north" }, "north"), true);
+  assert.equal(inBranch({ branch_id: "north" }, "main"), false);
+  assert.equal(inBranch({}, "main"), true);
+  assert.equal(inBranch({ branch_id: "" }, "main"), true);
+  assert.equal(inBranch({}, "north"), false);
+});
+
+const entry = (date, sales, patch = {}) => ({ date, sales: String(sales), payroll: 300, food_cost: 250, ...patch });
+
+function seed(entries, extra = {}) {
+  resetDb({ tenants: { t1: { "biz:b1:entries": { _v: JSON.stringify(entries) }, ...extra } } });
+}
+
+beforeEach(() => resetDb());
+
+test("getDailyMetrics keeps only the branch's entries when scoped", async () => {
+  seed([
+    entry("2026-03-02", 1_000),
+    entry("2026-03-01", 2_000, { branch_id: "north" }),
+    entry("2026-03-01", 1_500),
+    entry("2026-02-28", 9_000), // before the range
+  ]);
+  const dates = async (branchId) =>
+    (await getDailyMetrics("t1", "2026-03-01", "2026-03-02", "b1", branchId)).map((d) => [d.date, d.revenue]);
+
+  const whole = [["2026-03-01", 2_000], ["2026-03-01", 1_500], ["2026-03-02", 1_000]];
+  assert.deepEqual(await dates(undefined), whole);
+  assert.deepEqual(await dates("all"), whole);
+  assert.deepEqual(await dates("main"), [["2026-03-01", 1_500], ["2026-03-02", 1_000]]);
+  assert.deepEqual(await dates("north"), [["2026-03-01", 2_000]]);
+
+  const [north] = await getDailyMetrics("t1", "2026-03-01", "2026-03-02", "b1", "north");
+  assert.equal(north.laborPct, 15);
+  assert.equal(north.foodCostPct, 12.5);
+});
+
+test("a branch without manual entries falls back to its POS reports with null costs", async () => {
+  const pos = (date, revenueTotal, tickets) => ({
+    businessDate: date,
+    revenueTotal,
+    tickets,
+    avgCheck: tickets ? revenueTotal / tickets : null,
+  });
+  seed([entry("2026-03-01", 1_000)], {
+    "biz:b1:branch:south:pos:daily_summary:2026-03-01": pos("2026-03-01", 4_000, 50),
+    "biz:b1:branch:south:pos:daily_summary:2026-03-02": pos("2026-03-02", null, null), // skipped
+    "biz:b1:branch:south:pos:daily_summary:2026-03-03": pos("2026-03-03", 3_000, null),
+  });
+
+  assert.deepEqual(await getDailyMetrics("t1", "2026-03-01", "2026-03-03", "b1", "south"), [
+    {
+      date: "2026-03-01",
+      revenue: 4_000,
+      laborCost: null,
+      laborPct: null,
+      foodCost: null,
+      foodCostPct: null,
+      transactionCount: 50,
+      avgTicket: 80,
+    },
+    {
+      date: "2026-03-03",
+      revenue: 3_000,
+      laborCost: null,
+      laborPct: null,
+      foodCost: null,
+      foodCostPct: null,
+      transactionCount: 0,
+      avgTicket: 0,
+    },
+  ]);
+  // The whole business never reads branch reports.
+  assert.equal((await getDailyMetrics("t1", "2026-03-01", "2026-03-03", "b1")).length, 1);
+  assert.deepEqual(await getDailyMetrics("t1", "2026-03-01", "2026-03-03", "b1", "east"), []);
+});
+
+// ── Roll-up ───────────────────────────────────────────────────────────────────
+
+const report = (branchId, patch = {}) => ({
+  businessId: "b1",
+  tenantId: "t1",
+  businessDate: "2026-03-01",
+  sourceSystem: "beecomm",
+  reportType: "daily_summary",
+  revenueTotal: 1_000,
+  tickets: 10,
+  avgCheck: 100,
+  channels: { dineIn: 600, delivery: 400, takeaway: null },
+  hourly: { 12: 400, 13: 600 },
+  items: null,
+  branchId,
+  schemaVersion: "1",
+  ...patch,
+});
+
+test("roll-up totals skip a branch's unknown fields instead of zeroing them", () => {
+  const rolled = rollUpReports([
+    report("south", { tickets: null, channels: { dineIn: null, delivery: 500.005, takeaway: null }, hourly: null }),
+    report("north", { revenueTotal: 2_000.1, tickets: 20 }),
+  ]);
+
+  assert.equal(rolled.revenueTotal, 3_000.1);
+  // South's tickets are unknown: the count is north's alone, and so is what the average divides.
+  assert.equal(rolled.tickets, 20);
+  assert.equal(rolled.avgCheck, 150.01);
+  assert.deepEqual(rolled.channels, { dineIn: 600, delivery: 900.01, takeaway: null });
+  assert.deepEqual(rolled.hourly, { 12: 400, 13: 600 });
+  assert.equal(rolled.items, null);
+  assert.equal("payments" in rolled, false);
+  assert.equal("quarterHourly" in rolled, false);
+  assert.deepEqual(rolled.branchIds, ["north", "south"]);
+  assert.equal("branchId" in rolled, false);
+});
+
+test("a field is null in the roll-up only when every branch is null", () => {
+  const rolled = rollUpReports([
+    report("a", { revenueTotal: null, tickets: null, hourly: null }),
+    report("b", { revenueTotal: null, tickets: null, hourly: null }),
+  ]);
+  assert.equal(rolled.revenueTotal, null);
+  assert.equal(rolled.tickets, null);
+  assert.equal(rolled.avgCheck, null);
+  assert.equal(rolled.hourly, null);
+  assert.equal(rollUpReports([]), null);
+});
+
+test("items merge by SKU or name, and payments sum per kind", () => {
+  const item = (name, sku, qty, revenue) => ({ name, sku, qty, revenue });
+  const pay = (cash, credit, tips) => ({ cash, credit, vouchers: null, other: null, tips, refunds: null });
+  const rolled = rollUpReports([
+    report("a", {
+      reportType: "payments",
+      items: [item("Burger", "101", 2, 100), item("Cola ", null, 1, 10)],
+      payments: pay(100, 900, null),
+    }),
+    report("b", {
+      reportType: "payments",
+      items: [item("Burger deluxe", "101", 1, 60), item("cola", null, 3, 30)],
+      payments: pay(null, 1_000, 50),
+    }),
+    report(undefined, { reportType: "payments" }), // the default branch, no payments
+  ]);
+
+  assert.deepEqual(rolled.items, [item("Burger", "101", 3, 160), item("Cola ", null, 4, 40)]);
+  assert.deepEqual(rolled.payments, { cash: 100, credit: 1_900, vouchers: null, other: null, tips: 50, refunds: null });
+  // avgCheck belongs to the daily summary only.
+  assert.equal(rolled.avgCheck, null);
+  assert.deepEqual(rolled.branchIds, ["main", "a", "b"]);
+});
@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json).
+import {
+  parseCsv,
+  parseFileDate,
+  toFileProfile,
+  validateFileProfile,
+} from "../../dist/test/src/pos/fileProfile.js";
+
+// ── parseCsv ──────────────────────────────────────────────────────────────────
+
+test("quoted fields keep delimiters, doubled quotes and newlines", () => {
+  const csv = 'name,note\n"Shakshuka, large","said ""hot"""\n"Salad","line one\nline two"\n';
+  assert.deepEqual(parseCsv(csv), [
+    ["name", "note"],
+    ["Shakshuka, large", 'said "hot"'],
+    ["Salad", "line one\nline two"],
+  ]);
+});
+
+test("a quoted CRLF stays in the field; row CRLFs end the row", () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x\r\ny",2\r\n'), [
+    ["a", "b"],
+    ["x\r\ny", "2"],
+  ]);
+});
+
+test("a leading BOM is dropped and blank lines are skipped", () => {
+  assert.deepEqual(parseCsv("\uFEFFdate,total\n\n2026-06-29,100\n,\n"), [
+    ["date", "total"],
+    ["2026-06-29", "100"],
+  ]);
+});
+
+test("the delimiter is sniffed past a one-cell title row", () => {
+  const csv = "Z report\ndate;total;tickets\n29/06/2026;1.234,5;12\n";
+  assert.deepEqual(parseCsv(csv), [
+    ["Z report"],
+    ["date", "total", "tickets"],
+    ["29/06/2026", "1.234,5", "12"],
+  ]);
+  assert.deepEqual(parseCsv("a\tb\n1\t2"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("an explicit delimiter wins over the sniffed one", () => {
+  assert.deepEqual(parseCsv("a;b,c\n1;2,3", ","), [
+    ["a;b", "c"],
+    ["1;2", "3"],
+  ]);
+});
+
+test("a final row without a newline is kept", () => {
+  assert.deepEqual(parseCsv("a,b\n1,2"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+// ── parseFileDate ─────────────────────────────────────────────────────────────
+
+test("auto reads ISO, else day-first", () => {
+  assert.equal(parseFileDate("2026-06-29"), "2026-06-29");
+  assert.equal(parseFileDate("2026-6-9"), "2026-06-09");
+  assert.equal(parseFileDate("29/06/2026"), "2026-06-29");
+  assert.equal(parseFileDate("05.06.2026"), "2026-06-05");
+  assert.equal(parseFileDate("5-6-26"), "2026-06-05");
+});
+
+test("a trailing time is ignored", () => {
+  assert.equal(parseFileDate("29/06/2026 21:15"), "2026-06-29");
+  assert.equal(parseFileDate(" 2026-06-29T21:15:00 "), "2026-06-29");
+});
+
+test("an explicit format decides the day/month order", () => {
+  assert.equal(parseFileDate("06/05/2026", "DD/MM/YYYY"), "2026-05-06");
+  assert.equal(parseFileDate("06/05/2026", "MM/DD/YYYY"), "2026-06-05");
+  assert.equal(parseFileDate("2026-06-29", "DD/MM/YYYY"), null);
+  assert.equal(parseFileDate("29/06/2026", "YYYY-MM-DD"), null);
+});
+
+test("days that don't exist are rejected", () => {
+  assert.equal(parseFileDate("31/04/2026"), null);
+  assert.equal(parseFileDate("29/02/2026"), null);
+  assert.equal(parseFileDate("29/02/2028"), "2028-02-29");
+  assert.equal(parseFileDate("2026-13-01"), null);
+  assert.equal(parseFileDate("13/13/2026"), null);
+  assert.equal(parseFileDate("06/29/2026", "DD/MM/YYYY"), null);
+  assert.equal(parseFileDate("total"), null);
+  assert.equal(parseFileDate("123/06/2026"), null);
+});
+
+// ── validateFileProfile / toFileProfile ───────────────────────────────────────
+
+const SUMMARY = {
+  layout: "summary",
+  dateFormat: "DD/MM/YYYY",
+  columns: { date: "Date", revenueTotal: " Total ", hourly: { "12": 5 } },
+};
+
+test("a usable profile has no errors and is stored rebuilt and trimmed", () => {
+  assert.deepEqual(validateFileProfile(SUMMARY), []);
+  assert.deepEqual(toFileProfile(SUMMARY), {
+    layout: "summary",
+    dateFormat: "DD/MM/YYYY",
+    columns: { date: "Date", revenueTotal: "Total", hourly: { "12": 5 } },
+  });
+
+  const tickets = {
+    layout: "tickets",
+    delimiter: ";",
+    headerRow: 2,
+    columns: { amount: 3, channel: "Type" },
+    channelValues: { delivery: [" Wolt ", "משלוח"] },
+  };
+  assert.deepEqual(validateFileProfile(tickets), []);
+  assert.deepEqual(toFileProfile(tickets).channelValues, { delivery: ["Wolt", "משלוח"] });
+});
+
+test("dateFormat must be one of the supported formats", () => {
+  assert.deepEqual(validateFileProfile({ ...SUMMARY, dateFormat: "D/M/Y" }), [
+    "dateFormat must be one of auto, YYYY-MM-DD, DD/MM/YYYY, MM/DD/YYYY",
+  ]);
+});
+
+test("channelValues must be known channels mapped to string lists", () => {
+  const base = { layout: "tickets", columns: { amount: 0 } };
+  assert.deepEqual(validateFileProfile({ ...base, channelValues: "wolt" }), [
+    "channelValues must map channels to cell values",
+  ]);
+  assert.deepEqual(validateFileProfile({ ...base, channelValues: { delivery: "wolt" } }), [
+    "channelValues.delivery must be up to 20 non-empty strings",
+  ]);
+  assert.deepEqual(validateFileProfile({ ...base, channelValues: { delivery: ["wolt", 7] } }), [
+    "channelValues.delivery must be up to 20 non-empty strings",
+  ]);
+  assert.deepEqual(validateFileProfile({ ...base, channelValues: { pickup: ["x"] } }), [
+    'channelValues key "pickup" must be one of dineIn, delivery, takeaway',
+  ]);
+});
+
+test("unknown fields and columns are errors, not silently dropped", () => {
+  assert.deepEqual(validateFileProfile({ ...SUMMARY, sheet: 1 }), ['unknown field "sheet"']);
+  assert.deepEqual(validateFileProfile({ ...SUMMARY, columns: { ...SUMMARY.columns, revenue: "Sum" } }), [
+    'unknown column "revenue"',
+  ]);
+});
+
+test("every field is checked in one pass", () => {
+  const errors = validateFileProfile({
+    layout: "daily",
+    delimiter: "|",
+    headerRow: -1,
+    columns: { date: "", hourly: { 25: "x" } },
+  });
+  assert.deepEqual(errors, [
+    'layout must be "summary" or "tickets"',
+    "delimiter must be one of , ; \\t",
+    "headerRow must be an integer 0–49",
+    "columns.date must be a header name or a 0-based index",
+    'columns.hourly key "25" must be "00".."23"',
+  ]);
+  assert.deepEqual(validateFileProfile(null), ["profile must be an object"]);
+  assert.deepEqual(validateFileProfile({ layout: "tickets" }), ["columns is required"]);
+  assert.deepEqual(validateFileProfile({ layout: "tickets", columns: {} }), [
+    "layout tickets requires columns.amount",
+  ]);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+// Compiled by `npm test` (tsconfig.test.json).
+import { fetchPosJson } from "../../dist/test/src/pos/http.js";
+
+// One stub server; each test picks a behavior by path.
+let server;
+let baseUrl;
+const hits = new Map();
+
+before(async () => {
+  server = createServer((req, res) => {
+    const n = (hits.get(req.url) ?? 0) + 1;
+    hits.set(req.url, n);
+    switch (req.url) {
+      case "/hang": // never answers
+        return;
+      case "/stalled-body": // headers and half a body, then nothing
+        res.writeHead(200, { "content-type": "application/json" });
+        res.write('{"total":');
+        return;
+      case "/flaky": // 503 on the first attempt only
+        if (n === 1) {
+          res.writeHead(503).end();
+          return;
+        }
+        res.writeHead(200, { "content-type": "application/json" }).end('{"total":5000}');
+        return;
+      case "/unauthorized":
+        res.writeHead(401).end();
+        return;
+      default:
+        res.writeHead(404).end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const fast = { timeoutMs: 150, backoffMs: 10 };
+
+test("a server that never answers times out after every attempt", async () => {
+  await assert.rejects(fetchPosJson("beecomm", `${baseUrl}/hang`, {}, { ...fast, retries: 1 }), {
+    source: "beecomm",
+    reason: "timeout",
+  });
+  assert.equal(hits.get("/hang"), 2);
+});
+
+test("the timeout covers a body that stalls after the headers", { timeout: 2_000 }, async () => {
+  await assert.rejects(fetchPosJson("beecomm", `${baseUrl}/stalled-body`, {}, { ...fast, retries: 0 }), {
+    reason: "timeout",
+  });
+});
+
+test("a 503 is retried and the next attempt's body returned", async () => {
+  const body = await fetchPosJson("beecomm", `${baseUrl}/flaky`, {}, { ...fast, retries: 2 });
+  assert.deepEqual(body, { total: 5000 });
+  assert.equal(hits.get("/flaky"), 2);
+});
+
+test("a 401 fails fast without retrying", async () => {
+  await assert.rejects(fetchPosJson("beecomm", `${baseUrl}/unauthorized`, {}, { ...fast, retries: 2 }), {
+    reason: "http_401",
+  });
+  assert.equal(hits.get("/unauthorized"), 1);
+});
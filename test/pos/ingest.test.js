@@ -0,0 +1,135 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { importPosForAll, importPosForBiz, persistReport } from "../../dist/test/src/pos/ingest.js";
+import { MockPosConnector, mockPosConnector } from "../../dist/test/src/pos/mockAdapter.js";
+import { resetDb, readDb } from "../support/fakeAdmin.js";
+
+const DATE = "2026-03-10";
+const REPORT = (bizId, date) => `tenants/t1/biz:${bizId}:pos:daily_summary:${date}`;
+
+process.env.POS_INGEST_TEST_KEY = "unused-by-the-mock";
+
+const posConfig = {
+  sourceSystem: "beecomm",
+  externalBranchId: "",
+  credentialRef: "POS_INGEST_TEST_KEY",
+  capabilities: { dailySummary: true, hourly: true, itemSales: false, payments: false },
+  enabled: true,
+};
+
+function seed(bizzes) {
+  const tenant = {};
+  const index = {};
+  for (const [bizId, hours] of Object.entries(bizzes)) {
+    tenant[`biz:${bizId}:pos_config`] = posConfig;
+    if (hours) tenant[`biz:${bizId}:config`] = { business_hours: hours };
+    index[`t1_${bizId}`] = { tenantId: "t1", bizId, active: true };
+  }
+  resetDb({ tenants: { t1: tenant }, proactive_biz_index: index });
+}
+
+/** The mock's finalized report for b1, with `patch` spread over it. */
+async function mockReport(patch = {}) {
+  const ctx = { tenantId: "t1", businessId: "b1", apiKey: "" };
+  const report = await mockPosConnector.fetchDailySummary(DATE, ctx);
+  return { ...report, ...patch };
+}
+
+beforeEach(() => seed({ b1: null }));
+
+test("re-importing an unchanged day is deduped by contentHash", async () => {
+  const first = await importPosForBiz("t1", "b1", DATE, { connector: mockPosConnector });
+  const again = await importPosForBiz("t1", "b1", DATE, { connector: mockPosConnector });
+
+  assert.equal(first.logs[0].status, "success");
+  assert.equal(again.logs[0].status, "deduped");
+  assert.equal(again.logs[0].rowsOut, 0);
+  assert.equal(again.logs[0].contentHash, first.logs[0].contentHash);
+  // The stored report is still the first run's.
+  assert.equal(readDb(REPORT("b1", DATE)).importId, first.logs[0].importId);
+  assert.equal(Object.keys(readDb("tenants/t1/biz:b1:pos_import_log")).length, 2);
+});
+
+test("a changed report replaces the stored one", async () => {
+  const first = await persistReport(await mockReport(), mockPosConnector, Date.now());
+  const changed = await persistReport(
+    await mockReport({ revenueTotal: 1, contentHash: "f".repeat(64) }),
+    mockPosConnector,
+    Date.now()
+  );
+
+  assert.equal(first.status, "success");
+  assert.equal(changed.status, "success");
+  assert.equal(readDb(REPORT("b1", DATE)).revenueTotal, 1);
+});
+
+test("a field the connector can't supply doesn't make the run partial", async () => {
+  const noHourly = new MockPosConnector();
+  Object.defineProperty(noHourly, "capabilities", { value: { ...noHourly.capabilities, hourly: false } });
+
+  const log = await persistReport(await mockReport({ hourly: null }), noHourly, Date.now());
+  assert.equal(log.status, "success");
+  assert.deepEqual(log.missingFields, []);
+});
+
+test("a field the connector should supply makes the run partial", async () => {
+  const log = await persistReport(
+    await mockReport({ hourly: null, channels: { dineIn: 10, delivery: null, takeaway: 0 } }),
+    mockPosConnector,
+    Date.now()
+  );
+  assert.equal(log.status, "partial");
+  assert.deepEqual(log.missingFields, ["channels.delivery", "hourly"]);
+  // Stored all the same — partial data beats none.
+  assert.ok(readDb(REPORT("b1", DATE)));
+});
+
+test("the nightly run imports only the requested day once it has closed", async () => {
+  seed({ cafe: null, bar: { open: "18:00", close: "03:00" } });
+  const results = await importPosForAll(DATE, { connector: mockPosConnector });
+
+  assert.deepEqual(
+    results.map((r) => [r.bizId, r.businessDate]),
+    [
+      ["cafe", DATE],
+      ["bar", DATE],
+    ]
+  );
+});
+
+test("the nightly run re-imports the previous day of a business still trading", async () => {
+  seed({ bar: { open: "18:00", close: "03:00" } });
+  // A bar's day closes at 03:00 the next morning, so today is never closed yet.
+  const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Jerusalem" });
+  const prev = new Date(`${today}T12:00:00Z`);
+  prev.setUTCDate(prev.getUTCDate() - 1);
+  const yesterday = prev.toISOString().slice(0, 10);
+
+  const results = await importPosForAll(today, { connector: mockPosConnector });
+
+  assert.deepEqual(
+    results.map((r) => [r.bizId, r.businessDate, r.logs[0]?.status]),
+    [
+      ["bar", today, "success"],
+      ["bar", yesterday, "success"],
+    ]
+  );
+  assert.ok(readDb(REPORT("bar", yesterday)));
+});
+
+test("one biz without a POS config doesn't stop the nightly run", async () => {
+  seed({ b1: null, b2: null });
+  const tenant = readDb("tenants/t1");
+  delete tenant["biz:b1:pos_config"];
+  resetDb({ tenants: { t1: tenant }, proactive_biz_index: readDb("proactive_biz_index") });
+
+  const results = await importPosForAll(DATE, { connector: mockPosConnector });
+  assert.deepEqual(
+    results.map((r) => [r.bizId, r.skipped ?? r.logs[0].status]),
+    [
+      ["b1", "no_config"],
+      ["b2", "success"],
+    ]
+  );
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { importPosForBiz, persistReport } from "../../dist/test/src/pos/ingest.js";
+import { buildPaymentsContent, finalizeReport } from "../../dist/test/src/pos/normalize.js";
+import { resetDb, readDb } from "../support/fakeAdmin.js";
+
+const DATE = "2026-03-10";
+const CAPS = { dailySummary: false, hourly: false, itemSales: false, payments: true };
+
+process.env.POS_PAYMENTS_TEST_KEY = "unused";
+
+// No registered connector fetches payments yet, so the tests bring their own.
+function paymentsConnector(payments) {
+  return {
+    sourceSystem: "beecomm",
+    capabilities: CAPS,
+    async fetchDailySummary() {
+      throw { source: "beecomm", reason: "not_implemented" };
+    },
+    async fetchPayments() {
+      return payments;
+    },
+  };
+}
+
+const TENDERS = { cash: 1200, credit: 3400.5, vouchers: 300, other: 0 };
+
+function report(payments) {
+  return finalizeReport(buildPaymentsContent(payments, { tenantId: "t1", businessId: "b1" }, DATE, "beecomm"));
+}
+
+beforeEach(() => resetDb());
+
+test("the report total is the tender sum; tips and refunds are not revenue", () => {
+  const content = buildPaymentsContent(
+    { ...TENDERS, tips: 150, refunds: 80 },
+    { tenantId: "t1", businessId: "b1" },
+    DATE,
+    "beecomm"
+  );
+  assert.equal(content.reportType, "payments");
+  assert.equal(content.revenueTotal, 4900.5);
+  assert.equal(content.tickets, null);
+
+  const none = buildPaymentsContent(
+    { cash: null, credit: null, vouchers: null, other: null, tips: null, refunds: null },
+    { tenantId: "t1", businessId: "b1" },
+    DATE,
+    "beecomm"
+  );
+  assert.equal(none.revenueTotal, null);
+});
+
+test("a POS that tracks no tips or refunds still imports as success", async () => {
+  const payments = { ...TENDERS, tips: null, refunds: null };
+  const log = await persistReport(report(payments), paymentsConnector(payments), Date.now());
+
+  assert.equal(log.status, "success");
+  assert.deepEqual(log.missingFields, []);
+  assert.equal(readDb(`tenants/t1/biz:b1:pos:payments:${DATE}`).payments.credit, 3400.5);
+});
+
+test("a missing tender makes the payments day partial", async () => {
+  const payments = { ...TENDERS, cash: null, tips: null, refunds: null };
+  const log = await persistReport(report(payments), paymentsConnector(payments), Date.now());
+
+  assert.equal(log.status, "partial");
+  assert.deepEqual(log.missingFields, ["payments.cash"]);
+});
+
+test("payments are imported only when both the config and the connector support them", async () => {
+  const connector = paymentsConnector({ ...TENDERS, tips: 150, refunds: null });
+  const config = {
+    sourceSystem: "beecomm",
+    externalBranchId: "",
+    credentialRef: "POS_PAYMENTS_TEST_KEY",
+    capabilities: CAPS,
+    enabled: true,
+  };
+
+  const off = await importPosForBiz("t1", "b1", DATE, {
+    connector,
+    config: { ...config, capabilities: { ...CAPS, payments: false } },
+  });
+  assert.deepEqual(off.logs, []);
+
+  const on = await importPosForBiz("t1", "b1", DATE, { connector, config });
+  assert.deepEqual(
+    on.logs.map((l) => [l.reportType, l.status]),
+    [["payments", "success"]]
+  );
+  assert.equal(readDb(`tenants/t1/biz:b1:pos:payments:${DATE}`).payments.tips, 150);
+});
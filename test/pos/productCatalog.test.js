@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json).
+import {
+  canonicalProductKey,
+  emptyCatalog,
+  lookupProductKey,
+  reconcileItems,
+} from "../../dist/test/src/pos/productCatalog.js";
+
+const item = (name, sku = null, qty = 1, revenue = 50) => ({ name, sku, qty, revenue });
+const keys = (rows) => Object.keys(rows);
+
+// ── mergedInto ────────────────────────────────────────────────────────────────
+
+test("a name-keyed product that gains a SKU merges into it, and later SKU-less rows follow", () => {
+  const catalog = emptyCatalog();
+  const [nameKey] = keys(reconcileItems([item("המבורגר")], catalog, "2026-03-01").rows);
+  assert.match(nameKey, /^name_[0-9a-f]{16}$/);
+
+  const day2 = reconcileItems([item("המבורגר", "101")], catalog, "2026-03-02");
+  assert.deepEqual(keys(day2.rows), ["sku_101"]);
+  assert.equal(catalog.products[nameKey].mergedInto, "sku_101");
+  assert.equal(canonicalProductKey(catalog, nameKey), "sku_101");
+
+  // The POS drops the SKU again: still the SKU product, not the old name one.
+  const day3 = reconcileItems([item(" המבורגר ")], catalog, "2026-03-03");
+  assert.deepEqual(keys(day3.rows), ["sku_101"]);
+  assert.equal(lookupProductKey(catalog, item("המבורגר")), "sku_101");
+});
+
+test("canonicalProductKey follows a chain and stops on a loop", () => {
+  const product = (productKey, mergedInto) => ({
+    productKey,
+    sku: null,
+    displayName: productKey,
+    names: [productKey],
+    firstSeen: "2026-03-01",
+    lastSeen: "2026-03-01",
+    ...(mergedInto ? { mergedInto } : {}),
+  });
+  const catalog = {
+    nameIndex: {},
+    products: {
+      a: product("a", "b"),
+      b: product("b", "c"),
+      c: product("c"),
+      self: product("self", "self"),
+      x: product("x", "y"),
+      y: product("y", "x"),
+    },
+  };
+  assert.equal(canonicalProductKey(catalog, "a"), "c");
+  assert.equal(canonicalProductKey(catalog, "c"), "c");
+  assert.equal(canonicalProductKey(catalog, "self"), "self");
+  assert.equal(canonicalProductKey(catalog, "unknown"), "unknown");
+  // A cycle ends after a bounded number of hops rather than spinning.
+  assert.ok(["x", "y"].includes(canonicalProductKey(catalog, "x")));
+});
+
+test("a merged product is not re-merged into a second SKU of the same name", () => {
+  const catalog = emptyCatalog();
+  const [nameKey] = keys(reconcileItems([item("שתייה")], catalog, "2026-03-01").rows);
+  reconcileItems([item("שתייה", "1")], catalog, "2026-03-02");
+  reconcileItems([item("שתייה", "2")], catalog, "2026-03-03");
+
+  assert.equal(catalog.products[nameKey].mergedInto, "sku_1");
+  assert.equal(lookupProductKey(catalog, item("שתייה")), "sku_1");
+});
+
+// ── The name + SKU index ──────────────────────────────────────────────────────
+
+test("two SKUs sharing a name keep their own index entries", () => {
+  const catalog = emptyCatalog();
+  const day = reconcileItems(
+    [item("שתייה", "330", 2, 24), item("שתייה", "500", 1, 16), item("שתייה", "330", 1, 12)],
+    catalog,
+    "2026-03-01"
+  );
+
+  assert.deepEqual(day.rows, {
+    sku_330: { productKey: "sku_330", sku: "330", name: "שתייה", qty: 3, revenue: 36 },
+    sku_500: { productKey: "sku_500", sku: "500", name: "שתייה", qty: 1, revenue: 16 },
+  });
+  assert.equal(lookupProductKey(catalog, item("שתייה", "330")), "sku_330");
+  assert.equal(lookupProductKey(catalog, item("שתייה", "500")), "sku_500");
+  // Without a SKU the name goes to the first product seen under it.
+  assert.equal(lookupProductKey(catalog, item("שתייה")), "sku_330");
+  // Three index entries: name alone, name + 330, name + 500.
+  assert.equal(Object.keys(catalog.nameIndex).length, 3);
+});
+
+test("a SKU-less row goes to the first SKU product seen under its name", () => {
+  const catalog = emptyCatalog();
+  reconcileItems([item("קולה", "1")], catalog, "2026-03-01");
+  reconcileItems([item("קולה", "2")], catalog, "2026-03-02");
+  const day3 = reconcileItems([item("קולה")], catalog, "2026-03-03");
+  assert.deepEqual(keys(day3.rows), ["sku_1"]);
+});
+
+test("name matching ignores case, quotes and spacing", () => {
+  const catalog = emptyCatalog();
+  reconcileItems([item('צ׳יפס "גדול"')], catalog, "2026-03-01");
+  const key = lookupProductKey(catalog, item("צ'יפס   גדול"));
+  assert.ok(key);
+  assert.equal(lookupProductKey(catalog, item("Chips")), null);
+  reconcileItems([item("Chips"), item("CHIPS ")], catalog, "2026-03-01");
+  assert.equal(lookupProductKey(catalog, item("chips")), lookupProductKey(catalog, item("Chips")));
+});
+
+test("a renamed SKU product keeps every name and shows the latest", () => {
+  const catalog = emptyCatalog();
+  reconcileItems([item("המבורגר", "101")], catalog, "2026-03-02");
+  reconcileItems([item("המבורגר קלאסי", "101")], catalog, "2026-03-03");
+  // A late import of an older day doesn't rename it back.
+  reconcileItems([item("בורגר", "101")], catalog, "2026-03-01");
+
+  const p = catalog.products.sku_101;
+  assert.deepEqual(p.names, ["המבורגר", "המבורגר קלאסי", "בורגר"]);
+  assert.equal(p.displayName, "המבורגר קלאסי");
+  assert.deepEqual([p.firstSeen, p.lastSeen], ["2026-03-01", "2026-03-03"]);
+  assert.equal(lookupProductKey(catalog, item("המבורגר קלאסי", "101")), "sku_101");
+});
+
+test("SKUs are made safe as database keys", () => {
+  const catalog = emptyCatalog();
+  const { rows } = reconcileItems([item("Wine", "A.1/2 #3")], catalog, "2026-03-01");
+  assert.deepEqual(keys(rows), ["sku_A_1_2__3"]);
+  // An unknown SKU with a known name is still unknown.
+  assert.equal(lookupProductKey(catalog, item("Wine", "B")), null);
+});
@@ -0,0 +1,114 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import {
+  RECONCILE_MIN_GAP,
+  manualRevenueFrom,
+  reconcilePosRevenue,
+  reconcileRevenue,
+} from "../../dist/test/src/pos/reconcile.js";
+import { resetDb, readDb } from "../support/fakeAdmin.js";
+
+const DATE = "2026-03-10";
+
+const pos = (revenueTotal, dineIn, takeaway, delivery) => ({
+  revenueTotal,
+  channels: { dineIn, takeaway, delivery },
+});
+
+test("a gap flags only above the tolerance %", () => {
+  // 10,000 on the register; tolerance 3%.
+  const within = reconcileRevenue({ sales: 10_200, deliveries: 0 }, pos(10_000, 10_000, 0, 0), 3);
+  assert.equal(within.total.gap, 200);
+  assert.equal(within.total.gapPct, 2);
+  assert.equal(within.total.flagged, false);
+  assert.equal(within.status, "ok");
+
+  const atTolerance = reconcileRevenue({ sales: 10_300, deliveries: 0 }, pos(10_000, 10_000, 0, 0), 3);
+  assert.equal(atTolerance.total.gapPct, 3);
+  assert.equal(atTolerance.total.flagged, false);
+
+  const over = reconcileRevenue({ sales: 9_600, deliveries: 0 }, pos(10_000, 10_000, 0, 0), 3);
+  assert.equal(over.total.gap, -400);
+  assert.equal(over.total.gapPct, 4);
+  assert.equal(over.total.flagged, true);
+  assert.equal(over.status, "mismatch");
+});
+
+test("a gap under the shekel floor never flags, whatever the %", () => {
+  const gap = RECONCILE_MIN_GAP - 1;
+  const r = reconcileRevenue({ sales: 500 + gap, deliveries: 0 }, pos(500, 500, 0, 0), 3);
+  assert.ok(r.total.gapPct > 3);
+  assert.equal(r.total.flagged, false);
+  assert.equal(r.status, "ok");
+});
+
+test("gap % is of the register, rounded to 0.1; an empty register is 100%", () => {
+  const r = reconcileRevenue({ sales: 3_100, deliveries: 0 }, pos(3_000, 3_000, 0, 0), 3);
+  assert.equal(r.total.gapPct, 3.3);
+  assert.equal(r.total.flagged, true);
+
+  const empty = reconcileRevenue({ sales: 400, deliveries: 0 }, pos(0, 0, 0, 0), 3);
+  assert.equal(empty.total.gapPct, 100);
+  assert.equal(empty.total.flagged, true);
+});
+
+test("channels compare sales with dine-in + takeaway and deliveries with delivery", () => {
+  // Right total, but 1,000 of delivery entered as sales.
+  const r = reconcileRevenue({ sales: 7_000, deliveries: 1_000 }, pos(8_000, 5_000, 1_000, 2_000), 3);
+  assert.equal(r.total.flagged, false);
+  assert.deepEqual([r.inStore.manual, r.inStore.pos, r.inStore.gap], [7_000, 6_000, 1_000]);
+  assert.deepEqual([r.delivery.manual, r.delivery.pos, r.delivery.gap], [1_000, 2_000, -1_000]);
+  assert.equal(r.status, "mismatch");
+
+  // No channel split from the POS: only the total is compared.
+  const noChannels = reconcileRevenue({ sales: 7_000, deliveries: 1_000 }, pos(8_000, null, null, null), 3);
+  assert.equal(noChannels.inStore.gap, null);
+  assert.equal(noChannels.delivery.gap, null);
+  assert.equal(noChannels.status, "ok");
+});
+
+test("a missing side is a status, not a mismatch", () => {
+  assert.equal(reconcileRevenue(null, pos(8_000, 8_000, 0, 0), 3).status, "missing_manual");
+  assert.equal(reconcileRevenue({ sales: 100, deliveries: 0 }, null, 3).status, "missing_pos");
+  assert.equal(reconcileRevenue({ sales: 100, deliveries: 0 }, pos(null, 1, 0, 0), 3).status, "missing_pos");
+});
+
+test("manual entries are read from the _v wrapper, an array or a keyed object", () => {
+  const list = [
+    { date: "2026-03-09", sales: 100, deliveries: 0 },
+    { date: DATE, sales: "4200", deliveries: 800 },
+  ];
+  const want = { sales: 4200, deliveries: 800 };
+
+  assert.deepEqual(manualRevenueFrom({ _v: JSON.stringify(list) }, DATE), want);
+  assert.deepEqual(manualRevenueFrom(list, DATE), want);
+  assert.deepEqual(manualRevenueFrom({ a: list[0], b: list[1] }, DATE), want);
+});
+
+test("an absent, zero or unreadable manual entry is no entry", () => {
+  assert.equal(manualRevenueFrom([{ date: "2026-03-09", sales: 100 }], DATE), null);
+  assert.equal(manualRevenueFrom([{ date: DATE, sales: 0, deliveries: 0 }], DATE), null);
+  assert.equal(manualRevenueFrom({ _v: "{not json" }, DATE), null);
+  assert.equal(manualRevenueFrom(null, DATE), null);
+});
+
+beforeEach(() => resetDb());
+
+test("a reconciled day is stored; a day without a POS report is not", async () => {
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:entries": { _v: JSON.stringify([{ date: DATE, sales: 6_000, deliveries: 2_000 }]) },
+        [`biz:b1:pos:daily_summary:${DATE}`]: pos(8_000, 5_000, 1_000, 2_000),
+      },
+    },
+  });
+
+  const rec = await reconcilePosRevenue("t1", "b1", DATE, 3);
+  assert.equal(rec.status, "ok");
+  assert.equal(readDb(`tenants/t1/biz:b1:pos_reconciliation:${DATE}`).total.pos, 8_000);
+
+  assert.equal(await reconcilePosRevenue("t1", "b1", "2026-03-11", 3), null);
+  assert.equal(readDb("tenants/t1/biz:b1:pos_reconciliation:2026-03-11"), null);
+});
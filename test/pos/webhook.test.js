@@ -0,0 +1,113 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+// Compiled by `npm test` (tsconfig.test.json); the database is test/support/fakeAdmin.js.
+import { importPosWebhook } from "../../dist/test/src/pos/ingest.js";
+import { handlePosWebhook } from "../../dist/test/src/handlers/dailyBuilder/posWebhook.js";
+import { resetDb, readDb } from "../support/fakeAdmin.js";
+
+const SECRET = "test-webhook-secret";
+const DATE = "2026-03-10";
+const REPORT = `tenants/t1/biz:b1:pos:daily_summary:${DATE}`;
+
+process.env.POS_WEBHOOK_TEST_KEY = SECRET;
+
+beforeEach(() => {
+  resetDb({
+    tenants: {
+      t1: {
+        "biz:b1:pos_config": {
+          sourceSystem: "beecomm",
+          externalBranchId: "",
+          credentialRef: "POS_WEBHOOK_TEST_KEY",
+          capabilities: { dailySummary: true, hourly: true, itemSales: false, payments: false },
+          enabled: true,
+        },
+      },
+    },
+  });
+});
+
+const sign = (body) => createHmac("sha256", SECRET).update(body, "utf8").digest("hex");
+
+function push(body, signature = sign(body)) {
+  return importPosWebhook("t1", "b1", body, signature);
+}
+
+function tickets(list) {
+  return JSON.stringify({
+    type: "tickets",
+    tickets: list.map(([id, amount, extra]) => ({
+      ticketId: id,
+      amount,
+      businessDate: DATE,
+      channel: "dine in",
+      ...extra,
+    })),
+  });
+}
+
+test("a bad or missing signature is rejected before anything is stored", async () => {
+  const body = tickets([["A1", 120]]);
+  await assert.rejects(push(body, sign(body + " ")), { status: 401 });
+  await assert.rejects(importPosWebhook("t1", "b1", body, undefined), { status: 401 });
+  await assert.rejects(push(body, `sha256=${"0".repeat(64)}`), { status: 401 });
+  assert.equal(readDb(REPORT), null);
+  assert.equal(readDb(`tenants/t1/biz:b1:pos_webhook_tickets:${DATE}`), null);
+});
+
+test("a redelivered push is deduped and counts its tickets once", async () => {
+  const body = tickets([["A1", 120], ["A2", 80]]);
+  const [first] = await push(body);
+  const [again] = await push(body);
+
+  assert.equal(first.status, "success");
+  assert.equal(again.status, "deduped");
+  const report = readDb(REPORT);
+  assert.equal(report.revenueTotal, 200);
+  assert.equal(report.tickets, 2);
+  assert.equal(report.contentHash, first.contentHash);
+});
+
+test("a later push re-aggregates the day from every stored ticket", async () => {
+  await push(tickets([["A1", 120]]));
+  await push(tickets([["A2", 80], ["A1", 120]]));
+  assert.equal(readDb(REPORT).revenueTotal, 200);
+  assert.equal(readDb(REPORT).tickets, 2);
+});
+
+test("voiding every ticket leaves a zero-revenue day, not the old total", async () => {
+  await push(tickets([["A1", 120], ["A2", 80]]));
+  const [log] = await push(tickets([["A1", 120, { voided: true }], ["A2", 80, { status: "voided" }]]));
+
+  assert.equal(log.status, "success");
+  const report = readDb(REPORT);
+  assert.equal(report.revenueTotal, 0);
+  assert.equal(report.tickets, 0);
+  assert.equal(report.avgCheck, undefined); // null, which the database doesn't store
+  assert.deepEqual(report.channels, { dineIn: 0, delivery: 0, takeaway: 0 });
+});
+
+test("the route rejects a tenantId or bizId that isn't key-safe", async () => {
+  for (const query of [
+    { tenantId: "t1/biz:b2", bizId: "b1" },
+    { tenantId: "t1", bizId: "b1:pos_config" },
+    { tenantId: "t1", bizId: "b.1" },
+  ]) {
+    let status;
+    let json;
+    const res = {
+      status(s) {
+        status = s;
+        return this;
+      },
+      json(j) {
+        json = j;
+        return this;
+      },
+    };
+    await handlePosWebhook({ query, headers: {}, readable: false }, res);
+    assert.equal(status, 400);
+    assert.deepEqual(json, { error: "Invalid tenantId or bizId" });
+  }
+});
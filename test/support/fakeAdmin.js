@@ -0,0 +1,236 @@
+/**
+ * In-memory stand-in for lib/adminSdk.js — test/support/hooks.js resolves
+ * every import of adminSdk.js here, so repositories run unchanged against a
+ * plain object tree.
+ *
+ * Covers the Realtime Database surface the code base uses: ref / child,
+ * once("value") / get, set, update (multi-path), remove, transaction, and
+ * orderByKey / orderByChild queries with startAt / endAt / equalTo /
+ * limitToFirst / limitToLast. Auth accepts "uid:<uid>" as an ID token.
+ */
+
+let root = null;
+
+/** Replace the whole tree (deep-copied). */
+export function resetDb(data = null) {
+  root = data == null ? null : structuredClone(data);
+}
+
+/** The value at `path` (deep-copied), or null. */
+export function readDb(path = "") {
+  const v = getAt(split(path));
+  return v === undefined ? null : structuredClone(v);
+}
+
+function split(path) {
+  return String(path).split("/").filter(Boolean);
+}
+
+function getAt(parts) {
+  let node = root;
+  for (const p of parts) {
+    if (node == null || typeof node !== "object") return undefined;
+    node = node[p];
+  }
+  return node ?? undefined;
+}
+
+/** Drop empty objects, as the database never stores them. */
+function prune(v) {
+  if (v == null) return null;
+  if (typeof v !== "object") return v;
+  const out = {};
+  for (const [k, child] of Object.entries(v)) {
+    const c = prune(child);
+    if (c !== null) out[k] = c;
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+function setAt(parts, value) {
+  const v = prune(value === undefined ? null : structuredClone(value));
+  if (parts.length === 0) {
+    root = v;
+    return;
+  }
+  if (root == null || typeof root !== "object") root = {};
+  let node = root;
+  const trail = [];
+  for (const p of parts.slice(0, -1)) {
+    if (node[p] == null || typeof node[p] !== "object") node[p] = {};
+    trail.push([node, p]);
+    node = node[p];
+  }
+  const last = parts[parts.length - 1];
+  if (v === null) delete node[last];
+  else node[last] = v;
+  // Removing the last child removes the emptied parents too.
+  for (let i = trail.length - 1; i >= 0; i--) {
+    const [parent, key] = trail[i];
+    if (Object.keys(parent[key]).length === 0) delete parent[key];
+  }
+  if (Object.keys(root).length === 0) root = null;
+}
+
+/** Database ordering for orderByChild: null < false < true < numbers < strings < objects. */
+function rank(v) {
+  if (v == null) return 0;
+  if (v === false) return 1;
+  if (v === true) return 2;
+  if (typeof v === "number") return 3;
+  if (typeof v === "string") return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 3 || ra === 4) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+function childAt(value, path) {
+  let node = value;
+  for (const p of split(path)) {
+    if (node == null || typeof node !== "object") return null;
+    node = node[p];
+  }
+  return node ?? null;
+}
+
+class Snapshot {
+  constructor(key, value, order) {
+    this.key = key;
+    this._value = value === undefined ? null : value;
+    this._order = order ?? (this._value && typeof this._value === "object" ? Object.keys(this._value) : []);
+  }
+  val() {
+    if (this._value === null || typeof this._value !== "object") return this._value;
+    const out = {};
+    for (const k of this._order) out[k] = structuredClone(this._value[k]);
+    return out;
+  }
+  exists() {
+    return this._value !== null;
+  }
+  child(path) {
+    const parts = split(path);
+    return new Snapshot(parts[parts.length - 1] ?? this.key, childAt(this._value, path));
+  }
+  hasChild(path) {
+    return childAt(this._value, path) !== null;
+  }
+  numChildren() {
+    return this._order.length;
+  }
+  forEach(cb) {
+    for (const k of this._order) {
+      if (cb(new Snapshot(k, this._value[k])) === true) return true;
+    }
+    return false;
+  }
+}
+
+class Query {
+  constructor(parts, q = {}) {
+    this._parts = parts;
+    this._q = q;
+  }
+  _with(extra) {
+    return new Query(this._parts, { ...this._q, ...extra });
+  }
+  orderByKey() {
+    return this._with({ by: "key" });
+  }
+  orderByChild(path) {
+    return this._with({ by: "child", path });
+  }
+  startAt(v) {
+    return this._with({ start: v });
+  }
+  endAt(v) {
+    return this._with({ end: v });
+  }
+  equalTo(v) {
+    return this._with({ start: v, end: v });
+  }
+  limitToFirst(n) {
+    return this._with({ first: n });
+  }
+  limitToLast(n) {
+    return this._with({ last: n });
+  }
+
+  _snapshot() {
+    const key = this._parts[this._parts.length - 1] ?? null;
+    const value = getAt(this._parts);
+    if (value === undefined) return new Snapshot(key, null);
+    if (typeof value !== "object" || this._q.by === undefined) {
+      return new Snapshot(key, structuredClone(value));
+    }
+    const sortVal = (k) => (this._q.by === "key" ? k : childAt(value[k], this._q.path));
+    let keys = Object.keys(value).sort((a, b) => compareValues(sortVal(a), sortVal(b)) || (a < b ? -1 : a > b ? 1 : 0));
+    if (this._q.start !== undefined) keys = keys.filter((k) => compareValues(sortVal(k), this._q.start) >= 0);
+    if (this._q.end !== undefined) keys = keys.filter((k) => compareValues(sortVal(k), this._q.end) <= 0);
+    if (this._q.first !== undefined) keys = keys.slice(0, this._q.first);
+    if (this._q.last !== undefined) keys = keys.slice(-this._q.last);
+    if (keys.length === 0) return new Snapshot(key, null);
+    const picked = {};
+    for (const k of keys) picked[k] = structuredClone(value[k]);
+    return new Snapshot(key, picked, keys);
+  }
+  async once(event) {
+    if (event !== "value") throw new Error(`fakeAdmin: once("${event}") not supported`);
+    return this._snapshot();
+  }
+  async get() {
+    return this._snapshot();
+  }
+}
+
+class Reference extends Query {
+  constructor(parts) {
+    super(parts);
+    this.key = parts[parts.length - 1] ?? null;
+  }
+  child(path) {
+    return new Reference([...this._parts, ...split(path)]);
+  }
+  async set(value) {
+    setAt(this._parts, value);
+  }
+  async update(values) {
+    for (const [path, v] of Object.entries(values)) setAt([...this._parts, ...split(path)], v);
+  }
+  async remove() {
+    setAt(this._parts, null);
+  }
+  async transaction(fn) {
+    const current = getAt(this._parts);
+    const next = fn(current === undefined ? null : structuredClone(current));
+    if (next === undefined) return { committed: false, snapshot: this._snapshot() };
+    setAt(this._parts, next);
+    return { committed: true, snapshot: this._snapshot() };
+  }
+}
+
+const db = {
+  ref: (path = "") => new Reference(split(path)),
+  app: { name: "fake" },
+};
+
+const auth = {
+  async verifyIdToken(token) {
+    if (typeof token !== "string" || !token.startsWith("uid:")) throw new Error("invalid token");
+    return { uid: token.slice(4) };
+  },
+};
+
+export function getAdminDb() {
+  return db;
+}
+
+export function getAdminAuth() {
+  return auth;
+}
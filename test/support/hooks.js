@@ -0,0 +1,32 @@
+/**
+ * Module resolve hooks for the compiled sources under dist/test (see
+ * register.js):
+ *   - lib/adminSdk.js → fakeAdmin.js, so nothing reaches Firebase;
+ *   - the rest of dist/test/lib/… → the repo's lib/ (plain JS, not compiled);
+ *   - .json imports get the `type: "json"` attribute tsc doesn't emit.
+ */
+
+const ROOT = new URL("../../", import.meta.url).href;
+const DIST_LIB = `${ROOT}dist/test/lib/`;
+const FAKE_ADMIN = new URL("./fakeAdmin.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.endsWith(".json") && !context.importAttributes?.type) {
+    context = { ...context, importAttributes: { ...context.importAttributes, type: "json" } };
+  }
+  const resolved = await nextResolve(specifier, context).catch((e) => {
+    // dist/test/lib/… doesn't exist; its URL is still what we remap below.
+    if (context.parentURL && specifier.startsWith(".")) {
+      const url = new URL(specifier, context.parentURL).href;
+      if (url.startsWith(DIST_LIB)) return { url, format: "module" };
+    }
+    throw e;
+  });
+  if (resolved.url.endsWith("/lib/adminSdk.js")) return { url: FAKE_ADMIN, format: "module", shortCircuit: true };
+  if (resolved.url.startsWith(DIST_LIB)) {
+    return { ...resolved, url: `${ROOT}lib/${resolved.url.slice(DIST_LIB.length)}`, shortCircuit: true };
+  }
+  return resolved.url.endsWith(".json")
+    ? { ...resolved, importAttributes: { type: "json" }, shortCircuit: true }
+    : resolved;
+}
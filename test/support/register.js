@@ -0,0 +1,4 @@
+// node --import ./test/support/register.js — installs hooks.js for the test run.
+import { register } from "node:module";
+
+register("./hooks.js", import.meta.url);